@@ -1,14 +1,17 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.20;
 
+import "@openzeppelin/contracts/access/AccessControl.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
 import "@openzeppelin/contracts/utils/Address.sol";
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
 import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
 import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
 import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "./RelayerCommittee.sol";
 
-contract UltraEfficientIntentBridge is EIP712, ReentrancyGuard {
+contract UltraEfficientIntentBridge is RelayerCommittee, ReentrancyGuard, AccessControl {
     using SafeERC20 for IERC20;
 
     // ====== EIP-712 typehashes ======
@@ -20,6 +23,22 @@ contract UltraEfficientIntentBridge is EIP712, ReentrancyGuard {
         keccak256("SolverCommitment(bytes32 intentDigest)");
     bytes32 private constant _CANCEL_TYPEHASH =
         keccak256("Cancel(address user,uint256 nonce)");
+    bytes32 private constant _FULFILLMENT_TYPEHASH =
+        keccak256("Fulfillment(bytes32 intentDigest,address solver,uint256 amount,bytes32 deliveryTx)");
+    bytes32 private constant _SOLVER_BATCH_TYPEHASH =
+        keccak256("SolverBatchCommitment(bytes32 batchHash)");
+    bytes32 private constant _SWAP_INTENT_TYPEHASH =
+        keccak256(
+            "SwapIntent(address user,address token,uint256 amount,uint256 fee,address outputToken,uint256 minOutput,address recipient,uint256 nonce,uint256 deadline)"
+        );
+    bytes32 private constant _PARTIAL_INTENT_TYPEHASH =
+        keccak256(
+            "PartialIntent(address user,address token,uint256 amount,uint256 fee,uint256 minFill,uint256 nonce,uint256 deadline)"
+        );
+    bytes32 private constant _DUTCH_INTENT_TYPEHASH =
+        keccak256(
+            "DutchIntent(address user,address token,uint256 amount,uint256 startFee,uint256 endFee,uint256 decayStart,uint256 decayEnd,uint256 nonce,uint256 deadline)"
+        );
 
     // ====== Storage ======
     mapping(address => uint256) public nonces;        // user => nonce
@@ -27,6 +46,166 @@ contract UltraEfficientIntentBridge is EIP712, ReentrancyGuard {
 
     uint256 public constant MINIMUM_STAKE = 1 ether;
 
+    // Withdrawals unbond first: requestUnbond moves stake out of solverStakes, so it stops counting
+    // toward MINIMUM_STAKE at once, and withdrawStake pays it out after UNBONDING_PERIOD. Unbonding
+    // stake can still be slashed, so a bad fill cannot be followed by pulling the stake.
+    uint256 public constant UNBONDING_PERIOD = 1 days;
+
+    struct Unbonding {
+        uint256 amount;
+        uint256 releaseTime;
+    }
+
+    mapping(address => Unbonding) public unbondings;  // solver => stake awaiting withdrawal
+
+    // ====== Dual-lock escrow ======
+    // lockIntent moves the user's amount + fee into the bridge and pins the solver's minimum stake
+    // while the escrow is open. The solver then pays the user on the destination chain; the relayer
+    // committee attests that delivery and settleIntent releases the escrow to the solver. If no
+    // proof arrives by deadline + PROOF_WINDOW, anyone can refund the user.
+    uint256 public constant PROOF_WINDOW = 10 minutes;
+
+    // Disputes: once the deadline has passed without a proof, anyone (the user or a watcher) may
+    // challenge the escrow until deadline + PROOF_WINDOW. The solver can still answer with the
+    // proof (settleIntent); an unanswered challenge is resolved after the window by refunding the
+    // user and slashing SLASH_BPS of MINIMUM_STAKE from the solver's stake to the user. The slash
+    // is credited, not sent: the user pulls it with withdrawSlashCredit, so a user contract that
+    // rejects ETH cannot block the resolution.
+    uint256 public constant SLASH_BPS = 5_000;
+    uint256 public constant SLASH_AMOUNT = (MINIMUM_STAKE * SLASH_BPS) / 10_000;
+
+    enum EscrowStatus { None, Locked, Settled, Refunded, Challenged, Slashed }
+
+    struct Escrow {
+        address user;
+        uint64 deadline;
+        address solver;
+        EscrowStatus status;
+        address token;
+        uint256 amount;
+        uint256 fee;
+    }
+
+    mapping(bytes32 => Escrow) public escrows;        // intent digest => escrow
+    mapping(address => uint256) public openEscrows;   // solver => escrows awaiting proof or refund
+    mapping(address => uint256) public slashCredits;  // user => slashed stake awaiting withdrawal
+
+    // ====== Randomized dispatch ======
+    // A user may bind its current intent to solvers drawn from the dispatch pool. The seed mixes a
+    // user secret (committed in requestDispatch) with the hash of the request block, so neither the
+    // user nor the block producer controls it alone. Round r of the schedule gives assigned[r] an
+    // exclusive window of ackBlocks blocks; a solver that misses its window is replaced by the next
+    // one, and after the last round the intent is open to any staked solver.
+    uint256 public constant MAX_DISPATCH_ROUNDS = 3;
+    uint256 public constant MAX_ACK_BLOCKS = 64;
+
+    struct Dispatch {
+        address user;
+        uint64 requestBlock;
+        uint32 ackBlocks;
+        uint64 startBlock;   // reveal block, 0 while pending
+        bytes32 seedCommit;  // keccak256(abi.encode(secret))
+        address[] assigned;  // round => exclusive solver
+    }
+
+    // Auctions: a SealedBidAuction holding AUCTION_ROLE reserves its winner a one-round schedule
+    // (reserveFill), so only the winner can fill the intent at the clearing fee for fillBlocks
+    // blocks; after that it is open to any staked solver, like a dispatch past its last round.
+    bytes32 public constant AUCTION_ROLE = keccak256("AUCTION_ROLE");
+
+    address[] public dispatchPool;
+    mapping(address => uint256) private _poolSlot;        // solver => index + 1
+    mapping(bytes32 => Dispatch) private _dispatches;      // intent digest => dispatch
+
+    // ====== Batch fulfillment ======
+    // One transaction fills up to MAX_BATCH intents under a single solver signature over
+    // batchHash = keccak256(abi.encodePacked(intentDigests)). Each intent carries the nonce it was
+    // signed for; an intent that fails its own checks is skipped (IntentSkipped) and the rest of
+    // the batch still settles. A bad solver signature or batch size reverts the whole batch.
+    uint256 public constant MAX_BATCH = 256;
+
+    struct IntentData {
+        address user;
+        address token;
+        uint256 amount;
+        uint256 fee;
+        uint256 nonce;
+        uint256 deadline;
+    }
+
+    enum SkipReason { InvalidIntent, Expired, BadNonce, BadUserSig, DispatchWindow, TransferFailed }
+
+    // ====== Swap intents ======
+    // A SwapIntent pays amount + fee of `token` to the solver that delivers at least minOutput of
+    // outputToken to `recipient` in the same transaction. The bridge pulls the output from the
+    // solver (which approves it beforehand) and checks what the recipient actually received.
+    struct SwapIntentData {
+        address user;
+        address token;
+        uint256 amount;
+        uint256 fee;
+        address outputToken;
+        uint256 minOutput;
+        address recipient;
+        uint256 nonce;
+        uint256 deadline;
+    }
+
+    // ====== Partial fills ======
+    // A PartialIntent can be filled in portions by several staked solvers until `amount` is
+    // reached. Each portion is at least minFill (only the last one may be smaller) and earns the
+    // pro-rated fee. The first portion consumes the user's nonce; later ones need the intent to be
+    // open (partiallyFilled < amount) and the user's nonce to still be the one after it, so
+    // cancelIntent (or the user's next intent) closes the rest of a partial intent.
+    struct PartialIntentData {
+        address user;
+        address token;
+        uint256 amount;
+        uint256 fee;
+        uint256 minFill;
+        uint256 nonce;
+        uint256 deadline;
+    }
+
+    mapping(bytes32 => uint256) public partiallyFilled; // partial intent digest => amount filled so far
+
+    // ====== Dutch-auction fee ======
+    // A DutchIntent signs a fee path instead of a fee: startFee until decayStart, then linear to
+    // endFee at decayEnd, endFee after that. The fee is read at the fill's block timestamp, so the
+    // first solver whose reservation price the path reaches fills it. With startFee < endFee the
+    // offer improves for solvers over time (the user's terms decay).
+    struct DutchIntentData {
+        address user;
+        address token;
+        uint256 amount;
+        uint256 startFee;
+        uint256 endFee;
+        uint256 decayStart;
+        uint256 decayEnd;
+        uint256 nonce;
+        uint256 deadline;
+    }
+
+    // ====== Protocol fee ======
+    // protocolFeeBps of every intent's fee goes to `treasury` instead of the solver: on direct,
+    // batch, swap, partial and Dutch fills and when an escrow settles (at the rate in force then).
+    // Off (0) until an account holding FEE_ADMIN_ROLE sets it; the deployer holds that role and
+    // DEFAULT_ADMIN_ROLE. Both fields share one slot, so a fill reads them with one SLOAD.
+    bytes32 public constant FEE_ADMIN_ROLE = keccak256("FEE_ADMIN_ROLE");
+    address public treasury;
+    uint16 public protocolFeeBps;
+
+    // ====== EIP-2612 permit ======
+    // The *WithPermit entry points take the user's permit of amount + fee to this bridge next to
+    // the intent, so a user of a permit token never sends an approve transaction.
+    struct Permit {
+        uint256 value;
+        uint256 deadline;
+        uint8 v;
+        bytes32 r;
+        bytes32 s;
+    }
+
     // ====== Events ======
     event IntentFulfilled(
         address indexed user,
@@ -35,10 +214,83 @@ contract UltraEfficientIntentBridge is EIP712, ReentrancyGuard {
         uint256 amount,
         uint256 fee
     );
+    event IntentLocked(
+        bytes32 indexed intentDigest,
+        address indexed user,
+        address indexed solver,
+        address token,
+        uint256 amount,
+        uint256 fee,
+        uint256 deadline
+    );
+    event IntentSkipped(bytes32 indexed intentDigest, uint256 index, SkipReason reason);
+    event BatchFulfilled(address indexed solver, bytes32 batchHash, uint256 filled, uint256 skipped);
+    event SwapFulfilled(
+        bytes32 indexed intentDigest,
+        address indexed user,
+        address indexed solver,
+        address outputToken,
+        uint256 outputAmount,
+        address recipient
+    );
+    event PartialFill(
+        bytes32 indexed intentDigest,
+        address indexed user,
+        address indexed solver,
+        uint256 fillAmount,
+        uint256 fee,
+        uint256 remaining
+    );
+    event DutchFulfilled(bytes32 indexed intentDigest, address indexed user, address indexed solver, uint256 amount, uint256 fee);
+    event ProtocolFeeUpdated(address indexed admin, address indexed treasury, uint256 feeBps);
+    event IntentSettled(bytes32 indexed intentDigest, address indexed solver, bytes32 deliveryTx);
+    event IntentRefunded(bytes32 indexed intentDigest, address indexed user, uint256 amount);
+    event IntentChallenged(bytes32 indexed intentDigest, address indexed challenger);
+    event SolverSlashed(bytes32 indexed intentDigest, address indexed solver, address indexed user, uint256 amount);
+    event SlashCreditWithdrawn(address indexed user, uint256 amount);
     event StakeAdded(address indexed solver, uint256 amount, uint256 totalStake);
+    event UnbondRequested(address indexed solver, uint256 amount, uint256 releaseTime, uint256 totalStake);
     event StakeWithdrawn(address indexed solver, uint256 amount, uint256 totalStake);
+    event DispatchPoolJoined(address indexed solver);
+    event DispatchPoolLeft(address indexed solver);
+    event DispatchRequested(
+        bytes32 indexed intentDigest,
+        address indexed user,
+        bytes32 seedCommit,
+        uint256 ackBlocks
+    );
+    event DispatchSeeded(
+        bytes32 indexed intentDigest,
+        bytes32 secret,
+        bytes32 seed,
+        address[] pool,
+        address[] assigned,
+        uint256 startBlock
+    );
+
+    /// `relayers_` / `threshold_`: committee attesting destination deliveries of escrowed intents.
+    constructor(address[] memory relayers_, uint256 threshold_)
+        EIP712("UltraEfficientIntentBridge", "1")
+        RelayerCommittee(relayers_, threshold_)
+    {
+        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
+        _grantRole(FEE_ADMIN_ROLE, msg.sender);
+    }
+
+    // ====== Protocol fee ======
+    /// Sends `feeBps` of each fill's fee to `treasury_`; feeBps 0 turns the split off.
+    function setProtocolFee(uint256 feeBps, address treasury_) external onlyRole(FEE_ADMIN_ROLE) {
+        require(feeBps <= 10_000, "fee bps > 10000");
+        require(feeBps == 0 || treasury_ != address(0), "zero treasury");
+        treasury = treasury_;
+        protocolFeeBps = uint16(feeBps);
+        emit ProtocolFeeUpdated(msg.sender, treasury_, feeBps);
+    }
 
-    constructor() EIP712("UltraEfficientIntentBridge", "1") {}
+    /// Part of `fee` that goes to the treasury at the current rate.
+    function protocolCut(uint256 fee) public view returns (uint256) {
+        return (fee * protocolFeeBps) / 10_000;
+    }
 
     // ====== Staking ======
     function stake() external payable {
@@ -47,15 +299,200 @@ contract UltraEfficientIntentBridge is EIP712, ReentrancyGuard {
         emit StakeAdded(msg.sender, msg.value, solverStakes[msg.sender]);
     }
 
-    function withdrawStake(uint256 amount) external nonReentrant {
+    /// Starts unbonding `amount`; a further request adds to it and restarts the cooldown.
+    function requestUnbond(uint256 amount) external {
         uint256 bal = solverStakes[msg.sender];
         require(amount > 0 && amount <= bal, "invalid amount");
+        // Second lock of the escrow: while fills await proof the minimum stake stays put, and so
+        // does one SLASH_AMOUNT per open escrow once that is more
+        uint256 open = openEscrows[msg.sender];
+        uint256 pinned = open * SLASH_AMOUNT > MINIMUM_STAKE ? open * SLASH_AMOUNT : MINIMUM_STAKE;
+        require(open == 0 || bal - amount >= pinned, "stake locked");
         solverStakes[msg.sender] = bal - amount;
 
+        Unbonding storage u = unbondings[msg.sender];
+        u.amount += amount;
+        u.releaseTime = block.timestamp + UNBONDING_PERIOD;
+        emit UnbondRequested(msg.sender, amount, u.releaseTime, solverStakes[msg.sender]);
+    }
+
+    /// Pays out the unbonded stake once UNBONDING_PERIOD has passed since the last request.
+    function withdrawStake() external nonReentrant {
+        Unbonding memory u = unbondings[msg.sender];
+        require(u.amount > 0, "nothing unbonding");
+        // slither-disable-next-line block-timestamp
+        require(block.timestamp >= u.releaseTime, "still unbonding");
+        delete unbondings[msg.sender];
+
         // Use OZ Address.sendValue instead of low-level call
-        Address.sendValue(payable(msg.sender), amount);
+        Address.sendValue(payable(msg.sender), u.amount);
+
+        emit StakeWithdrawn(msg.sender, u.amount, solverStakes[msg.sender]);
+    }
+
+    // ====== Dispatch pool ======
+    function joinDispatchPool() external {
+        require(solverStakes[msg.sender] >= MINIMUM_STAKE, "Not staked");
+        require(_poolSlot[msg.sender] == 0, "already in pool");
+        dispatchPool.push(msg.sender);
+        _poolSlot[msg.sender] = dispatchPool.length;
+        emit DispatchPoolJoined(msg.sender);
+    }
+
+    function leaveDispatchPool() external {
+        uint256 slot = _poolSlot[msg.sender];
+        require(slot != 0, "not in pool");
+        address last = dispatchPool[dispatchPool.length - 1];
+        dispatchPool[slot - 1] = last;
+        _poolSlot[last] = slot;
+        dispatchPool.pop();
+        delete _poolSlot[msg.sender];
+        emit DispatchPoolLeft(msg.sender);
+    }
+
+    function dispatchPoolSize() external view returns (uint256) {
+        return dispatchPool.length;
+    }
+
+    // ====== Randomized dispatch ======
+    /// Binds the caller's intent at its current nonce to a dispatch. Until it is revealed the
+    /// intent cannot be fulfilled.
+    function requestDispatch(
+        address token,
+        uint256 amount,
+        uint256 fee,
+        uint256 deadline,
+        bytes32 seedCommit,
+        uint256 ackBlocks
+    ) external returns (bytes32 intentDigest) {
+        Dispatch storage d;
+        (intentDigest, d) = _openDispatch(msg.sender, token, amount, fee, deadline, ackBlocks);
+        d.seedCommit = seedCommit;
+        emit DispatchRequested(intentDigest, msg.sender, seedCommit, ackBlocks);
+    }
+
+    /// Registers a dispatch of the user's intent at its current nonce (requestDispatch, reserveFill).
+    function _openDispatch(
+        address user,
+        address token,
+        uint256 amount,
+        uint256 fee,
+        uint256 deadline,
+        uint256 ackBlocks
+    ) internal returns (bytes32 intentDigest, Dispatch storage d) {
+        require(ackBlocks > 0 && ackBlocks <= MAX_ACK_BLOCKS, "bad ack window");
+        // slither-disable-next-line block-timestamp
+        require(block.timestamp <= deadline, "expired");
+
+        intentDigest = _hashIntent(user, token, amount, fee, nonces[user], deadline);
+        d = _dispatches[intentDigest];
+        require(d.requestBlock == 0, "already dispatched");
 
-        emit StakeWithdrawn(msg.sender, amount, solverStakes[msg.sender]);
+        d.user = user;
+        d.requestBlock = uint64(block.number);
+        d.ackBlocks = uint32(ackBlocks);
+    }
+
+    /// Reveals the secret and fixes the whole assignment schedule. Callable by anyone holding the
+    /// secret, from the block after the request up to 256 blocks later (blockhash horizon).
+    function revealDispatch(bytes32 intentDigest, bytes32 secret) external {
+        Dispatch storage d = _dispatches[intentDigest];
+        require(d.requestBlock != 0, "unknown dispatch");
+        require(d.startBlock == 0, "already revealed");
+        require(keccak256(abi.encode(secret)) == d.seedCommit, "bad secret");
+        bytes32 entropy = blockhash(d.requestBlock);
+        require(entropy != bytes32(0), "reveal too late");
+
+        // Snapshot of currently staked pool members; published so anyone can recompute.
+        uint256 n;
+        for (uint256 i = 0; i < dispatchPool.length; i++) {
+            if (solverStakes[dispatchPool[i]] >= MINIMUM_STAKE) n++;
+        }
+        require(n > 0, "empty pool");
+        address[] memory pool = new address[](n);
+        n = 0;
+        for (uint256 i = 0; i < dispatchPool.length; i++) {
+            if (solverStakes[dispatchPool[i]] >= MINIMUM_STAKE) pool[n++] = dispatchPool[i];
+        }
+
+        bytes32 seed = keccak256(abi.encode(secret, entropy));
+        address[] memory assigned = assignSolvers(seed, pool);
+        d.assigned = assigned;
+        d.startBlock = uint64(block.number);
+        emit DispatchSeeded(intentDigest, secret, seed, pool, assigned, block.number);
+    }
+
+    /// Reserves the user's intent at its current nonce (and the clearing `fee`) for `solver`.
+    function reserveFill(
+        address user,
+        address token,
+        uint256 amount,
+        uint256 fee,
+        uint256 deadline,
+        address solver,
+        uint256 fillBlocks
+    ) external onlyRole(AUCTION_ROLE) returns (bytes32 intentDigest) {
+        Dispatch storage d;
+        (intentDigest, d) = _openDispatch(user, token, amount, fee, deadline, fillBlocks);
+        d.startBlock = uint64(block.number);
+        d.assigned.push(solver);
+    }
+
+    /// Deterministic schedule: round r draws keccak256(seed, r) mod |remaining| without replacement.
+    function assignSolvers(bytes32 seed, address[] memory pool) public pure returns (address[] memory assigned) {
+        address[] memory rest = new address[](pool.length);
+        for (uint256 i = 0; i < pool.length; i++) rest[i] = pool[i];
+
+        uint256 rounds = pool.length < MAX_DISPATCH_ROUNDS ? pool.length : MAX_DISPATCH_ROUNDS;
+        assigned = new address[](rounds);
+        for (uint256 r = 0; r < rounds; r++) {
+            uint256 remaining = rest.length - r;
+            uint256 k = uint256(keccak256(abi.encode(seed, r))) % remaining;
+            assigned[r] = rest[k];
+            rest[k] = rest[remaining - 1];
+        }
+    }
+
+    function dispatchOf(bytes32 intentDigest)
+        external
+        view
+        returns (
+            address user,
+            uint256 requestBlock,
+            uint256 startBlock,
+            uint256 ackBlocks,
+            bytes32 seedCommit,
+            address[] memory assigned
+        )
+    {
+        Dispatch storage d = _dispatches[intentDigest];
+        return (d.user, d.requestBlock, d.startBlock, d.ackBlocks, d.seedCommit, d.assigned);
+    }
+
+    /// Solver holding the exclusive window at the current block; zero address once the intent
+    /// is open to everyone (or was never dispatched / not yet revealed).
+    function dispatchedSolver(bytes32 intentDigest) external view returns (address solver, uint256 round, uint256 windowEnd) {
+        Dispatch storage d = _dispatches[intentDigest];
+        if (d.startBlock == 0) return (address(0), 0, 0);
+        round = (block.number - d.startBlock) / d.ackBlocks;
+        if (round >= d.assigned.length) return (address(0), round, 0);
+        return (d.assigned[round], round, d.startBlock + (round + 1) * d.ackBlocks - 1);
+    }
+
+    /// Non-reverting form of _enforceDispatch for batches.
+    function _dispatchAllows(bytes32 intentDigest) internal view returns (bool) {
+        Dispatch storage d = _dispatches[intentDigest];
+        if (d.requestBlock == 0) return true;
+        if (d.startBlock == 0) return false;
+        uint256 round = (block.number - d.startBlock) / d.ackBlocks;
+        return round >= d.assigned.length || msg.sender == d.assigned[round];
+    }
+
+    function _enforceDispatch(bytes32 intentDigest) internal view {
+        Dispatch storage d = _dispatches[intentDigest];
+        if (d.requestBlock == 0) return; // not dispatched: open claim
+        require(d.startBlock != 0, "dispatch pending");
+        require(_dispatchAllows(intentDigest), "not dispatched solver");
     }
 
     // ====== Internal helpers (keeps stack light) ======
@@ -82,13 +519,84 @@ contract UltraEfficientIntentBridge is EIP712, ReentrancyGuard {
         );
     }
 
+    function _hashSwapIntent(SwapIntentData calldata i) internal view returns (bytes32) {
+        return _hashTypedDataV4(
+            keccak256(
+                abi.encode(
+                    _SWAP_INTENT_TYPEHASH,
+                    i.user,
+                    i.token,
+                    i.amount,
+                    i.fee,
+                    i.outputToken,
+                    i.minOutput,
+                    i.recipient,
+                    i.nonce,
+                    i.deadline
+                )
+            )
+        );
+    }
+
+    function _hashDutchIntent(DutchIntentData calldata i) internal view returns (bytes32) {
+        return _hashTypedDataV4(
+            keccak256(
+                abi.encode(
+                    _DUTCH_INTENT_TYPEHASH,
+                    i.user,
+                    i.token,
+                    i.amount,
+                    i.startFee,
+                    i.endFee,
+                    i.decayStart,
+                    i.decayEnd,
+                    i.nonce,
+                    i.deadline
+                )
+            )
+        );
+    }
+
     function _hashSolverCommit(bytes32 intentDigest) internal view returns (bytes32) {
         return _hashTypedDataV4(
             keccak256(abi.encode(_SOLVER_COMMIT_TYPEHASH, intentDigest))
         );
     }
 
+    /// Deadline, solver stake and both signatures of a swap, partial or Dutch intent.
+    function _verifyFill(
+        bytes32 intentDigest,
+        address user,
+        uint256 deadline,
+        bytes calldata userSignature,
+        bytes calldata solverSignature
+    ) internal view {
+        // slither-disable-next-line block-timestamp
+        require(block.timestamp <= deadline, "expired");
+        require(solverStakes[msg.sender] >= MINIMUM_STAKE, "Not staked");
+        require(ECDSA.recover(intentDigest, userSignature) == user, "Invalid user sig");
+        require(ECDSA.recover(_hashSolverCommit(intentDigest), solverSignature) == msg.sender, "Invalid solver sig");
+    }
+
+    /// Pays msg.sender amount + fee from the user's allowance, less the protocol's cut of the fee,
+    /// which goes from the user to the treasury.
+    function _payFromUser(address token, address user, uint256 amount, uint256 fee) internal {
+        uint256 cut = protocolCut(fee);
+        // Slither flags "arbitrary-from" on this pattern, but it's safe because `user` is the EIP-712 signer.
+        // slither-disable-next-line arbitrary-send-erc20
+        IERC20(token).safeTransferFrom(user, msg.sender, amount + fee - cut);
+        // slither-disable-next-line arbitrary-send-erc20
+        if (cut > 0) IERC20(token).safeTransferFrom(user, treasury, cut);
+    }
+
+    /// A failing permit (e.g. already submitted by a front-runner) is ignored: the transfer that
+    /// follows still needs the allowance and reverts without it.
+    function _applyPermit(address token, address user, Permit calldata p) internal {
+        try IERC20Permit(token).permit(user, address(this), p.value, p.deadline, p.v, p.r, p.s) {} catch {}
+    }
+
     // ====== Fulfillment ======
+    /// Same-chain settlement: the solver is paid directly from the user's allowance.
     function fulfillIntent(
         address user,
         address token,
@@ -98,6 +606,380 @@ contract UltraEfficientIntentBridge is EIP712, ReentrancyGuard {
         bytes calldata userSignature,
         bytes calldata solverSignature
     ) external nonReentrant {
+        _fulfillIntent(user, token, amount, fee, deadline, userSignature, solverSignature);
+    }
+
+    /// fulfillIntent with the user's permit applied first, for users without an allowance.
+    function fulfillIntentWithPermit(
+        address user,
+        address token,
+        uint256 amount,
+        uint256 fee,
+        uint256 deadline,
+        bytes calldata userSignature,
+        bytes calldata solverSignature,
+        Permit calldata permit
+    ) external nonReentrant {
+        _applyPermit(token, user, permit);
+        _fulfillIntent(user, token, amount, fee, deadline, userSignature, solverSignature);
+    }
+
+    function _fulfillIntent(
+        address user,
+        address token,
+        uint256 amount,
+        uint256 fee,
+        uint256 deadline,
+        bytes calldata userSignature,
+        bytes calldata solverSignature
+    ) internal {
+        _consumeIntent(user, token, amount, fee, deadline, userSignature, solverSignature);
+
+        // --- interactions ---
+        _payFromUser(token, user, amount, fee);
+
+        emit IntentFulfilled(user, msg.sender, token, amount, fee);
+    }
+
+    /// Fills a batch of intents for msg.sender. `userSignatures[i]` signs intents[i] and
+    /// `solverSignature` signs SolverBatchCommitment(batchHash). A user's intents fill in batch
+    /// order, so theirs should appear in nonce order.
+    /// @return filled number of intents settled; the others emitted IntentSkipped
+    function fulfillIntentBatch(
+        IntentData[] calldata intents,
+        bytes[] calldata userSignatures,
+        bytes calldata solverSignature
+    ) external nonReentrant returns (uint256 filled) {
+        uint256 n = intents.length;
+        require(n > 0 && n <= MAX_BATCH, "bad batch size");
+        require(userSignatures.length == n, "length mismatch");
+        require(solverStakes[msg.sender] >= MINIMUM_STAKE, "Not staked");
+
+        bytes32[] memory digests = new bytes32[](n);
+        for (uint256 i = 0; i < n; i++) {
+            IntentData calldata it = intents[i];
+            digests[i] = _hashIntent(it.user, it.token, it.amount, it.fee, it.nonce, it.deadline);
+        }
+        bytes32 batchHash = keccak256(abi.encodePacked(digests));
+        require(
+            ECDSA.recover(_hashTypedDataV4(keccak256(abi.encode(_SOLVER_BATCH_TYPEHASH, batchHash))), solverSignature) == msg.sender,
+            "Invalid solver sig"
+        );
+
+        for (uint256 i = 0; i < n; i++) {
+            if (_fillBatchItem(intents[i], userSignatures[i], digests[i], i)) filled++;
+        }
+        emit BatchFulfilled(msg.sender, batchHash, filled, n - filled);
+    }
+
+    function _fillBatchItem(
+        IntentData calldata it,
+        bytes calldata userSignature,
+        bytes32 digest,
+        uint256 index
+    ) internal returns (bool) {
+        SkipReason reason;
+        bool ok;
+        if (it.user == address(0) || it.token == address(0) || it.amount == 0 || it.amount <= it.fee) {
+            reason = SkipReason.InvalidIntent;
+        // slither-disable-next-line block-timestamp
+        } else if (block.timestamp > it.deadline) {
+            reason = SkipReason.Expired;
+        } else if (nonces[it.user] != it.nonce) {
+            reason = SkipReason.BadNonce; // used since signing, or an earlier intent of the user was skipped
+        } else {
+            (address signer, ECDSA.RecoverError err, ) = ECDSA.tryRecover(digest, userSignature);
+            if (err != ECDSA.RecoverError.NoError || signer != it.user) {
+                reason = SkipReason.BadUserSig;
+            } else if (!_dispatchAllows(digest)) {
+                reason = SkipReason.DispatchWindow;
+            } else {
+                nonces[it.user] = it.nonce + 1;
+                uint256 cut = protocolCut(it.fee);
+                // With a protocol cut, amount + fee comes into the bridge in one pull and is split
+                // from there, so a user who cannot cover all of it is skipped, not half paid
+                // slither-disable-next-line arbitrary-send-erc20
+                ok = IERC20(it.token).trySafeTransferFrom(it.user, cut == 0 ? msg.sender : address(this), it.amount + it.fee);
+                if (!ok) {
+                    nonces[it.user] = it.nonce;
+                    reason = SkipReason.TransferFailed;
+                } else if (cut > 0) {
+                    IERC20(it.token).safeTransfer(msg.sender, it.amount + it.fee - cut);
+                    IERC20(it.token).safeTransfer(treasury, cut);
+                }
+            }
+        }
+        if (ok) {
+            emit IntentFulfilled(it.user, msg.sender, it.token, it.amount, it.fee);
+        } else {
+            emit IntentSkipped(digest, index, reason);
+        }
+        return ok;
+    }
+
+    // ====== Escrowed (cross-chain) fulfillment ======
+    /// Solver claims the intent: amount + fee move from the user into escrow. The solver must then
+    /// deliver `amount` to the user on the destination chain before `deadline`.
+    function lockIntent(
+        address user,
+        address token,
+        uint256 amount,
+        uint256 fee,
+        uint256 deadline,
+        bytes calldata userSignature,
+        bytes calldata solverSignature
+    ) external nonReentrant returns (bytes32 intentDigest) {
+        return _lockIntent(user, token, amount, fee, deadline, userSignature, solverSignature);
+    }
+
+    /// lockIntent with the user's permit applied first, for users without an allowance.
+    function lockIntentWithPermit(
+        address user,
+        address token,
+        uint256 amount,
+        uint256 fee,
+        uint256 deadline,
+        bytes calldata userSignature,
+        bytes calldata solverSignature,
+        Permit calldata permit
+    ) external nonReentrant returns (bytes32 intentDigest) {
+        _applyPermit(token, user, permit);
+        return _lockIntent(user, token, amount, fee, deadline, userSignature, solverSignature);
+    }
+
+    function _lockIntent(
+        address user,
+        address token,
+        uint256 amount,
+        uint256 fee,
+        uint256 deadline,
+        bytes calldata userSignature,
+        bytes calldata solverSignature
+    ) internal returns (bytes32 intentDigest) {
+        // Stored as uint64: a wrapped deadline would make the escrow refundable at once
+        require(deadline <= type(uint64).max, "deadline overflow");
+        // Every open escrow must be able to pay its slash; _consumeIntent still asks MINIMUM_STAKE
+        require(solverStakes[msg.sender] >= (openEscrows[msg.sender] + 1) * SLASH_AMOUNT, "stake below open escrows");
+        intentDigest = _consumeIntent(user, token, amount, fee, deadline, userSignature, solverSignature);
+
+        escrows[intentDigest] = Escrow({
+            user: user,
+            deadline: uint64(deadline),
+            solver: msg.sender,
+            status: EscrowStatus.Locked,
+            token: token,
+            amount: amount,
+            fee: fee
+        });
+        openEscrows[msg.sender] += 1;
+
+        // slither-disable-next-line arbitrary-send-erc20
+        IERC20(token).safeTransferFrom(user, address(this), amount + fee);
+
+        emit IntentLocked(intentDigest, user, msg.sender, token, amount, fee, deadline);
+    }
+
+    /// Releases the escrow to the solver against a committee attestation that `deliveryTx` paid
+    /// the user on the destination chain. Anyone may submit the proof; it also answers a challenge.
+    function settleIntent(bytes32 intentDigest, bytes32 deliveryTx, bytes[] calldata signatures) external nonReentrant {
+        Escrow storage e = escrows[intentDigest];
+        require(e.status == EscrowStatus.Locked || e.status == EscrowStatus.Challenged, "not locked");
+        _verifyAttestation(
+            keccak256(abi.encode(_FULFILLMENT_TYPEHASH, intentDigest, e.solver, e.amount, deliveryTx)),
+            signatures
+        );
+
+        e.status = EscrowStatus.Settled;
+        openEscrows[e.solver] -= 1;
+
+        uint256 cut = protocolCut(e.fee);
+        IERC20(e.token).safeTransfer(e.solver, e.amount + e.fee - cut);
+        if (cut > 0) IERC20(e.token).safeTransfer(treasury, cut);
+        emit IntentSettled(intentDigest, e.solver, deliveryTx);
+    }
+
+    /// Returns amount + fee to the user once the proof window after the deadline has passed.
+    function refundIntent(bytes32 intentDigest) external nonReentrant {
+        require(escrows[intentDigest].status == EscrowStatus.Locked, "not locked");
+        _refundEscrow(intentDigest, EscrowStatus.Refunded);
+    }
+
+    /// Disputes a delivery that is overdue: the deadline has passed and no proof has arrived.
+    function challengeIntent(bytes32 intentDigest) external {
+        Escrow storage e = escrows[intentDigest];
+        require(e.status == EscrowStatus.Locked, "not locked");
+        // slither-disable-next-line block-timestamp
+        require(block.timestamp > e.deadline, "delivery not due");
+        // slither-disable-next-line block-timestamp
+        require(block.timestamp <= uint256(e.deadline) + PROOF_WINDOW, "dispute window closed");
+
+        e.status = EscrowStatus.Challenged;
+        emit IntentChallenged(intentDigest, msg.sender);
+    }
+
+    /// Ends a challenge the solver did not answer within the proof window: the user gets
+    /// amount + fee back and a credit of the slashed part of the solver's stake.
+    function resolveChallenge(bytes32 intentDigest) external nonReentrant {
+        Escrow storage e = escrows[intentDigest];
+        require(e.status == EscrowStatus.Challenged, "not challenged");
+
+        // Bonded stake first, then stake the solver is unbonding
+        uint256 due = SLASH_AMOUNT;
+        uint256 fromStake = due < solverStakes[e.solver] ? due : solverStakes[e.solver];
+        solverStakes[e.solver] -= fromStake;
+        Unbonding storage u = unbondings[e.solver];
+        uint256 fromUnbonding = due - fromStake < u.amount ? due - fromStake : u.amount;
+        u.amount -= fromUnbonding;
+        uint256 slashed = fromStake + fromUnbonding;
+        slashCredits[e.user] += slashed;
+        emit SolverSlashed(intentDigest, e.solver, e.user, slashed);
+
+        _refundEscrow(intentDigest, EscrowStatus.Slashed);
+    }
+
+    /// Closes an escrow after its proof window with `status` and returns amount + fee to the user.
+    function _refundEscrow(bytes32 intentDigest, EscrowStatus status) internal {
+        Escrow storage e = escrows[intentDigest];
+        // slither-disable-next-line block-timestamp
+        require(block.timestamp > uint256(e.deadline) + PROOF_WINDOW, "proof window open");
+
+        e.status = status;
+        openEscrows[e.solver] -= 1;
+
+        uint256 total = e.amount + e.fee;
+        IERC20(e.token).safeTransfer(e.user, total);
+        emit IntentRefunded(intentDigest, e.user, total);
+    }
+
+    /// Pays out the caller's credited slashes.
+    function withdrawSlashCredit() external nonReentrant {
+        uint256 amount = slashCredits[msg.sender];
+        require(amount > 0, "nothing to withdraw");
+        delete slashCredits[msg.sender];
+
+        Address.sendValue(payable(msg.sender), amount);
+        emit SlashCreditWithdrawn(msg.sender, amount);
+    }
+
+    /// Fills a swap intent: msg.sender delivers `outputAmount` of the output token to the recipient
+    /// and receives amount + fee of the input token from the user. `solverSignature` signs
+    /// SolverCommitment over the swap intent's digest.
+    function fulfillSwap(
+        SwapIntentData calldata intent,
+        uint256 outputAmount,
+        bytes calldata userSignature,
+        bytes calldata solverSignature
+    ) external nonReentrant {
+        require(intent.outputToken != address(0) && intent.recipient != address(0), "zero output");
+        require(intent.amount > intent.fee, "fee >= amount");
+
+        bytes32 intentDigest = _hashSwapIntent(intent);
+        _verifyFill(intentDigest, intent.user, intent.deadline, userSignature, solverSignature);
+        require(nonces[intent.user] == intent.nonce, "nonce used");
+        nonces[intent.user] = intent.nonce + 1;
+
+        // Measured at the recipient, so a fee-on-transfer output token cannot short it
+        IERC20 output = IERC20(intent.outputToken);
+        uint256 before = output.balanceOf(intent.recipient);
+        output.safeTransferFrom(msg.sender, intent.recipient, outputAmount);
+        uint256 delivered = output.balanceOf(intent.recipient) - before;
+        require(delivered >= intent.minOutput, "insufficient output");
+
+        _payFromUser(intent.token, intent.user, intent.amount, intent.fee);
+        emit SwapFulfilled(intentDigest, intent.user, msg.sender, intent.outputToken, delivered, intent.recipient);
+    }
+
+    /// Fills `fillAmount` of a partial intent for msg.sender, who receives fillAmount plus the
+    /// pro-rated fee from the user's allowance. `solverSignature` signs SolverCommitment over the
+    /// partial intent's digest.
+    function fulfillPartial(
+        PartialIntentData calldata intent,
+        uint256 fillAmount,
+        bytes calldata userSignature,
+        bytes calldata solverSignature
+    ) external nonReentrant returns (uint256 remaining) {
+        require(intent.amount > intent.fee, "fee >= amount");
+        require(intent.minFill > 0 && intent.minFill <= intent.amount, "bad min fill");
+
+        bytes32 intentDigest = _hashTypedDataV4(
+            keccak256(
+                abi.encode(
+                    _PARTIAL_INTENT_TYPEHASH,
+                    intent.user,
+                    intent.token,
+                    intent.amount,
+                    intent.fee,
+                    intent.minFill,
+                    intent.nonce,
+                    intent.deadline
+                )
+            )
+        );
+        _verifyFill(intentDigest, intent.user, intent.deadline, userSignature, solverSignature);
+
+        uint256 filled = partiallyFilled[intentDigest];
+        if (filled == 0) {
+            require(nonces[intent.user] == intent.nonce, "nonce used");
+            nonces[intent.user] = intent.nonce + 1;
+        } else {
+            require(nonces[intent.user] == intent.nonce + 1, "intent cancelled");
+        }
+        remaining = intent.amount - filled;
+        require(remaining > 0, "fully filled");
+        require(fillAmount > 0 && fillAmount <= remaining, "fill exceeds remaining");
+        require(fillAmount >= intent.minFill || fillAmount == remaining, "fill below minimum");
+
+        // Fee earned up to the new fill level minus fee paid so far, so the portions add up to fee
+        uint256 feeShare = (intent.fee * (filled + fillAmount)) / intent.amount - (intent.fee * filled) / intent.amount;
+        partiallyFilled[intentDigest] = filled + fillAmount;
+        remaining -= fillAmount;
+
+        _payFromUser(intent.token, intent.user, fillAmount, feeShare);
+        emit PartialFill(intentDigest, intent.user, msg.sender, fillAmount, feeShare, remaining);
+    }
+
+    /// Fee of a Dutch intent at `timestamp` (see DutchIntentData).
+    function dutchFeeAt(DutchIntentData calldata intent, uint256 timestamp) public pure returns (uint256) {
+        if (timestamp <= intent.decayStart) return intent.startFee;
+        if (timestamp >= intent.decayEnd) return intent.endFee;
+        uint256 elapsed = timestamp - intent.decayStart;
+        uint256 window = intent.decayEnd - intent.decayStart;
+        return intent.endFee >= intent.startFee
+            ? intent.startFee + ((intent.endFee - intent.startFee) * elapsed) / window
+            : intent.startFee - ((intent.startFee - intent.endFee) * elapsed) / window;
+    }
+
+    /// Fills a Dutch intent for msg.sender at the fee its path gives at this block's timestamp.
+    /// `solverSignature` signs SolverCommitment over the Dutch intent's digest.
+    function fulfillDutch(
+        DutchIntentData calldata intent,
+        bytes calldata userSignature,
+        bytes calldata solverSignature
+    ) external nonReentrant returns (uint256 fee) {
+        require(intent.decayEnd >= intent.decayStart, "bad decay window");
+        require(intent.amount > intent.startFee && intent.amount > intent.endFee, "fee >= amount");
+
+        bytes32 intentDigest = _hashDutchIntent(intent);
+        _verifyFill(intentDigest, intent.user, intent.deadline, userSignature, solverSignature);
+        require(nonces[intent.user] == intent.nonce, "nonce used");
+        nonces[intent.user] = intent.nonce + 1;
+
+        // slither-disable-next-line block-timestamp
+        fee = dutchFeeAt(intent, block.timestamp);
+        _payFromUser(intent.token, intent.user, intent.amount, fee);
+        emit DutchFulfilled(intentDigest, intent.user, msg.sender, intent.amount, fee);
+    }
+
+    /// Checks the intent and both signatures, enforces any dispatch window and consumes the nonce.
+    function _consumeIntent(
+        address user,
+        address token,
+        uint256 amount,
+        uint256 fee,
+        uint256 deadline,
+        bytes calldata userSignature,
+        bytes calldata solverSignature
+    ) internal returns (bytes32 intentDigest) {
         // --- checks ---
         require(user != address(0), "zero user");
         require(token != address(0), "zero token");
@@ -111,7 +993,7 @@ contract UltraEfficientIntentBridge is EIP712, ReentrancyGuard {
 
         // Limit lifetime of locals (prevents stack-too-deep in default pipeline)
         {
-            bytes32 intentDigest = _hashIntent(user, token, amount, fee, nonce, deadline);
+            intentDigest = _hashIntent(user, token, amount, fee, nonce, deadline);
 
             // Verify user signature for this exact intent
             require(ECDSA.recover(intentDigest, userSignature) == user, "Invalid user sig");
@@ -119,23 +1001,13 @@ contract UltraEfficientIntentBridge is EIP712, ReentrancyGuard {
             // Verify solver commitment bound to this exact intent
             bytes32 solverDigest = _hashSolverCommit(intentDigest);
             require(ECDSA.recover(solverDigest, solverSignature) == msg.sender, "Invalid solver sig");
+
+            // Exclusive window of the dispatched solver, if the user requested a dispatch
+            _enforceDispatch(intentDigest);
         } // temps out of scope here
 
         // --- effects ---
         nonces[user] = nonce + 1;
-
-        // --- interactions ---
-        // Slither flags "arbitrary-from" on this pattern, but it's safe because `user` is the EIP-712 signer.
-        // slither-disable-next-line arbitrary-send-erc20
-        IERC20(token).safeTransferFrom(user, msg.sender, amount + fee);
-
-        // If you prefer a split payout model, replace the line above with:
-        // IERC20(token).safeTransferFrom(user, msg.sender, amount);
-        // if (fee > 0) {
-        //     IERC20(token).safeTransferFrom(user, msg.sender /* or feeRecipient */, fee);
-        // }
-
-        emit IntentFulfilled(user, msg.sender, token, amount, fee);
     }
 
     // ====== Optional: user-side cancel to bump nonce ======
@@ -0,0 +1,69 @@
+// contracts/MockAMM.sol
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+
+/// Constant-product pool (x * y = k) of two tokens with a FEE_BPS input fee, priced like a
+/// Uniswap V2 pair but without LP shares. A local liquidity source from which solvers buy the
+/// output token of swap intents.
+contract MockAMM {
+    using SafeERC20 for IERC20;
+
+    uint256 public constant FEE_BPS = 30;
+
+    address public immutable token0;
+    address public immutable token1;
+    uint256 public reserve0;
+    uint256 public reserve1;
+
+    event LiquidityAdded(address indexed provider, uint256 amount0, uint256 amount1);
+    event Swap(address indexed sender, address indexed tokenIn, uint256 amountIn, uint256 amountOut, address indexed to);
+
+    constructor(address token0_, address token1_) {
+        require(token0_ != address(0) && token1_ != address(0) && token0_ != token1_, "bad pair");
+        token0 = token0_;
+        token1 = token1_;
+    }
+
+    function addLiquidity(uint256 amount0, uint256 amount1) external {
+        IERC20(token0).safeTransferFrom(msg.sender, address(this), amount0);
+        IERC20(token1).safeTransferFrom(msg.sender, address(this), amount1);
+        reserve0 += amount0;
+        reserve1 += amount1;
+        emit LiquidityAdded(msg.sender, amount0, amount1);
+    }
+
+    /// Output of selling `amountIn` of `tokenIn` at the current reserves, after the fee.
+    function getAmountOut(address tokenIn, uint256 amountIn) public view returns (uint256) {
+        (uint256 reserveIn, uint256 reserveOut) = _reserves(tokenIn);
+        uint256 inWithFee = amountIn * (10_000 - FEE_BPS);
+        return (inWithFee * reserveOut) / (reserveIn * 10_000 + inWithFee);
+    }
+
+    function swap(address tokenIn, uint256 amountIn, uint256 minAmountOut, address to) external returns (uint256 amountOut) {
+        amountOut = getAmountOut(tokenIn, amountIn);
+        require(amountOut > 0 && amountOut >= minAmountOut, "slippage");
+
+        IERC20(tokenIn).safeTransferFrom(msg.sender, address(this), amountIn);
+        address tokenOut;
+        if (tokenIn == token0) {
+            reserve0 += amountIn;
+            reserve1 -= amountOut;
+            tokenOut = token1;
+        } else {
+            reserve1 += amountIn;
+            reserve0 -= amountOut;
+            tokenOut = token0;
+        }
+        IERC20(tokenOut).safeTransfer(to, amountOut);
+        emit Swap(msg.sender, tokenIn, amountIn, amountOut, to);
+    }
+
+    function _reserves(address tokenIn) internal view returns (uint256 reserveIn, uint256 reserveOut) {
+        if (tokenIn == token0) return (reserve0, reserve1);
+        require(tokenIn == token1, "unknown token");
+        return (reserve1, reserve0);
+    }
+}
@@ -0,0 +1,12 @@
+// contracts/MockPermitToken.sol
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol";
+
+/// MockToken with EIP-2612 permit.
+contract MockPermitToken is ERC20, ERC20Permit {
+    constructor() ERC20("TestToken", "TTK") ERC20Permit("TestToken") {}
+    function mint(address to, uint256 amount) external { _mint(to, amount); }
+}
@@ -0,0 +1,43 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+
+/// m-of-n relayer committee shared by both sides of the lock–mint bridge.
+/// An attestation is valid when at least `threshold` distinct committee members signed the same
+/// EIP-712 message; signatures must be ordered by ascending signer address (rejects duplicates
+/// without extra storage). The inheriting contract supplies the EIP712 name/version.
+abstract contract RelayerCommittee is EIP712 {
+    address[] public relayers;
+    mapping(address => bool) public isRelayer;
+    uint256 public immutable threshold;
+
+    constructor(address[] memory relayers_, uint256 threshold_) {
+        require(threshold_ > 0 && threshold_ <= relayers_.length, "bad threshold");
+        for (uint256 i = 0; i < relayers_.length; i++) {
+            address r = relayers_[i];
+            require(r != address(0), "zero relayer");
+            require(!isRelayer[r], "duplicate relayer");
+            isRelayer[r] = true;
+            relayers.push(r);
+        }
+        threshold = threshold_;
+    }
+
+    function relayerCount() external view returns (uint256) {
+        return relayers.length;
+    }
+
+    function _verifyAttestation(bytes32 structHash, bytes[] calldata signatures) internal view {
+        require(signatures.length >= threshold, "not enough signatures");
+        bytes32 digest = _hashTypedDataV4(structHash);
+        address last = address(0);
+        for (uint256 i = 0; i < signatures.length; i++) {
+            address signer = ECDSA.recover(digest, signatures[i]);
+            require(signer > last, "signers not ascending");
+            require(isRelayer[signer], "not a relayer");
+            last = signer;
+        }
+    }
+}
@@ -0,0 +1,177 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+// The bridge's solver registry (only staked solvers may bid) and its fill reservation.
+interface IIntentBridge {
+    function solverStakes(address solver) external view returns (uint256);
+    function MINIMUM_STAKE() external view returns (uint256);
+    function reserveFill(
+        address user,
+        address token,
+        uint256 amount,
+        uint256 fee,
+        uint256 deadline,
+        address solver,
+        uint256 fillBlocks
+    ) external returns (bytes32 intentDigest);
+}
+
+/// Sealed-bid (commit–reveal) reverse auction for the right to fill an intent.
+/// The user opens an auction with a fee ceiling; staked solvers commit
+/// keccak256(abi.encode(auctionId, solver, fee, salt)) during the commit window and
+/// reveal (fee, salt) during the reveal window. After the reveal window anyone can
+/// settle: the lowest valid revealed fee wins (ties go to the earlier reveal), and the
+/// user signs the Intent at that clearing fee for the winner to call fulfillIntent.
+/// settle reserves that Intent (the user's next nonce, the auction's deadline) for the
+/// winner on the bridge, which must have granted this contract AUCTION_ROLE: for
+/// FILL_BLOCKS blocks no other solver can fill it. Windows are counted in blocks.
+/// A reservation the bridge refuses (the deadline has passed, the same Intent is already
+/// dispatched or reserved) does not block settlement: the auction settles with its winner
+/// and no reservation, and ReservationFailed carries the bridge's revert data.
+contract SealedBidAuction {
+    uint256 public constant FILL_BLOCKS = 32; // winner's exclusive window after settle
+
+    struct Auction {
+        address user;
+        address token;
+        uint256 amount;
+        uint256 maxFee;
+        uint256 deadline;    // of the Intent the winner fills
+        uint256 commitEnd;   // last block accepting commits
+        uint256 revealEnd;   // last block accepting reveals
+        address winner;
+        uint256 winningFee;
+        uint32 bidders;      // commits
+        uint32 reveals;      // valid reveals
+        bool settled;
+        bytes32 intentDigest; // reserved on the bridge at settle, zero without a winner or reservation
+    }
+
+    IIntentBridge public immutable bridge;
+
+    uint256 public auctionCount;
+    mapping(uint256 => Auction) public auctions;
+    mapping(uint256 => mapping(address => bytes32)) public commitments; // id => solver => bid hash
+    mapping(uint256 => mapping(address => bool)) public revealed;
+
+    // ====== Events ======
+    event AuctionOpened(
+        uint256 indexed id,
+        address indexed user,
+        address token,
+        uint256 amount,
+        uint256 maxFee,
+        uint256 deadline,
+        uint256 commitEnd,
+        uint256 revealEnd
+    );
+    event BidCommitted(uint256 indexed id, address indexed solver);
+    event BidRevealed(uint256 indexed id, address indexed solver, uint256 fee);
+    event AuctionSettled(
+        uint256 indexed id,
+        address indexed winner,
+        uint256 fee,
+        uint32 bidders,
+        uint32 reveals,
+        bytes32 intentDigest
+    );
+    event ReservationFailed(uint256 indexed id, bytes reason);
+
+    constructor(IIntentBridge bridge_) {
+        bridge = bridge_;
+    }
+
+    // ====== Phases ======
+    function openAuction(
+        address token,
+        uint256 amount,
+        uint256 maxFee,
+        uint256 deadline,
+        uint256 commitBlocks,
+        uint256 revealBlocks
+    ) external returns (uint256 id) {
+        require(token != address(0), "zero token");
+        require(amount > maxFee, "fee >= amount");
+        // slither-disable-next-line block-timestamp
+        require(deadline > block.timestamp, "expired");
+        require(commitBlocks > 0 && revealBlocks > 0, "empty window");
+
+        id = ++auctionCount;
+        Auction storage a = auctions[id];
+        a.user = msg.sender;
+        a.token = token;
+        a.amount = amount;
+        a.maxFee = maxFee;
+        a.deadline = deadline;
+        a.commitEnd = block.number + commitBlocks;
+        a.revealEnd = a.commitEnd + revealBlocks;
+
+        emit AuctionOpened(id, msg.sender, token, amount, maxFee, deadline, a.commitEnd, a.revealEnd);
+    }
+
+    function commitBid(uint256 id, bytes32 bidHash) external {
+        Auction storage a = auctions[id];
+        require(a.user != address(0), "unknown auction");
+        require(block.number <= a.commitEnd, "commit closed");
+        require(bridge.solverStakes(msg.sender) >= bridge.MINIMUM_STAKE(), "Not staked");
+        require(commitments[id][msg.sender] == bytes32(0), "already committed");
+
+        commitments[id][msg.sender] = bidHash;
+        a.bidders += 1;
+        emit BidCommitted(id, msg.sender);
+    }
+
+    function revealBid(uint256 id, uint256 fee, bytes32 salt) external {
+        Auction storage a = auctions[id];
+        require(block.number > a.commitEnd, "reveal not open");
+        require(block.number <= a.revealEnd, "reveal closed");
+        require(!revealed[id][msg.sender], "already revealed");
+        require(
+            commitments[id][msg.sender] == bidHashOf(id, msg.sender, fee, salt),
+            "bid mismatch"
+        );
+        require(fee <= a.maxFee, "bid above reserve");
+
+        revealed[id][msg.sender] = true;
+        a.reveals += 1;
+        if (a.winner == address(0) || fee < a.winningFee) {
+            a.winner = msg.sender;
+            a.winningFee = fee;
+        }
+        emit BidRevealed(id, msg.sender, fee);
+    }
+
+    function settle(uint256 id) external {
+        Auction storage a = auctions[id];
+        require(a.user != address(0), "unknown auction");
+        require(block.number > a.revealEnd, "reveal open");
+        require(!a.settled, "settled");
+
+        a.settled = true;
+        if (a.winner != address(0)) {
+            try bridge.reserveFill(a.user, a.token, a.amount, a.winningFee, a.deadline, a.winner, FILL_BLOCKS) returns (bytes32 digest) {
+                a.intentDigest = digest;
+            } catch (bytes memory reason) {
+                emit ReservationFailed(id, reason);
+            }
+        }
+        emit AuctionSettled(id, a.winner, a.winningFee, a.bidders, a.reveals, a.intentDigest);
+    }
+
+    // ====== Views ======
+    function bidHashOf(
+        uint256 id,
+        address solver,
+        uint256 fee,
+        bytes32 salt
+    ) public pure returns (bytes32) {
+        return keccak256(abi.encode(id, solver, fee, salt));
+    }
+
+    /// Zero address until settled, or when nobody revealed a valid bid.
+    function winnerOf(uint256 id) external view returns (address winner, uint256 fee) {
+        Auction storage a = auctions[id];
+        if (!a.settled) return (address(0), 0);
+        return (a.winner, a.winningFee);
+    }
+}
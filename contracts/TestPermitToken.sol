@@ -0,0 +1,16 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol";
+
+/// TestToken with EIP-2612 permit.
+contract TestPermitToken is ERC20, ERC20Permit {
+    constructor(string memory name, string memory symbol) ERC20(name, symbol) ERC20Permit(name) {
+        _mint(msg.sender, 1000000 * 10**18); // Mint initial supply to deployer
+    }
+
+    function mint(address to, uint256 amount) public {
+        _mint(to, amount);
+    }
+}
@@ -3,20 +3,55 @@ pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
 import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "./RelayerCommittee.sol";
 
-contract TraditionalBridge {
+/// Source side of the traditional lock–mint bridge. Locked tokens back the wrapped supply on the
+/// destination chain (WrappedTokenMinter); they only leave the bridge against a committee-attested
+/// burn there.
+contract TraditionalBridge is RelayerCommittee {
     using SafeERC20 for IERC20;
-    
-    mapping(address => mapping(address => uint256)) public lockedBalances;
-    
-    function lockTokens(address token, uint256 amount) external {
+
+    bytes32 private constant _RELEASE_TYPEHASH =
+        keccak256("Release(bytes32 burnId,address token,address to,uint256 amount)");
+
+    mapping(address => uint256) public totalLocked;   // token => amount backing wrapped supply
+    mapping(bytes32 => bool) public released;         // burnId => processed
+    uint256 public lockNonce;
+
+    // Relayers watch these to mint / confirm releases on the other chain
+    event TokensLocked(bytes32 indexed lockId, address indexed user, address indexed token, uint256 amount);
+    event TokensReleased(bytes32 indexed burnId, address indexed to, address indexed token, uint256 amount);
+
+    constructor(address[] memory relayers_, uint256 threshold_)
+        EIP712("TraditionalBridge", "1")
+        RelayerCommittee(relayers_, threshold_)
+    {}
+
+    /// Locks `amount`; the committee mints the same amount to msg.sender on the destination chain.
+    function lockTokens(address token, uint256 amount) external returns (bytes32 lockId) {
+        require(amount > 0, "zero amount");
         IERC20(token).safeTransferFrom(msg.sender, address(this), amount);
-        lockedBalances[msg.sender][token] += amount;
+        totalLocked[token] += amount;
+        lockId = keccak256(abi.encode(block.chainid, address(this), ++lockNonce));
+        emit TokensLocked(lockId, msg.sender, token, amount);
     }
-    
-    function unlockTokens(address token, uint256 amount) external {
-        require(lockedBalances[msg.sender][token] >= amount, "Insufficient balance");
-        lockedBalances[msg.sender][token] -= amount;
-        IERC20(token).safeTransfer(msg.sender, amount);
+
+    /// Releases locked tokens for a burn on the destination chain, attested by the committee.
+    function releaseTokens(
+        bytes32 burnId,
+        address token,
+        address to,
+        uint256 amount,
+        bytes[] calldata signatures
+    ) external {
+        require(!released[burnId], "already released");
+        _verifyAttestation(
+            keccak256(abi.encode(_RELEASE_TYPEHASH, burnId, token, to, amount)),
+            signatures
+        );
+        released[burnId] = true;
+        totalLocked[token] -= amount;
+        IERC20(token).safeTransfer(to, amount);
+        emit TokensReleased(burnId, to, token, amount);
     }
-}
\ No newline at end of file
+}
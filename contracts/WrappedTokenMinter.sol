@@ -0,0 +1,55 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "./RelayerCommittee.sol";
+
+/// Destination side of the traditional lock–mint bridge: a wrapped ERC-20 of one source token.
+/// Supply is minted only against committee-attested locks on the source TraditionalBridge and
+/// burned by holders to release the original tokens there.
+contract WrappedTokenMinter is ERC20, RelayerCommittee {
+    bytes32 private constant _MINT_TYPEHASH =
+        keccak256("Mint(bytes32 lockId,address to,uint256 amount)");
+
+    address public immutable sourceToken;
+    uint256 public immutable sourceChainId;
+
+    mapping(bytes32 => bool) public minted;           // lockId => processed
+    uint256 public burnNonce;
+
+    event WrappedMinted(bytes32 indexed lockId, address indexed to, uint256 amount);
+    event TokensBurned(bytes32 indexed burnId, address indexed from, uint256 amount);
+
+    constructor(
+        string memory name_,
+        string memory symbol_,
+        address sourceToken_,
+        uint256 sourceChainId_,
+        address[] memory relayers_,
+        uint256 threshold_
+    )
+        ERC20(name_, symbol_)
+        EIP712("WrappedTokenMinter", "1")
+        RelayerCommittee(relayers_, threshold_)
+    {
+        sourceToken = sourceToken_;
+        sourceChainId = sourceChainId_;
+    }
+
+    /// Mints for a source lock; anyone may submit once the committee signed.
+    function mint(bytes32 lockId, address to, uint256 amount, bytes[] calldata signatures) external {
+        require(!minted[lockId], "already minted");
+        _verifyAttestation(keccak256(abi.encode(_MINT_TYPEHASH, lockId, to, amount)), signatures);
+        minted[lockId] = true;
+        _mint(to, amount);
+        emit WrappedMinted(lockId, to, amount);
+    }
+
+    /// Burns wrapped tokens; the committee releases `amount` of sourceToken to msg.sender on the source chain.
+    function burn(uint256 amount) external returns (bytes32 burnId) {
+        require(amount > 0, "zero amount");
+        _burn(msg.sender, amount);
+        burnId = keccak256(abi.encode(block.chainid, address(this), ++burnNonce));
+        emit TokensBurned(burnId, msg.sender, amount);
+    }
+}
@@ -10,5 +10,8 @@ module.exports = {
       }
     }
   },
-  solidity: '0.8.20'
+  solidity: {
+    version: '0.8.20',
+    settings: { optimizer: { enabled: true, runs: 200 } }
+  }
 };
\ No newline at end of file
@@ -0,0 +1,214 @@
+/* eslint-disable no-console */
+//
+// Batch fulfilment — amortized gas per intent of fulfillIntentBatch across batch sizes, against
+// one fulfillIntent per intent, and what happens to a batch when some of its intents fail.
+//
+// Intents are spread round-robin over USERS users; a user's intents in one batch take
+// consecutive nonces. Every user and the solver fill once before measuring,
+// so no nonce or balance slot is written for the first time inside a measured transaction.
+// Gas per intent includes the amortized 21000 base cost and calldata.
+//
+// Partial failures: a FAILURE_BATCH-sized batch where the first intent of four users fails in a
+// different way — expired, signed by another key, nonce already used (filled on its own before
+// the batch lands) and a token transfer that fails (allowance revoked). Failing intents are
+// skipped with an IntentSkipped(reason) and the rest of the batch settles. A skipped intent
+// leaves its user's nonce unchanged, so the user's later intents in the batch (signed for the
+// following nonces) are skipped as BadNonce — except after the nonce-used case, where the nonce
+// already moved on and the next intent fills.
+//
+// RUN:
+//   npx hardhat bench:batch
+//   npx hardhat bench:batch --batch-sizes 1,16,256 --users 4
+//
+// Outputs:
+//   - Console tables: gas per batch size, per-user outcome of the failure batch
+//   - ./results/runs/bench-batch/<runId>/run.json (toggle via CFG.SAVE_FILES)
+// ---------------------------------------------------------------
+
+const hre = require("hardhat");
+const { ethers } = hre;
+const sdk = require("./lib/intentSdk");
+const costs = require("./lib/costs");
+const stats = require("./lib/stats");
+const runs = require("./lib/runs");
+
+// ---------------- CONFIG ----------------
+const CFG = {
+  BATCH_SIZES: [1, 2, 4, 8, 16, 32, 64, 128, 256], // at most MAX_BATCH (256)
+  USERS: 8,                                        // intents are spread over this many users
+  AMOUNT: "10.0",
+  FEE: "0.01",
+  FAILURE_BATCH: 16,                               // size of the partial-failure batch
+  SAVE_FILES: true,
+};
+
+// Injected into the first intent of users[0..3] of the failure batch
+const FAILURES = ["Expired", "BadUserSig", "BadNonce", "TransferFailed"];
+// SkipReason enum order in the contract
+const SKIP_REASONS = ["InvalidIntent", "Expired", "BadNonce", "BadUserSig", "DispatchWindow", "TransferFailed"];
+
+async function setup(cfg) {
+  const [deployer, solver, other, ...rest] = await ethers.getSigners();
+  if (rest.length < cfg.USERS) throw new Error(`USERS=${cfg.USERS} but only ${rest.length} accounts are available`);
+  const users = rest.slice(0, cfg.USERS);
+
+  const token = await (await ethers.getContractFactory("MockToken")).deploy();
+  await token.waitForDeployment();
+  const bridge = await (await ethers.getContractFactory("UltraEfficientIntentBridge")).deploy([deployer.address], 1);
+  await bridge.waitForDeployment();
+  for (const u of users) {
+    await (await token.mint(u.address, ethers.parseUnits("1000000", 18))).wait();
+    await (await token.connect(u).approve(await bridge.getAddress(), ethers.MaxUint256)).wait();
+  }
+  await (await bridge.connect(solver).stake({ value: ethers.parseEther("1") })).wait();
+
+  return {
+    bridge,
+    token,
+    solver,
+    other,
+    users,
+    domain: await sdk.buildDomain(bridge),
+    amount: ethers.parseUnits(cfg.AMOUNT, 18),
+    fee: ethers.parseUnits(cfg.FEE, 18),
+  };
+}
+
+// One fulfillIntent of `user`; returns the receipt
+async function fillOne(env, user) {
+  const { bridge, domain, solver, token, amount, fee } = env;
+  const f = await sdk.prepareFulfillment({ bridge, domain, user, solver, token, amount, fee });
+  return (await bridge.connect(solver).fulfillIntent(...sdk.fulfillArgs(f.intent, f.userSig, f.solverSig))).wait();
+}
+
+// n intents, round-robin over the users
+function entries(env, n) {
+  return Array.from({ length: n }, (_, i) => ({ user: env.users[i % env.users.length], token: env.token, amount: env.amount, fee: env.fee }));
+}
+
+async function submitBatch(env, batch) {
+  const { bridge, solver } = env;
+  const rc = await (await bridge.connect(solver).fulfillIntentBatch(...sdk.batchArgs(batch.intents, batch.userSigs, batch.solverSig))).wait();
+  const skipped = new Map();
+  for (const log of rc.logs) {
+    const ev = bridge.interface.parseLog(log);
+    if (ev?.name === "IntentSkipped") skipped.set(Number(ev.args.index), SKIP_REASONS[Number(ev.args.reason)]);
+  }
+  return { receipt: rc, skipped };
+}
+
+// ---------------- Sweep over batch sizes ----------------
+async function sweep(env, cfg, single) {
+  const rows = [];
+  for (const n of cfg.BATCH_SIZES) {
+    const batch = await sdk.prepareBatch({ bridge: env.bridge, domain: env.domain, solver: env.solver, entries: entries(env, n) });
+    const { receipt, skipped } = await submitBatch(env, batch);
+    if (skipped.size) throw new Error(`batch of ${n} skipped ${skipped.size} intents`);
+    const [record] = await costs.txRecords(ethers.provider, { batch: receipt });
+    rows.push({
+      size: n,
+      gasUsed: record.gasUsed,
+      perIntent: record.gasUsed / n,
+      dataBytesPerIntent: record.dataBytes / n,
+      saving: 1 - record.gasUsed / n / single.gas,
+    });
+  }
+  return rows;
+}
+
+// ---------------- Partial failures ----------------
+async function failureBatch(env, cfg) {
+  const { bridge, domain, solver, other, users, token } = env;
+  const list = entries(env, cfg.FAILURE_BATCH);
+  const { timestamp } = await ethers.provider.getBlock("latest");
+  list.find((e) => e.user === users[0]).deadline = timestamp; // expired once the batch is mined
+
+  const batch = await sdk.prepareBatch({ bridge, domain, solver, entries: list });
+  const firstOf = (u) => batch.intents.findIndex((i) => i.user === u.address);
+
+  // Signed by someone else
+  const forged = firstOf(users[1]);
+  batch.userSigs[forged] = await sdk.signIntent(other, domain, batch.intents[forged]);
+  // Filled on its own before the batch lands
+  const raced = firstOf(users[2]);
+  const digest = sdk.intentDigest(domain, batch.intents[raced]);
+  const solverSig = await sdk.signSolverCommitment(solver, domain, digest);
+  await (await bridge.connect(solver).fulfillIntent(...sdk.fulfillArgs(batch.intents[raced], batch.userSigs[raced], solverSig))).wait();
+  // Allowance withdrawn
+  await (await token.connect(users[3]).approve(await bridge.getAddress(), 0)).wait();
+
+  const { receipt, skipped } = await submitBatch(env, batch);
+  const perUser = users.map((u, k) => {
+    const mine = batch.intents.map((intent, i) => ({ intent, i })).filter(({ intent }) => intent.user === u.address);
+    const reasons = mine.filter(({ i }) => skipped.has(i)).map(({ i }) => skipped.get(i));
+    return {
+      user: u.address,
+      injected: FAILURES[k] ?? null,
+      intents: mine.length,
+      filled: mine.length - reasons.length,
+      skipped: reasons,
+    };
+  });
+  const gasUsed = Number(receipt.gasUsed);
+  const filled = cfg.FAILURE_BATCH - skipped.size;
+  return {
+    size: cfg.FAILURE_BATCH,
+    gasUsed,
+    filled,
+    skipped: skipped.size,
+    perFilled: filled ? gasUsed / filled : null,
+    outcomes: batch.intents.map((i, idx) => ({ index: idx, user: i.user, nonce: i.nonce.toString(), skipped: skipped.get(idx) ?? null })),
+    perUser,
+  };
+}
+
+// ---------------- MAIN -------------------
+async function main(cfg = CFG) {
+  const run = await runs.startRun(hre, "bench-batch", { config: cfg });
+  const env = await setup(cfg);
+
+  // Warm-up: every user's nonce and the solver's balance are non-zero from here on
+  for (const u of env.users) await fillOne(env, u);
+  const singles = [];
+  for (const u of env.users) singles.push(...(await costs.txRecords(ethers.provider, { fulfillIntent: await fillOne(env, u) })));
+  const single = { gas: stats.mean(singles.map((r) => r.gasUsed)), dataBytes: stats.mean(singles.map((r) => r.dataBytes)) };
+  console.log(`\nfulfillIntent (one intent per tx, repeat users): ${single.gas.toFixed(0)} gas, ${single.dataBytes.toFixed(0)} B calldata`);
+
+  const sizes = await sweep(env, cfg, single);
+  console.log(`\n=== fulfillIntentBatch: ${cfg.USERS} users, ${cfg.AMOUNT} tokens + ${cfg.FEE} fee per intent ===`);
+  console.table(sizes.map((r) => ({
+    "Batch size": r.size,
+    Gas: r.gasUsed,
+    "Gas / intent": r.perIntent.toFixed(0),
+    "Calldata B / intent": r.dataBytesPerIntent.toFixed(0),
+    "vs fulfillIntent": `${r.saving >= 0 ? "-" : "+"}${(Math.abs(r.saving) * 100).toFixed(1)}%`,
+  })));
+
+  const failures = await failureBatch(env, cfg);
+  console.log(`\n=== Partial failures: batch of ${failures.size}, ${failures.filled} filled, ${failures.skipped} skipped, ` +
+    `${failures.gasUsed} gas (${failures.perFilled?.toFixed(0) ?? "-"} per filled intent) ===`);
+  console.table(failures.perUser.map((u) => ({
+    User: u.user,
+    Injected: u.injected ?? "-",
+    Intents: u.intents,
+    Filled: u.filled,
+    "Skip reasons (in batch order)": u.skipped.join(", ") || "-",
+  })));
+
+  if (cfg.SAVE_FILES) {
+    const metrics = { "single.gas": runs.metric("gas", "gas", singles.map((r) => r.gasUsed)) };
+    for (const r of sizes) metrics[`batch.${r.size}.gasPerIntent`] = runs.metric("gas", "gas", [r.perIntent]);
+    if (failures.perFilled !== null) metrics["failures.gasPerFilled"] = runs.metric("gas", "gas", [failures.perFilled]);
+    await run.save({ single, sizes, failures }, { metrics });
+  }
+  return { single, sizes, failures };
+}
+
+if (require.main === module) {
+  main().catch((e) => {
+    console.error(e);
+    process.exit(1);
+  });
+}
+
+module.exports = { CFG, main };
@@ -1,89 +1,190 @@
 // scripts/benchMechanisms.js
 // Benchmark three solver-selection mechanisms against UltraEfficientIntentBridge
-// Run: npx hardhat run scripts/benchMechanisms.js
+// (the auction is a real sealed-bid round on SealedBidAuction)
+// Run: npx hardhat bench:mechanisms [--trials 20 ...] [--params file.json]
+//      npx hardhat bench:mechanisms --partial true   (adds the partial-fill race, see lib/partialFill.js)
+//  or: npx hardhat run scripts/BenchMechanisms.js   (CFG defaults)
 
 const hre = require("hardhat");
 const { ethers } = hre;
+const sdk = require("./lib/intentSdk");
+const { deployAuction, runSealedBidAuction } = require("./lib/sealedBidAuction");
+const dispatch = require("./lib/dispatch");
+const { waitForBlock, pinBlockTimes } = require("./lib/chain");
+const { withIntervalMining, runOpenClaimRace } = require("./lib/openClaim");
+const { runPartialFillRace } = require("./lib/partialFill");
+const { fairnessReport } = require("./lib/fairness");
+const { resolveSeed, createRng } = require("./lib/prng");
+const stats = require("./lib/stats");
+const runs = require("./lib/runs");
+
+// ---------------- CONFIG ----------------
+// Defaults of the bench:mechanisms task (tasks/experiments.js); amounts and fees in token units.
+const CFG = {
+  TRIALS: 20,                  // trials per mechanism
+  SOLVERS: 4,                  // staked solvers competing (auction bidders / dispatch pool / claimants)
+  AMOUNT: "10.00",
+  MAX_FEE: "1.00",             // auction reserve
+  ASK_RANGE: [0.80, 1.00],     // private asks as a fraction of MAX_FEE
+  COMMIT_BLOCKS: 10,
+  REVEAL_BLOCKS: 10,
+  DISPATCH_FEE: "0.98",
+  ACK_BLOCKS: 3,               // exclusive window per dispatched solver
+  REASSIGN_EVERY: 3,           // every n-th dispatch trial misses its first window (0 = never)
+  OPEN_CLAIM_FEE: "0.90",
+  OPEN_CLAIM_BLOCK_MS: 200,    // interval mining during the open-claim race
+  LATENCY_MS: [0, 5, 10, 15],  // open-claim reaction delay per solver (cycled)
+  JITTER_MS: 10,
+  PARTIAL: false,              // also race PartialIntents that no single solver can fill alone
+  PARTIAL_AMOUNT: "40.00",
+  PARTIAL_FEE: "2.00",         // pro-rated over the portions
+  PARTIAL_MIN_FILL: "5.00",
+  SOLVER_LIQUIDITY: ["15.00", "12.00", "10.00", "8.00"], // per partial intent, per solver (cycled)
+  BOOTSTRAP: 2000,             // resamples for the pairwise latency ratio CIs
+  GAS_TOLERANCE: 0.10,         // max relative fulfillIntent gas gap, randomized vs auction (same on-chain path)
+  SEED: null,                  // PRNG seed for asks, dispatch secrets and jitter (null = fresh, printed)
+  SAVE_FILES: true,
+};
 
 // ---------------- Timing helpers ----------------
 function nowNs() { return process.hrtime.bigint(); }
 function msFrom(t0) { return Number((process.hrtime.bigint() - t0) / 1000000n); }
 const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
 
-// ---------------- Off-chain selection emulators ----------------
+// ---------------- Selection mechanisms ----------------
 // Fees below are in "token units" (e.g., 0.90 of the token). We'll convert to wei later.
-async function selectAuction({ scheduleMs = [0, 40, 80, 120], feeLadder = ["1.00", "0.95", "0.90", "0.85"], acceptIdx = 1 }) {
-  const t0 = nowNs();
-  for (let i = 0; i < scheduleMs.length; i++) {
-    await sleep(i === 0 ? scheduleMs[i] : scheduleMs[i] - scheduleMs[i - 1]);
-    if (i === acceptIdx) {
-      return { feeTokenUnits: feeLadder[i], T_select_ms: msFrom(t0) };
-    }
-  }
-  return { feeTokenUnits: null, T_select_ms: msFrom(t0), timeout: true };
-}
 
-async function selectRandomized({ ackMs = 15, reassigns = 0, reserveFeeTokenUnits = "0.98" }) {
-  const t0 = nowNs();
-  for (let r = 0; r <= reassigns; r++) {
-    await sleep(ackMs);
-    if (r === reassigns) {
-      return { feeTokenUnits: reserveFeeTokenUnits, T_select_ms: msFrom(t0) };
-    }
-  }
-  return { feeTokenUnits: null, T_select_ms: msFrom(t0), timeout: true };
+// Sealed-bid (commit–reveal) auction on SealedBidAuction: every bidder draws a private ask in
+// [askRange[0], askRange[1]] x maxFee, commits its hash, reveals after the commit window, and the
+// lowest revealed ask wins the fill at that fee; settle reserves that fill for the winner on the bridge.
+async function selectAuction({ auction, user, bidders, token, amount, maxFee, decimals, rng,
+  commitBlocks = 10, revealBlocks = 10, askRange = [0.80, 1.00] }) {
+  const [lo, hi] = askRange.map((x) => Math.round(x * 10_000));
+  const bids = bidders.map((signer) => ({
+    signer,
+    fee: (maxFee * BigInt(rng.int(lo, hi))) / 10_000n,
+  }));
+
+  const res = await runSealedBidAuction({ auction, user, bids, token, amount, maxFee, commitBlocks, revealBlocks, salt: rng.bytes32 });
+  if (!res.winner) return { feeTokenUnits: null, T_select_ms: res.T_select_ms, timeout: true };
+  return {
+    feeTokenUnits: ethers.formatUnits(res.fee, decimals),
+    T_select_ms: res.T_select_ms,
+    solver: bidders.find((b) => b.address === res.winner),
+    deadline: res.deadline,
+    bidders: res.bidders,
+    reveals: res.reveals,
+    gas_selection: res.gasUsed.toString(),
+  };
 }
 
-async function selectOpenClaim({ claimWindowMs = 18, processMs = 4, feeTokenUnits = "0.90" }) {
-  const t0 = nowNs();
-  await sleep(claimWindowMs);
-  await sleep(processMs);
-  return { feeTokenUnits, T_select_ms: msFrom(t0) };
-}
+// Verifiable randomized dispatch on the bridge: the user commits a secret, reveals it one block
+// later and the bridge derives the solver schedule from secret + request block hash. The first
+// `reassigns` dispatched solvers miss their ACK window, so the intent moves down the schedule.
+// Every trial is re-verified from chain data alone (dispatch.verifyDispatch). The user's secret
+// comes from `rng`, and main pins block timestamps, so the same seed replays the same schedules.
+async function selectRandomized({ bridge, user, solvers, token, amount, fee, decimals, rng, ackBlocks = 3, reassigns = 0 }) {
+  const intent = await sdk.createIntent(bridge, { user, token, amount, fee });
 
-// ---------------- EIP-712 helpers (v6 + v5 fallback) ----------------
-function typedDataHash(domain, types, value) {
-  // ethers v6
-  if (ethers.TypedDataEncoder && ethers.TypedDataEncoder.hash) {
-    return ethers.TypedDataEncoder.hash(domain, types, value);
+  const t0 = nowNs();
+  const req = await dispatch.requestDispatch(bridge, user, intent, { ackBlocks, secret: rng.bytes32() });
+  const sched = await dispatch.revealDispatch(bridge, user, req.digest, req.secret);
+  if (reassigns >= sched.assigned.length) {
+    return { feeTokenUnits: null, T_select_ms: msFrom(t0), timeout: true };
   }
-  // ethers v5 fallback (lazy import)
-  try {
-    const { _TypedDataEncoder } = require("@ethersproject/hash");
-    return _TypedDataEncoder.hash(domain, types, value);
-  } catch (e) {
-    throw new Error("No TypedDataEncoder available (ethers v5/v6 not detected).");
+  // Missed windows: let them run out; the fill then lands in the first block of round `reassigns`.
+  if (reassigns > 0) {
+    await waitForBlock(ethers.provider, sched.startBlock + reassigns * ackBlocks - 1);
   }
-}
+  const T_select_ms = msFrom(t0);
 
-async function signTyped(signer, domain, types, value) {
-  if (typeof signer.signTypedData === "function") {
-    return signer.signTypedData(domain, types, value); // ethers v6
-  }
-  if (typeof signer._signTypedData === "function") {
-    return signer._signTypedData(domain, types, value); // ethers v5
-  }
-  throw new Error("Signer does not support EIP-712 typed-data signing");
+  const audit = await dispatch.verifyDispatch(bridge, req.digest);
+  if (!audit.ok) throw new Error(`dispatch ${req.digest} failed verification: ${audit.reason}`);
+
+  return {
+    feeTokenUnits: ethers.formatUnits(fee, decimals),
+    T_select_ms,
+    solver: solvers.find((s) => s.address === sched.assigned[reassigns]),
+    deadline: intent.deadline,
+    reassigns,
+    verified: audit.ok,
+    gas_selection: (req.gasUsed + sched.gasUsed).toString(),
+  };
 }
 
-const TYPES_INTENT = {
-  Intent: [
-    { name: "user", type: "address" },
-    { name: "token", type: "address" },
-    { name: "amount", type: "uint256" },
-    { name: "fee", type: "uint256" },
-    { name: "nonce", type: "uint256" },
-    { name: "deadline", type: "uint256" },
-  ],
-};
+// Open claim: the signed intent goes to every staked solver at once and all of them send
+// fulfillIntent after their own reaction delay. Runs under interval mining (see main), so the
+// claims race in the mempool; the first included wins and the rest revert and burn gas.
+// The fill happens here, so the trial reuses the winning receipt instead of sending another tx.
+async function selectOpenClaim({ bridge, domain, user, solvers, token, amount, fee, decimals, rng,
+  latencyMs = [0, 5, 10, 15], jitterMs = 10 }) {
+  const intent = await sdk.createIntent(bridge, { user, token, amount, fee });
+  const userSig = await sdk.signIntent(user, domain, intent);
+
+  const race = await runOpenClaimRace({
+    bridge,
+    domain,
+    intent,
+    userSig,
+    solvers: solvers.map((signer, k) => ({
+      signer,
+      latencyMs: latencyMs[k % latencyMs.length] + rng.int(0, jitterMs),
+    })),
+  });
+  if (!race.winner) return { feeTokenUnits: null, T_select_ms: race.T_select_ms, timeout: true };
 
-const TYPES_SOLVER_COMMIT = {
-  SolverCommitment: [{ name: "intentDigest", type: "bytes32" }],
-};
+  return {
+    feeTokenUnits: ethers.formatUnits(fee, decimals),
+    T_select_ms: race.T_select_ms,
+    solver: solvers.find((s) => s.address === race.winner),
+    fill: { receipt: race.receipt, T_tx_ms: race.T_tx_ms },
+    claimants: race.claims.length,
+    reverted: race.reverted,
+    aborted: race.aborted,
+    wasted_gas: race.wastedGas.toString(),
+    wasted_wei: race.wastedWei.toString(),
+    claims: race.claims,
+  };
+}
+
+// Partial fills: a PartialIntent larger than any solver's liquidity goes to every staked solver at
+// once; each fills what it holds (at least minFill) under interval mining until the intent is
+// complete. Not a selection mechanism: the fills are the trial, so it is reported on its own.
+async function runPartialTrial({ bridge, domain, user, solvers, token, amount, fee, minFill, liquidity, rng,
+  latencyMs = [0, 5, 10, 15], jitterMs = 10 }) {
+  const intent = await sdk.createPartialIntent(bridge, { user, token, amount, fee, minFill });
+  const userSig = await sdk.signPartialIntent(user, domain, intent);
+  const race = await runPartialFillRace({
+    bridge,
+    domain,
+    intent,
+    userSig,
+    solvers: solvers.map((signer, k) => ({
+      signer,
+      liquidity: liquidity[k % liquidity.length],
+      latencyMs: latencyMs[k % latencyMs.length] + rng.int(0, jitterMs),
+    })),
+  });
+  return {
+    ok: race.completed,
+    T_complete_ms: race.T_complete_ms,
+    solvers: race.solvers,
+    fills: race.fills.length,
+    remaining: race.remaining.toString(),
+    reverted: race.reverted,
+    aborted: race.aborted,
+    gas_total: race.gasUsed.toString(),
+    gas_per_fill: race.fills.length ? Number(race.gasUsed) / race.fills.length : null,
+    wasted_gas: race.wastedGas.toString(),
+    portions: race.fills.map((f) => ({ solver: f.solver, amount: f.amount.toString(), fee: f.fee.toString(), block: f.block })),
+  };
+}
 
 // ---------------- Deployments ----------------
-async function deployBridgeAndToken() {
-  const [deployer, user, solver] = await ethers.getSigners();
+async function deployBridgeAndToken(solverCount) {
+  const [deployer, user, solver, ...rest] = await ethers.getSigners();
+  if (rest.length < solverCount - 1) throw new Error(`Need ${solverCount + 2} signers for ${solverCount} solvers.`);
+  const bidders = [solver, ...rest.slice(0, solverCount - 1)]; // solver + the other staked accounts
 
   // Use local MockToken (ensure contracts/MockToken.sol exists)
   const ERC20F = await ethers.getContractFactory("MockToken");
@@ -91,82 +192,76 @@ async function deployBridgeAndToken() {
   await token.waitForDeployment();
 
   const Bridge = await ethers.getContractFactory("UltraEfficientIntentBridge");
-  const bridge = await Bridge.deploy();
+  const bridge = await Bridge.deploy([deployer.address], 1);
   await bridge.waitForDeployment();
 
-  return { deployer, user, solver, token, bridge };
+  const auction = await deployAuction(ethers, bridge, deployer);
+
+  return { deployer, user, solver, bidders, token, bridge, auction };
 }
 
-async function prepareBalancesAndStake({ user, solver, token, bridge }) {
+async function prepareBalancesAndStake({ user, solver, bidders, token, bridge }) {
   // Mint a large balance for the user and approve the bridge to pull funds
   const bigMint = ethers.parseUnits("1000000", 18); // 1,000,000 TTK for tests
   await (await token.connect(user).mint(user.address, bigMint)).wait();
   const bridgeAddr = bridge.target ?? bridge.address;
   await (await token.connect(user).approve(bridgeAddr, ethers.MaxUint256)).wait();
 
-  // Stake 1 ETH from solver (satisfy MINIMUM_STAKE)
-  await (await bridge.connect(solver).stake({ value: ethers.parseEther("1.0") })).wait();
+  // Stake 1 ETH from every solver (satisfy MINIMUM_STAKE); auction bids and the dispatch pool
+  // only accept stakers
+  for (const s of new Set([solver, ...bidders])) {
+    await (await bridge.connect(s).stake({ value: ethers.parseEther("1.0") })).wait();
+    await (await bridge.connect(s).joinDispatchPool()).wait();
+  }
 }
 
 // ---------------- E2E trial (one fulfillIntent call) ----------------
 async function runTrial({
   label,
   amountUnits = "10.00",             // 10 TTK
-  selection,                           // async () => { feeTokenUnits, T_select_ms }
+  selection,                           // async () => { feeTokenUnits, T_select_ms, solver? }
   domain,                              // EIP-712 domain
   signers,                             // { user, solver }
   contracts,                           // { token, bridge }
 }) {
-  const { user, solver } = signers;
+  const { user } = signers;
   const { token, bridge } = contracts;
 
-  // 1) Off-chain selection
+  // 1) Selection (the auction picks its own winner; the other mechanisms use the default solver)
   const sel = await selection();
   if (sel.timeout || !sel.feeTokenUnits) {
-    return { ok: false, reason: "selection-timeout" };
+    return { ok: false, label, reason: "selection-timeout", T_select_ms: sel.T_select_ms };
   }
+  const solver = sel.solver ?? signers.solver;
 
   const decimals = await token.decimals();
   const amount = ethers.parseUnits(amountUnits, decimals);
   const fee = ethers.parseUnits(sel.feeTokenUnits, decimals);
 
-  // 2) Prepare typed data values
-  const nonce = await bridge.nonces(user.address);
-  const deadline = BigInt(Math.floor(Date.now() / 1000) + 3600); // +1h
-
-  const intentValue = {
-    user: user.address,
-    token: token.target ?? token.address,
-    amount,
-    fee,
-    nonce,
-    deadline,
-  };
-
-  // 3) User signs Intent
-  const userSignature = await signTyped(user, domain, TYPES_INTENT, intentValue);
-
-  // 4) Compute intentDigest (EIP-712) for solver commitment
-  const intentDigest = typedDataHash(domain, TYPES_INTENT, intentValue);
-
-  // 5) Solver signs SolverCommitment(intentDigest)
-  const solverSignature = await signTyped(solver, domain, TYPES_SOLVER_COMMIT, { intentDigest });
-
-  // 6) On-chain fulfillIntent by solver (measure tx latency + gas)
-  const tTx0 = nowNs();
-  const tx = await bridge.connect(solver).fulfillIntent(
-    user.address,
-    token.target ?? token.address,
-    amount,
-    fee,
-    deadline,
-    userSignature,
-    solverSignature
-  );
-  const receipt = await tx.wait();
-  const T_tx_ms = msFrom(tTx0);
+  let receipt;
+  let T_tx_ms;
+  if (sel.fill) {
+    // Open claim already raced the fill on-chain
+    ({ receipt, T_tx_ms } = sel.fill);
+  } else {
+    // 2) User signs Intent (live nonce, +1h), 3) solver signs SolverCommitment(intentDigest)
+    // (dispatch and auction sign the intent they reserved, so its deadline is reused)
+    const { intent, userSig, solverSig } = await sdk.prepareFulfillment({
+      bridge, domain, user, solver, token, amount, fee, deadline: sel.deadline,
+    });
+
+    // 4) On-chain fulfillIntent by solver (measure tx latency + gas)
+    const tTx0 = nowNs();
+    const tx = await bridge.connect(solver).fulfillIntent(...sdk.fulfillArgs(intent, userSig, solverSig));
+    receipt = await tx.wait();
+    T_tx_ms = msFrom(tTx0);
+  }
 
-  // 7) Combine and return metrics
+  // 5) Combine and return metrics. A user's first intent (nonce 0 -> 1) and a solver's first
+  // payout (zero token balance) each write a new slot, +17.1k gas; the gas check leaves them out
+  const before = { blockTag: receipt.blockNumber - 1 };
+  const newSlots = Number((await bridge.nonces(user.address, before)) === 0n)
+    + Number((await token.balanceOf(solver.address, before)) === 0n);
   const T_select_ms = sel.T_select_ms;
   const T_e2e_ms = T_select_ms + T_tx_ms;
 
@@ -177,45 +272,80 @@ async function runTrial({
     T_tx_ms,
     T_e2e_ms,
     gas_fulfillIntent: receipt.gasUsed.toString(),
+    new_slots: newSlots,
     feeTokenUnits: sel.feeTokenUnits,
+    solver: solver.address,
+    bidders: sel.bidders ?? null,
+    reveals: sel.reveals ?? null,
+    gas_selection: sel.gas_selection ?? null,
+    reassigns: sel.reassigns ?? null,
+    verified: sel.verified ?? null,
+    claimants: sel.claimants ?? null,
+    reverted: sel.reverted ?? null,
+    aborted: sel.aborted ?? null,
+    wasted_gas: sel.wasted_gas ?? null,
+    wasted_wei: sel.wasted_wei ?? null,
+    claims: sel.claims ?? null,
   };
 }
 
 // ---------------- Main harness ----------------
-async function main() {
-  const { deployer, user, solver, token, bridge } = await deployBridgeAndToken();
-  await prepareBalancesAndStake({ user, solver, token, bridge });
-
-  const network = await ethers.provider.getNetwork();
-  const chainId = Number(network.chainId);
-  const bridgeAddr = bridge.target ?? bridge.address;
+async function main(cfg = CFG) {
+  // Deterministic block hashes up to the dispatch trials (lifted before the open-claim race)
+  const unpinBlockTimes = pinBlockTimes(ethers.provider);
+  const { deployer, user, solver, bidders, token, bridge, auction } = await deployBridgeAndToken(cfg.SOLVERS);
+  await prepareBalancesAndStake({ user, solver, bidders, token, bridge });
 
-  const domain = {
-    name: "UltraEfficientIntentBridge",
-    version: "1",
-    chainId,
-    verifyingContract: bridgeAddr,
-  };
+  const domain = await sdk.buildDomain(bridge);
+  const decimals = await token.decimals();
 
-  const N = 20; // trials per mechanism
+  const N = cfg.TRIALS;
+  const seed = resolveSeed(cfg.SEED);
+  const rng = createRng(seed);
+  const rngs = { auction: rng.fork("auction"), dispatch: rng.fork("dispatch"), openClaim: rng.fork("openClaim"), partial: rng.fork("partial") };
+  console.log("Seed:", seed);
+  const run = await runs.startRun(hre, "bench-mechanisms", { config: cfg, seed });
 
-  // Mechanism parameterizations (tune as needed)
+  // Mechanism parameterizations (see CFG)
   const auctionSel = () => selectAuction({
-    scheduleMs: [0, 40, 80, 120],
-    feeLadder: ["1.00", "0.95", "0.90", "0.85"],
-    acceptIdx: 1,
+    auction,
+    user,
+    bidders,
+    token: token.target,
+    amount: ethers.parseUnits(cfg.AMOUNT, decimals),
+    maxFee: ethers.parseUnits(cfg.MAX_FEE, decimals),
+    decimals,
+    rng: rngs.auction,
+    commitBlocks: cfg.COMMIT_BLOCKS,
+    revealBlocks: cfg.REVEAL_BLOCKS,
+    askRange: cfg.ASK_RANGE,
   });
 
   const randomizedSel = (i) => selectRandomized({
-    ackMs: 15,
-    reassigns: i % 3 === 0 ? 1 : 0,
-    reserveFeeTokenUnits: "0.98",
+    bridge,
+    user,
+    solvers: bidders,
+    token: token.target,
+    amount: ethers.parseUnits(cfg.AMOUNT, decimals),
+    fee: ethers.parseUnits(cfg.DISPATCH_FEE, decimals),
+    decimals,
+    rng: rngs.dispatch,
+    ackBlocks: cfg.ACK_BLOCKS,
+    reassigns: cfg.REASSIGN_EVERY > 0 && i % cfg.REASSIGN_EVERY === 0 ? 1 : 0,
   });
 
-  const openClaimSel = (i) => selectOpenClaim({
-    claimWindowMs: 18 + (i % 5),
-    processMs: 4,
-    feeTokenUnits: "0.90",
+  const openClaimSel = () => selectOpenClaim({
+    bridge,
+    domain,
+    user,
+    solvers: bidders,
+    token: token.target,
+    amount: ethers.parseUnits(cfg.AMOUNT, decimals),
+    fee: ethers.parseUnits(cfg.OPEN_CLAIM_FEE, decimals),
+    decimals,
+    rng: rngs.openClaim,
+    latencyMs: cfg.LATENCY_MS,
+    jitterMs: cfg.JITTER_MS,
   });
 
   const signers = { user, solver };
@@ -224,11 +354,12 @@ async function main() {
   const resA = [];
   const resB = [];
   const resC = [];
+  const resD = [];
 
   for (let i = 0; i < N; i++) {
     resA.push(await runTrial({
       label: "Auction",
-      amountUnits: "10.00",
+      amountUnits: cfg.AMOUNT,
       selection: auctionSel,
       domain,
       signers,
@@ -239,7 +370,7 @@ async function main() {
   for (let i = 0; i < N; i++) {
     resB.push(await runTrial({
       label: "Randomized",
-      amountUnits: "10.00",
+      amountUnits: cfg.AMOUNT,
       selection: () => randomizedSel(i),
       domain,
       signers,
@@ -247,41 +378,82 @@ async function main() {
     }));
   }
 
-  for (let i = 0; i < N; i++) {
-    resC.push(await runTrial({
-      label: "OpenClaim",
-      amountUnits: "10.00",
-      selection: () => openClaimSel(i),
-      domain,
-      signers,
-      contracts,
-    }));
-  }
+  unpinBlockTimes();
+  await withIntervalMining(ethers.provider, cfg.OPEN_CLAIM_BLOCK_MS, async () => {
+    for (let i = 0; i < N; i++) {
+      resC.push(await runTrial({
+        label: "OpenClaim",
+        amountUnits: cfg.AMOUNT,
+        selection: openClaimSel,
+        domain,
+        signers,
+        contracts,
+      }));
+    }
+    for (let i = 0; cfg.PARTIAL && i < N; i++) {
+      resD.push(await runPartialTrial({
+        bridge,
+        domain,
+        user,
+        solvers: bidders,
+        token: token.target,
+        amount: ethers.parseUnits(cfg.PARTIAL_AMOUNT, decimals),
+        fee: ethers.parseUnits(cfg.PARTIAL_FEE, decimals),
+        minFill: ethers.parseUnits(cfg.PARTIAL_MIN_FILL, decimals),
+        liquidity: cfg.SOLVER_LIQUIDITY.map((x) => ethers.parseUnits(x, decimals)),
+        rng: rngs.partial,
+        latencyMs: cfg.LATENCY_MS,
+        jitterMs: cfg.JITTER_MS,
+      }));
+    }
+  });
 
   function summarize(arr) {
     const okArr = arr.filter(r => r.ok);
     const n = okArr.length || 1;
     const toNum = x => Number(x);
-    const mean = xs => xs.reduce((a, b) => a + b, 0) / (xs.length || 1);
+    const { mean } = stats;
+    const e2e = stats.describe(okArr.map(r => r.T_e2e_ms));
     const mSel = Math.round(mean(okArr.map(r => r.T_select_ms)));
     const mTx = Math.round(mean(okArr.map(r => r.T_tx_ms)));
-    const mE2E = Math.round(mean(okArr.map(r => r.T_e2e_ms)));
+    const mE2E = Math.round(e2e.mean);
     const mGas = Math.round(mean(okArr.map(r => toNum(r.gas_fulfillIntent))));
     const mFee = mean(okArr.map(r => parseFloat(r.feeTokenUnits)));
-    return { n, mSel, mTx, mE2E, mGas, mFee };
+    return { n, mSel, mTx, mE2E, mGas, mFee, e2e };
   }
 
   const SA = summarize(resA);
   const SB = summarize(resB);
   const SC = summarize(resC);
 
-  
-
-  // Optional sanity: gas similarity across mechanisms (same on-chain path)
-  const within = (a, b, tol) => Math.abs(a - b) <= tol;
-  const tolGas = 10_000;
-  if (!(within(SA.mGas, SB.mGas, tolGas) && within(SA.mGas, SC.mGas, tolGas))) {
-    console.warn("⚠️ Gas across mechanisms differs more than tolerance—did on-chain logic diverge?");
+  // Pairwise T_e2e comparison: latency ratio with bootstrap CI, Welch t and Mann–Whitney U
+  const e2eOf = (arr) => arr.filter((r) => r.ok).map((r) => r.T_e2e_ms);
+  const bootRng = rng.fork("bootstrap");
+  const pairs = [["Auction", resA, "Randomized", resB], ["Auction", resA, "OpenClaim", resC], ["Randomized", resB, "OpenClaim", resC]];
+  const comparisons = pairs.map(([nameA, a, nameB, b]) => ({
+    pair: `${nameA} vs ${nameB}`,
+    ratio: stats.bootstrapCI(e2eOf(a), e2eOf(b), stats.latencyRatio, { iterations: cfg.BOOTSTRAP, rng: bootRng }),
+    ...stats.compareSamples(e2eOf(a), e2eOf(b)),
+  }));
+
+  // Fairness over the pool of competing solvers (winner + fee revenue per trial)
+  const pool = bidders.map((b) => b.address);
+  const fairnessOf = (arr) => fairnessReport(
+    arr.filter((r) => r.ok).map((r) => ({ winner: r.solver, fee: parseFloat(r.feeTokenUnits) })),
+    pool,
+  );
+  const fairness = { Auction: fairnessOf(resA), Randomized: fairnessOf(resB), OpenClaim: fairnessOf(resC) };
+
+  // Sanity: the auction reserves its winner and randomized dispatch assigns one, so both fills run
+  // the same dispatch-checked fulfillIntent and should cost the same within GAS_TOLERANCE (the
+  // results:diff check, applied across mechanisms instead of runs). Only fills without new slots
+  // count. Open claims skip the dispatch reads (about 7.4k gas less) and have no peer to compare.
+  const gasOf = (arr) => arr.filter((r) => r.ok).map((r) => Number(r.gas_fulfillIntent));
+  const warmGasOf = (arr) => gasOf(arr.filter((r) => r.new_slots === 0));
+  const gasCheck = runs.compareMetric(warmGasOf(resA), warmGasOf(resB), cfg.GAS_TOLERANCE);
+  if (gasCheck.status !== "ok") {
+    console.warn(`⚠️ Randomized fulfillIntent gas ${gasCheck.head.toFixed(0)} vs Auction ${gasCheck.base.toFixed(0)} ` +
+      `without new slots (${(gasCheck.change * 100).toFixed(1)}%, tolerance ${cfg.GAS_TOLERANCE * 100}%)—did on-chain logic diverge?`);
   }
 
   // ──────────────────────────────────────────────────────────────
@@ -293,7 +465,10 @@ async function main() {
     'Mean Tselect (ms)': S.mSel,
     'Mean Ttx (ms)': S.mTx,
     'Mean Te2e (ms)': S.mE2E,
+    'Std Te2e (ms)': Math.round(S.e2e.std),
+    'p50 | p95 Te2e (ms)': `${Math.round(S.e2e.p50)} | ${Math.round(S.e2e.p95)}`,
     'Mean Gas fulfillIntent': S.mGas,
+    'Mean fee (token)': S.mFee.toFixed(4),
   });
 
   const tableRows = [
@@ -305,9 +480,123 @@ async function main() {
   console.log('\n=== Bench Summary (table) ===');
   console.table(tableRows);
 
+  console.log('\n=== Te2e pairwise (two-sided) ===');
+  console.table(comparisons.map((C) => ({
+    Pair: C.pair,
+    'Te2e ratio [95% CI]': stats.formatCI(C.ratio),
+    'Welch t': C.welch.t.toFixed(2),
+    'p (Welch)': stats.formatP(C.welch.p),
+    'p (M–W)': `${stats.formatP(C.mannWhitney.p)} (${C.mannWhitney.method})`,
+  })));
+
+  console.log(`\n=== Fairness (${pool.length} solvers) ===`);
+  console.table(Object.entries(fairness).map(([name, F]) => ({
+    Mechanism: name,
+    Trials: F.trials,
+    "Jain's index (wins)": F.jain.toFixed(3),
+    'Gini (fee revenue)': F.giniRevenue.toFixed(3),
+    'Max win share': `${(F.maxWinShare * 100).toFixed(0)}%`,
+    'Longest starvation': F.longestStarvation,
+  })));
+
+  console.log('\n=== Win share per solver ===');
+  console.table(pool.map((addr, k) => {
+    const row = { Solver: addr.slice(0, 10) };
+    for (const [name, F] of Object.entries(fairness)) {
+      const ps = F.perSolver[k];
+      row[name] = `${(ps.winShare * 100).toFixed(0)}% (streak ${ps.starvation})`;
+    }
+    return row;
+  }));
+
+  // Auction detail: clearing fee and competition per trial
+  console.log('\n=== Sealed-bid auction (per trial) ===');
+  console.table(resA.map((r, i) => ({
+    Trial: i + 1,
+    'Tselect (ms)': r.T_select_ms,
+    Bidders: r.bidders ?? '-',
+    Reveals: r.reveals ?? '-',
+    'Clearing fee': r.ok ? r.feeTokenUnits : 'no valid bid',
+    Winner: r.ok ? r.solver.slice(0, 10) : '-',
+    'Selection gas': r.gas_selection ?? '-',
+  })));
+
+  console.log('\n=== Randomized dispatch (per trial) ===');
+  console.table(resB.map((r, i) => ({
+    Trial: i + 1,
+    'Tselect (ms)': r.T_select_ms,
+    Reassigns: r.reassigns ?? '-',
+    Solver: r.ok ? r.solver.slice(0, 10) : '-',
+    Verified: r.verified ?? '-',
+    'Selection gas': r.gas_selection ?? '-',
+  })));
+
+  console.log('\n=== Open-claim race (per trial) ===');
+  console.table(resC.map((r, i) => ({
+    Trial: i + 1,
+    'Tselect (ms)': r.T_select_ms,
+    'Ttx (ms)': r.T_tx_ms,
+    Winner: r.ok ? r.solver.slice(0, 10) : '-',
+    Claimants: r.claimants ?? '-',
+    Reverted: r.reverted ?? '-',
+    Aborted: r.aborted ?? '-',
+    'Wasted gas': r.wasted_gas ?? '-',
+  })));
+  const okC = resC.filter((r) => r.ok);
+  const wastedGas = okC.reduce((a, r) => a + BigInt(r.wasted_gas), 0n);
+  const wastedWei = okC.reduce((a, r) => a + BigInt(r.wasted_wei), 0n);
+  console.log(`Open claim: ${okC.reduce((a, r) => a + r.reverted, 0)} reverted claims, ` +
+    `${wastedGas} gas (${ethers.formatEther(wastedWei)} ETH) wasted by losers over ${okC.length} fills`);
+
+  const okD = resD.filter((r) => r.ok);
+  if (cfg.PARTIAL) {
+    console.log(`\n=== Partial fills: ${cfg.PARTIAL_AMOUNT} tokens, min fill ${cfg.PARTIAL_MIN_FILL}, ` +
+      `solver liquidity ${cfg.SOLVER_LIQUIDITY.join(" / ")} (per trial) ===`);
+    console.table(resD.map((r, i) => ({
+      Trial: i + 1,
+      Completed: r.ok,
+      'Tcomplete (ms)': r.T_complete_ms ?? '-',
+      Solvers: r.solvers,
+      Fills: r.fills,
+      Reverted: r.reverted,
+      Aborted: r.aborted,
+      'Gas / fill': r.gas_per_fill === null ? '-' : Math.round(r.gas_per_fill),
+    })));
+    if (okD.length) {
+      const complete = stats.describe(okD.map((r) => r.T_complete_ms));
+      console.log(`Partial fills: ${okD.length}/${resD.length} intents completed, Tcomplete mean ${Math.round(complete.mean)} ms ` +
+        `(p95 ${Math.round(complete.p95)}), ${stats.mean(okD.map((r) => r.solvers)).toFixed(2)} solvers per intent`);
+    } else {
+      console.log(`Partial fills: none of ${resD.length} intents completed (total solver liquidity below the amount?)`);
+    }
+  }
+
+  if (!cfg.SAVE_FILES) return;
+  const trials = { Auction: resA, Randomized: resB, OpenClaim: resC };
+  const metrics = {};
+  for (const [name, arr] of Object.entries(trials)) {
+    const ok = arr.filter((r) => r.ok);
+    metrics[`${name}.T_select_ms`] = runs.metric("latency", "ms", ok.map((r) => r.T_select_ms));
+    metrics[`${name}.T_e2e_ms`] = runs.metric("latency", "ms", ok.map((r) => r.T_e2e_ms));
+    metrics[`${name}.gas_fulfillIntent`] = runs.metric("gas", "gas", gasOf(arr));
+  }
+  if (cfg.PARTIAL) {
+    metrics["Partial.T_complete_ms"] = runs.metric("latency", "ms", okD.map((r) => r.T_complete_ms));
+    metrics["Partial.gas_fulfillPartial"] = runs.metric("gas", "gas", resD.filter((r) => r.fills).map((r) => r.gas_per_fill));
+  }
+  await run.save({
+    trials,
+    partial: cfg.PARTIAL ? resD : undefined, // kept apart from trials: not a selection mechanism
+    fairness,
+    stats: { Auction: SA.e2e, Randomized: SB.e2e, OpenClaim: SC.e2e, comparisons },
+  }, { metrics });
+}
+
+if (require.main === module) {
+  main().catch((e) => {
+    console.error(e);
+    process.exit(1);
+  });
 }
 
-main().catch((e) => {
-  console.error(e);
-  process.exit(1);
-});
+module.exports = { CFG, main };
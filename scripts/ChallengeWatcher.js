@@ -0,0 +1,53 @@
+/* eslint-disable no-console */
+// scripts/ChallengeWatcher.js
+// One dispute watcher process. Follows escrowed intents (lockIntent) on the bridge, challenges
+// those still unproven after their deadline and slashes the solver once the proof window closes
+// without an answer. See lib/watcher.js.
+//
+// RUN (node already running):
+//   BRIDGE_ADDRESS=0x... WATCHER_INDEX=9 POLL_MS=1000 \
+//     npx hardhat run scripts/ChallengeWatcher.js --network localhost
+//
+// ENV:
+//   BRIDGE_ADDRESS    deployed UltraEfficientIntentBridge (required)
+//   WATCHER_INDEX     index into the node's accounts (pays the gas), default 9
+//   POLL_MS           polling interval, default 1000
+//   FROM_BLOCK        first block to scan for IntentLocked, default the current head
+//
+// On shutdown (SIGINT/SIGTERM) prints one line `WATCHER_STATS {json}` for orchestrators.
+// ---------------------------------------------------------------
+
+const hre = require("hardhat");
+const { ethers } = hre;
+const { createChallengeWatcher } = require("./lib/watcher");
+const { untilSignal } = require("./lib/processes");
+
+async function main() {
+  const bridgeAddr = process.env.BRIDGE_ADDRESS;
+  if (!bridgeAddr || !ethers.isAddress(bridgeAddr)) throw new Error("Set BRIDGE_ADDRESS.");
+
+  const signers = await ethers.getSigners();
+  const index = Number(process.env.WATCHER_INDEX ?? 9);
+  const signer = signers[index];
+  if (!signer) throw new Error(`No account at WATCHER_INDEX=${index}`);
+
+  const bridge = await ethers.getContractAt("UltraEfficientIntentBridge", bridgeAddr, signer);
+  const watcher = createChallengeWatcher({
+    bridge,
+    signer,
+    fromBlock: process.env.FROM_BLOCK !== undefined ? Number(process.env.FROM_BLOCK) : undefined,
+    pollMs: Number(process.env.POLL_MS ?? 1000),
+    log: (m) => console.log(`watcher#${index} ${m}`),
+  });
+  await watcher.start();
+  console.log(`ChallengeWatcher ready: ${signer.address}`);
+
+  await untilSignal();
+  await watcher.stop();
+  console.log(`WATCHER_STATS ${JSON.stringify(watcher.stats())}`);
+}
+
+main().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
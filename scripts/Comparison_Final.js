@@ -1,57 +1,82 @@
 // scripts/CompareBridges.randomized.js
 /* eslint-disable no-console */
-const fs = require("fs");
-const path = require("path");
-const { ethers } = require("hardhat");
+const hre = require("hardhat");
+const { ethers } = hre;
+const sdk = require("./lib/intentSdk");
+const dispatch = require("./lib/dispatch");
+const committee = require("./lib/committee");
+const escrow = require("./lib/escrow");
+const { findEvent, advanceTimeTo, pinBlockTimes } = require("./lib/chain");
+const { resolveSeed, createRng } = require("./lib/prng");
+const stats = require("./lib/stats");
+const runs = require("./lib/runs");
+const costs = require("./lib/costs");
+const protocolFee = require("./lib/protocolFee");
 
 /**
- * CLI args:
+ * Parameters (compare:bridges task, tasks/experiments.js):
  *   --runs <int>            default 5
- *   --ackDelayMs <int>      default 2000   (randomized dispatch "ack" delay)
- *   --tradDelayMs <int>     default 15000 (traditional cross-chain confirmation delay)
+ *   --ack-delay-ms <int>    default 2000   (randomized dispatch "ack" delay)
+ *   --trad-delay-ms <int>   default 15000 (cross-chain confirmation delay, per leg; also the
+ *                                          IBB delivery proof hop before settlement)
+ *   --amount / --fee        default 100 / 0.01 (token units)
+ *   --bootstrap <int>       default 2000 (resamples for the R_T / R_G confidence intervals)
+ *   --permit <bool>         default true (also runs the gasless-user IBB flow: the user signs an EIP-2612
+ *                                          permit instead of sending approve, the solver applies it in lockIntentWithPermit)
+ *   --protocol-fee-bps <int> default 1000 (after the runs, the escrowed flow again without and with this share
+ *                                          of the fee going to a treasury: solver revenue and gas per fill; 0 = skip)
+ *   --save-files <bool>     default true (results/runs/compare-bridges/<runId>/run.json)
+ *   --seed <int>            default fresh (printed); seeds the dispatch secrets and the bootstrap. Block timestamps
+ *                                          are pinned (lib/chain.js), so the request block hashes and with them
+ *                                          the dispatched solvers replay too.
  *
  * Example:
- *   npx hardhat run scripts/CompareBridges.randomized.js --network hardhat --runs 10 --ackDelayMs 250 --tradDelayMs 15000
+ *   npx hardhat compare:bridges --runs 10 --ack-delay-ms 250 --trad-delay-ms 15000
  */
-
-function getArg(flag, def) {
-  const idx = process.argv.indexOf(flag);
-  if (idx >= 0 && process.argv[idx + 1]) return Number(process.argv[idx + 1]);
-  return def;
-}
-
-const RUNS = getArg("--runs", 5);
-const ACK_DELAY_MS = getArg("--ackDelayMs", 2000);
-const TRAD_DELAY_MS = getArg("--tradDelayMs", 15000);
-
-function mean(arr) {
-  return arr.reduce((a, b) => a + b, 0) / Math.max(1, arr.length);
-}
-
+const CFG = {
+  RUNS: 5,
+  ACK_DELAY_MS: 2000,
+  TRAD_DELAY_MS: 15000,
+  AMOUNT: "100",
+  FEE: "0.01",
+  BOOTSTRAP: 2000,
+  SEED: null,
+  PERMIT: true,
+  PROTOCOL_FEE_BPS: 1000,
+  SAVE_FILES: true,
+};
 
 async function sleep(ms) {
   await new Promise((resolve) => setTimeout(resolve, ms));
 }
 
-async function main() {
-  console.log("Params:", { RUNS, ACK_DELAY_MS, TRAD_DELAY_MS });
+async function main(cfg = CFG) {
+  const { RUNS, ACK_DELAY_MS, TRAD_DELAY_MS } = cfg;
+  console.log("Params:", cfg);
+  const seed = resolveSeed(cfg.SEED);
+  const secrets = createRng(seed).fork("dispatch");
+  console.log("Seed:", seed);
+  const run = await runs.startRun(hre, "compare-bridges", { config: cfg, seed });
+  pinBlockTimes(ethers.provider);
 
   const signers = await ethers.getSigners();
-  if (signers.length < 6) {
-    throw new Error("Need at least 6 signers (owner,user, and ≥4 solvers).");
+  if (signers.length < 10) {
+    throw new Error("Need at least 10 signers (owner, user, ≥4 solvers, a 3-member relayer committee and a treasury).");
   }
-  const [owner, user, s2, s3, s4, s5] = signers;
-  const solverPool = [owner, s2, s3, s4, s5]; // randomized selection from this pool
+  const [owner, user, s2, s3, s4, s5, r1, r2, r3, treasury] = signers;
+  const solverPool = [owner, s2, s3, s4, s5]; // bridge dispatch pool (randomized selection)
+  const relayers = [r1, r2, r3];              // lock–mint committee, 2-of-3; also attests IBB deliveries
+  const THRESHOLD = 2;
 
   console.log("=== Deployment Phase ===");
-  const TestToken = await ethers.getContractFactory("TestToken");
-  const token = await TestToken.deploy("TestToken", "TST");
+  const TestPermitToken = await ethers.getContractFactory("TestPermitToken");
+  const token = await TestPermitToken.deploy("TestToken", "TST");
 
   const TraditionalBridge = await ethers.getContractFactory("TraditionalBridge");
-  const traditionalBridge = await TraditionalBridge.deploy();
+  const traditionalBridge = await TraditionalBridge.deploy(relayers.map((r) => r.address), THRESHOLD);
 
   const UltraEfficientIntentBridge = await ethers.getContractFactory("UltraEfficientIntentBridge");
-  const intentBridge = await UltraEfficientIntentBridge.deploy();
+  const intentBridge = await UltraEfficientIntentBridge.deploy(relayers.map((r) => r.address), THRESHOLD);
 
   await Promise.all([
     token.waitForDeployment(),
@@ -60,19 +85,33 @@ async function main() {
   ]);
 
   const tokenAddr = await token.getAddress();
+
+  // Destination side of the lock–mint bridge (same chain here; the committee signs as if remote)
+  const WrappedTokenMinter = await ethers.getContractFactory("WrappedTokenMinter");
+  const wrapped = await WrappedTokenMinter.deploy(
+    "Wrapped TestToken", "wTST", tokenAddr, (await ethers.provider.getNetwork()).chainId,
+    relayers.map((r) => r.address), THRESHOLD,
+  );
+  await wrapped.waitForDeployment();
+  const tradDomain = await sdk.buildDomain(traditionalBridge);
+  const wrappedDomain = await sdk.buildDomain(wrapped);
   const tradAddr = await traditionalBridge.getAddress();
   const ibbAddr = await intentBridge.getAddress();
 
   console.log("Token           :", tokenAddr);
   console.log("TraditionalBridge:", tradAddr);
   console.log("IntentBridge     :", ibbAddr);
+  console.log("WrappedMinter    :", await wrapped.getAddress());
 
   // Test parameters
-  const amount = ethers.parseUnits("100", 18);
-  const fee = ethers.parseUnits("1", 16); // 0.01 TST
-  // Fund user enough for all runs (amount + fee per run)
-  const totalNeeded = (amount + fee) * BigInt(RUNS + 2);
+  const amount = ethers.parseUnits(cfg.AMOUNT, 18);
+  const fee = ethers.parseUnits(cfg.FEE, 18);
+  // Fund user enough for all runs (amount + fee per IBB flow)
+  const flows = RUNS * (1 + (cfg.PERMIT ? 1 : 0) + (cfg.PROTOCOL_FEE_BPS > 0 ? 2 : 0));
+  const totalNeeded = (amount + fee) * BigInt(flows + 2);
   await (await token.transfer(user.address, totalNeeded)).wait();
+  // Solver inventory for the destination-side delivery (owner already holds the supply)
+  for (const s of solverPool.slice(1)) await (await token.transfer(s.address, amount * BigInt(RUNS))).wait();
 
   // Stake each solver once (bond requirement)
   console.log("\n=== Staking solvers ===");
@@ -81,21 +120,40 @@ async function main() {
     await (await intentBridge.connect(s).stake({ value: ethers.parseEther("1") })).wait();
     const balAfter = await ethers.provider.getBalance(s.address);
     console.log(`Staked: ${s.address}  ΔETH: -${ethers.formatEther(balBefore - balAfter)}`);
+    await (await intentBridge.connect(s).joinDispatchPool()).wait();
   }
 
+  const domain = await sdk.buildDomain(intentBridge);
+
   // Arrays for metrics over runs
   const tradApprovalMs = [];
   const tradLockMs = [];
+  const tradMintMs = [];
+  const tradBurnMs = [];
   const tradUnlockMs = [];
   const tradE2Ems = [];
   const tradGas = [];
+  const tradTxs = [];   // per run: lib/costs records of every transaction (cost:model)
 
   const ibbSelectMs = [];
+  const ibbDispatchGas = [];
   const ibbApprovalMs = [];
-  const ibbFulfillMs = [];
+  const ibbLockMs = [];
+  const ibbDeliverMs = [];
+  const ibbSettleMs = [];
+  const ibbReimburseMs = [];
   const ibbE2Ems = [];
   const ibbGas = [];
+  const ibbUserGas = [];
+  const ibbTxs = [];
 
+  // Gasless user: permit instead of approve (CFG.PERMIT)
+  const permitSignMs = [];
+  const permitLockMs = [];
+  const permitDeliverMs = [];
+  const permitE2Ems = [];
+  const permitGas = [];
+  const permitTxs = [];
 
   for (let i = 0; i < RUNS; i++) {
     console.log(`\n========== RUN ${i + 1}/${RUNS} ==========`);
@@ -114,27 +172,47 @@ async function main() {
     const tradLockRcpt = await tradLockTx.wait();
     const tLock = Date.now() - t1;
 
-    // Simulate cross-chain confirmation delay
+    // Simulate cross-chain confirmation delay (source -> destination)
     await sleep(TRAD_DELAY_MS);
 
+    // Committee co-signs the lock (2-of-3) and mints the wrapped token
     const t2 = Date.now();
-    const tradUnlockTx = await traditionalBridge.connect(user).unlockTokens(tokenAddr, amount);
-    const tradUnlockRcpt = await tradUnlockTx.wait();
-    const tUnlock = Date.now() - t2;
+    const lockEv = findEvent(traditionalBridge, tradLockRcpt, "TokensLocked");
+    const tradMintRcpt = await committee.mintForLock(wrapped, relayers, THRESHOLD, lockEv, { domain: wrappedDomain, submitter: r1 });
+    const tMint = Date.now() - t2;
+
+    // Way back: user burns the wrapped tokens ...
+    const t3 = Date.now();
+    const tradBurnRcpt = await (await wrapped.connect(user).burn(amount)).wait();
+    const tBurn = Date.now() - t3;
+
+    // ... confirmation delay (destination -> source), committee releases the lock
+    await sleep(TRAD_DELAY_MS);
+    const t4 = Date.now();
+    const burnEv = findEvent(wrapped, tradBurnRcpt, "TokensBurned");
+    const tradUnlockRcpt = await committee.releaseForBurn(traditionalBridge, tokenAddr, relayers, THRESHOLD, burnEv, { domain: tradDomain, submitter: r1 });
+    const tUnlock = Date.now() - t4;
 
     const tEnd = Date.now();
-    const tE2E = tApproval + tLock + tUnlock + TRAD_DELAY_MS;
+    const tE2E = tApproval + tLock + tMint + tBurn + tUnlock + 2 * TRAD_DELAY_MS;
 
     const tradGasUsed =
       Number(tradApproveRcpt.gasUsed) +
       Number(tradLockRcpt.gasUsed) +
+      Number(tradMintRcpt.gasUsed) +
+      Number(tradBurnRcpt.gasUsed) +
       Number(tradUnlockRcpt.gasUsed);
 
     tradApprovalMs.push(tApproval);
     tradLockMs.push(tLock);
+    tradMintMs.push(tMint);
+    tradBurnMs.push(tBurn);
     tradUnlockMs.push(tUnlock);
     tradE2Ems.push(tE2E);
     tradGas.push(tradGasUsed);
+    tradTxs.push(await costs.txRecords(ethers.provider, {
+      approve: tradApproveRcpt, lock: tradLockRcpt, mint: tradMintRcpt, burn: tradBurnRcpt, release: tradUnlockRcpt,
+    }));
 
 
     // ---------- IBB (Randomized Dispatch) ----------
@@ -142,15 +220,20 @@ async function main() {
 
     const ibbStart = Date.now();
 
-    // Pick a solver uniformly at random
+    // Verifiable dispatch: commit a secret, reveal it, the bridge draws the solver schedule
     const s0 = Date.now();
-    const solver = solverPool[Math.floor(Math.random() * solverPool.length)];
+    const dispatchIntent = await sdk.createIntent(intentBridge, { user, token: tokenAddr, amount, fee });
+    const req = await dispatch.requestDispatch(intentBridge, user, dispatchIntent, { ackBlocks: 5, secret: secrets.bytes32() });
+    const sched = await dispatch.revealDispatch(intentBridge, user, req.digest, req.secret);
+    const solver = solverPool.find((s) => s.address === sched.assigned[0]);
     const tSelect = Date.now() - s0;
 
-    // Simulate randomized dispatch "ack" / selection latency
-    
+    const audit = await dispatch.verifyDispatch(intentBridge, req.digest);
+    if (!audit.ok) throw new Error(`dispatch failed verification: ${audit.reason}`);
+    console.log(`Dispatched: ${solver.address} (seed ${audit.seed.slice(0, 10)}…, verified)`);
+
+    // Simulate randomized dispatch "ack" latency (off-chain)
     await sleep(ACK_DELAY_MS);
-    
 
     // Approve amount + fee (dual-lock model pre-funding solver payment)
     const a0 = Date.now();
@@ -158,111 +241,271 @@ async function main() {
     const ibbApproveRcpt = await ibbApproveTx.wait();
     const tIbbApproval = Date.now() - a0;
 
-    // Prepare typed data and signatures
-    const network = await ethers.provider.getNetwork();
-    const chainId = Number(network.chainId);
-    const domain = {
-      name: "UltraEfficientIntentBridge",
-      version: "1",
-      chainId,
-      verifyingContract: ibbAddr,
-    };
-
-    const userNonce = await intentBridge.nonces(user.address);
-    const deadline = BigInt(Math.floor(Date.now() / 1000) + 60 * 60);
-
-    const intentTypes = {
-      Intent: [
-        { name: "user", type: "address" },
-        { name: "token", type: "address" },
-        { name: "amount", type: "uint256" },
-        { name: "fee", type: "uint256" },
-        { name: "nonce", type: "uint256" },
-        { name: "deadline", type: "uint256" },
-      ],
-    };
-
-    const intentValue = {
-      user: user.address,
+    // Prepare typed data and signatures (live nonce, +1h deadline)
+    const { intent, userSig, solverSig } = await sdk.prepareFulfillment({
+      bridge: intentBridge,
+      domain,
+      user,
+      solver,
       token: tokenAddr,
       amount,
       fee,
-      nonce: userNonce,
-      deadline,
-    };
-
-    const userSignature = await user.signTypedData(domain, intentTypes, intentValue);
+      deadline: dispatchIntent.deadline,
+    });
 
-    const intentDigest = ethers.TypedDataEncoder.hash(domain, intentTypes, intentValue);
-    const solverTypes = { SolverCommitment: [{ name: "intentDigest", type: "bytes32" }] };
-    const solverValue = { intentDigest };
-    const solverSignature = await solver.signTypedData(domain, solverTypes, solverValue);
-
-    // Fulfillment
+    // Phase 1: solver locks amount + fee in escrow
     const f0 = Date.now();
-    const fulfillTx = await intentBridge.connect(solver).fulfillIntent(
-      user.address,
-      tokenAddr,
-      amount,
-      fee,
-      deadline,
-      userSignature,
-      solverSignature
-    );
-    const fulfillRcpt = await fulfillTx.wait();
-    const tFulfill = Date.now() - f0;
+    const lockTx = await intentBridge.connect(solver).lockIntent(...sdk.fulfillArgs(intent, userSig, solverSig));
+    const lockRcpt = await lockTx.wait();
+    const intentDigest = findEvent(intentBridge, lockRcpt, "IntentLocked").args.intentDigest;
+    const tIbbLock = Date.now() - f0;
+
+    // Phase 2: solver pays the user (stands in for the destination-chain transfer)
+    const d0 = Date.now();
+    const deliverRcpt = await (await token.connect(solver).transfer(user.address, amount)).wait();
+    const tDeliver = Date.now() - d0;
 
-    const ibbEnd = Date.now();
-    const tIbbE2E = tSelect + tIbbApproval + tFulfill + ACK_DELAY_MS;
-    const ibbGasUsed = Number(ibbApproveRcpt.gasUsed) + Number(fulfillRcpt.gasUsed);
+    // Phase 3: proof hop back to the source, committee attests the delivery, escrow is released
+    await sleep(TRAD_DELAY_MS);
+    const p0 = Date.now();
+    const settleRcpt = await escrow.proveDelivery(intentBridge, token, relayers, THRESHOLD, intentDigest, deliverRcpt.hash, { domain, submitter: r1 });
+    const tSettle = Date.now() - p0;
+
+    // The user is served once the delivery lands; settlement only concerns the solver
+    const tIbbE2E = tSelect + tIbbApproval + tIbbLock + tDeliver + ACK_DELAY_MS;
+    const dispatchGasUsed = Number(req.gasUsed) + Number(sched.gasUsed);
+    const ibbGasUsed =
+      Number(ibbApproveRcpt.gasUsed) +
+      Number(lockRcpt.gasUsed) +
+      Number(deliverRcpt.gasUsed) +
+      Number(settleRcpt.gasUsed);
 
     ibbSelectMs.push(tSelect);
+    ibbDispatchGas.push(dispatchGasUsed);
     ibbApprovalMs.push(tIbbApproval);
-    ibbFulfillMs.push(tFulfill);
+    ibbLockMs.push(tIbbLock);
+    ibbDeliverMs.push(tDeliver);
+    ibbSettleMs.push(tSettle);
+    ibbReimburseMs.push(tDeliver + TRAD_DELAY_MS + tSettle);
     ibbE2Ems.push(tIbbE2E);
     ibbGas.push(ibbGasUsed);
+    ibbUserGas.push(Number(ibbApproveRcpt.gasUsed));
+    ibbTxs.push(await costs.txRecords(ethers.provider, {
+      "dispatch.request": req.hash, "dispatch.reveal": sched.hash,
+      approve: ibbApproveRcpt, lock: lockRcpt, deliver: deliverRcpt, settle: settleRcpt,
+    }));
+
+    // ---------- IBB, gasless user (EIP-2612 permit) ----------
+    if (cfg.PERMIT) {
+      console.log("\n=== Intent Bridge (permit, no approve) ===");
+      // The user only signs: the intent and a permit of amount + fee that the solver applies in
+      // lockIntentWithPermit. No dispatch request either (that is a user transaction), so the
+      // intent is an open claim; the off-chain ACK delay is still counted.
+      const g0 = Date.now();
+      const permitIntent = await sdk.createIntent(intentBridge, { user, token: tokenAddr, amount, fee });
+      const permitUserSig = await sdk.signIntent(user, domain, permitIntent);
+      const permit = await sdk.signPermit(user, token, { spender: ibbAddr, value: amount + fee, deadline: permitIntent.deadline });
+      const tPermitSign = Date.now() - g0;
+
+      const g1 = Date.now();
+      const permitLock = await escrow.lockIntent(intentBridge, solver, { domain, intent: permitIntent, userSig: permitUserSig, permit });
+      const tPermitLock = Date.now() - g1;
+
+      const g2 = Date.now();
+      const permitDeliverRcpt = await (await token.connect(solver).transfer(user.address, amount)).wait();
+      const tPermitDeliver = Date.now() - g2;
+
+      // Settlement timing is already covered above; settle right away to free the escrow
+      const permitSettleRcpt = await escrow.proveDelivery(intentBridge, token, relayers, THRESHOLD, permitLock.intentDigest, permitDeliverRcpt.hash, { domain, submitter: r1 });
+
+      permitSignMs.push(tPermitSign);
+      permitLockMs.push(tPermitLock);
+      permitDeliverMs.push(tPermitDeliver);
+      permitE2Ems.push(tPermitSign + tPermitLock + tPermitDeliver + ACK_DELAY_MS);
+      permitGas.push(Number(permitLock.receipt.gasUsed) + Number(permitDeliverRcpt.gasUsed) + Number(permitSettleRcpt.gasUsed));
+      permitTxs.push(await costs.txRecords(ethers.provider, {
+        lock: permitLock.receipt, deliver: permitDeliverRcpt, settle: permitSettleRcpt,
+      }));
+    }
+  }
 
+  // ---------- IBB with a protocol fee split ----------
+  // The escrowed flow (approve, lock, deliver, settle) once per run without a protocol fee and once
+  // with PROTOCOL_FEE_BPS of the fee going to the treasury at settlement. Timing is covered above,
+  // so no delays here. The owner fills all of them (it holds the token supply for the deliveries),
+  // so the two passes differ only in the split.
+  const splitPass = async (bps) => {
+    const split = { gas: [], settleGas: [], solverRevenue: [], treasury: [] };
+    await protocolFee.setProtocolFee(intentBridge, owner, { bps, treasury: treasury.address });
+    for (let i = 0; i < RUNS; i++) {
+      const approveRcpt = await (await token.connect(user).approve(ibbAddr, amount + fee)).wait();
+      const f = await sdk.prepareFulfillment({ bridge: intentBridge, domain, user, solver: owner, token: tokenAddr, amount, fee });
+      const lock = await escrow.lockIntent(intentBridge, owner, { domain, intent: f.intent, userSig: f.userSig });
+      const deliverRcpt = await (await token.connect(owner).transfer(user.address, amount)).wait();
+      const [solverBefore, treasuryBefore] = await Promise.all([token.balanceOf(owner.address), token.balanceOf(treasury.address)]);
+      const settleRcpt = await escrow.proveDelivery(intentBridge, token, relayers, THRESHOLD, lock.intentDigest, deliverRcpt.hash, { domain, submitter: r1 });
+      const [solverAfter, treasuryAfter] = await Promise.all([token.balanceOf(owner.address), token.balanceOf(treasury.address)]);
+
+      split.gas.push(Number(approveRcpt.gasUsed) + Number(lock.receipt.gasUsed) + Number(deliverRcpt.gasUsed) + Number(settleRcpt.gasUsed));
+      split.settleGas.push(Number(settleRcpt.gasUsed));
+      // Settlement returns the delivered amount plus the solver's part of the fee
+      split.solverRevenue.push(Number(ethers.formatUnits(solverAfter - solverBefore - amount, 18)));
+      split.treasury.push(Number(ethers.formatUnits(treasuryAfter - treasuryBefore, 18)));
+    }
+    return split;
+  };
+  let noSplit = null;
+  let split = null;
+  if (cfg.PROTOCOL_FEE_BPS > 0) {
+    console.log(`\n=== Intent Bridge (protocol fee 0 / ${cfg.PROTOCOL_FEE_BPS} bps to the treasury) ===`);
+    noSplit = await splitPass(0);
+    split = await splitPass(cfg.PROTOCOL_FEE_BPS);
   }
 
+  // ---------- IBB refund path: locked, never delivered ----------
+  console.log("\n=== Intent Bridge (refund after deadline) ===");
+  const stuck = await sdk.prepareFulfillment({ bridge: intentBridge, domain, user, solver: s2, token: tokenAddr, amount, fee });
+  await (await token.connect(user).approve(ibbAddr, amount + fee)).wait();
+  const stuckLock = await escrow.lockIntent(intentBridge, s2, { domain, intent: stuck.intent, userSig: stuck.userSig });
+  await advanceTimeTo(ethers.provider, await escrow.refundableAt(intentBridge, stuckLock.intentDigest));
+  const refundRcpt = await escrow.refundIntent(intentBridge, stuckLock.intentDigest, { caller: user });
+  console.log(`Refunded ${ethers.formatUnits(amount + fee, 18)} TST to the user, gas ${refundRcpt.gasUsed}`);
+
   // ---- Aggregate stats ----
-  const stats = {
-    trad: {
-      approvalMs: { mean: mean(tradApprovalMs)},
-      lockMs: { mean: mean(tradLockMs)},
-      unlockMs: { mean: mean(tradUnlockMs)},
-      e2eMs: { mean: mean(tradE2Ems)},
-      gas: { mean: mean(tradGas)},
-    },
-    ibb: {
-      selectMs: { mean: mean(ibbSelectMs)},
-      approvalMs: { mean: mean(ibbApprovalMs)},
-      fulfillMs: { mean: mean(ibbFulfillMs)},
-      e2eMs: { mean: mean(ibbE2Ems)},
-      gas: { mean: mean(ibbGas)},
-    },
+  const trad = { approvalMs: tradApprovalMs, lockMs: tradLockMs, mintMs: tradMintMs, burnMs: tradBurnMs,
+    unlockMs: tradUnlockMs, e2eMs: tradE2Ems, gas: tradGas };
+  const ibb = { selectMs: ibbSelectMs, approvalMs: ibbApprovalMs, lockMs: ibbLockMs, deliverMs: ibbDeliverMs,
+    settleMs: ibbSettleMs, reimburseMs: ibbReimburseMs, e2eMs: ibbE2Ems, gas: ibbGas, userGas: ibbUserGas, dispatchGas: ibbDispatchGas };
+  const ibbPermit = cfg.PERMIT
+    ? { signMs: permitSignMs, lockMs: permitLockMs, deliverMs: permitDeliverMs, e2eMs: permitE2Ems, gas: permitGas }
+    : null;
+  // Same gas with the on-chain dispatch (request + reveal) charged to the IBB path
+  const ibbGasWithDispatch = ibbGas.map((g, i) => g + ibbDispatchGas[i]);
+
+  const bootRng = createRng(seed).fork("bootstrap");
+  const boot = (a, b, statistic) => stats.bootstrapCI(a, b, statistic, { iterations: cfg.BOOTSTRAP, rng: bootRng });
+  const ratios = {
+    RT: boot(tradE2Ems, ibbE2Ems, stats.latencyRatio),
+    RG: boot(tradGas, ibbGas, stats.gasSaving),
+    RGDispatch: boot(tradGas, ibbGasWithDispatch, stats.gasSaving),
   };
+  if (ibbPermit) {
+    ratios.RTPermit = boot(tradE2Ems, permitE2Ems, stats.latencyRatio);
+    ratios.RGPermit = boot(tradGas, permitGas, stats.gasSaving);
+  }
+  const tests = {
+    e2eMs: stats.compareSamples(tradE2Ems, ibbE2Ems),
+    gas: stats.compareSamples(tradGas, ibbGas),
+  };
+  const summary = {
+    trad: Object.fromEntries(Object.entries(trad).map(([k, xs]) => [k, stats.describe(xs)])),
+    ibb: Object.fromEntries(Object.entries(ibb).map(([k, xs]) => [k, stats.describe(xs)])),
+  };
+  if (ibbPermit) summary.ibbPermit = Object.fromEntries(Object.entries(ibbPermit).map(([k, xs]) => [k, stats.describe(xs)]));
+  const ms = (d) => `${d.mean.toFixed(2)} ± ${d.std.toFixed(2)}`;
 
-  const RT = stats.trad.e2eMs.mean / stats.ibb.e2eMs.mean;
-  const RG = (stats.trad.gas.mean - stats.ibb.gas.mean) / stats.trad.gas.mean;
-
-  console.log("\n=== Aggregated Results ===");
+  console.log("\n=== Aggregated Results (mean ± std) ===");
   console.table({
-    "Trad E2E (ms)": stats.trad.e2eMs.mean.toFixed(2),
-    "Trad Approv (ms)": stats.trad.approvalMs.mean.toFixed(2),
-    "Trad lock (ms)": stats.trad.lockMs.mean.toFixed(2),
-    "Trad Unlock(ms)": stats.trad.unlockMs.mean.toFixed(2),
-    "IBB E2E (ms)": stats.ibb.e2eMs.mean.toFixed(2),
-    "IBB Select (ms)": stats.ibb.selectMs.mean.toFixed(2),
-    "IBB Approv (ms)": stats.ibb.approvalMs.mean.toFixed(2),
-    "IBB Fullfil (ms)": stats.ibb.fulfillMs.mean.toFixed(2),
-    "R_T = Trad/IBB": RT.toFixed(2),
-    "Trad Gas (avg)": stats.trad.gas.mean.toFixed(0),
-    "IBB Gas (avg)": stats.ibb.gas.mean.toFixed(0),
-    "R_G (gas save)": (RG * 100).toFixed(2) + "%",
+    "Trad E2E (ms)": ms(summary.trad.e2eMs),
+    "Trad Approv (ms)": ms(summary.trad.approvalMs),
+    "Trad lock (ms)": ms(summary.trad.lockMs),
+    "Trad mint (ms)": ms(summary.trad.mintMs),
+    "Trad burn (ms)": ms(summary.trad.burnMs),
+    "Trad release (ms)": ms(summary.trad.unlockMs),
+    "IBB E2E (ms)": ms(summary.ibb.e2eMs),
+    "IBB Select (ms)": ms(summary.ibb.selectMs),
+    "IBB Approv (ms)": ms(summary.ibb.approvalMs),
+    "IBB lock (ms)": ms(summary.ibb.lockMs),
+    "IBB deliver (ms)": ms(summary.ibb.deliverMs),
+    "IBB settle (ms)": ms(summary.ibb.settleMs),
+    "IBB solver reimbursed (ms)": ms(summary.ibb.reimburseMs),
+    "R_T = Trad/IBB [95% CI]": stats.formatCI(ratios.RT),
+    "Trad Gas (avg)": summary.trad.gas.mean.toFixed(0),
+    "IBB Gas (avg)": summary.ibb.gas.mean.toFixed(0),
+    "IBB Dispatch Gas (avg)": summary.ibb.dispatchGas.mean.toFixed(0),
+    "R_G (gas save) [95% CI]": stats.formatCI(ratios.RG, 2, 100, "%"),
+    "R_G incl. dispatch [95% CI]": stats.formatCI(ratios.RGDispatch, 2, 100, "%"),
+    "IBB refund gas": Number(refundRcpt.gasUsed).toFixed(0),
+  });
+
+  if (ibbPermit) {
+    console.log("\n=== Gasless user: approve vs EIP-2612 permit (mean ± std) ===");
+    console.table({
+      "User transactions": { approve: "approve (+ dispatch request/reveal)", permit: "none (signatures only)" },
+      "User gas": { approve: summary.ibb.userGas.mean.toFixed(0), permit: "0" },
+      "IBB Gas (avg)": { approve: summary.ibb.gas.mean.toFixed(0), permit: summary.ibbPermit.gas.mean.toFixed(0) },
+      "IBB E2E (ms)": { approve: ms(summary.ibb.e2eMs), permit: ms(summary.ibbPermit.e2eMs) },
+      "User step (ms)": { approve: ms(summary.ibb.approvalMs), permit: ms(summary.ibbPermit.signMs) },
+      "IBB lock (ms)": { approve: ms(summary.ibb.lockMs), permit: ms(summary.ibbPermit.lockMs) },
+      "R_T = Trad/IBB [95% CI]": { approve: stats.formatCI(ratios.RT), permit: stats.formatCI(ratios.RTPermit) },
+      "R_G (gas save) [95% CI]": { approve: stats.formatCI(ratios.RG, 2, 100, "%"), permit: stats.formatCI(ratios.RGPermit, 2, 100, "%") },
+    });
+  }
+
+  if (split) {
+    const mean = (xs) => stats.mean(xs);
+    const col = (p) => ({
+      "Solver fee revenue": String(mean(p.solverRevenue)),
+      Treasury: String(mean(p.treasury)),
+      "Settle gas": mean(p.settleGas).toFixed(0),
+      "IBB Gas per fill": mean(p.gas).toFixed(0),
+      "Settle gas, first run": p.settleGas[0],
+    });
+    console.log(`\n=== Protocol fee split: solver revenue and gas per fill (fee ${cfg.FEE}, mean over ${RUNS} runs) ===`);
+    console.table({ "0 bps": col(noSplit), [`${cfg.PROTOCOL_FEE_BPS} bps`]: col(split) });
+  }
+
+  console.log("\n=== Distributions (ms / gas) ===");
+  console.table(Object.fromEntries([
+    ["Trad E2E", summary.trad.e2eMs], ["IBB E2E", summary.ibb.e2eMs],
+    ["Trad gas", summary.trad.gas], ["IBB gas", summary.ibb.gas],
+  ].map(([k, d]) => [k, { n: d.n, p25: d.p25.toFixed(0), p50: d.p50.toFixed(0), p75: d.p75.toFixed(0), p95: d.p95.toFixed(0) }])));
+
+  console.log(`\n=== Traditional vs IBB (two-sided, ${RUNS} runs each) ===`);
+  console.table(Object.fromEntries(Object.entries(tests).map(([k, T]) => [k, {
+    "Welch t": T.welch.t.toFixed(2),
+    "df": T.welch.df.toFixed(1),
+    "p (Welch)": stats.formatP(T.welch.p),
+    "Mann–Whitney U": T.mannWhitney.U,
+    "p (M–W)": `${stats.formatP(T.mannWhitney.p)} (${T.mannWhitney.method})`,
+  }])));
+
+  if (cfg.SAVE_FILES) {
+    await run.save({
+      runs: { trad, ibb, ...(ibbPermit && { ibbPermit }), ...(split && { ibbNoSplit: noSplit, ibbSplit: { protocolFeeBps: cfg.PROTOCOL_FEE_BPS, ...split } }) },
+      txs: { trad: tradTxs, ibb: ibbTxs, ...(ibbPermit && { ibbPermit: permitTxs }) },
+      refundGas: refundRcpt.gasUsed.toString(),
+      summary,
+      ratios,
+      tests,
+    }, {
+      metrics: {
+        "trad.e2e_ms": runs.metric("latency", "ms", tradE2Ems),
+        "trad.gas": runs.metric("gas", "gas", tradGas),
+        "ibb.e2e_ms": runs.metric("latency", "ms", ibbE2Ems),
+        "ibb.gas": runs.metric("gas", "gas", ibbGas),
+        "ibb.dispatch_gas": runs.metric("gas", "gas", ibbDispatchGas),
+        "ibb.refund_gas": runs.metric("gas", "gas", [refundRcpt.gasUsed]),
+        ...(ibbPermit && {
+          "ibbPermit.e2e_ms": runs.metric("latency", "ms", permitE2Ems),
+          "ibbPermit.gas": runs.metric("gas", "gas", permitGas),
+        }),
+        ...(split && {
+          "ibbNoSplit.gas": runs.metric("gas", "gas", noSplit.gas),
+          "ibbNoSplit.settle_gas": runs.metric("gas", "gas", noSplit.settleGas),
+          "ibbSplit.gas": runs.metric("gas", "gas", split.gas),
+          "ibbSplit.settle_gas": runs.metric("gas", "gas", split.settleGas),
+        }),
+      },
+    });
+  }
+}
+
+if (require.main === module) {
+  main().catch((err) => {
+    console.error("Error:", err);
+    process.exitCode = 1;
   });
 }
 
-main().catch((err) => {
-  console.error("Error:", err);
-  process.exitCode = 1;
-});
+module.exports = { CFG, main };
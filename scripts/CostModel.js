@@ -0,0 +1,187 @@
+/* eslint-disable no-console */
+//
+// Cost model — the measured transactions of a compare:bridges / compare:crosschain run in ETH and
+// USD under a gas-price and an ETH-price series, on L1 or on a rollup that charges calldata
+// (see lib/costs.js for the formulas). The user also pays the IBB solver fee (the run's FEE, in
+// tokens worth TOKEN_USD each), so IBB is only cheaper where the gas it saves outweighs the fee;
+// the break-even gas price marks where IBB stops being cheaper than lock–unlock.
+//
+// RUN:
+//   npx hardhat cost:model [--experiment compare-bridges --mode rollup]
+//   npx hardhat cost:model --gas-prices gas.csv --eth-usd eth.csv   (e.g. Etherscan chart exports)
+//   (no node or network needed; reads results/runs/)
+//
+// Series are CSV files keyed by their first column (the date); the two series are paired on it.
+// The defaults in data/*.example.csv are illustrative values in Etherscan's export format
+// ("Date(UTC)","UnixTimeStamp","Value (Wei)" / "Value"), not measurements.
+//
+// Outputs:
+//   - Console tables: calldata per step, costs at low/median/high gas price, break-even price
+//   - cost_<mode>[_permit].json in the priced run's directory (toggle via CFG.SAVE_FILES)
+// ---------------------------------------------------------------
+
+const fs = require("fs");
+const path = require("path");
+const runs = require("./lib/runs");
+const stats = require("./lib/stats");
+const costs = require("./lib/costs");
+
+// ---------------- CONFIG ----------------
+// Paths are relative to the repository root.
+const CFG = {
+  EXPERIMENT: "compare-bridges",          // or compare-crosschain; its latest run is priced
+  RUN: null,                              // run directory to price instead of the latest
+  MODE: "l1",                             // "l1" | "rollup"
+  GAS_PRICES: "data/gas_price.example.csv",
+  GAS_PRICE_COLUMN: "Value (Wei)",
+  GAS_PRICE_SCALE: 1e-9,                  // column unit -> gwei (1e-9 for wei, 1 for gwei)
+  ETH_USD: "data/eth_usd.example.csv",
+  ETH_USD_COLUMN: "Value",
+  TOKEN_USD: 1,                           // USD per bridged token (prices the solver fee)
+  INCLUDE_DISPATCH: false,                // charge compare-bridges' dispatch request + reveal to IBB
+  PERMIT: false,                          // price the gasless-user IBB flow (EIP-2612 permit, no approve)
+  ROLLUP: {
+    L2_GAS_PRICE_GWEI: 0.005,             // execution gas price on the rollup
+    OVERHEAD: 188,                        // fixed L1 data gas per transaction
+    SCALAR: 0.684,                        // L1 fee scalar
+  },
+  SAVE_FILES: true,
+};
+
+const ROOT = path.join(__dirname, "..");
+
+// Per-run transaction records of both paths, and the fee, from a compare run
+function pathsOf(run, cfg) {
+  const { experiment, config } = run.metadata;
+  let trad;
+  let ibb;
+  const ibbKey = cfg.PERMIT ? "ibbPermit" : "ibb";
+  if (experiment === "compare-bridges") {
+    trad = run.data.txs?.trad;
+    ibb = run.data.txs?.[ibbKey]?.map((txs) => txs.filter((t) => cfg.INCLUDE_DISPATCH || !t.step.startsWith("dispatch.")));
+  } else if (experiment === "compare-crosschain") {
+    trad = run.data.runs.every((r) => r.traditional.txs) ? run.data.runs.map((r) => r.traditional.txs) : undefined;
+    ibb = run.data.runs.every((r) => r[ibbKey]?.txs) ? run.data.runs.map((r) => r[ibbKey].txs) : undefined;
+  } else {
+    throw new Error(`cost:model prices compare-bridges or compare-crosschain runs, not ${experiment}`);
+  }
+  if (!trad || !ibb) {
+    throw new Error(`${run.dir} has no per-transaction records${cfg.PERMIT ? " of the permit flow" : ""}; re-run ${experiment} with this checkout`);
+  }
+  return { trad, ibb, fee: Number(config.FEE) };
+}
+
+// Mean gas and calldata per step over runs
+function stepTable(pathRuns) {
+  const steps = [...new Set(pathRuns.flat().map((t) => t.step))];
+  return steps.map((step) => {
+    const txs = pathRuns.flat().filter((t) => t.step === step);
+    return {
+      step,
+      gas: stats.mean(txs.map((t) => t.gasUsed)),
+      dataBytes: stats.mean(txs.map((t) => t.dataBytes)),
+      zeroBytes: stats.mean(txs.map((t) => t.zeroBytes)),
+      dataGas: stats.mean(txs.map(costs.calldataGas)),
+    };
+  });
+}
+
+async function main(cfg = CFG) {
+  const dirs = cfg.RUN ? [path.resolve(ROOT, cfg.RUN)] : runs.listRuns(cfg.EXPERIMENT);
+  if (!dirs.length) throw new Error(`No ${cfg.EXPERIMENT} run in ${runs.RUNS_DIR}; run it first`);
+  const run = runs.loadRun(dirs[dirs.length - 1]);
+  const { trad, ibb, fee } = pathsOf(run, cfg);
+
+  const gasSeries = costs.readSeries(path.resolve(ROOT, cfg.GAS_PRICES), { column: cfg.GAS_PRICE_COLUMN, scale: cfg.GAS_PRICE_SCALE });
+  const ethSeries = costs.readSeries(path.resolve(ROOT, cfg.ETH_USD), { column: cfg.ETH_USD_COLUMN });
+  const days = costs.joinSeries(gasSeries, ethSeries).map((d) => ({ key: d.key, gwei: d.a, ethUsd: d.b }));
+  if (!days.length) throw new Error(`${cfg.GAS_PRICES} and ${cfg.ETH_USD} share no dates`);
+
+  const rollup = { l2GasPriceGwei: cfg.ROLLUP.L2_GAS_PRICE_GWEI, overhead: cfg.ROLLUP.OVERHEAD, scalar: cfg.ROLLUP.SCALAR };
+  const line = { trad: costs.meanLinearCost(trad, cfg.MODE, rollup), ibb: costs.meanLinearCost(ibb, cfg.MODE, rollup) };
+  const feeUsd = fee * cfg.TOKEN_USD;
+  const priceName = cfg.MODE === "rollup" ? "L1 base fee" : "gas price";
+
+  console.log(`=== ${run.metadata.experiment} ${run.metadata.runId}: ${trad.length} runs, ${cfg.MODE} pricing` +
+    `${cfg.PERMIT ? ", IBB with permit" : ""} ===`);
+  console.log(`Series: ${days.length} days (${days[0].key} .. ${days[days.length - 1].key}); IBB fee ${fee} tokens = $${feeUsd.toFixed(4)}`);
+  for (const [name, pathRuns] of [["Traditional", trad], ["IBB", ibb]]) {
+    console.log(`\n--- ${name}: gas and calldata per transaction (mean over runs) ---`);
+    console.table(stepTable(pathRuns).map((s) => ({
+      Step: s.step,
+      Gas: s.gas.toFixed(0),
+      "Calldata (B)": s.dataBytes.toFixed(0),
+      "Zero bytes": s.zeroBytes.toFixed(0),
+      "L1 data gas": s.dataGas.toFixed(0),
+    })));
+  }
+
+  // Costs at the low / median / high gas price, at the median ETH price
+  const ethUsd = stats.percentile(days.map((d) => d.ethUsd), 50);
+  const usd = (c, gwei, extraEth = 0) => costs.costAt(c, gwei, extraEth) * ethUsd;
+  const scenarios = [["low (p10)", 10], ["median", 50], ["high (p90)", 90]].map(([name, p]) => {
+    const gwei = stats.percentile(days.map((d) => d.gwei), p);
+    const t = usd(line.trad, gwei);
+    const i = usd(line.ibb, gwei);
+    return { scenario: name, gwei, trad: t, ibb: i, ibbWithFee: i + feeUsd };
+  });
+  console.log(`\n=== Cost per transfer (USD at ETH $${ethUsd.toFixed(0)}) ===`);
+  console.table(scenarios.map((s) => ({
+    Scenario: s.scenario,
+    [`${priceName} (gwei)`]: s.gwei.toFixed(3),
+    Traditional: s.trad.toFixed(4),
+    "IBB gas": s.ibb.toFixed(4),
+    "IBB gas + fee": s.ibbWithFee.toFixed(4),
+    Cheaper: s.ibbWithFee < s.trad ? "IBB" : "Traditional",
+  })));
+
+  // Day by day over the series
+  const daily = days.map((d) => {
+    const feeEth = feeUsd / d.ethUsd;
+    return {
+      key: d.key,
+      trad: costs.costAt(line.trad, d.gwei) * d.ethUsd,
+      ibb: costs.costAt(line.ibb, d.gwei, feeEth) * d.ethUsd,
+    };
+  });
+  const ibbDays = daily.filter((d) => d.ibb < d.trad).length;
+  console.log(`Over the series: Traditional $${stats.mean(daily.map((d) => d.trad)).toFixed(4)}, ` +
+    `IBB incl. fee $${stats.mean(daily.map((d) => d.ibb)).toFixed(4)} on average; IBB cheaper on ${ibbDays}/${daily.length} days`);
+
+  // Break-even: IBB gas + fee = traditional gas
+  const breakEven = {
+    withFee: costs.breakEven(line.ibb, line.trad, feeUsd / ethUsd),
+    gasOnly: costs.breakEven(line.ibb, line.trad),
+  };
+  const describe = ({ gwei, aCheaperAbove }, what) => (gwei === null
+    ? `${what}: no break-even at a positive ${priceName}; ${costs.costAt(line.ibb, 1) < costs.costAt(line.trad, 1) ? "IBB" : "Traditional"} is cheaper throughout`
+    : `${what}: break-even at ${gwei.toFixed(4)} gwei ${priceName}; IBB is cheaper ${aCheaperAbove ? "above" : "below"} it`);
+  console.log(`\n${describe(breakEven.withFee, "IBB incl. fee vs Traditional")}`);
+  console.log(describe(breakEven.gasOnly, "IBB gas vs Traditional gas"));
+
+  if (cfg.SAVE_FILES) {
+    const file = path.join(run.dir, `cost_${cfg.MODE}${cfg.PERMIT ? "_permit" : ""}.json`);
+    await fs.promises.writeFile(file, JSON.stringify({
+      config: cfg,
+      ethUsd,
+      fee: { tokens: fee, usd: feeUsd },
+      linear: line,
+      trad: stepTable(trad),
+      ibb: stepTable(ibb),
+      scenarios,
+      daily,
+      breakEven,
+    }, null, 2));
+    console.log(`Saved -> ${path.relative(process.cwd(), file)}`);
+  }
+  return { line, scenarios, daily, breakEven };
+}
+
+if (require.main === module) {
+  main().catch((e) => {
+    console.error(e);
+    process.exit(1);
+  });
+}
+
+module.exports = { CFG, main };
@@ -0,0 +1,340 @@
+/* eslint-disable no-console */
+//
+// Cross-chain comparison — Traditional lock–mint vs IBB on two real local chains
+// Starts a source and a destination Hardhat node (distinct chainIds, interval mining) via
+// scripts/lib/twoChain.js, deploys on both and measures what the user actually waits for:
+//   Traditional: approve + lockTokens on source -> the relayer committee waits CFG.CONFIRMATIONS
+//                source blocks, co-signs (m-of-n) and mints the wrapped token on destination;
+//                delivered when the user's destination balance moves. The way back (burn on
+//                destination -> committee release on source) is measured as return_ms.
+//   IBB:         approve on source + signed intent -> solver locks amount + fee in escrow on source
+//                (lockIntent) -> solver pays the user on destination from its own wrapped-token
+//                inventory (delivered) -> the committee sees the confirmed payment, attests it and
+//                settleIntent releases the escrow to the solver (settle_ms). One extra intent is
+//                locked and never delivered to measure the refund after deadline + PROOF_WINDOW.
+//   IBB permit:  (CFG.PERMIT) the same without the user's approve: the user signs the intent and
+//                an EIP-2612 permit of amount + fee, which the solver applies in
+//                lockIntentWithPermit. The user sends no transaction at all.
+//
+// RUN:
+//   npx hardhat compare:crosschain [--runs 5 --confirmations 2 ...] [--params file.json]
+//   npx hardhat run scripts/CrossChainComparison.js   (CFG defaults)
+// (the script starts and stops its own two nodes; nothing needs to be running)
+//
+// Outputs:
+//   - Console summary
+//   - ./results/runs/compare-crosschain/<runId>/run.json (toggle via CFG.SAVE_FILES)
+// ---------------------------------------------------------------
+
+const hre = require("hardhat");
+const { ethers } = hre;
+const sdk = require("./lib/intentSdk");
+const { startTwoChains, waitFor } = require("./lib/twoChain");
+const { createRelayerCommittee } = require("./lib/committee");
+const escrow = require("./lib/escrow");
+const { advanceTimeTo } = require("./lib/chain");
+const { resolveSeed, createRng } = require("./lib/prng");
+const stats = require("./lib/stats");
+const { startRun, metric } = require("./lib/runs");
+const { txRecords } = require("./lib/costs");
+
+// ---------------- CONFIG ----------------
+const CFG = {
+  RUNS: 5,
+  AMOUNT: "100",
+  FEE: "0.01",
+  CONFIRMATIONS: 2,                                        // blocks before the committee relays
+  COMMITTEE: { SIGNERS: [3, 4, 5], THRESHOLD: 2 },         // node account indexes, m-of-n
+  SOURCE: { port: 8555, chainId: 1337, blockMs: 1000 },
+  DESTINATION: { port: 8556, chainId: 1338, blockMs: 500 },
+  BOOTSTRAP: 2000,                                         // resamples for the R_T / R_G confidence intervals
+  SEED: null,                                              // bootstrap PRNG seed (null = fresh, printed)
+  PERMIT: true,                                            // also run the gasless-user IBB flow
+  SAVE_FILES: true,
+};
+
+
+async function main(cfg = CFG) {
+  const chains = await startTwoChains({
+    configFile: hre.config.paths.configFile,
+    artifacts: hre.artifacts,
+    source: cfg.SOURCE,
+    destination: cfg.DESTINATION,
+  });
+  const { source, destination } = chains;
+  console.log(`source      chainId=${source.chainId} ${source.url} (block ${source.blockMs} ms)`);
+  console.log(`destination chainId=${destination.chainId} ${destination.url} (block ${destination.blockMs} ms)`);
+  const seed = resolveSeed(cfg.SEED);
+  const run = await startRun(hre, "compare-crosschain", {
+    config: cfg,
+    seed,
+    chains: [
+      { role: "source", network: source.url, chainId: source.chainId },
+      { role: "destination", network: destination.url, chainId: destination.chainId },
+    ],
+  });
+
+  let committee;
+  const runs = [];
+  let refund;
+  try {
+    // ---------------- Deploy (automine) ----------------
+    const members = await Promise.all(cfg.COMMITTEE.SIGNERS.map((i) => source.signer(i)));
+    const memberAddrs = await Promise.all(members.map((m) => m.getAddress()));
+    const { THRESHOLD } = cfg.COMMITTEE;
+
+    const srcToken   = await source.deploy("MockPermitToken");
+    const tradBridge = await source.deploy("TraditionalBridge", [memberAddrs, THRESHOLD]);
+    const ibb        = await source.deploy("UltraEfficientIntentBridge", [memberAddrs, THRESHOLD]);
+    const dstToken   = await destination.deploy("WrappedTokenMinter", [
+      "Wrapped TestToken", "wTTK", await srcToken.getAddress(), source.chainId, memberAddrs, THRESHOLD,
+    ]);
+
+    const srcUser   = await source.signer(1);
+    const srcSolver = await source.signer(2);
+    const dstUser   = await destination.signer(1);
+    const dstSolver = await destination.signer(2);
+    const user = await srcUser.getAddress();
+
+    const amount = ethers.parseUnits(cfg.AMOUNT, 18);
+    const fee = ethers.parseUnits(cfg.FEE, 18);
+    const flows = cfg.PERMIT ? 3 : 2; // traditional, IBB, IBB with permit
+    await (await srcToken.mint(user, (amount + fee) * BigInt(cfg.RUNS * flows + 1))).wait();
+    await (await srcToken.mint(await srcSolver.getAddress(), amount * BigInt(cfg.RUNS * (flows - 1)))).wait();
+    await (await ibb.connect(srcSolver).stake({ value: ethers.parseEther("1") })).wait();
+
+    const domain = await sdk.buildDomain(ibb);
+    const dstBalance = () => dstToken.balanceOf(user);
+
+    // Deployer accounts submit the committee's attestations on both chains
+    committee = createRelayerCommittee({
+      sourceBridge: tradBridge,
+      minter: dstToken,
+      members,
+      escrow: { bridge: ibb, deliveryToken: dstToken },
+      confirmations: cfg.CONFIRMATIONS,
+      pollMs: 100,
+    });
+    await committee.start();
+    await chains.setBlockTimes();
+
+    // Solver inventory on destination: bridged through the same lock–mint path (not measured)
+    const inventory = amount * BigInt(cfg.RUNS * (flows - 1));
+    await (await srcToken.connect(srcSolver).approve(await tradBridge.getAddress(), inventory)).wait();
+    const invRc = await (await tradBridge.connect(srcSolver).lockTokens(await srcToken.getAddress(), inventory)).wait();
+    await waitFor(() => committee.minted.find((m) => m.lockTx === invRc.hash), { what: "solver inventory mint" });
+
+    for (let i = 0; i < cfg.RUNS; i++) {
+      console.log(`\n========== RUN ${i + 1}/${cfg.RUNS} ==========`);
+
+      // ---------- Traditional: lock on source, relayer mints on destination ----------
+      const tradBefore = await dstBalance();
+      const t0 = Date.now();
+      const tradApproveRc = await (await srcToken.connect(srcUser).approve(await tradBridge.getAddress(), amount)).wait();
+      const lockRc = await (await tradBridge.connect(srcUser).lockTokens(await srcToken.getAddress(), amount)).wait();
+      const tLocked = Date.now();
+      await waitFor(async () => (await dstBalance()) >= tradBefore + amount, { what: "destination mint" });
+      const tDelivered = Date.now();
+      // (the committee may still be waiting for its own receipt)
+      const mint = await waitFor(() => committee.minted.find((m) => m.lockTx === lockRc.hash), { what: "committee mint" });
+
+      // Way back: burn the wrapped tokens, the committee releases the lock on source
+      const r0 = Date.now();
+      const burnRc = await (await dstToken.connect(dstUser).burn(amount)).wait();
+      const release = await waitFor(() => committee.released.find((r) => r.burnTx === burnRc.hash), { what: "committee release" });
+      const tReleased = Date.now();
+
+      const trad = {
+        e2e_ms: tDelivered - t0,
+        source_ms: tLocked - t0,
+        relay_ms: tDelivered - tLocked,
+        gas_source: (tradApproveRc.gasUsed + lockRc.gasUsed).toString(),
+        gas_destination: mint.mintGas.toString(),
+        return_ms: tReleased - r0,
+        gas_return: (burnRc.gasUsed + release.releaseGas).toString(),
+      };
+      // lib/costs records of the transactions counted in gas_source + gas_destination (cost:model)
+      const onChain = async (chain, provider, steps) => (await txRecords(provider, steps)).map((r) => ({ ...r, chain }));
+      trad.txs = [
+        ...(await onChain("source", source.provider, { approve: tradApproveRc, lock: lockRc })),
+        ...(await onChain("destination", destination.provider, { mint: mint.mintTx })),
+      ];
+      console.log(`Traditional: delivered in ${trad.e2e_ms} ms (lock ${trad.source_ms} ms, relay+mint ${trad.relay_ms} ms), ` +
+        `returned in ${trad.return_ms} ms`);
+
+      // ---------- IBB: escrow on source, solver pays on destination, committee settles ----------
+      const ibbBefore = await dstBalance();
+      const s0 = Date.now();
+      const ibbApproveRc = await (await srcToken.connect(srcUser).approve(await ibb.getAddress(), amount + fee)).wait();
+      const intent = await sdk.createIntent(ibb, { user: srcUser, token: srcToken, amount, fee });
+      const userSig = await sdk.signIntent(srcUser, domain, intent);
+      const tSigned = Date.now();
+
+      // Phase 1: solver locks the user's funds in escrow ...
+      const { intentDigest, receipt: ibbLockRc } = await escrow.lockIntent(ibb, srcSolver, { domain, intent, userSig });
+      const tIbbLocked = Date.now();
+
+      // Phase 2: ... fronts the funds on the destination chain, tagged with the intent ...
+      const payoutRc = await escrow.deliver(dstToken, dstSolver, { user, amount, intentDigest });
+      await waitFor(async () => (await dstBalance()) >= ibbBefore + amount, { what: "solver payout" });
+      const tPaid = Date.now();
+
+      // Phase 3: ... and the committee proves the payment on source, releasing amount + fee
+      const settle = await waitFor(() => committee.settled.find((r) => r.intentDigest === intentDigest), { what: "escrow settlement" });
+      const tSettled = Date.now();
+
+      const ibbRun = {
+        e2e_ms: tPaid - s0,
+        sign_ms: tSigned - s0,
+        lock_ms: tIbbLocked - tSigned,
+        payout_ms: tPaid - tIbbLocked,
+        settle_ms: tSettled - tPaid,
+        gas_source: (ibbApproveRc.gasUsed + ibbLockRc.gasUsed + settle.settleGas).toString(),
+        gas_destination: payoutRc.gasUsed.toString(),
+      };
+      ibbRun.txs = [
+        ...(await onChain("source", source.provider, { approve: ibbApproveRc, lock: ibbLockRc })),
+        ...(await onChain("destination", destination.provider, { deliver: payoutRc })),
+        ...(await onChain("source", source.provider, { settle: settle.settleTx })),
+      ];
+      console.log(`IBB:         delivered in ${ibbRun.e2e_ms} ms (lock ${ibbRun.lock_ms} ms, payout ${ibbRun.payout_ms} ms), ` +
+        `escrow settled ${ibbRun.settle_ms} ms later`);
+
+      // ---------- IBB permit: as above, the approve replaced by a signed permit ----------
+      let permitRun;
+      if (cfg.PERMIT) {
+        const pBefore = await dstBalance();
+        const p0 = Date.now();
+        const pIntent = await sdk.createIntent(ibb, { user: srcUser, token: srcToken, amount, fee });
+        const pUserSig = await sdk.signIntent(srcUser, domain, pIntent);
+        const permit = await sdk.signPermit(srcUser, srcToken, { spender: ibb, value: amount + fee, deadline: pIntent.deadline });
+        const pSigned = Date.now();
+        const pLock = await escrow.lockIntent(ibb, srcSolver, { domain, intent: pIntent, userSig: pUserSig, permit });
+        const pLocked = Date.now();
+        const pPayoutRc = await escrow.deliver(dstToken, dstSolver, { user, amount, intentDigest: pLock.intentDigest });
+        await waitFor(async () => (await dstBalance()) >= pBefore + amount, { what: "solver payout (permit)" });
+        const pPaid = Date.now();
+        const pSettle = await waitFor(() => committee.settled.find((r) => r.intentDigest === pLock.intentDigest), { what: "escrow settlement (permit)" });
+        const pSettled = Date.now();
+
+        permitRun = {
+          e2e_ms: pPaid - p0,
+          sign_ms: pSigned - p0,
+          lock_ms: pLocked - pSigned,
+          payout_ms: pPaid - pLocked,
+          settle_ms: pSettled - pPaid,
+          gas_source: (pLock.receipt.gasUsed + pSettle.settleGas).toString(),
+          gas_destination: pPayoutRc.gasUsed.toString(),
+        };
+        permitRun.txs = [
+          ...(await onChain("source", source.provider, { lock: pLock.receipt })),
+          ...(await onChain("destination", destination.provider, { deliver: pPayoutRc })),
+          ...(await onChain("source", source.provider, { settle: pSettle.settleTx })),
+        ];
+        console.log(`IBB permit:  delivered in ${permitRun.e2e_ms} ms (lock ${permitRun.lock_ms} ms, payout ${permitRun.payout_ms} ms), ` +
+          "no user transaction");
+      }
+
+      runs.push({ run: i + 1, traditional: trad, ibb: ibbRun, ...(permitRun && { ibbPermit: permitRun }) });
+    }
+
+    // ---------- IBB refund: locked, never delivered ----------
+    await (await srcToken.connect(srcUser).approve(await ibb.getAddress(), amount + fee)).wait();
+    const stuck = await sdk.createIntent(ibb, { user: srcUser, token: srcToken, amount, fee });
+    const stuckSig = await sdk.signIntent(srcUser, domain, stuck);
+    const { intentDigest: stuckDigest } = await escrow.lockIntent(ibb, srcSolver, { domain, intent: stuck, userSig: stuckSig });
+    await advanceTimeTo(source.provider, await escrow.refundableAt(ibb, stuckDigest));
+    const refundRc = await escrow.refundIntent(ibb, stuckDigest, { caller: srcUser });
+    refund = { intentDigest: stuckDigest, gas: refundRc.gasUsed.toString(), status: (await escrow.escrowOf(ibb, stuckDigest)).status };
+    console.log(`\nIBB refund after deadline: ${refund.status}, gas ${refund.gas}`);
+  } finally {
+    if (committee) await committee.stop();
+    await chains.stop();
+  }
+
+  // ---------------- Summary ----------------
+  const m = (sel) => stats.mean(runs.map(sel));
+  const gas = (r) => Number(r.gas_source) + Number(r.gas_destination);
+  const tradE2E = runs.map((r) => r.traditional.e2e_ms);
+  const ibbE2E = runs.map((r) => r.ibb.e2e_ms);
+  const tradGas = runs.map((r) => gas(r.traditional));
+  const ibbGas = runs.map((r) => gas(r.ibb));
+
+  const bootRng = createRng(seed).fork("bootstrap");
+  const ratios = {
+    RT: stats.bootstrapCI(tradE2E, ibbE2E, stats.latencyRatio, { iterations: cfg.BOOTSTRAP, rng: bootRng }),
+    RG: stats.bootstrapCI(tradGas, ibbGas, stats.gasSaving, { iterations: cfg.BOOTSTRAP, rng: bootRng }),
+  };
+  const permitE2E = cfg.PERMIT ? runs.map((r) => r.ibbPermit.e2e_ms) : [];
+  const permitGas = cfg.PERMIT ? runs.map((r) => gas(r.ibbPermit)) : [];
+  if (cfg.PERMIT) {
+    ratios.RTPermit = stats.bootstrapCI(tradE2E, permitE2E, stats.latencyRatio, { iterations: cfg.BOOTSTRAP, rng: bootRng });
+    ratios.RGPermit = stats.bootstrapCI(tradGas, permitGas, stats.gasSaving, { iterations: cfg.BOOTSTRAP, rng: bootRng });
+  }
+  const tests = { e2eMs: stats.compareSamples(tradE2E, ibbE2E), gas: stats.compareSamples(tradGas, ibbGas) };
+  const ms = (xs) => `${stats.mean(xs).toFixed(0)} ± ${stats.std(xs).toFixed(0)}`;
+
+  console.log(`\n=== Cross-chain results (mean ± std; bootstrap seed ${seed}) ===`);
+  console.table({
+    "Trad E2E (ms)": ms(tradE2E),
+    "Trad lock (ms)": m((r) => r.traditional.source_ms).toFixed(0),
+    "Trad relay+mint (ms)": m((r) => r.traditional.relay_ms).toFixed(0),
+    "Trad burn->release (ms)": m((r) => r.traditional.return_ms).toFixed(0),
+    "IBB E2E (ms)": ms(ibbE2E),
+    "IBB lock (ms)": m((r) => r.ibb.lock_ms).toFixed(0),
+    "IBB payout (ms)": m((r) => r.ibb.payout_ms).toFixed(0),
+    "IBB settle (ms)": m((r) => r.ibb.settle_ms).toFixed(0),
+    "R_T = Trad/IBB [95% CI]": stats.formatCI(ratios.RT),
+    "Trad Gas (both chains)": stats.mean(tradGas).toFixed(0),
+    "IBB Gas (both chains)": stats.mean(ibbGas).toFixed(0),
+    "R_G (gas save) [95% CI]": stats.formatCI(ratios.RG, 2, 100, "%"),
+    "Trad return gas": m((r) => Number(r.traditional.gas_return)).toFixed(0),
+    "IBB refund gas": refund ? refund.gas : "n/a",
+  });
+
+  if (cfg.PERMIT) {
+    const approveGas = runs.map((r) => r.ibb.txs.find((t) => t.step === "approve").gasUsed);
+    console.log("\n=== Gasless user: approve vs EIP-2612 permit (mean ± std) ===");
+    console.table({
+      "User gas": { approve: stats.mean(approveGas).toFixed(0), permit: "0" },
+      "IBB Gas (both chains)": { approve: stats.mean(ibbGas).toFixed(0), permit: stats.mean(permitGas).toFixed(0) },
+      "IBB E2E (ms)": { approve: ms(ibbE2E), permit: ms(permitE2E) },
+      "User step (ms)": { approve: m((r) => r.ibb.sign_ms).toFixed(0), permit: m((r) => r.ibbPermit.sign_ms).toFixed(0) },
+      "R_T = Trad/IBB [95% CI]": { approve: stats.formatCI(ratios.RT), permit: stats.formatCI(ratios.RTPermit) },
+      "R_G (gas save) [95% CI]": { approve: stats.formatCI(ratios.RG, 2, 100, "%"), permit: stats.formatCI(ratios.RGPermit, 2, 100, "%") },
+    });
+  }
+
+  console.log(`\n=== Traditional vs IBB (two-sided, ${runs.length} runs each) ===`);
+  console.table(Object.fromEntries(Object.entries(tests).map(([k, T]) => [k, {
+    "Welch t": T.welch.t.toFixed(2),
+    "p (Welch)": stats.formatP(T.welch.p),
+    "Mann–Whitney U": T.mannWhitney.U,
+    "p (M–W)": `${stats.formatP(T.mannWhitney.p)} (${T.mannWhitney.method})`,
+  }])));
+
+  if (cfg.SAVE_FILES) {
+    await run.save({ runs, refund, ratios, tests }, {
+      metrics: {
+        "trad.e2e_ms": metric("latency", "ms", tradE2E),
+        "trad.gas": metric("gas", "gas", tradGas),
+        "ibb.e2e_ms": metric("latency", "ms", ibbE2E),
+        "ibb.settle_ms": metric("latency", "ms", runs.map((r) => r.ibb.settle_ms)),
+        "ibb.gas": metric("gas", "gas", ibbGas),
+        ...(cfg.PERMIT && {
+          "ibbPermit.e2e_ms": metric("latency", "ms", permitE2E),
+          "ibbPermit.gas": metric("gas", "gas", permitGas),
+        }),
+      },
+    });
+  }
+}
+
+if (require.main === module) {
+  main().catch((e) => {
+    console.error(e);
+    process.exit(1);
+  });
+}
+
+module.exports = { CFG, main };
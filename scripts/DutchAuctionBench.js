@@ -0,0 +1,190 @@
+/* eslint-disable no-console */
+//
+// Dutch-auction fee — the fee solvers actually accept and how long a fill takes when the user
+// signs a fee path instead of a fee. Every intent's fee rises linearly from START_FEE to END_FEE
+// over a decay window (the contract's dutchFeeAt, read at fill time). Each decay window in
+// DECAY_WINDOWS is one curve: the shorter the window, the steeper the rise per block. For every
+// curve and every reservation range in RESERVATION_RANGES, TRIALS intents are auctioned among
+// SOLVERS staked solvers (lib/dutchAuction.js). Each solver draws a private reservation price in
+// the range (a fraction of END_FEE) and fills at the first block whose fee reaches it.
+//
+// Per trial:
+//   fee       the fee paid (DutchFulfilled)
+//   overpay   fee - lowest reservation: what the block step of the path leaves to the winner
+//   vs 2nd    fee - second-lowest reservation (< 0: the user paid less than a second-price auction)
+//   T_fill    chain seconds from decayStart to the fill block; blocks every BLOCK_SECONDS
+//   reverted  fills of other solvers that landed in the same block and lost
+//
+// RUN:
+//   npx hardhat bench:dutch
+//   npx hardhat bench:dutch --decay-windows 10,30,120 --reservation-ranges "0.1,0.3;0.7,1.0" --block-seconds 12
+//
+// Outputs:
+//   - Console tables: per curve and reservation range; fulfillDutch vs fulfillIntent gas
+//   - ./results/runs/bench-dutch/<runId>/run.json (toggle via CFG.SAVE_FILES)
+// ---------------------------------------------------------------
+
+const hre = require("hardhat");
+const { ethers } = hre;
+const sdk = require("./lib/intentSdk");
+const { runDutchAuction } = require("./lib/dutchAuction");
+const stats = require("./lib/stats");
+const runs = require("./lib/runs");
+const { resolveSeed, createRng } = require("./lib/prng");
+
+// ---------------- CONFIG ----------------
+const CFG = {
+  TRIALS: 8,                                   // intents per curve and reservation range
+  SOLVERS: 4,
+  AMOUNT: "10.00",
+  START_FEE: "0.05",
+  END_FEE: "1.00",
+  DECAY_WINDOWS: [12, 60, 240],                // seconds from START_FEE to END_FEE, one curve each
+  RESERVATION_RANGES: [[0.1, 0.4], [0.5, 0.9]], // solver reservation prices, fractions of END_FEE
+  BLOCK_SECONDS: 2,
+  SEED: null,
+  SAVE_FILES: true,
+};
+
+const unit = (x) => ethers.parseUnits(x, 18);
+const fmt = (wei) => Number(ethers.formatUnits(wei, 18));
+
+async function setup(cfg) {
+  const [deployer, user, ...rest] = await ethers.getSigners();
+  const solvers = rest.slice(0, cfg.SOLVERS);
+  const token = await (await ethers.getContractFactory("MockToken")).deploy();
+  await token.waitForDeployment();
+  const bridge = await (await ethers.getContractFactory("UltraEfficientIntentBridge")).deploy([deployer.address], 1);
+  await bridge.waitForDeployment();
+
+  await (await token.mint(user.address, unit("1000000"))).wait();
+  await (await token.connect(user).approve(await bridge.getAddress(), ethers.MaxUint256)).wait();
+  for (const s of solvers) await (await bridge.connect(s).stake({ value: ethers.parseEther("1") })).wait();
+  return { bridge, token, user, solvers, domain: await sdk.buildDomain(bridge) };
+}
+
+// Same-token reference: fulfillIntent gas, measured after a warm-up fill (also warms the solvers' balances)
+async function referenceFill(env, cfg) {
+  const { bridge, domain, user, solvers, token } = env;
+  let rc;
+  for (const solver of [...solvers, solvers[0]]) {
+    const f = await sdk.prepareFulfillment({ bridge, domain, user, solver, token, amount: unit(cfg.AMOUNT), fee: unit(cfg.END_FEE) });
+    rc = await (await bridge.connect(solver).fulfillIntent(...sdk.fulfillArgs(f.intent, f.userSig, f.solverSig))).wait();
+  }
+  return Number(rc.gasUsed);
+}
+
+async function trial(env, cfg, rng, windowSecs, range) {
+  const { bridge, domain, user, solvers, token } = env;
+  const endFee = unit(cfg.END_FEE);
+  const [lo, hi] = range.map((x) => Math.round(x * 10_000));
+  const reservations = solvers.map(() => (endFee * BigInt(rng.int(lo, hi))) / 10_000n);
+
+  const { timestamp } = await ethers.provider.getBlock("latest");
+  const intent = await sdk.createDutchIntent(bridge, {
+    user, token, amount: unit(cfg.AMOUNT), startFee: unit(cfg.START_FEE), endFee,
+    decayStart: timestamp + cfg.BLOCK_SECONDS, decaySecs: windowSecs,
+  });
+  const userSig = await sdk.signDutchIntent(user, domain, intent);
+  const res = await runDutchAuction({
+    bridge, domain, intent, userSig, blockSeconds: cfg.BLOCK_SECONDS, rng,
+    solvers: solvers.map((signer, k) => ({ signer, reservation: reservations[k] })),
+  });
+
+  const sorted = [...reservations].sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+  const row = { window: windowSecs, range, reservations: reservations.map(String), filled: res.filled, blocks: res.blocks };
+  if (!res.filled) return row;
+  const lowestWon = reservations[solvers.findIndex((s) => s.address === res.winner)] === sorted[0];
+  return {
+    ...row,
+    fee: fmt(res.fee),
+    overpay: fmt(res.fee - sorted[0]),
+    vsSecond: sorted.length > 1 ? fmt(res.fee - sorted[1]) : null,
+    lowestWon,
+    T_fill_s: res.T_fill_s,
+    bidders: res.bidders,
+    reverted: res.reverted,
+    wastedGas: Number(res.wastedGas),
+    gas_fulfillDutch: Number(res.gasUsed),
+  };
+}
+
+// ---------------- MAIN -------------------
+async function main(cfg = CFG) {
+  const seed = resolveSeed(cfg.SEED);
+  const rng = createRng(seed);
+  console.log("Seed:", seed);
+  const run = await runs.startRun(hre, "bench-dutch", { config: cfg, seed });
+  const env = await setup(cfg);
+  const gasIntent = await referenceFill(env, cfg);
+
+  const trials = [];
+  const scenarios = [];
+  for (const windowSecs of cfg.DECAY_WINDOWS) {
+    for (const range of cfg.RESERVATION_RANGES) {
+      const xs = [];
+      for (let i = 0; i < cfg.TRIALS; i++) xs.push(await trial(env, cfg, rng, windowSecs, range));
+      trials.push(...xs);
+      const ok = xs.filter((t) => t.filled);
+      const avg = (k) => (ok.length ? stats.mean(ok.map((t) => t[k])) : null);
+      scenarios.push({
+        window: windowSecs,
+        range,
+        // Fee rise per block, at most the whole path when a block spans the window
+        slopePerBlock: (Number(cfg.END_FEE) - Number(cfg.START_FEE)) * Math.min(1, cfg.BLOCK_SECONDS / Math.max(windowSecs, 1)),
+        trials: xs.length,
+        filled: ok.length,
+        fee: avg("fee"),
+        overpay: avg("overpay"),
+        vsSecond: avg("vsSecond"),
+        lowestWon: ok.filter((t) => t.lowestWon).length,
+        T_fill_s: avg("T_fill_s"),
+        T_fill_p95_s: ok.length ? stats.percentile(ok.map((t) => t.T_fill_s), 95) : null,
+        reverted: xs.reduce((a, t) => a + (t.reverted ?? 0), 0),
+      });
+    }
+  }
+
+  console.log(`\n=== Dutch-auction fee: ${cfg.START_FEE} -> ${cfg.END_FEE} on ${cfg.AMOUNT}, ${cfg.SOLVERS} solvers, ` +
+    `block every ${cfg.BLOCK_SECONDS} s (means over filled intents) ===`);
+  const f = (x, d = 4) => (x === null ? "-" : x.toFixed(d));
+  console.table(scenarios.map((s) => ({
+    "Window (s)": s.window,
+    "Reservation (x end fee)": s.range.join("–"),
+    "Fee step/block": f(s.slopePerBlock),
+    Filled: `${s.filled}/${s.trials}`,
+    "Fee accepted": f(s.fee),
+    Overpay: f(s.overpay),
+    "vs 2nd lowest": f(s.vsSecond),
+    "Lowest won": `${s.lowestWon}/${s.filled}`,
+    "T_fill mean (s)": f(s.T_fill_s, 1),
+    "T_fill p95 (s)": f(s.T_fill_p95_s, 1),
+    Reverted: s.reverted,
+  })));
+
+  const filled = trials.filter((t) => t.filled);
+  const gasDutch = filled.length ? stats.mean(filled.map((t) => t.gas_fulfillDutch)) : null;
+  if (gasDutch !== null) {
+    console.log(`\nGas: fulfillDutch ${gasDutch.toFixed(0)} vs fulfillIntent ${gasIntent} (${gasDutch >= gasIntent ? "+" : ""}${(gasDutch - gasIntent).toFixed(0)}); ` +
+      `lost same-block fills burned ${filled.reduce((a, t) => a + t.wastedGas, 0)} gas in total`);
+  }
+
+  if (cfg.SAVE_FILES) {
+    const metrics = { "fulfillIntent.gas": runs.metric("gas", "gas", [gasIntent]) };
+    if (filled.length) {
+      metrics["fulfillDutch.gas"] = runs.metric("gas", "gas", filled.map((t) => t.gas_fulfillDutch));
+      metrics["dutch.T_fill_s"] = runs.metric("latency", "s", filled.map((t) => t.T_fill_s));
+    }
+    await run.save({ gasIntent, scenarios, trials }, { metrics });
+  }
+  return { gasIntent, scenarios, trials };
+}
+
+if (require.main === module) {
+  main().catch((e) => {
+    console.error(e);
+    process.exit(1);
+  });
+}
+
+module.exports = { CFG, main };
@@ -5,16 +5,19 @@
 // ACK latency here is the solver's off-chain time-to-act before calling fulfillIntent.
 //
 // RUN:
-//   npx hardhat run scripts/Exp1_DynamicMonitoring_UEIBB.js
+//   npx hardhat monitor:ibb [--trials 100 --delta-ack-ms 2000 ...] [--params file.json]
+//   npx hardhat run scripts/DynamicMonitoring_IBB.js   (CFG defaults)
 //
 // Outputs:
 //   - Console summary + ASCII histogram
-//   - ./results/exp1_results.json and .csv (toggle via CFG.SAVE_FILES)
+//   - ./results/runs/monitor-ibb/<runId>/run.json and exp1_results.csv (toggle via CFG.SAVE_FILES)
 // ---------------------------------------------------------------
 
-const fs = require("fs");
-const path = require("path");
-const { ethers } = require("hardhat");
+const hre = require("hardhat");
+const { ethers } = hre;
+const sdk = require("./lib/intentSdk");
+const { resolveSeed, createRng } = require("./lib/prng");
+const runs = require("./lib/runs");
 
 // ---------------- CONFIG ----------------
 const CFG = {
@@ -26,18 +29,17 @@ const CFG = {
   AMOUNT: "10.0",              // 10 tokens (assume 18 decimals)
   FEE: "0.01",
   DEADLINE_SECS: 3600,         // intent validity horizon (now + 1h)
+  SEED: null,                  // PRNG seed for solver picks, jitter and injection (null = fresh, printed)
   SAVE_FILES: true,
-  FRESH_DEPLOY: true           // set false to attach to existing addresses
-};
-
-// If attaching to existing deployments (FRESH_DEPLOY=false), set:
-const ADDR = {
-  TOKEN: "0xYourMockTokenAddress",
-  BRIDGE: "0xYourUltraEfficientIntentBridgeAddress"
+  FRESH_DEPLOY: true,          // set false to attach to existing addresses
+  // If attaching to existing deployments (FRESH_DEPLOY=false), set:
+  ADDR: {
+    TOKEN: "0xYourMockTokenAddress",
+    BRIDGE: "0xYourUltraEfficientIntentBridgeAddress"
+  }
 };
 
 // -------------- UTILS -------------------
-function randInt(min, max) { return Math.floor(Math.random() * (max - min + 1)) + min; }
 function sleep(ms) { return new Promise(res => setTimeout(res, ms)); }
 function mean(xs) { return xs.reduce((a,b)=>a+b,0) / (xs.length || 1); }
 function std(xs) { const m = mean(xs); return Math.sqrt(mean(xs.map(x => (x - m) ** 2))); }
@@ -67,48 +69,30 @@ function asciiHistogram(data, bins=20, width=40, label="") {
   }
   return out;
 }
-async function ensureDir(d) { await fs.promises.mkdir(d, { recursive: true }); }
-function rowToCsv(o) {
+function rowToCsv(o, seed) {
   return [
     o.trial,
     o.solver,
     o.ack_time_ms,
     o.ack_anomaly ? 1 : 0,
-    o.gas_fulfill
+    o.gas_fulfill,
+    seed
   ].join(",");
 }
 
-// -------------- EIP-712 helpers (match your contract) --------------
-function intentTypes() {
-  return {
-    Intent: [
-      { name: "user",     type: "address"  },
-      { name: "token",    type: "address"  },
-      { name: "amount",   type: "uint256"  },
-      { name: "fee",      type: "uint256"  },
-      { name: "nonce",    type: "uint256"  },
-      { name: "deadline", type: "uint256"  }
-    ]
-  };
-}
-function solverTypes() {
-  return {
-    SolverCommitment: [
-      { name: "intentDigest", type: "bytes32" }
-    ]
-  };
-}
-
 // ---------------- MAIN -------------------
-async function main() {
+async function main(cfg = CFG) {
   const [deployer, user, ...rest] = await ethers.getSigners();
   const solvers = rest.slice(0, 5); // use first 5 as solver pool
 
-  // Output paths
-  const outDir  = path.join(__dirname, "..", "results");
-  const jsonOut = path.join(outDir, "exp1_results.json");
-  const csvOut  = path.join(outDir, "exp1_results.csv");
-  if (CFG.SAVE_FILES) await ensureDir(outDir);
+  // Separate streams: changing the injection rate does not reshuffle the solver sequence
+  const seed = resolveSeed(cfg.SEED);
+  const rng = createRng(seed);
+  const pickRng = rng.fork("solver");
+  const jitterRng = rng.fork("jitter");
+  const injectRng = rng.fork("inject");
+
+  const run = await runs.startRun(hre, "monitor-ibb", { config: cfg, seed });
 
   // Factories
   const Token  = await ethers.getContractFactory("MockToken");
@@ -116,22 +100,23 @@ async function main() {
 
   // Deploy / attach
   let token, bridge;
-  if (CFG.FRESH_DEPLOY) {
+  if (cfg.FRESH_DEPLOY) {
     token = await Token.deploy();
     await token.waitForDeployment();
 
     // Mint a large balance to user
     await (await token.mint(user.address, ethers.parseUnits("1000000", 18))).wait();
 
-    // Your UEIBB has EIP712 only; constructor takes no args in your code
-    bridge = await Bridge.deploy();
+    // Deployer doubles as the 1-of-1 delivery committee (escrow path unused here)
+    bridge = await Bridge.deploy([deployer.address], 1);
     await bridge.waitForDeployment();
   } else {
-    token  = await Token.attach(ADDR.TOKEN);
-    bridge = await Bridge.attach(ADDR.BRIDGE);
+    token  = await Token.attach(cfg.ADDR.TOKEN);
+    bridge = await Bridge.attach(cfg.ADDR.BRIDGE);
   }
 
   console.log("== UEIBB – Experiment 1 ==");
+  console.log("Seed    :", seed);
   console.log("Deployer:", deployer.address);
   console.log("User    :", user.address);
   console.log("Solvers :", solvers.map(s=>s.address).join(", "));
@@ -148,75 +133,57 @@ async function main() {
   }
 
   // Prepare constants
-  const chainId = (await ethers.provider.getNetwork()).chainId;
-  const domain = {
-    name:  "UltraEfficientIntentBridge",
-    version: "1",
-    chainId,
-    verifyingContract: await bridge.getAddress()
-  };
-  const amountWei = ethers.parseUnits(CFG.AMOUNT, 18);
-  const feeWei    = ethers.parseUnits(CFG.FEE, 18);
+  const domain = await sdk.buildDomain(bridge);
+  const amountWei = ethers.parseUnits(cfg.AMOUNT, 18);
+  const feeWei    = ethers.parseUnits(cfg.FEE, 18);
 
   const rows = [];
 
-  for (let trial = 1; trial <= CFG.TRIALS; trial++) {
-    const solver = solvers[Math.floor(Math.random() * solvers.length)];
-    const now    = Math.floor(Date.now() / 1000);
-    const deadline = BigInt(now + CFG.DEADLINE_SECS);
-
-    // Fetch nonce from UEIBB
-    const nonce = await bridge.nonces(user.address);
-
-    // Build EIP-712 intent and signatures
-    const intentValue = {
-      user:     user.address,
-      token:    await token.getAddress(),
-      amount:   amountWei,
-      fee:      feeWei,
-      nonce:    nonce,
-      deadline: deadline
-    };
+  for (let trial = 1; trial <= cfg.TRIALS; trial++) {
+    const solver = pickRng.pick(solvers);
+    const { timestamp: now } = await ethers.provider.getBlock("latest");
+    const deadline = BigInt(now + cfg.DEADLINE_SECS);
+
+    // Build EIP-712 intent (live nonce from UEIBB) and signatures
+    const intent = await sdk.createIntent(bridge, {
+      user,
+      token,
+      amount: amountWei,
+      fee: feeWei,
+      deadline
+    });
 
     // User signs the intent
-    const userSig = await user.signTypedData(domain, intentTypes(), intentValue);
+    const userSig = await sdk.signIntent(user, domain, intent);
 
     // Compute intentDigest (must match contract's _hashTypedDataV4(IntentStruct))
-    const intentDigest = ethers.TypedDataEncoder.hash(domain, intentTypes(), intentValue);
+    const intentDigest = sdk.intentDigest(domain, intent);
 
     // Solver signs commitment over the digest
-    const solverCommitValue = { intentDigest };
-    const solverSig = await solver.signTypedData(domain, solverTypes(), solverCommitValue);
+    const solverSig = await sdk.signSolverCommitment(solver, domain, intentDigest);
 
     // Inject solver wait before fulfill (simulated ACK time)
-    const base   = randInt(CFG.BASE_ACK_JITTER_MS[0], CFG.BASE_ACK_JITTER_MS[1]);
-    const inject = Math.random() < CFG.INJECT_ACK_ANOM_RATE ? CFG.INJECT_ACK_EXTRA_MS : 0;
+    const base   = jitterRng.int(cfg.BASE_ACK_JITTER_MS[0], cfg.BASE_ACK_JITTER_MS[1]);
+    const inject = injectRng.chance(cfg.INJECT_ACK_ANOM_RATE) ? cfg.INJECT_ACK_EXTRA_MS : 0;
     const waitMs = base + inject;
     await sleep(waitMs);
 
     // Solver calls fulfillIntent
-    const tx = await bridge.connect(solver).fulfillIntent(
-      user.address,
-      await token.getAddress(),
-      amountWei,
-      feeWei,
-      deadline,
-      userSig,
-      solverSig
-    );
+    const tx = await bridge.connect(solver).fulfillIntent(...sdk.fulfillArgs(intent, userSig, solverSig));
     const rc = await tx.wait();
 
-    const ackAnomaly = waitMs > CFG.DELTA_ACK_MS;
+    const ackAnomaly = waitMs > cfg.DELTA_ACK_MS;
 
     rows.push({
       trial,
       solver: solver.address,
       ack_time_ms: waitMs,       // off-chain acknowledge/act latency
       ack_anomaly: ackAnomaly,
+      injected: inject > 0,
       gas_fulfill: Number(rc.gasUsed)
     });
 
-    if (trial % 10 === 0) console.log(`.. trial ${trial}/${CFG.TRIALS}`);
+    if (trial % 10 === 0) console.log(`.. trial ${trial}/${cfg.TRIALS}`);
   }
 
   // ------- Summary -------
@@ -225,30 +192,33 @@ async function main() {
   const anomalies = rows.filter(r => r.ack_anomaly).length;
 
   console.log("\n=== Summary (UEIBB) ===");
-  console.log(`Trials              : ${CFG.TRIALS}`);
-  console.log(`Δ_ack (ms)          : ${CFG.DELTA_ACK_MS}`);
+  console.log(`Trials              : ${cfg.TRIALS}`);
+  console.log(`Seed                : ${seed}`);
+  console.log(`Δ_ack (ms)          : ${cfg.DELTA_ACK_MS}`);
   console.log(`ACK mean (ms)       : ${mean(ack).toFixed(2)}`);
   console.log(`ACK std  (ms)       : ${std(ack).toFixed(2)}`);
   console.log(`ACK p25|p50|p75     : ${pct(ack,25).toFixed(1)} | ${pct(ack,50).toFixed(1)} | ${pct(ack,75).toFixed(1)}`);
-  console.log(`ACK anomalies count : ${anomalies} (${((anomalies/CFG.TRIALS)*100).toFixed(1)}%)`);
+  console.log(`ACK anomalies count : ${anomalies} (${((anomalies/cfg.TRIALS)*100).toFixed(1)}%)`);
   console.log(`Gas fulfill mean    : ${mean(gasFu).toFixed(2)}`);
   console.log(`Gas fulfill std     : ${std(gasFu).toFixed(2)}`);
 
   // ASCII histogram for ACK times
   console.log(asciiHistogram(ack, 20, 40, "ACK time (ms)"));
 
-  if (CFG.SAVE_FILES) {
-    await ensureDir(outDir);
-    const header = "trial,solver,ack_time_ms,ack_anomaly,gas_fulfill\n";
-    const csv = header + rows.map(rowToCsv).join("\n");
-    await fs.promises.writeFile(jsonOut, JSON.stringify(rows, null, 2));
-    await fs.promises.writeFile(csvOut, csv);
-    console.log(`Saved -> ${jsonOut}`);
-    console.log(`Saved -> ${csvOut}`);
+  if (cfg.SAVE_FILES) {
+    const header = "trial,solver,ack_time_ms,ack_anomaly,gas_fulfill,seed\n";
+    await run.save({ rows }, {
+      metrics: { ack_time_ms: runs.metric("latency", "ms", ack), gas_fulfill: runs.metric("gas", "gas", gasFu) },
+      files: { "exp1_results.csv": header + rows.map((r) => rowToCsv(r, seed)).join("\n") },
+    });
   }
 }
 
-main().catch(e => {
-  console.error(e);
-  process.exit(1);
-});
+if (require.main === module) {
+  main().catch(e => {
+    console.error(e);
+    process.exit(1);
+  });
+}
+
+module.exports = { CFG, main };
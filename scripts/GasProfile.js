@@ -0,0 +1,169 @@
+/* eslint-disable no-console */
+//
+// Gas profile — where the gas of fulfillIntent, lockTokens and releaseTokens goes, per phase
+// (ECDSA recovers, EIP-712 hashing, each storage variable, token transfer, events, ...), with
+// cold/warm storage and account accesses. Built on debug_traceTransaction, see lib/gasProfile.js.
+//
+// The scenario deploys fresh contracts and profiles three fills of one user's intents: the very
+// first (first nonce of the user, first payout to the solver), a repeat fill by the same solver
+// and the first fill of a second solver; likewise a user's first and repeat lockTokens. The
+// comparisons show the first-fill premium phase by phase. TraditionalBridge has no unlockTokens;
+// its counterpart is the committee-attested releaseTokens, profiled with a 2-of-3 committee.
+// With PROTOCOL_FEE_BPS > 0 the bridge then takes that share of each fee for a treasury, and two
+// more fills show what the split costs: the treasury's first payout and a repeat one. A table
+// sets the solver's revenue per fill against the gas of the fill, with and without the split.
+//
+// RUN:
+//   npx hardhat gas:profile
+//   npx hardhat gas:profile --network localhost --tx-hash 0x... [--contract UltraEfficientIntentBridge]
+//
+// Outputs:
+//   - Console table per transaction and first-vs-repeat comparisons
+//   - ./results/runs/gas-profile/<runId>/run.json (toggle via CFG.SAVE_FILES)
+// ---------------------------------------------------------------
+
+const hre = require("hardhat");
+const { ethers } = hre;
+const sdk = require("./lib/intentSdk");
+const committee = require("./lib/committee");
+const protocolFee = require("./lib/protocolFee");
+const { profileTransaction, compareProfiles } = require("./lib/gasProfile");
+const runs = require("./lib/runs");
+
+// ---------------- CONFIG ----------------
+const CFG = {
+  TX_HASH: null,                        // profile this transaction instead of the scenario
+  CONTRACT: "UltraEfficientIntentBridge", // contract TX_HASH was sent to
+  AMOUNT: "10.0",
+  FEE: "0.01",
+  COMMITTEE_THRESHOLD: 2,               // of 3 relayers attesting the release
+  PROTOCOL_FEE_BPS: 1000,               // share of the fee sent to the treasury in the split fills (0 = skip)
+  SAVE_FILES: true,
+};
+
+function printProfile(label, p) {
+  console.log(`\n=== ${label}: ${p.contract}.${p.method} — ${p.gasUsed} gas${p.failed ? " (reverted)" : ""} ===`);
+  console.table(p.phases.map((x) => ({
+    Phase: x.phase,
+    Gas: x.gas,
+    Share: `${(x.share * 100).toFixed(1)}%`,
+    Cold: x.cold,
+    Warm: x.warm,
+    "Cold surcharge": x.coldGas,
+    "New slots": x.newSlots,
+  })));
+}
+
+// Phases whose gas differs between the repeat transaction and a first one
+function printPremium(label, repeat, first) {
+  console.log(`\n=== ${label}: ${repeat.gasUsed} -> ${first.gasUsed} gas (+${first.gasUsed - repeat.gasUsed}) ===`);
+  console.table(compareProfiles(repeat, first).filter((r) => r.delta !== 0).map((r) => ({
+    Phase: r.phase,
+    Repeat: r.a,
+    First: r.b,
+    Premium: r.delta,
+    "New slots": r.newSlots.join(" -> "),
+  })));
+}
+
+// Scenario: deploys both bridges and returns { id: { label, hash, contract } } of the profiled txs
+async function scenario(cfg) {
+  const [deployer, user, solver, solver2, r1, r2, r3, treasury] = await ethers.getSigners();
+  const relayers = [r1, r2, r3];
+  const relayerAddrs = relayers.map((r) => r.address);
+
+  const token = await (await ethers.getContractFactory("MockToken")).deploy();
+  await token.waitForDeployment();
+  const bridge = await (await ethers.getContractFactory("UltraEfficientIntentBridge")).deploy([deployer.address], 1);
+  await bridge.waitForDeployment();
+  const trad = await (await ethers.getContractFactory("TraditionalBridge")).deploy(relayerAddrs, cfg.COMMITTEE_THRESHOLD);
+  await trad.waitForDeployment();
+
+  await (await token.mint(user.address, ethers.parseUnits("1000000", 18))).wait();
+  await (await token.connect(user).approve(await bridge.getAddress(), ethers.MaxUint256)).wait();
+  await (await token.connect(user).approve(await trad.getAddress(), ethers.MaxUint256)).wait();
+  for (const s of [solver, solver2]) await (await bridge.connect(s).stake({ value: ethers.parseEther("1") })).wait();
+
+  const amount = ethers.parseUnits(cfg.AMOUNT, 18);
+  const fee = ethers.parseUnits(cfg.FEE, 18);
+  const domain = await sdk.buildDomain(bridge);
+  const fill = async (by) => {
+    const f = await sdk.prepareFulfillment({ bridge, domain, user, solver: by, token, amount, fee });
+    return (await (await bridge.connect(by).fulfillIntent(...sdk.fulfillArgs(f.intent, f.userSig, f.solverSig))).wait()).hash;
+  };
+  const lock = async () => (await (await trad.connect(user).lockTokens(await token.getAddress(), amount)).wait()).hash;
+
+  const txs = {
+    "fulfill.first": { label: "fulfillIntent, first fill (user and solver)", hash: await fill(solver), contract: "UltraEfficientIntentBridge" },
+    "fulfill.repeat": { label: "fulfillIntent, repeat fill", hash: await fill(solver), contract: "UltraEfficientIntentBridge" },
+    "fulfill.newSolver": { label: "fulfillIntent, first fill of a second solver", hash: await fill(solver2), contract: "UltraEfficientIntentBridge" },
+    "lock.first": { label: "lockTokens, first lock of the user", hash: await lock(), contract: "TraditionalBridge" },
+    "lock.repeat": { label: "lockTokens, repeat lock", hash: await lock(), contract: "TraditionalBridge" },
+  };
+
+  if (cfg.PROTOCOL_FEE_BPS > 0) {
+    await protocolFee.setProtocolFee(bridge, deployer, { bps: cfg.PROTOCOL_FEE_BPS, treasury: treasury.address });
+    txs["fulfill.splitFirst"] = { label: `fulfillIntent, ${cfg.PROTOCOL_FEE_BPS} bps to the treasury (first payout)`, hash: await fill(solver), contract: "UltraEfficientIntentBridge" };
+    txs["fulfill.split"] = { label: `fulfillIntent, ${cfg.PROTOCOL_FEE_BPS} bps to the treasury`, hash: await fill(solver), contract: "UltraEfficientIntentBridge" };
+  }
+
+  // Release half of the locked amount against a committee-attested burn on the (notional) destination
+  const burnId = ethers.id("gas-profile/burn/1");
+  const release = { burnId, token: await token.getAddress(), to: user.address, amount: amount / 2n };
+  const sigs = await committee.attest(relayers, cfg.COMMITTEE_THRESHOLD, await sdk.buildDomain(trad), committee.RELEASE_TYPES, release);
+  const rc = await (await trad.releaseTokens(burnId, release.token, release.to, release.amount, sigs)).wait();
+  txs.release = { label: `releaseTokens, ${cfg.COMMITTEE_THRESHOLD}-of-${relayers.length} committee`, hash: rc.hash, contract: "TraditionalBridge" };
+  return txs;
+}
+
+// ---------------- MAIN -------------------
+async function main(cfg = CFG) {
+  const run = await runs.startRun(hre, "gas-profile", { config: cfg });
+  const txs = cfg.TX_HASH
+    ? { tx: { label: "transaction", hash: cfg.TX_HASH, contract: cfg.CONTRACT } }
+    : await scenario(cfg);
+
+  const profiles = {};
+  for (const [id, t] of Object.entries(txs)) {
+    profiles[id] = { label: t.label, ...(await profileTransaction(hre, t.hash, t.contract)) };
+    printProfile(t.label, profiles[id]);
+  }
+  if (profiles["fulfill.first"]) {
+    printPremium("fulfillIntent, repeat vs first fill", profiles["fulfill.repeat"], profiles["fulfill.first"]);
+    printPremium("fulfillIntent, repeat vs a second solver's first fill", profiles["fulfill.repeat"], profiles["fulfill.newSolver"]);
+    printPremium("lockTokens, repeat vs first lock", profiles["lock.repeat"], profiles["lock.first"]);
+  }
+  if (profiles["fulfill.split"]) {
+    printPremium("fulfillIntent, repeat fill vs with protocol fee", profiles["fulfill.repeat"], profiles["fulfill.split"]);
+    const fee = ethers.parseUnits(cfg.FEE, 18);
+    const row = (bps, p) => ({
+      "Protocol fee (bps)": bps,
+      "Solver fee revenue": ethers.formatUnits(protocolFee.splitFee(fee, bps).solver, 18),
+      Treasury: ethers.formatUnits(protocolFee.splitFee(fee, bps).protocol, 18),
+      "Gas per fill": p.gasUsed,
+      "Gas per fill, treasury's first payout": bps === 0 ? "-" : profiles["fulfill.splitFirst"].gasUsed,
+    });
+    console.log(`\n=== Protocol fee split: solver revenue and gas per fill (fee ${cfg.FEE}) ===`);
+    console.table([row(0, profiles["fulfill.repeat"]), row(cfg.PROTOCOL_FEE_BPS, profiles["fulfill.split"])]);
+  }
+
+  if (cfg.SAVE_FILES) {
+    // One gas metric per transaction and per phase, so results:diff points at the phase that moved
+    const metrics = {};
+    for (const [id, p] of Object.entries(profiles)) {
+      metrics[`${id}.gasUsed`] = runs.metric("gas", "gas", [p.gasUsed]);
+      for (const x of p.phases) metrics[`${id}.${x.phase}`] = runs.metric("gas", "gas", [x.gas]);
+    }
+    await run.save({ profiles }, { metrics });
+  }
+  return profiles;
+}
+
+if (require.main === module) {
+  main().catch((e) => {
+    console.error(e);
+    process.exit(1);
+  });
+}
+
+module.exports = { CFG, main };
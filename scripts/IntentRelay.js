@@ -0,0 +1,49 @@
+/* eslint-disable no-console */
+// scripts/IntentRelay.js
+// Standalone off-chain intent relay (HTTP + WebSocket mempool) for UltraEfficientIntentBridge.
+// Users POST signed intents, solvers subscribe on /ws and post SolverCommitment signatures back.
+//
+// RUN (next to a running `npx hardhat node`):
+//   BRIDGE_ADDRESS=0x... npx hardhat run scripts/IntentRelay.js --network localhost
+//
+// ENV:
+//   BRIDGE_ADDRESS   deployed UltraEfficientIntentBridge (required)
+//   RELAY_PORT       default 8787 (0 = any free port)
+//   RELAY_HOST       default 127.0.0.1
+//   RELAY_POLL_MS    chain polling period, default 500
+// ---------------------------------------------------------------
+
+const hre = require("hardhat");
+const { ethers } = hre;
+const { createIntentRelay } = require("./lib/intentRelay");
+const { untilSignal } = require("./lib/processes");
+
+async function main() {
+  const bridgeAddr = process.env.BRIDGE_ADDRESS;
+  if (!bridgeAddr || !ethers.isAddress(bridgeAddr)) {
+    throw new Error("Set BRIDGE_ADDRESS to a deployed UltraEfficientIntentBridge address.");
+  }
+
+  const { abi } = await hre.artifacts.readArtifact("UltraEfficientIntentBridge");
+  const bridge = new ethers.Contract(bridgeAddr, abi, ethers.provider);
+
+  const relay = createIntentRelay({
+    bridge,
+    port: Number(process.env.RELAY_PORT ?? 8787),
+    host: process.env.RELAY_HOST ?? "127.0.0.1",
+    pollMs: Number(process.env.RELAY_POLL_MS ?? 500),
+  });
+  const url = await relay.start();
+
+  const { chainId } = await ethers.provider.getNetwork();
+  console.log(`Relay listening on ${url} (chainId=${chainId}, bridge=${bridgeAddr})`);
+
+  const signal = await untilSignal();
+  console.log(`Relay stopping (${signal})`);
+  await relay.stop();
+}
+
+main().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
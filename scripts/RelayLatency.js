@@ -0,0 +1,155 @@
+/* eslint-disable no-console */
+//
+// Relay latency — real message passing between user, relay and solver
+// Deploys token + bridge, spawns scripts/IntentRelay.js as its own process and measures:
+//   post_ms        user POST /intents round trip (relay checks sig, nonce, deadline on-chain)
+//   propagate_ms   user POST start -> solver receives the intent over WebSocket
+//   commit_rtt_ms  solver posts its SolverCommitment -> user receives it over WebSocket
+//   handshake_ms   user POST start -> user holds a solver commitment (replaces the ACK sleep)
+//   tx_ms          solver fulfillIntent send -> mined
+//   close_ms       mined -> relay broadcasts the intent as FULFILLED
+//
+// RUN:
+//   npx hardhat node
+//   npx hardhat relay:latency --network localhost [--trials 20 ...] [--params file.json]
+//   (or: npx hardhat run scripts/RelayLatency.js --network localhost, CFG defaults)
+//
+// Outputs:
+//   - Console summary
+//   - ./results/runs/relay-latency/<runId>/run.json and relay_latency.csv (toggle via CFG.SAVE_FILES)
+// ---------------------------------------------------------------
+
+const path = require("path");
+const hre = require("hardhat");
+const { ethers } = hre;
+const sdk = require("./lib/intentSdk");
+const relayClient = require("./lib/relayClient");
+const { spawnScript } = require("./lib/processes");
+const runs = require("./lib/runs");
+
+// ---------------- CONFIG ----------------
+const CFG = {
+  TRIALS: 20,
+  AMOUNT: "10.0",
+  FEE: "0.01",
+  RELAY_PORT: 8787,
+  SAVE_FILES: true,
+};
+
+function mean(xs) { return xs.reduce((a,b)=>a+b,0) / (xs.length || 1); }
+
+async function main(cfg = CFG) {
+  if (hre.network.name === "hardhat") {
+    throw new Error("The relay runs in its own process; start `npx hardhat node` and use --network localhost.");
+  }
+  const run = await runs.startRun(hre, "relay-latency", { config: cfg });
+
+  const [deployer, user, solver] = await ethers.getSigners();
+
+  // Deploy + fund + stake
+  const token  = await (await ethers.getContractFactory("MockToken")).deploy();
+  const bridge = await (await ethers.getContractFactory("UltraEfficientIntentBridge")).deploy([deployer.address], 1);
+  await Promise.all([token.waitForDeployment(), bridge.waitForDeployment()]);
+  const bridgeAddr = await bridge.getAddress();
+
+  await (await token.mint(user.address, ethers.parseUnits("1000000", 18))).wait();
+  await (await token.connect(user).approve(bridgeAddr, ethers.MaxUint256)).wait();
+  await (await bridge.connect(solver).stake({ value: ethers.parseEther("1") })).wait();
+
+  // Relay as a separate process
+  const relayProc = spawnScript(path.join(__dirname, "IntentRelay.js"), {
+    network: hre.network.name,
+    configFile: hre.config.paths.configFile,
+    env: { BRIDGE_ADDRESS: bridgeAddr, RELAY_PORT: String(cfg.RELAY_PORT), RELAY_POLL_MS: "100" },
+    readyPattern: /Relay listening on (\S+)/,
+    label: "relay",
+  });
+
+  const rows = [];
+  let userSub;
+  let solverSub;
+  try {
+    const [, relayUrl] = await relayProc.ready;
+    userSub   = relayClient.subscribe(relayUrl);
+    solverSub = relayClient.subscribe(relayUrl);
+    await Promise.all([userSub.ready, solverSub.ready]);
+
+    const domain    = await sdk.buildDomain(bridge);
+    const amountWei = ethers.parseUnits(cfg.AMOUNT, 18);
+    const feeWei    = ethers.parseUnits(cfg.FEE, 18);
+
+    for (let trial = 1; trial <= cfg.TRIALS; trial++) {
+      // User: sign and publish
+      const intent  = await sdk.createIntent(bridge, { user, token, amount: amountWei, fee: feeWei });
+      const userSig = await sdk.signIntent(user, domain, intent);
+      const t0 = Date.now();
+      const { digest } = await relayClient.postIntent(relayUrl, intent, userSig);
+      const tPosted = Date.now();
+
+      // Solver: receive over WS, check locally, commit back over HTTP
+      const seen = await solverSub.next((m) => m.type === "intent" && m.digest === digest);
+      const received = sdk.intentFromJSON(seen.intent);
+      if (!sdk.verifyIntentSignature(domain, received, seen.signature)) throw new Error("relay forwarded a bad signature");
+      const solverSig = await sdk.signSolverCommitment(solver, domain, digest);
+      const tCommit = Date.now();
+      await relayClient.postCommitment(relayUrl, digest, solver.address, solverSig);
+
+      // User: learns which solver committed
+      const ack = await userSub.next((m) => m.type === "commitment" && m.digest === digest);
+
+      // Solver: settle on-chain
+      const tTx0 = Date.now();
+      const rc = await (await bridge.connect(solver).fulfillIntent(...sdk.fulfillArgs(received, seen.signature, solverSig))).wait();
+      const tMined = Date.now();
+
+      // Relay notices the IntentFulfilled log and closes the intent
+      const closed = await userSub.next((m) => m.type === "closed" && m.digest === digest);
+
+      rows.push({
+        trial,
+        post_ms: tPosted - t0,
+        propagate_ms: seen.arrivedAt - t0,
+        commit_rtt_ms: ack.arrivedAt - tCommit,
+        handshake_ms: ack.arrivedAt - t0,
+        tx_ms: tMined - tTx0,
+        close_ms: closed.arrivedAt - tMined,
+        status: closed.status,
+        gas_fulfill: Number(rc.gasUsed),
+      });
+      if (trial % 5 === 0) console.log(`.. trial ${trial}/${cfg.TRIALS}`);
+    }
+  } finally {
+    if (userSub) userSub.close();
+    if (solverSub) solverSub.close();
+    await relayProc.stop();
+  }
+
+  // ------- Summary -------
+  const cols = ["post_ms", "propagate_ms", "commit_rtt_ms", "handshake_ms", "tx_ms", "close_ms", "gas_fulfill"];
+  console.log("\n=== Relay latency (means) ===");
+  console.table(Object.fromEntries(cols.map((c) => [c, mean(rows.map((r) => r[c])).toFixed(2)])));
+  const notFulfilled = rows.filter((r) => r.status !== "FULFILLED").length;
+  if (notFulfilled) console.warn(`⚠️ ${notFulfilled} intents closed with a status other than FULFILLED`);
+
+  if (cfg.SAVE_FILES) {
+    const header = ["trial", ...cols, "status"].join(",") + "\n";
+    const csv = header + rows.map((r) => ["trial", ...cols, "status"].map((c) => r[c]).join(",")).join("\n");
+    const latency = (c) => runs.metric("latency", "ms", rows.map((r) => r[c]));
+    await run.save({ rows }, {
+      metrics: {
+        ...Object.fromEntries(cols.filter((c) => c.endsWith("_ms")).map((c) => [c, latency(c)])),
+        gas_fulfill: runs.metric("gas", "gas", rows.map((r) => r.gas_fulfill)),
+      },
+      files: { "relay_latency.csv": csv },
+    });
+  }
+}
+
+if (require.main === module) {
+  main().catch((e) => {
+    console.error(e);
+    process.exit(1);
+  });
+}
+
+module.exports = { CFG, main };
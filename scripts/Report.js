@@ -0,0 +1,323 @@
+/* eslint-disable no-console */
+//
+// Experiment report — HTML + Markdown with SVG figures built from results/
+// Uses the latest run (results/runs/<experiment>/<runId>/run.json) of monitor-ibb, graph-ibb,
+// bench-mechanisms, compare-bridges and compare-crosschain; without runs, monitor and graph fall
+// back to the older flat files exp1_results.json / exp2_graph_results.json. Experiments with
+// no output are listed as skipped. Writes into CFG.OUT_DIR:
+//   - report.html  self-contained: figures inlined, no external CSS/JS/fonts
+//   - report.md    references the figures as <name>.svg next to it
+//   - <name>.svg   one file per figure
+//
+// RUN:
+//   npx hardhat report [--results-dir results --out-dir results/report --bins 20]
+//   (or: node scripts/Report.js, CFG defaults; no node or network needed)
+// ---------------------------------------------------------------
+
+const fs = require("fs");
+const path = require("path");
+const stats = require("./lib/stats");
+const charts = require("./lib/charts");
+const runs = require("./lib/runs");
+
+// ---------------- CONFIG ----------------
+// Paths are relative to the repository root.
+const CFG = {
+  RESULTS_DIR: "results",
+  OUT_DIR: "results/report",
+  BINS: 20,                    // histogram bins
+};
+
+const ROOT = path.join(__dirname, "..");
+
+function readJson(file) {
+  if (!fs.existsSync(file)) return null;
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (e) {
+    throw new Error(`Cannot parse ${file}: ${e.message}`);
+  }
+}
+
+// Latest run of `experiment` as { source, data } with the run's seed and config merged into data
+function latestOutput(resultsDir, experiment, legacyFile) {
+  const dirs = runs.listRuns(experiment, path.join(resultsDir, "runs"));
+  if (dirs.length) {
+    const run = runs.loadRun(dirs[dirs.length - 1]);
+    return {
+      source: path.relative(resultsDir, path.join(run.dir, "run.json")),
+      data: { ...run.data, seed: run.metadata.seed ?? undefined, config: run.metadata.config, metadata: run.metadata },
+    };
+  }
+  const data = legacyFile ? readJson(path.join(resultsDir, legacyFile)) : null;
+  return data ? { source: legacyFile, data } : null;
+}
+
+const pm = (xs, digits = 0) => (xs.length ? `${stats.mean(xs).toFixed(digits)} ± ${stats.std(xs).toFixed(digits)}` : "-");
+const pct = (xs, p) => (xs.length ? stats.percentile(xs, p).toFixed(0) : "-");
+const table = (headers, rows) => ({ type: "table", headers, rows });
+const figure = (name, caption, svg) => ({ type: "figure", name, caption, svg });
+const text = (t) => ({ type: "text", text: t });
+
+function testRows(tests) {
+  return Object.entries(tests).map(([metric, T]) => [
+    metric,
+    Number.isFinite(T.welch.t) ? T.welch.t.toFixed(2) : String(T.welch.t),
+    stats.formatP(T.welch.p),
+    String(T.mannWhitney.U),
+    `${stats.formatP(T.mannWhitney.p)} (${T.mannWhitney.method})`,
+  ]);
+}
+const TEST_HEADERS = ["Metric", "Welch t", "p (Welch)", "Mann–Whitney U", "p (M–W)"];
+
+// ---------------- Sections ----------------
+function monitoringSection(data, cfg) {
+  // Older runs saved the bare row array
+  const rows = Array.isArray(data) ? data : data.rows;
+  const delta = data.config?.DELTA_ACK_MS;
+  const ack = rows.map((r) => r.ack_time_ms);
+  const gas = rows.map((r) => Number(r.gas_fulfill));
+  const anomalies = rows.filter((r) => r.ack_anomaly).length;
+
+  const perSolver = new Map();
+  for (const r of rows) {
+    const s = perSolver.get(r.solver) ?? { n: 0, anomalies: 0, ack: [] };
+    s.n++;
+    s.anomalies += r.ack_anomaly ? 1 : 0;
+    s.ack.push(r.ack_time_ms);
+    perSolver.set(r.solver, s);
+  }
+
+  return {
+    title: "Dynamic monitoring (monitor:ibb)",
+    blocks: [
+      table(["Metric", "Value"], [
+        ["Trials", String(rows.length)],
+        ["Seed", data.seed !== undefined ? String(data.seed) : "not recorded"],
+        ["Δ_ack (ms)", delta !== undefined ? String(delta) : "not recorded"],
+        ["ACK mean ± std (ms)", pm(ack, 1)],
+        ["ACK p50 | p95 (ms)", `${pct(ack, 50)} | ${pct(ack, 95)}`],
+        ["ACK anomalies", `${anomalies} (${((anomalies / (rows.length || 1)) * 100).toFixed(1)}%)`],
+        ["Gas fulfillIntent mean ± std", pm(gas)],
+      ]),
+      figure("exp1-ack-histogram", `ACK time distribution${delta !== undefined ? "; the dashed line is the anomaly threshold Δ_ack" : ""}.`,
+        charts.histogram(ack, { title: "ACK time", xLabel: "ms", bins: cfg.BINS,
+          markers: delta !== undefined ? [{ x: delta, label: "Δ_ack" }] : [] })),
+      figure("exp1-ack-cdf", "Empirical CDF of the ACK time.", charts.cdf([{ label: "ACK", values: ack }], { title: "ACK time CDF", xLabel: "ms" })),
+      figure("exp1-gas-histogram", "Gas used by fulfillIntent per trial.",
+        charts.histogram(gas, { title: "fulfillIntent gas", xLabel: "gas", bins: cfg.BINS })),
+      table(["Solver", "Intents", "Anomalies", "ACK mean ± std (ms)"],
+        [...perSolver].map(([solver, s]) => [solver, String(s.n), String(s.anomalies), pm(s.ack, 1)])),
+    ],
+  };
+}
+
+function stateGraphSection(data) {
+  const kinds = new Map();
+  for (const x of data.illegal) kinds.set(x.kind, (kinds.get(x.kind) ?? 0) + 1);
+  return {
+    title: "State-graph validation (graph:ibb)",
+    blocks: [
+      table(["Observed edge", "Count"], data.edges.map((e) => [e.edge, String(e.count)])),
+      text("Illegal transitions attempted by the negative tests; every one must have reverted."),
+      table(["Attempt", "Count", "Revert reason"], [...kinds].map(([kind, n]) =>
+        [kind, String(n), data.illegal.find((x) => x.kind === kind).reason.replace(/^.*reason string /, "")])),
+    ],
+  };
+}
+
+function benchSection(data) {
+  const mechanisms = Object.entries(data.trials).map(([name, trials]) => ({ name, ok: trials.filter((t) => t.ok) }));
+  const e2e = mechanisms.map((m) => ({ label: m.name, values: m.ok.map((t) => t.T_e2e_ms) }));
+
+  const blocks = [
+    table(["Mechanism", "Trials", "Te2e mean ± std (ms)", "Te2e p50 | p95 (ms)", "Tselect mean (ms)", "Gas fulfillIntent", "Mean fee (token)"],
+      mechanisms.map(({ name, ok }) => {
+        const t = ok.map((r) => r.T_e2e_ms);
+        return [name, String(ok.length), pm(t), `${pct(t, 50)} | ${pct(t, 95)}`,
+          stats.mean(ok.map((r) => r.T_select_ms)).toFixed(0),
+          stats.mean(ok.map((r) => Number(r.gas_fulfillIntent))).toFixed(0),
+          stats.mean(ok.map((r) => parseFloat(r.feeTokenUnits))).toFixed(4)];
+      })),
+    figure("bench-te2e-box", "End-to-end latency per mechanism (box: p25–p75, whiskers: 1.5 IQR).",
+      charts.boxPlot(e2e, { title: "T_e2e by mechanism", yLabel: "ms" })),
+    figure("bench-te2e-cdf", "Empirical CDF of the end-to-end latency per mechanism.",
+      charts.cdf(e2e, { title: "T_e2e CDF", xLabel: "ms" })),
+  ];
+  if (data.stats?.comparisons) {
+    blocks.push(table(["Pair", "Te2e ratio [95% CI]", "Welch t", "p (Welch)", "p (M–W)"],
+      data.stats.comparisons.map((C) => [C.pair, stats.formatCI(C.ratio), C.welch.t.toFixed(2),
+        stats.formatP(C.welch.p), `${stats.formatP(C.mannWhitney.p)} (${C.mannWhitney.method})`])));
+  }
+  if (data.fairness) {
+    blocks.push(table(["Mechanism", "Jain's index (wins)", "Gini (fee revenue)", "Max win share", "Longest starvation"],
+      Object.entries(data.fairness).map(([name, F]) => [name, F.jain.toFixed(3), F.giniRevenue.toFixed(3),
+        `${(F.maxWinShare * 100).toFixed(0)}%`, String(F.longestStarvation)])));
+  }
+  return { title: "Solver-selection mechanisms (bench:mechanisms)", blocks };
+}
+
+// Shared by the one-chain and two-chain comparisons
+function comparisonBlocks(prefix, { tradE2E, ibbE2E, tradGas, ibbGas, ratios, tests }) {
+  const ratioRows = ratios
+    ? [["R_T = Trad/IBB", stats.formatCI(ratios.RT)], ["R_G (gas saving)", stats.formatCI(ratios.RG, 2, 100, "%")]]
+      .concat(ratios.RGDispatch ? [["R_G incl. dispatch", stats.formatCI(ratios.RGDispatch, 2, 100, "%")]] : [])
+    : [["R_T = Trad/IBB", stats.latencyRatio(tradE2E, ibbE2E).toFixed(2)],
+      ["R_G (gas saving)", `${(stats.gasSaving(tradGas, ibbGas) * 100).toFixed(2)}%`]];
+  return [
+    table(["Ratio", ratios ? "Estimate [95% bootstrap CI]" : "Estimate (no CI recorded)"], ratioRows),
+    table(TEST_HEADERS, testRows(tests ?? {
+      e2eMs: stats.compareSamples(tradE2E, ibbE2E),
+      gas: stats.compareSamples(tradGas, ibbGas),
+    })),
+    figure(`${prefix}-e2e-box`, "End-to-end latency per run.",
+      charts.boxPlot([{ label: "Traditional", values: tradE2E }, { label: "IBB", values: ibbE2E }], { title: "E2E latency", yLabel: "ms" })),
+    figure(`${prefix}-e2e-cdf`, "Empirical CDF of the end-to-end latency.",
+      charts.cdf([{ label: "Traditional", values: tradE2E }, { label: "IBB", values: ibbE2E }], { title: "E2E latency CDF", xLabel: "ms" })),
+    figure(`${prefix}-gas-box`, "Gas per transfer.",
+      charts.boxPlot([{ label: "Traditional", values: tradGas }, { label: "IBB", values: ibbGas }], { title: "Gas per transfer", yLabel: "gas" })),
+  ];
+}
+
+function compareSection(data) {
+  const { trad, ibb } = data.runs;
+  const phases = [
+    ...Object.entries(trad).map(([k, xs]) => [`Traditional ${k}`, pm(xs, k.endsWith("Ms") ? 1 : 0)]),
+    ...Object.entries(ibb).map(([k, xs]) => [`IBB ${k}`, pm(xs, k.endsWith("Ms") ? 1 : 0)]),
+  ];
+  return {
+    title: "IBB vs traditional lock–mint, one chain (compare:bridges)",
+    blocks: [
+      text(`${trad.e2eMs.length} runs, seed ${data.seed}.`),
+      ...comparisonBlocks("compare", {
+        tradE2E: trad.e2eMs, ibbE2E: ibb.e2eMs, tradGas: trad.gas, ibbGas: ibb.gas, ratios: data.ratios, tests: data.tests,
+      }),
+      table(["Phase", "Mean ± std (ms or gas)"], phases),
+    ],
+  };
+}
+
+function crossChainSection(data) {
+  const gas = (r) => Number(r.gas_source) + Number(r.gas_destination);
+  const series = {
+    tradE2E: data.runs.map((r) => r.traditional.e2e_ms),
+    ibbE2E: data.runs.map((r) => r.ibb.e2e_ms),
+    tradGas: data.runs.map((r) => gas(r.traditional)),
+    ibbGas: data.runs.map((r) => gas(r.ibb)),
+  };
+  return {
+    title: "IBB vs traditional lock–mint, two chains (compare:crosschain)",
+    blocks: [
+      text(`${data.runs.length} runs; gas summed over both chains.` + (data.refund ? ` Refund after deadline: ${data.refund.gas} gas.` : "")),
+      ...comparisonBlocks("crosschain", { ...series, ratios: data.ratios, tests: data.tests }),
+    ],
+  };
+}
+
+// ---------------- Rendering ----------------
+const mdCell = (s) => String(s).replace(/\|/g, "\\|");
+const htmlEsc = (s) => String(s).replace(/[&<>"]/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" }[c]));
+
+function renderMarkdown(title, generated, sections, skipped) {
+  const out = [`# ${title}`, "", `Generated ${generated}.`, ""];
+  for (const s of sections) {
+    out.push(`## ${s.title}`, "", `Source: \`${s.source}\``, "");
+    for (const b of s.blocks) {
+      if (b.type === "text") out.push(b.text, "");
+      if (b.type === "figure") out.push(`![${b.caption}](${b.name}.svg)`, "", `*${b.caption}*`, "");
+      if (b.type === "table") {
+        out.push(`| ${b.headers.map(mdCell).join(" | ")} |`, `|${b.headers.map(() => "---").join("|")}|`);
+        b.rows.forEach((r) => out.push(`| ${r.map(mdCell).join(" | ")} |`));
+        out.push("");
+      }
+    }
+  }
+  if (skipped.length) out.push("## Not included", "", ...skipped.map((e) => `- \`${e}\`: no run found`), "");
+  return out.join("\n");
+}
+
+function renderHtml(title, generated, sections, skipped) {
+  const body = sections.map((s) => `<section><h2>${htmlEsc(s.title)}</h2><p class="src">Source: <code>${htmlEsc(s.source)}</code></p>` +
+    s.blocks.map((b) => {
+      if (b.type === "text") return `<p>${htmlEsc(b.text)}</p>`;
+      if (b.type === "figure") return `<figure id="${b.name}">${b.svg}<figcaption>${htmlEsc(b.caption)}</figcaption></figure>`;
+      return `<table><thead><tr>${b.headers.map((h) => `<th>${htmlEsc(h)}</th>`).join("")}</tr></thead><tbody>` +
+        b.rows.map((r) => `<tr>${r.map((c) => `<td>${htmlEsc(c)}</td>`).join("")}</tr>`).join("") + "</tbody></table>";
+    }).join("\n") + "</section>").join("\n");
+  const notIncluded = skipped.length
+    ? `<section><h2>Not included</h2><ul>${skipped.map((f) => `<li><code>${htmlEsc(f)}</code>: no run found</li>`).join("")}</ul></section>`
+    : "";
+  return `<!DOCTYPE html>
+<html lang="en"><head><meta charset="utf-8"><title>${htmlEsc(title)}</title>
+<style>
+body { font-family: sans-serif; max-width: 960px; margin: 2em auto; color: #222; }
+table { border-collapse: collapse; margin: 1em 0; font-size: 0.9em; }
+th, td { border: 1px solid #ccc; padding: 4px 8px; text-align: left; }
+th { background: #f4f4f4; }
+figure { margin: 1em 0; }
+figcaption, .src { color: #666; font-size: 0.85em; }
+</style></head>
+<body><h1>${htmlEsc(title)}</h1><p class="src">Generated ${htmlEsc(generated)}.</p>
+${body}
+${notIncluded}
+</body></html>
+`;
+}
+
+// ---------------- Main ----------------
+// [experiment, legacy flat file, section]
+const INPUTS = [
+  ["monitor-ibb", "exp1_results.json", monitoringSection],
+  ["graph-ibb", "exp2_graph_results.json", stateGraphSection],
+  ["bench-mechanisms", null, benchSection],
+  ["compare-bridges", null, compareSection],
+  ["compare-crosschain", null, crossChainSection],
+];
+
+async function main(cfg = CFG) {
+  const resultsDir = path.resolve(ROOT, cfg.RESULTS_DIR);
+  const outDir = path.resolve(ROOT, cfg.OUT_DIR);
+
+  const sections = [];
+  const skipped = [];
+  for (const [experiment, legacyFile, build] of INPUTS) {
+    const output = latestOutput(resultsDir, experiment, legacyFile);
+    if (!output) { skipped.push(experiment); continue; }
+    const section = build(output.data, cfg);
+    const meta = output.data.metadata;
+    if (meta) {
+      const commit = meta.git.commit ? `${meta.git.commit.slice(0, 10)}${meta.git.dirty ? " (uncommitted changes)" : ""}` : "unknown";
+      section.blocks.unshift(text(`Run ${meta.runId}, commit ${commit}, chainId ${meta.chains.map((c) => c.chainId).join("/")}, ` +
+        `solc ${runs.compilerLabel(meta.compiler)}.`));
+    } else {
+      section.blocks.unshift(text(`From ${output.source}, written by the baseline build without the optimizer; ` +
+        "its gas figures are not comparable with runs of the current build."));
+    }
+    sections.push({ ...section, source: output.source });
+  }
+  if (!sections.length) throw new Error(`No results in ${resultsDir}; run an experiment first.`);
+
+  const title = "Intent-Based Bridge — Experiment Report";
+  const generated = new Date().toISOString();
+  await fs.promises.mkdir(outDir, { recursive: true });
+  const figures = sections.flatMap((s) => s.blocks.filter((b) => b.type === "figure"));
+  for (const f of figures) await fs.promises.writeFile(path.join(outDir, `${f.name}.svg`), f.svg);
+  const htmlOut = path.join(outDir, "report.html");
+  const mdOut = path.join(outDir, "report.md");
+  await fs.promises.writeFile(htmlOut, renderHtml(title, generated, sections, skipped));
+  await fs.promises.writeFile(mdOut, renderMarkdown(title, generated, sections, skipped));
+
+  for (const s of sections) console.log(`included  ${s.source}`);
+  for (const e of skipped) console.log(`skipped   ${e} (no run found)`);
+  console.log(`Saved -> ${htmlOut}`);
+  console.log(`Saved -> ${mdOut} (+ ${figures.length} SVG figures)`);
+}
+
+if (require.main === module) {
+  main().catch((e) => {
+    console.error(e);
+    process.exit(1);
+  });
+}
+
+module.exports = { CFG, main };
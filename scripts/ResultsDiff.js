@@ -0,0 +1,108 @@
+/* eslint-disable no-console */
+//
+// Results diff — compares two experiment runs (results/runs/<experiment>/<runId>/) and flags gas
+// or latency regressions beyond a relative tolerance. Every metric both runs recorded is
+// compared by its mean (higher is worse); the Mann–Whitney p-value shows whether a change is
+// more than noise. The metadata header shows what changed between the runs: commit, compiler,
+// contract bytecode and config.
+//
+// RUN:
+//   npx hardhat results:diff --experiment monitor-ibb                 (previous vs latest run)
+//   npx hardhat results:diff --base results/runs/compare-bridges/<runId> --head results/runs/compare-bridges/<runId>
+//   [--gas-tolerance 0.02 --latency-tolerance 0.10]
+//
+// Exits with code 1 when a regression is found, so it can gate CI.
+// ---------------------------------------------------------------
+
+const path = require("path");
+const runs = require("./lib/runs");
+const stats = require("./lib/stats");
+
+// ---------------- CONFIG ----------------
+const CFG = {
+  EXPERIMENT: null,            // with no BASE/HEAD: compare its two latest runs
+  BASE: null,                  // run directory (relative to the repo root) or run.json
+  HEAD: null,
+  GAS_TOLERANCE: 0.02,         // relative increase of mean gas counted as a regression
+  LATENCY_TOLERANCE: 0.10,     // relative increase of mean latency counted as a regression
+};
+
+const ROOT = path.join(__dirname, "..");
+
+function pickRuns(cfg) {
+  if (cfg.BASE && cfg.HEAD) return [path.resolve(ROOT, cfg.BASE), path.resolve(ROOT, cfg.HEAD)];
+  if (!cfg.EXPERIMENT) throw new Error("Set EXPERIMENT, or both BASE and HEAD.");
+  const dirs = runs.listRuns(cfg.EXPERIMENT);
+  const head = cfg.HEAD ? path.resolve(ROOT, cfg.HEAD) : dirs[dirs.length - 1];
+  const base = cfg.BASE ? path.resolve(ROOT, cfg.BASE) : dirs.filter((d) => d < head).pop();
+  if (!base || !head) throw new Error(`Need two runs of ${cfg.EXPERIMENT} in ${runs.RUNS_DIR}; found ${dirs.length}.`);
+  return [base, head];
+}
+
+// Top-level config keys whose values differ
+function configChanges(a = {}, b = {}) {
+  return [...new Set([...Object.keys(a), ...Object.keys(b)])]
+    .filter((k) => JSON.stringify(a[k]) !== JSON.stringify(b[k]))
+    .map((k) => `${k}: ${JSON.stringify(a[k])} -> ${JSON.stringify(b[k])}`);
+}
+
+function bytecodeChanges(a = {}, b = {}) {
+  return [...new Set([...Object.keys(a), ...Object.keys(b)])].filter((k) => a[k] !== b[k]).map((k) => k.split(":").pop());
+}
+
+async function main(cfg = CFG) {
+  const [baseDir, headDir] = pickRuns(cfg);
+  const base = runs.loadRun(baseDir);
+  const head = runs.loadRun(headDir);
+  const B = base.metadata;
+  const H = head.metadata;
+  if (B.experiment !== H.experiment) throw new Error(`Runs are of different experiments: ${B.experiment} vs ${H.experiment}`);
+
+  const commit = (m) => (m.git.commit ? m.git.commit.slice(0, 10) + (m.git.dirty ? " (dirty)" : "") : "unknown");
+  console.log(`=== ${H.experiment}: ${B.runId} -> ${H.runId} ===`);
+  console.table({
+    Commit: { base: commit(B), head: commit(H) },
+    Compiler: { base: runs.compilerLabel(B.compiler), head: runs.compilerLabel(H.compiler) },
+    Chains: { base: B.chains.map((c) => c.chainId).join(", "), head: H.chains.map((c) => c.chainId).join(", ") },
+    Seed: { base: B.seed ?? "-", head: H.seed ?? "-" },
+  });
+  if (runs.compilerLabel(B.compiler) !== runs.compilerLabel(H.compiler)) {
+    console.log("Compiler settings changed: gas differences include the compiler's, not only the code's");
+  }
+  const changedCode = bytecodeChanges(B.bytecode, H.bytecode);
+  console.log(`Bytecode changed: ${changedCode.length ? changedCode.join(", ") : "none"}`);
+  const changedCfg = configChanges(B.config, H.config);
+  if (changedCfg.length) console.log(`Config changed:\n  ${changedCfg.join("\n  ")}`);
+
+  const tolerances = { gas: cfg.GAS_TOLERANCE, latency: cfg.LATENCY_TOLERANCE };
+  const diff = runs.diffMetrics(base.metrics, head.metrics, tolerances);
+  const fmt = (x) => (Math.abs(x) >= 1000 ? x.toFixed(0) : x.toFixed(2));
+  console.log("\n=== Metrics (mean; higher is worse) ===");
+  console.table(diff.rows.map((r) => ({
+    Metric: r.metric,
+    Base: `${fmt(r.base)} ${r.unit}`,
+    Head: `${fmt(r.head)} ${r.unit}`,
+    Change: `${r.change >= 0 ? "+" : ""}${(r.change * 100).toFixed(1)}%`,
+    Tolerance: `${(r.tolerance * 100).toFixed(0)}%`,
+    "p (M–W)": stats.formatP(r.p),
+    Status: r.status === "regression" ? "REGRESSION" : r.status,
+  })));
+  if (diff.missing.length) console.log(`Only in one run (not compared): ${diff.missing.join(", ")}`);
+
+  if (diff.regressions) {
+    console.log(`\n${diff.regressions} regression(s) beyond tolerance.`);
+    process.exitCode = 1;
+  } else {
+    console.log("\nNo regressions beyond tolerance.");
+  }
+  return diff;
+}
+
+if (require.main === module) {
+  main().catch((e) => {
+    console.error(e);
+    process.exit(1);
+  });
+}
+
+module.exports = { CFG, main };
@@ -0,0 +1,68 @@
+/* eslint-disable no-console */
+// scripts/SolverBot.js
+// One autonomous solver process. Watches the intent relay, decides per intent whether the fee
+// covers the fulfillIntent gas, and races other bots to fill it.
+//
+// RUN (node + relay already running):
+//   BRIDGE_ADDRESS=0x... RELAY_URL=http://127.0.0.1:8787 SOLVER_INDEX=3 STRATEGY=greedy LATENCY_MS=50 \
+//     npx hardhat run scripts/SolverBot.js --network localhost
+//
+// ENV:
+//   BRIDGE_ADDRESS    deployed UltraEfficientIntentBridge (required)
+//   RELAY_URL         intent relay base URL (required)
+//   SOLVER_INDEX      index into the node's accounts, default 3
+//   STRATEGY          greedy | cautious | bigTicket, default greedy
+//   LATENCY_MS        reaction delay before acting on an intent, default 0
+//   JITTER_MS         extra uniform delay in [0, JITTER_MS], default 0
+//   SEED              PRNG seed for the jitter, default fresh (printed)
+//   TOKEN_PRICE_ETH   ETH value of one token for fee valuation, default 0.001
+//   AUTO_STAKE        "true" to stake MINIMUM_STAKE when under-staked
+//
+// On shutdown (SIGINT/SIGTERM) prints one line `SOLVER_STATS {json}` for orchestrators.
+// ---------------------------------------------------------------
+
+const hre = require("hardhat");
+const { ethers } = hre;
+const { createSolverAgent } = require("./lib/solverAgent");
+const { resolveSeed, createRng } = require("./lib/prng");
+const { untilSignal } = require("./lib/processes");
+
+async function main() {
+  const bridgeAddr = process.env.BRIDGE_ADDRESS;
+  const relayUrl = process.env.RELAY_URL;
+  if (!bridgeAddr || !ethers.isAddress(bridgeAddr)) throw new Error("Set BRIDGE_ADDRESS.");
+  if (!relayUrl) throw new Error("Set RELAY_URL.");
+
+  const signers = await ethers.getSigners();
+  const index = Number(process.env.SOLVER_INDEX ?? 3);
+  const signer = signers[index];
+  if (!signer) throw new Error(`No account at SOLVER_INDEX=${index}`);
+
+  const bridge = await ethers.getContractAt("UltraEfficientIntentBridge", bridgeAddr, signer);
+  const label = `${process.env.STRATEGY ?? "greedy"}#${index}`;
+  const seed = resolveSeed(process.env.SEED);
+
+  const agent = createSolverAgent({
+    bridge,
+    signer,
+    relayUrl,
+    strategy: process.env.STRATEGY ?? "greedy",
+    latencyMs: Number(process.env.LATENCY_MS ?? 0),
+    jitterMs: Number(process.env.JITTER_MS ?? 0),
+    rng: createRng(seed),
+    tokenPriceEth: process.env.TOKEN_PRICE_ETH ?? "0.001",
+    autoStake: process.env.AUTO_STAKE === "true",
+    log: (m) => console.log(`${label} ${m}`),
+  });
+  await agent.start();
+  console.log(`SolverBot ready: ${signer.address} (seed ${seed})`);
+
+  await untilSignal();
+  await agent.stop();
+  console.log(`SOLVER_STATS ${JSON.stringify(agent.stats())}`);
+}
+
+main().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
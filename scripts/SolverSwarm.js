@@ -0,0 +1,211 @@
+/* eslint-disable no-console */
+//
+// Solver swarm — unscripted competition between autonomous solver bots
+// Deploys token + bridge, spawns the intent relay and one SolverBot process per CFG.BOTS entry,
+// then lets several users publish intents with different fees. Each bot prices every intent on its
+// own and races to fill it, so contention, skipped (unprofitable) intents and lost races emerge
+// from the bots' strategies and latencies rather than from a fixed solver pick.
+//
+// RUN:
+//   npx hardhat node
+//   npx hardhat solvers:swarm --network localhost [--users 3 --fees 0.05,0.2 ...] [--params file.json]
+//   (or: npx hardhat run scripts/SolverSwarm.js --network localhost, CFG defaults)
+//
+// Outputs:
+//   - Console tables (per bot, per fee level)
+//   - ./results/runs/solvers-swarm/<runId>/run.json (toggle via CFG.SAVE_FILES)
+// ---------------------------------------------------------------
+
+const path = require("path");
+const hre = require("hardhat");
+const { ethers } = hre;
+const sdk = require("./lib/intentSdk");
+const relayClient = require("./lib/relayClient");
+const { spawnScript } = require("./lib/processes");
+const { resolveSeed } = require("./lib/prng");
+const runs = require("./lib/runs");
+
+// ---------------- CONFIG ----------------
+const CFG = {
+  USERS: 3,
+  INTENTS_PER_USER: 8,
+  AMOUNT: "10.0",
+  FEES: ["0.05", "0.2", "0.5", "1.0"],  // token units, cycled per intent
+  TOKEN_PRICE_ETH: "0.001",            // bots value fees at this ETH price per token
+  TTL_SECS: 120,
+  WAIT_MS: 4000,                       // user cancels when nobody fills within this window
+  BOTS: [
+    { strategy: "greedy",    latencyMs: 20, jitterMs: 40 },
+    { strategy: "greedy",    latencyMs: 60, jitterMs: 40 },
+    { strategy: "cautious",  latencyMs: 10, jitterMs: 40 },
+    { strategy: "bigTicket", latencyMs: 0,  jitterMs: 40 },
+  ],
+  RELAY_PORT: 8787,
+  SEED: null,                          // bot k jitters with seed "<SEED>/bot<k>" (null = fresh, printed)
+  SAVE_FILES: true,
+};
+
+function mean(xs) { return xs.reduce((a,b)=>a+b,0) / (xs.length || 1); }
+
+async function main(cfg = CFG) {
+  if (hre.network.name === "hardhat") {
+    throw new Error("Bots and relay run as separate processes; start `npx hardhat node` and use --network localhost.");
+  }
+
+  const seed = resolveSeed(cfg.SEED);
+  console.log("Seed:", seed);
+  const run = await runs.startRun(hre, "solvers-swarm", { config: cfg, seed });
+
+  const signers = await ethers.getSigners();
+  const users = signers.slice(1, 1 + cfg.USERS);
+  const botIndexes = cfg.BOTS.map((_, i) => 1 + cfg.USERS + i);
+  if (botIndexes[botIndexes.length - 1] >= signers.length) throw new Error("Not enough node accounts for users + bots.");
+
+  // Deploy + fund + stake
+  const token  = await (await ethers.getContractFactory("MockToken")).deploy();
+  const bridge = await (await ethers.getContractFactory("UltraEfficientIntentBridge")).deploy([signers[0].address], 1);
+  await Promise.all([token.waitForDeployment(), bridge.waitForDeployment()]);
+  const bridgeAddr = await bridge.getAddress();
+
+  for (const u of users) {
+    await (await token.mint(u.address, ethers.parseUnits("1000000", 18))).wait();
+    await (await token.connect(u).approve(bridgeAddr, ethers.MaxUint256)).wait();
+  }
+  for (const i of botIndexes) {
+    await (await bridge.connect(signers[i]).stake({ value: ethers.parseEther("1") })).wait();
+  }
+
+  const common = { network: hre.network.name, configFile: hre.config.paths.configFile };
+  const relayProc = spawnScript(path.join(__dirname, "IntentRelay.js"), {
+    ...common,
+    env: { BRIDGE_ADDRESS: bridgeAddr, RELAY_PORT: String(cfg.RELAY_PORT), RELAY_POLL_MS: "100" },
+    readyPattern: /Relay listening on (\S+)/,
+    label: "relay",
+  });
+  const botProcs = [];
+  const outcomes = [];
+  let sub;
+
+  try {
+    const [, relayUrl] = await relayProc.ready;
+
+    cfg.BOTS.forEach((bot, k) => {
+      botProcs.push(spawnScript(path.join(__dirname, "SolverBot.js"), {
+        ...common,
+        env: {
+          BRIDGE_ADDRESS: bridgeAddr,
+          RELAY_URL: relayUrl,
+          SOLVER_INDEX: String(botIndexes[k]),
+          STRATEGY: bot.strategy,
+          LATENCY_MS: String(bot.latencyMs),
+          JITTER_MS: String(bot.jitterMs),
+          SEED: `${seed}/bot${k}`,
+          TOKEN_PRICE_ETH: cfg.TOKEN_PRICE_ETH,
+        },
+        readyPattern: /SolverBot ready/,
+        label: `bot${k}`,
+      }));
+    });
+    await Promise.all(botProcs.map((p) => p.ready));
+
+    sub = relayClient.subscribe(relayUrl);
+    await sub.ready;
+    const domain = await sdk.buildDomain(bridge);
+
+    // Every user publishes its intents one after another (one open nonce per user),
+    // users run in parallel so bots see overlapping intents.
+    await Promise.all(users.map(async (u) => {
+      for (let i = 0; i < cfg.INTENTS_PER_USER; i++) {
+        const feeUnits = cfg.FEES[i % cfg.FEES.length];
+        const intent = await sdk.createIntent(bridge, {
+          user: u,
+          token,
+          amount: ethers.parseUnits(cfg.AMOUNT, 18),
+          fee: ethers.parseUnits(feeUnits, 18),
+          ttlSecs: cfg.TTL_SECS,
+        });
+        const sig = await sdk.signIntent(u, domain, intent);
+        const t0 = Date.now();
+        const { digest } = await relayClient.postIntent(relayUrl, intent, sig);
+
+        let closed;
+        try {
+          closed = await sub.next((m) => m.type === "closed" && m.digest === digest, cfg.WAIT_MS);
+        } catch (e) {
+          // Nobody filled: cancel by bumping the nonce, the relay then closes it as STALE.
+          const cancelSig = await sdk.signCancel(u, domain, { user: u.address, nonce: intent.nonce });
+          try {
+            await (await bridge.connect(u).cancelIntent(intent.nonce, cancelSig)).wait();
+          } catch (err) {
+            // A bot filled it in the meantime; the relay reports which.
+          }
+          closed = await sub.next((m) => m.type === "closed" && m.digest === digest, 10_000);
+        }
+
+        outcomes.push({
+          user: u.address,
+          fee: feeUnits,
+          status: closed.status,
+          winner: closed.fulfilledBy ?? null,
+          fill_ms: closed.status === "FULFILLED" ? closed.arrivedAt - t0 : null,
+        });
+      }
+    }));
+  } finally {
+    if (sub) sub.close();
+    await Promise.all(botProcs.map((p) => p.stop()));
+    await relayProc.stop();
+  }
+
+  // ------- Per-bot results -------
+  const botStats = botProcs.map((p) => {
+    const line = p.lines.find((l) => l.startsWith("SOLVER_STATS "));
+    return line ? JSON.parse(line.slice("SOLVER_STATS ".length)) : null;
+  }).filter(Boolean);
+
+  console.log("\n=== Solver bots ===");
+  console.table(botStats.map((b) => ({
+    Solver: b.solver.slice(0, 10),
+    Strategy: b.strategy,
+    "Latency (ms)": b.latencyMs,
+    Seen: b.seen,
+    Unprofitable: b.unprofitable,
+    Attempted: b.attempted,
+    Won: b.won,
+    Lost: b.lost,
+    Missed: b.missed,
+    "Gas spent": b.gasSpent,
+    "Fees earned": ethers.formatUnits(b.feesEarned, 18),
+  })));
+
+  // ------- Per-fee results -------
+  console.log("\n=== Intents by fee level ===");
+  console.table(cfg.FEES.map((fee) => {
+    const xs = outcomes.filter((o) => o.fee === fee);
+    const filled = xs.filter((o) => o.status === "FULFILLED");
+    return {
+      Fee: fee,
+      Intents: xs.length,
+      Filled: filled.length,
+      "Fill rate": xs.length ? `${((filled.length / xs.length) * 100).toFixed(0)}%` : "-",
+      "Mean fill (ms)": filled.length ? mean(filled.map((o) => o.fill_ms)).toFixed(1) : "-",
+      "Distinct winners": new Set(filled.map((o) => o.winner)).size,
+    };
+  }));
+
+  if (cfg.SAVE_FILES) {
+    const filled = outcomes.filter((o) => o.status === "FULFILLED");
+    await run.save({ bots: botStats, intents: outcomes }, {
+      metrics: { fill_ms: runs.metric("latency", "ms", filled.map((o) => o.fill_ms)) },
+    });
+  }
+}
+
+if (require.main === module) {
+  main().catch((e) => {
+    console.error(e);
+    process.exit(1);
+  });
+}
+
+module.exports = { CFG, main };
@@ -0,0 +1,53 @@
+/* eslint-disable no-console */
+//
+// Stake status — bonded and unbonding stake of every solver on a deployed bridge, with the state
+// each solver is in (STAKED / UNBONDING / WITHDRAWABLE / UNSTAKED, see lib/staking.js), when its
+// unbonding stake becomes withdrawable and how many escrows pin its stake.
+//
+// RUN:
+//   npx hardhat solvers:stakes --network localhost --bridge 0x... [--solver 0x...]
+//
+// Solvers are the addresses that ever emitted StakeAdded, unless SOLVER names one.
+// ---------------------------------------------------------------
+
+const hre = require("hardhat");
+const { ethers } = hre;
+const staking = require("./lib/staking");
+
+// ---------------- CONFIG ----------------
+const CFG = {
+  BRIDGE: null,      // deployed UltraEfficientIntentBridge (required)
+  SOLVER: null,      // show only this solver
+};
+
+async function main(cfg = CFG) {
+  if (!cfg.BRIDGE) throw new Error("Set BRIDGE to the deployed UltraEfficientIntentBridge.");
+  const bridge = await ethers.getContractAt("UltraEfficientIntentBridge", cfg.BRIDGE);
+  const { timestamp } = await ethers.provider.getBlock("latest");
+  const solvers = cfg.SOLVER ? [cfg.SOLVER] : await staking.stakers(bridge);
+  const states = [];
+  for (const s of solvers) states.push(await staking.stakeState(bridge, s, { now: timestamp }));
+
+  console.log(`\n=== Solver stake on ${cfg.BRIDGE} (block time ${new Date(timestamp * 1000).toISOString()}) ===`);
+  if (!states.length) console.log("(no solver has staked)");
+  else {
+    console.table(states.map((s) => ({
+      Solver: s.solver,
+      State: s.state,
+      "Staked (ETH)": ethers.formatEther(s.staked),
+      "Unbonding (ETH)": ethers.formatEther(s.unbonding),
+      "Withdrawable in": s.releaseTime === null ? "-" : s.withdrawable ? "now" : `${s.releaseTime - timestamp} s`,
+      "Open escrows": s.openEscrows,
+    })));
+  }
+  return states;
+}
+
+if (require.main === module) {
+  main().catch((e) => {
+    console.error(e);
+    process.exit(1);
+  });
+}
+
+module.exports = { CFG, main };
@@ -3,14 +3,31 @@
 // Focus: detect illegal transitions (e.g., UNSTAKED→FULFILLED, EXPIRED→FULFILLED, BAD_SIG→FULFILLED)
 // and summarise observed edges as an adjacency report.
 //
+// Escrow disputes (section 5): LOCKED→SETTLED, LOCKED→CHALLENGED (raised by lib/watcher.js once the
+// deadline passes), CHALLENGED→SETTLED (late proof) and CHALLENGED→SLASHED (no proof by the end of
+// the window) are legal; challenging early or a settled escrow, slashing within the window,
+// refunding a challenged escrow, settling a slashed one and slashing twice must revert. This
+// section moves the chain clock (Hardhat networks only).
+//
+// Unbonding (section 6): STAKED→UNBONDING→WITHDRAWN is legal; filling while unbonding
+// (UNBONDING→FULFILLED) and withdrawing before UNBONDING_PERIOD must revert.
+//
 // RUN:
-//   npx hardhat run scripts/Exp2_StateGraph_UEIBB.js
+//   npx hardhat graph:ibb [--good-trials 20 --bad-trials 6 ...] [--params file.json]
+//   npx hardhat run scripts/StateGraph.js   (CFG defaults)
 //
-// OUTPUT: console adjacency list + illegal attempts summary; optional CSV/JSON (toggle SAVE_FILES)
+// OUTPUT: console adjacency list + illegal attempts summary; optional run directory
+//         results/runs/graph-ibb/<runId>/ with run.json and exp2_graph_edges.csv (toggle SAVE_FILES)
 
-const fs = require("fs");
-const path = require("path");
-const { ethers } = require("hardhat");
+const hre = require("hardhat");
+const { ethers } = hre;
+const sdk = require("./lib/intentSdk");
+const escrow = require("./lib/escrow");
+const staking = require("./lib/staking");
+const committee = require("./lib/committee");
+const { createChallengeWatcher } = require("./lib/watcher");
+const { advanceTimeTo } = require("./lib/chain");
+const runs = require("./lib/runs");
 
 // -------------- CONFIG --------------
 const CFG = {
@@ -21,26 +38,12 @@ const CFG = {
 };
 
 // -------------- UTILS --------------
-async function ensureDir(d) { await fs.promises.mkdir(d, { recursive: true }); }
 function edgeKey(a,b){ return `${a} -> ${b}`; }
 
-function typedIntent() {
-  return {
-    Intent: [
-      { name: "user",     type: "address"  },
-      { name: "token",    type: "address"  },
-      { name: "amount",   type: "uint256"  },
-      { name: "fee",      type: "uint256"  },
-      { name: "nonce",    type: "uint256"  },
-      { name: "deadline", type: "uint256"  }
-    ]
-  };
-}
-function typedSolver() {
-  return { SolverCommitment: [ { name:"intentDigest", type:"bytes32" } ] };
-}
+// Deadlines follow the chain's clock, which need not be the wall clock (fixed genesis date)
+async function chainNow(){ return (await ethers.provider.getBlock("latest")).timestamp; }
 
-async function main() {
+async function main(cfg = CFG) {
   const [deployer, user, s1, s2, s3, s4, s5, s6] = await ethers.getSigners();
   const stakedSolvers   = [s1, s2, s3];
   const unstakedSolvers = [s4, s5];         // for illegal UNSTAKED→FULFILLED attempts
@@ -51,7 +54,7 @@ async function main() {
 
   const token  = await Token.deploy();
   await token.waitForDeployment();
-  const bridge = await Bridge.deploy();
+  const bridge = await Bridge.deploy([deployer.address], 1);
   await bridge.waitForDeployment();
 
   // Fund user and approve bridge
@@ -63,18 +66,9 @@ async function main() {
     await (await bridge.connect(s).stake({ value: ethers.parseEther("1") })).wait();
   }
 
-  const outDir  = path.join(__dirname, "..", "results");
-  const jsonOut = path.join(outDir, "exp2_graph_results.json");
-  const csvOut  = path.join(outDir, "exp2_graph_edges.csv");
-  if (CFG.SAVE_FILES) await ensureDir(outDir);
+  const run = await runs.startRun(hre, "graph-ibb", { config: cfg });
 
-  const chainId = (await ethers.provider.getNetwork()).chainId;
-  const domain  = {
-    name: "UltraEfficientIntentBridge",
-    version: "1",
-    chainId,
-    verifyingContract: await bridge.getAddress()
-  };
+  const domain = await sdk.buildDomain(bridge);
 
   const tokenAddr = await token.getAddress();
   const amountWei = ethers.parseUnits("5", 18);
@@ -87,24 +81,23 @@ async function main() {
 
   // Helper: build valid EIP-712 pair
   async function buildSigs({ u, solver, amount, fee, deadline }) {
-    const nonce = await bridge.nonces(u.address);
-    const intentVal = { user: u.address, token: tokenAddr, amount, fee, nonce, deadline };
-    const userSig   = await u.signTypedData(domain, typedIntent(), intentVal);
-    const digest    = ethers.TypedDataEncoder.hash(domain, typedIntent(), intentVal);
-    const solverSig = await solver.signTypedData(domain, typedSolver(), { intentDigest: digest });
+    const intentVal = await sdk.createIntent(bridge, { user: u, token: tokenAddr, amount, fee, deadline });
+    const userSig   = await sdk.signIntent(u, domain, intentVal);
+    const digest    = sdk.intentDigest(domain, intentVal);
+    const solverSig = await sdk.signSolverCommitment(solver, domain, digest);
     return { userSig, solverSig, intentVal };
   }
 
   // ---------- 1) GOOD PATHS ----------
   // Expected: UNSTAKED→STAKED (already done), then STAKED→FULFILLED for many trials
-  for (let i = 0; i < CFG.GOOD_TRIALS; i++) {
+  for (let i = 0; i < cfg.GOOD_TRIALS; i++) {
     const solver = stakedSolvers[i % stakedSolvers.length];
-    const deadline = BigInt(Math.floor(Date.now()/1000) + CFG.DEADLINE_SECS);
-    const { userSig, solverSig } = await buildSigs({ u:user, solver, amount:amountWei, fee:feeWei, deadline });
+    const deadline = BigInt((await chainNow()) + cfg.DEADLINE_SECS);
+    const { userSig, solverSig, intentVal } = await buildSigs({ u:user, solver, amount:amountWei, fee:feeWei, deadline });
 
     // Edge: STAKED -> FULFILLED
     try {
-      const tx = await bridge.connect(solver).fulfillIntent(user.address, tokenAddr, amountWei, feeWei, deadline, userSig, solverSig);
+      const tx = await bridge.connect(solver).fulfillIntent(...sdk.fulfillArgs(intentVal, userSig, solverSig));
       await tx.wait();
       addEdge("STAKED", "FULFILLED");
     } catch (e) {
@@ -115,10 +108,10 @@ async function main() {
   // ---------- 2) ILLEGAL: UNSTAKED -> FULFILLED ----------
   // A solver without stake should fail fulfillIntent
   for (const solver of unstakedSolvers) {
-    const deadline = BigInt(Math.floor(Date.now()/1000) + CFG.DEADLINE_SECS);
-    const { userSig, solverSig } = await buildSigs({ u:user, solver, amount:amountWei, fee:feeWei, deadline });
+    const deadline = BigInt((await chainNow()) + cfg.DEADLINE_SECS);
+    const { userSig, solverSig, intentVal } = await buildSigs({ u:user, solver, amount:amountWei, fee:feeWei, deadline });
     try {
-      await bridge.connect(solver).fulfillIntent(user.address, tokenAddr, amountWei, feeWei, deadline, userSig, solverSig);
+      await bridge.connect(solver).fulfillIntent(...sdk.fulfillArgs(intentVal, userSig, solverSig));
       // If it succeeds, it's truly illegal
       addEdge("UNSTAKED", "FULFILLED");
       illegal.push({ kind:"UNSTAKED_FULFILLED_SUCCEEDED", solver: solver.address, reason:"should have reverted" });
@@ -131,10 +124,10 @@ async function main() {
   // ---------- 3) ILLEGAL: EXPIRED -> FULFILLED ----------
   {
     const solver = stakedSolvers[0];
-    const expired = BigInt(Math.floor(Date.now()/1000) - 5); // 5s in the past
-    const { userSig, solverSig } = await buildSigs({ u:user, solver, amount:amountWei, fee:feeWei, deadline: expired });
+    const expired = BigInt((await chainNow()) - 5); // 5s in the past
+    const { userSig, solverSig, intentVal } = await buildSigs({ u:user, solver, amount:amountWei, fee:feeWei, deadline: expired });
     try {
-      await bridge.connect(solver).fulfillIntent(user.address, tokenAddr, amountWei, feeWei, expired, userSig, solverSig);
+      await bridge.connect(solver).fulfillIntent(...sdk.fulfillArgs(intentVal, userSig, solverSig));
       addEdge("EXPIRED", "FULFILLED");
       illegal.push({ kind:"EXPIRED_SUCCEEDED", solver: solver.address, reason:"deadline check failed to revert" });
     } catch (e) {
@@ -145,16 +138,15 @@ async function main() {
   // ---------- 4) ILLEGAL: BAD_SIG -> FULFILLED ----------
   {
     const solver = stakedSolvers[1];
-    const deadline = BigInt(Math.floor(Date.now()/1000) + CFG.DEADLINE_SECS);
+    const deadline = BigInt((await chainNow()) + cfg.DEADLINE_SECS);
     // Create a correct userSig but a WRONG solverSig by signing from a different key (maybeBadSig)
-    const nonce = await bridge.nonces(user.address);
-    const intentVal = { user: user.address, token: tokenAddr, amount: amountWei, fee: feeWei, nonce, deadline };
-    const userSig   = await user.signTypedData(domain, typedIntent(), intentVal);
-    const digest    = ethers.TypedDataEncoder.hash(domain, typedIntent(), intentVal);
-    const wrongSig  = await maybeBadSig.signTypedData(domain, typedSolver(), { intentDigest: digest });
+    const intentVal = await sdk.createIntent(bridge, { user, token: tokenAddr, amount: amountWei, fee: feeWei, deadline });
+    const userSig   = await sdk.signIntent(user, domain, intentVal);
+    const digest    = sdk.intentDigest(domain, intentVal);
+    const wrongSig  = await sdk.signSolverCommitment(maybeBadSig, domain, digest);
 
     try {
-      await bridge.connect(solver).fulfillIntent(user.address, tokenAddr, amountWei, feeWei, deadline, userSig, wrongSig);
+      await bridge.connect(solver).fulfillIntent(...sdk.fulfillArgs(intentVal, userSig, wrongSig));
       addEdge("BAD_SIG", "FULFILLED");
       illegal.push({ kind:"BAD_SIG_SUCCEEDED", solver: solver.address, reason:"solverSig validation failed to revert" });
     } catch (e) {
@@ -162,14 +154,98 @@ async function main() {
     }
   }
 
-  // ---------- Optional: WITHDRAW after fulfill ----------
-  for (const s of stakedSolvers) {
-    try {
-      const tx = await bridge.connect(s).withdrawStake(ethers.parseEther("0.1"));
-      await tx.wait();
-      addEdge("STAKED", "WITHDRAWN");
-    } catch (e) {
-      // ignore if insufficient balance due to previous withdraws
+  // ---------- 5) ESCROW DISPUTES: LOCKED -> SETTLED | CHALLENGED -> SETTLED | SLASHED ----------
+  {
+    const solver = stakedSolvers[0];
+    await (await token.mint(solver.address, amountWei * 3n)).wait(); // pays out on the "destination"
+    const watcher = createChallengeWatcher({ bridge, signer: deployer, fromBlock: (await ethers.provider.getBlockNumber()) + 1 });
+    const { timestamp } = await ethers.provider.getBlock("latest");
+    const deadline = BigInt(timestamp + cfg.DEADLINE_SECS);
+
+    // Expect `fn` to revert; record the attempt (or the illegal success and its edge)
+    async function expectRevert(kind, from, to, fn) {
+      try {
+        await fn();
+        addEdge(from, to);
+        illegal.push({ kind:`${kind}_SUCCEEDED`, solver: solver.address, reason:"should have reverted" });
+      } catch (e) {
+        illegal.push({ kind:`${kind}_ATTEMPT`, solver: solver.address, reason: e.shortMessage ?? e.message });
+      }
+    }
+    const lock = async () => {
+      const { intentVal, userSig } = await buildSigs({ u:user, solver, amount:amountWei, fee:feeWei, deadline });
+      const { intentDigest } = await escrow.lockIntent(bridge, solver, { domain, intent: intentVal, userSig });
+      addEdge("STAKED", "LOCKED");
+      return intentDigest;
+    };
+    const deliver = async () => (await (await token.connect(solver).transfer(user.address, amountWei)).wait()).hash;
+    const prove = (digest, deliveryTx) => escrow.proveDelivery(bridge, token, [deployer], 1, digest, deliveryTx, { domain });
+
+    // MINIMUM_STAKE covers two open escrows, so the first is proven before the others are locked
+    const settled = await lock();     // proven before its deadline
+    await prove(settled, await deliver());
+    addEdge("LOCKED", "SETTLED");
+    const answered = await lock();    // challenged, then proven within the window
+    const unanswered = await lock();  // challenged, never proven
+
+    await expectRevert("EARLY_CHALLENGE", "LOCKED", "CHALLENGED", () => escrow.challengeIntent(bridge, answered, { caller: deployer }));
+
+    // Deadline passed: the watcher challenges every unproven escrow
+    await advanceTimeTo(ethers.provider, Number(deadline) + 1);
+    await watcher.poll();
+    for (let i = 0; i < watcher.challenged.length; i++) addEdge("LOCKED", "CHALLENGED");
+    await expectRevert("SETTLED_CHALLENGE", "SETTLED", "CHALLENGED", () => escrow.challengeIntent(bridge, settled, { caller: deployer }));
+
+    await prove(answered, await deliver());
+    addEdge("CHALLENGED", "SETTLED");
+    await expectRevert("EARLY_SLASH", "CHALLENGED", "SLASHED", () => escrow.resolveChallenge(bridge, unanswered, { caller: deployer }));
+
+    // Proof window over: the watcher slashes the unanswered challenge
+    await advanceTimeTo(ethers.provider, await escrow.refundableAt(bridge, unanswered));
+    await expectRevert("CHALLENGED_REFUNDED", "CHALLENGED", "REFUNDED", () => escrow.refundIntent(bridge, unanswered, { caller: user }));
+    await watcher.poll();
+    for (const c of watcher.slashed) if (c.intentDigest === unanswered) addEdge("CHALLENGED", "SLASHED");
+    await expectRevert("DOUBLE_SLASH", "SLASHED", "SLASHED", () => escrow.resolveChallenge(bridge, unanswered, { caller: deployer }));
+    // A late delivery no longer settles: attest it directly (proveDelivery refuses a slashed escrow)
+    const lateTx = await deliver();
+    await expectRevert("SLASHED_SETTLED", "SLASHED", "SETTLED", () => committee.settleForDelivery(bridge, [deployer], 1,
+      { intentDigest: unanswered, solver: solver.address, amount: amountWei, deliveryTx: lateTx }, { domain }));
+  }
+
+  // ---------- 6) UNBONDING: STAKED -> UNBONDING -> WITHDRAWN ----------
+  // Solvers still at the minimum unbond their whole stake; while it cools down they may neither
+  // fill nor withdraw.
+  {
+    const unbonded = [];
+    for (const solver of stakedSolvers) {
+      const { state, staked } = await staking.stakeState(bridge, solver.address);
+      if (state !== "STAKED") continue; // e.g. slashed below the minimum in section 5
+      unbonded.push({ solver, ...(await staking.requestUnbond(bridge, solver, staked)) });
+      addEdge("STAKED", "UNBONDING");
+    }
+    const { timestamp } = await ethers.provider.getBlock("latest");
+    for (const { solver } of unbonded) {
+      const deadline = BigInt(timestamp + cfg.DEADLINE_SECS);
+      const { userSig, solverSig, intentVal } = await buildSigs({ u:user, solver, amount:amountWei, fee:feeWei, deadline });
+      try {
+        await bridge.connect(solver).fulfillIntent(...sdk.fulfillArgs(intentVal, userSig, solverSig));
+        addEdge("UNBONDING", "FULFILLED");
+        illegal.push({ kind:"UNBONDING_FULFILLED_SUCCEEDED", solver: solver.address, reason:"unbonding stake counted toward MINIMUM_STAKE" });
+      } catch (e) {
+        illegal.push({ kind:"UNBONDING_FULFILLED_ATTEMPT", solver: solver.address, reason: e.shortMessage ?? e.message });
+      }
+      try {
+        await staking.withdrawStake(bridge, solver);
+        addEdge("UNBONDING", "WITHDRAWN");
+        illegal.push({ kind:"EARLY_WITHDRAW_SUCCEEDED", solver: solver.address, reason:"withdrawn before UNBONDING_PERIOD" });
+      } catch (e) {
+        illegal.push({ kind:"EARLY_WITHDRAW_ATTEMPT", solver: solver.address, reason: e.shortMessage ?? e.message });
+      }
+    }
+    if (unbonded.length) await advanceTimeTo(ethers.provider, Math.max(...unbonded.map((u) => u.releaseTime)));
+    for (const { solver } of unbonded) {
+      await staking.withdrawStake(bridge, solver);
+      addEdge("UNBONDING", "WITHDRAWN");
     }
   }
 
@@ -193,15 +269,12 @@ async function main() {
   }
 
   // Persist
-  if (CFG.SAVE_FILES) {
+  if (cfg.SAVE_FILES) {
     const edgesRows = Array.from(edges.entries()).map(([k,v]) => ({ edge:k, count:v }));
-    await ensureDir(outDir);
-    await fs.promises.writeFile(jsonOut, JSON.stringify({ edges: edgesRows, illegal }, null, 2));
     const csvHeader = "edge,count\n";
     const csvBody   = edgesRows.map(e => `${e.edge},${e.count}`).join("\n");
-    await fs.promises.writeFile(csvOut, csvHeader + csvBody);
-    console.log(`\nSaved -> ${jsonOut}`);
-    console.log(`Saved -> ${csvOut}`);
+    console.log("");
+    await run.save({ edges: edgesRows, illegal }, { files: { "exp2_graph_edges.csv": csvHeader + csvBody } });
   }
 
   // Quick verdict line for your thesis: zero truly illegal successes?
@@ -213,7 +286,11 @@ async function main() {
   }
 }
 
-main().catch(e => {
-  console.error(e);
-  process.exit(1);
-});
+if (require.main === module) {
+  main().catch(e => {
+    console.error(e);
+    process.exit(1);
+  });
+}
+
+module.exports = { CFG, main };
@@ -0,0 +1,207 @@
+/* eslint-disable no-console */
+//
+// Swap intents — execution quality of cross-asset fills sourced from a local constant-product
+// pool (MockAMM). Per trial the user signs a SwapIntent: AMOUNT of token A plus a FEE_BPS fee
+// for at least minOutput of token B, where minOutput is the pool's quote at signing minus
+// SLIPPAGE_BPS. A noise trader then moves the pool by up to DRIFT of its reserves in a random
+// direction. The solver buys B with its own A on the pool and delivers minOutput plus
+// SURPLUS_SHARE of what it bought above minOutput. When the pool no longer quotes minOutput the
+// solver skips the intent, because fulfillSwap would revert with "insufficient output".
+//
+// Execution quality per fill, in bps of output:
+//   vs quote  delivered against the quote the user saw when signing (drift + surplus kept)
+//   vs mid    delivered against the pool's mid price at signing (adds pool fee and price impact)
+//   surplus   delivered above the signed minimum
+//
+// RUN:
+//   npx hardhat bench:swap
+//   npx hardhat bench:swap --amounts 10,1000,10000 --slippage-bps 30 --drift 0.005 --surplus-share 0.5
+//
+// Outputs:
+//   - Console tables: per trial, per amount; fulfillSwap vs fulfillIntent gas
+//   - ./results/runs/bench-swap/<runId>/run.json (toggle via CFG.SAVE_FILES)
+// ---------------------------------------------------------------
+
+const hre = require("hardhat");
+const { ethers } = hre;
+const sdk = require("./lib/intentSdk");
+const amm = require("./lib/amm");
+const stats = require("./lib/stats");
+const runs = require("./lib/runs");
+const { resolveSeed, createRng } = require("./lib/prng");
+
+// ---------------- CONFIG ----------------
+const CFG = {
+  TRIALS: 20,
+  AMOUNTS: ["10.0", "100.0", "1000.0"],    // input amount (token A), cycled per trial
+  FEE_BPS: 10,                             // solver fee in token A, bps of the amount
+  SLIPPAGE_BPS: 50,                        // minOutput = quote at signing - SLIPPAGE_BPS
+  SURPLUS_SHARE: 1,                        // part of the output above minOutput passed to the user
+  DRIFT: 0.002,                            // largest noise trade between signing and the fill, share of the reserve
+  POOL: ["100000.0", "50000.0"],           // initial reserves of A and B (mid price 0.5 B per A)
+  SEED: null,
+  SAVE_FILES: true,
+};
+
+const MAX_UINT = ethers.MaxUint256;
+const unit = (x) => ethers.parseUnits(x, 18);
+// (a - b) / b in bps, two decimals
+const bps = (a, b) => Number(((a - b) * 1_000_000n) / b) / 100;
+
+async function setup(cfg) {
+  const [deployer, user, solver, trader] = await ethers.getSigners();
+  const Token = await ethers.getContractFactory("MockToken");
+  const tokenA = await Token.deploy();
+  const tokenB = await Token.deploy();
+  await Promise.all([tokenA.waitForDeployment(), tokenB.waitForDeployment()]);
+  const bridge = await (await ethers.getContractFactory("UltraEfficientIntentBridge")).deploy([deployer.address], 1);
+  await bridge.waitForDeployment();
+
+  const [poolA, poolB] = cfg.POOL.map(unit);
+  for (const [t, who, amt] of [
+    [tokenA, deployer, poolA], [tokenB, deployer, poolB],
+    [tokenA, user, unit("10000000")], [tokenA, solver, unit("10000000")],
+    [tokenA, trader, poolA], [tokenB, trader, poolB],
+    [tokenB, user, 1n],                      // recipient balance slot already written
+  ]) await (await t.mint(who.address, amt)).wait();
+  const pool = await amm.deployPool(ethers, deployer, tokenA, tokenB, poolA, poolB);
+
+  const bridgeAddr = await bridge.getAddress();
+  await (await tokenA.connect(user).approve(bridgeAddr, MAX_UINT)).wait();
+  await (await tokenB.connect(solver).approve(bridgeAddr, MAX_UINT)).wait();
+  for (const t of [tokenA, tokenB]) await (await t.connect(trader).approve(await pool.getAddress(), MAX_UINT)).wait();
+  await (await bridge.connect(solver).stake({ value: ethers.parseEther("1") })).wait();
+
+  return { bridge, pool, tokenA, tokenB, user, solver, trader, domain: await sdk.buildDomain(bridge) };
+}
+
+// Same-token reference: fulfillIntent gas after a warm-up fill
+async function referenceFill(env) {
+  const { bridge, domain, user, solver, tokenA } = env;
+  let rc;
+  for (let i = 0; i < 2; i++) {
+    const f = await sdk.prepareFulfillment({ bridge, domain, user, solver, token: tokenA, amount: unit("10"), fee: unit("0.01") });
+    rc = await (await bridge.connect(solver).fulfillIntent(...sdk.fulfillArgs(f.intent, f.userSig, f.solverSig))).wait();
+  }
+  return Number(rc.gasUsed);
+}
+
+// Noise trader: sells up to DRIFT of the input-side reserve of a random token
+async function noiseTrade(env, cfg, rng) {
+  const { pool, tokenA, tokenB, trader } = env;
+  if (cfg.DRIFT === 0) return { side: null, amount: 0n };
+  const sellA = rng.chance(0.5);
+  const token = sellA ? tokenA : tokenB;
+  const reserve = sellA ? await pool.reserve0() : await pool.reserve1();
+  const amount = (reserve * BigInt(Math.round(rng.next() * cfg.DRIFT * 1e6))) / 1_000_000n;
+  if (amount > 0n) await (await pool.connect(trader).swap(await token.getAddress(), amount, 0, trader.address)).wait();
+  return { side: sellA ? "A" : "B", amount };
+}
+
+async function trial(env, cfg, rng, amountUnits) {
+  const { bridge, pool, domain, user, solver, tokenA, tokenB } = env;
+  const tokenIn = await tokenA.getAddress();
+  const amount = unit(amountUnits);
+  const fee = (amount * BigInt(cfg.FEE_BPS)) / 10_000n;
+
+  const quote = await amm.quoteOut(pool, tokenIn, amount);
+  const mid = await amm.midOut(pool, tokenIn, amount);
+  const minOutput = (quote * BigInt(10_000 - cfg.SLIPPAGE_BPS)) / 10_000n;
+  const intent = await sdk.createSwapIntent(bridge, { user, token: tokenA, amount, fee, outputToken: tokenB, minOutput });
+  const userSig = await sdk.signSwapIntent(user, domain, intent);
+  const t0 = process.hrtime.bigint();
+  const row = { amount: amountUnits, quote: quote.toString(), mid: mid.toString(), minOutput: minOutput.toString() };
+
+  const drift = await noiseTrade(env, cfg, rng);
+  row.drift = { side: drift.side, amount: drift.amount.toString() };
+  const available = await amm.quoteOut(pool, tokenIn, amount);
+  if (available < minOutput) return { ...row, filled: false, reason: "pool below minOutput" };
+
+  const bought = await amm.buy(pool, solver, tokenIn, amount, { minAmountOut: minOutput });
+  const share = BigInt(Math.round(cfg.SURPLUS_SHARE * 10_000));
+  const delivered = minOutput + ((bought.amountOut - minOutput) * share) / 10_000n;
+  const solverSig = await sdk.signSolverCommitment(solver, domain, sdk.swapIntentDigest(domain, intent));
+  const rc = await (await bridge.connect(solver).fulfillSwap(...sdk.swapFillArgs(intent, delivered, userSig, solverSig))).wait();
+
+  return {
+    ...row,
+    filled: true,
+    bought: bought.amountOut.toString(),
+    delivered: delivered.toString(),
+    solverKeptOut: (bought.amountOut - delivered).toString(),
+    vsQuoteBps: bps(delivered, quote),
+    vsMidBps: bps(delivered, mid),
+    surplusBps: bps(delivered, minOutput),
+    T_fill_ms: Number((process.hrtime.bigint() - t0) / 1000000n),
+    gas_swap: Number(bought.receipt.gasUsed),
+    gas_fulfillSwap: Number(rc.gasUsed),
+  };
+}
+
+// ---------------- MAIN -------------------
+async function main(cfg = CFG) {
+  const seed = resolveSeed(cfg.SEED);
+  const rng = createRng(seed);
+  console.log("Seed:", seed);
+  const run = await runs.startRun(hre, "bench-swap", { config: cfg, seed });
+  const env = await setup(cfg);
+  const gasIntent = await referenceFill(env);
+
+  const trials = [];
+  for (let i = 0; i < cfg.TRIALS; i++) trials.push(await trial(env, cfg, rng, cfg.AMOUNTS[i % cfg.AMOUNTS.length]));
+  const filled = trials.filter((t) => t.filled);
+
+  console.log(`\n=== Swap intents: A -> B via MockAMM, slippage ${cfg.SLIPPAGE_BPS} bps, drift <= ${cfg.DRIFT}, ` +
+    `surplus share ${cfg.SURPLUS_SHARE} ===`);
+  console.table(trials.map((t, i) => ({
+    Trial: i + 1,
+    Amount: t.amount,
+    Drift: t.drift.side ? `sell ${t.drift.side} ${Number(ethers.formatUnits(t.drift.amount, 18)).toFixed(1)}` : "-",
+    Filled: t.filled ? "yes" : t.reason,
+    "vs quote (bps)": t.filled ? t.vsQuoteBps.toFixed(2) : "-",
+    "vs mid (bps)": t.filled ? t.vsMidBps.toFixed(2) : "-",
+    "Surplus (bps)": t.filled ? t.surplusBps.toFixed(2) : "-",
+    "Tfill (ms)": t.filled ? t.T_fill_ms : "-",
+  })));
+
+  const perAmount = cfg.AMOUNTS.map((a) => {
+    const xs = trials.filter((t) => t.amount === a);
+    const ok = xs.filter((t) => t.filled);
+    const avg = (k) => (ok.length ? stats.mean(ok.map((t) => t[k])) : null);
+    return { amount: a, trials: xs.length, filled: ok.length, vsQuoteBps: avg("vsQuoteBps"), vsMidBps: avg("vsMidBps"), surplusBps: avg("surplusBps") };
+  });
+  console.log("\n=== Execution quality by amount (mean over filled) ===");
+  const fmt = (x) => (x === null ? "-" : x.toFixed(2));
+  console.table(perAmount.map((r) => ({
+    Amount: r.amount,
+    Filled: `${r.filled}/${r.trials}`,
+    "vs quote (bps)": fmt(r.vsQuoteBps),
+    "vs mid (bps)": fmt(r.vsMidBps),
+    "Surplus (bps)": fmt(r.surplusBps),
+  })));
+
+  const gasSwapFill = filled.length ? stats.mean(filled.map((t) => t.gas_fulfillSwap)) : null;
+  if (gasSwapFill !== null) {
+    console.log(`\nGas: fulfillSwap ${gasSwapFill.toFixed(0)} vs fulfillIntent ${gasIntent} (+${(gasSwapFill - gasIntent).toFixed(0)}); ` +
+      `the solver's pool swap adds ${stats.mean(filled.map((t) => t.gas_swap)).toFixed(0)}`);
+  }
+
+  if (cfg.SAVE_FILES) {
+    const metrics = { "fulfillIntent.gas": runs.metric("gas", "gas", [gasIntent]) };
+    if (filled.length) {
+      metrics["fulfillSwap.gas"] = runs.metric("gas", "gas", filled.map((t) => t.gas_fulfillSwap));
+      metrics["swap.T_fill_ms"] = runs.metric("latency", "ms", filled.map((t) => t.T_fill_ms));
+    }
+    await run.save({ gasIntent, trials, perAmount }, { metrics });
+  }
+  return { gasIntent, trials, perAmount };
+}
+
+if (require.main === module) {
+  main().catch((e) => {
+    console.error(e);
+    process.exit(1);
+  });
+}
+
+module.exports = { CFG, main };
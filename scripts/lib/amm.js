@@ -0,0 +1,60 @@
+// scripts/lib/amm.js
+// Helpers around MockAMM, the local constant-product pool solvers source swap-intent output from.
+//
+//   quoteOut  what selling amountIn returns now (after the pool fee and price impact)
+//   midOut    the same amount at the pool's mid price (no fee, no impact), the benchmark for
+//             execution quality
+//   buy       solver-side swap, returns the output actually received
+
+const { ethers } = require("ethers");
+const { findEvent } = require("./chain");
+
+const ERC20_APPROVE_ABI = ["function approve(address spender, uint256 value) returns (bool)"];
+
+/**
+ * Deploys a MockAMM for tokenA/tokenB and seeds it from `lp` (a signer holding both).
+ * @param {object} hreEthers  hre.ethers (for the contract factory)
+ * @returns {Promise<import("ethers").Contract>}
+ */
+async function deployPool(hreEthers, lp, tokenA, tokenB, amountA, amountB) {
+  const amm = await (await hreEthers.getContractFactory("MockAMM")).deploy(await tokenA.getAddress(), await tokenB.getAddress());
+  await amm.waitForDeployment();
+  const at = await amm.getAddress();
+  await (await tokenA.connect(lp).approve(at, amountA)).wait();
+  await (await tokenB.connect(lp).approve(at, amountB)).wait();
+  await (await amm.connect(lp).addLiquidity(amountA, amountB)).wait();
+  return amm;
+}
+
+async function reservesOf(amm, tokenIn) {
+  const [token0, r0, r1] = await Promise.all([amm.token0(), amm.reserve0(), amm.reserve1()]);
+  return token0 === tokenIn ? { reserveIn: r0, reserveOut: r1 } : { reserveIn: r1, reserveOut: r0 };
+}
+
+async function quoteOut(amm, tokenIn, amountIn) {
+  return amm.getAmountOut(tokenIn, amountIn);
+}
+
+async function midOut(amm, tokenIn, amountIn) {
+  const { reserveIn, reserveOut } = await reservesOf(amm, tokenIn);
+  return (amountIn * reserveOut) / reserveIn;
+}
+
+/**
+ * `signer` sells amountIn of tokenIn (approving the pool first) and receives the other token.
+ * @returns {Promise<{ amountOut: bigint, receipt: object }>}
+ */
+async function buy(amm, signer, tokenIn, amountIn, { minAmountOut = 0n, to } = {}) {
+  const erc20 = new ethers.Contract(tokenIn, ERC20_APPROVE_ABI, signer);
+  await (await erc20.approve(await amm.getAddress(), amountIn)).wait();
+  const receipt = await (await amm.connect(signer).swap(tokenIn, amountIn, minAmountOut, to ?? (await signer.getAddress()))).wait();
+  return { amountOut: findEvent(amm, receipt, "Swap").args.amountOut, receipt };
+}
+
+module.exports = {
+  deployPool,
+  reservesOf,
+  quoteOut,
+  midOut,
+  buy,
+};
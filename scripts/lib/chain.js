@@ -0,0 +1,80 @@
+// scripts/lib/chain.js
+// Small chain helpers shared by the mechanism libraries.
+
+const { ethers } = require("ethers");
+
+// Advances the chain past `target`: mines empty blocks on Hardhat networks (automine has no
+// block clock), otherwise waits for the node to produce them.
+async function waitForBlock(provider, target, { pollMs = 250 } = {}) {
+  let head = await provider.getBlockNumber();
+  if (head >= target) return head;
+  try {
+    await provider.send("hardhat_mine", [ethers.toQuantity(target - head)]);
+    return provider.getBlockNumber();
+  } catch (e) {
+    // not a Hardhat node: fall through to polling
+  }
+  while (head < target) {
+    await new Promise((r) => setTimeout(r, pollMs));
+    head = await provider.getBlockNumber();
+  }
+  return head;
+}
+
+// Mines a block at `timestamp` (seconds) unless the chain is already there (Hardhat networks only;
+// e.g. to reach a refund window).
+async function advanceTimeTo(provider, timestamp) {
+  const latest = await provider.getBlock("latest");
+  if (latest.timestamp >= timestamp) return latest.timestamp;
+  await provider.send("evm_setNextBlockTimestamp", [ethers.toQuantity(timestamp)]);
+  await provider.send("evm_mine", []);
+  return timestamp;
+}
+
+// Methods that mine a block under automine
+const MINING = new Set(["eth_sendTransaction", "eth_sendRawTransaction", "evm_mine", "hardhat_mine"]);
+
+// Makes block timestamps follow the block sequence instead of the wall clock: every block mined
+// through `provider.send` lands `step` seconds after its parent, unless the caller has just set
+// its timestamp (advanceTimeTo). With the fixed genesis date of the Hardhat network
+// (hardhat.config.js) the same transactions then give the same block hashes, so dispatch
+// schedules drawn from a request block hash replay from the run seed. Automine only (interval
+// mining would race the pinned timestamp); returns a function that restores `provider.send`.
+function pinBlockTimes(provider, { step = 1 } = {}) {
+  const send = provider.send.bind(provider);
+  let explicit = false;
+  let queue = Promise.resolve();
+  provider.send = (method, params) => {
+    if (method === "evm_setNextBlockTimestamp") explicit = true;
+    if (!MINING.has(method)) return send(method, params);
+    // One at a time, so concurrent sends cannot share a pinned timestamp
+    const mined = queue.then(async () => {
+      if (explicit) {
+        explicit = false;
+      } else {
+        const latest = await send("eth_getBlockByNumber", ["latest", false]);
+        await send("evm_setNextBlockTimestamp", [ethers.toQuantity(Number(latest.timestamp) + step)]);
+      }
+      return send(method, params);
+    });
+    queue = mined.catch(() => {});
+    return mined;
+  };
+  return () => { provider.send = send; };
+}
+
+// First log of `eventName` emitted by `contract` in a receipt, parsed.
+function findEvent(contract, receipt, eventName) {
+  for (const log of receipt.logs) {
+    let parsed = null;
+    try {
+      parsed = contract.interface.parseLog(log);
+    } catch (e) {
+      // log of another contract
+    }
+    if (parsed?.name === eventName) return parsed;
+  }
+  return null;
+}
+
+module.exports = { waitForBlock, advanceTimeTo, pinBlockTimes, findEvent };
@@ -0,0 +1,147 @@
+// scripts/lib/charts.js
+// Dependency-free SVG charts for the experiment report: histogram, empirical CDF and box plot.
+// Every function returns a standalone <svg> string (fixed viewBox, inline styles), so the same
+// figure can be inlined in HTML or saved as a .svg file next to the Markdown report.
+
+const { percentile } = require("./stats");
+
+const W = 560;
+const H = 320;
+const M = { left: 64, right: 16, top: 32, bottom: 48 };
+const PALETTE = ["#1f77b4", "#d62728", "#2ca02c", "#ff7f0e", "#9467bd", "#8c564b"];
+
+const esc = (s) => String(s).replace(/[&<>"]/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" }[c]));
+const fmt = (x) => (Math.abs(x) >= 1e4 ? x.toExponential(1) : Number(x.toPrecision(4)).toString());
+
+// About `count` round tick values covering [lo, hi]
+function ticks(lo, hi, count = 5) {
+  if (lo === hi) return [lo];
+  const raw = (hi - lo) / count;
+  const mag = 10 ** Math.floor(Math.log10(raw));
+  const step = [1, 2, 5, 10].map((k) => k * mag).find((s) => s >= raw);
+  const out = [];
+  for (let t = Math.ceil(lo / step) * step; t <= hi + step * 1e-9; t += step) out.push(Number(t.toPrecision(12)));
+  return out;
+}
+
+// Linear scale [d0, d1] -> [r0, r1] (rounded to 0.1 px); a degenerate domain is widened by 1 on each side.
+function scale(d0, d1, r0, r1) {
+  if (d0 === d1) { d0 -= 1; d1 += 1; }
+  const f = (x) => Math.round((r0 + ((x - d0) / (d1 - d0)) * (r1 - r0)) * 10) / 10;
+  f.domain = [d0, d1];
+  return f;
+}
+
+function frame({ title, xLabel, yLabel }, body) {
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${W} ${H}" width="${W}" height="${H}" ` +
+    `font-family="sans-serif" font-size="11">` +
+    `<rect width="${W}" height="${H}" fill="#fff"/>` +
+    (title ? `<text x="${W / 2}" y="18" text-anchor="middle" font-size="13" font-weight="bold">${esc(title)}</text>` : "") +
+    (xLabel ? `<text x="${(M.left + W - M.right) / 2}" y="${H - 10}" text-anchor="middle">${esc(xLabel)}</text>` : "") +
+    (yLabel ? `<text transform="translate(14 ${(M.top + H - M.bottom) / 2}) rotate(-90)" text-anchor="middle">${esc(yLabel)}</text>` : "") +
+    body +
+    "</svg>";
+}
+
+function xAxis(x, values = ticks(...x.domain)) {
+  const y0 = H - M.bottom;
+  return `<line x1="${M.left}" y1="${y0}" x2="${W - M.right}" y2="${y0}" stroke="#333"/>` +
+    values.map((t) => `<line x1="${x(t)}" y1="${y0}" x2="${x(t)}" y2="${y0 + 4}" stroke="#333"/>` +
+      `<text x="${x(t)}" y="${y0 + 16}" text-anchor="middle">${fmt(t)}</text>`).join("");
+}
+
+function yAxis(y, values = ticks(...y.domain)) {
+  return `<line x1="${M.left}" y1="${M.top}" x2="${M.left}" y2="${H - M.bottom}" stroke="#333"/>` +
+    values.map((t) => `<line x1="${M.left - 4}" y1="${y(t)}" x2="${W - M.right}" y2="${y(t)}" stroke="#eee"/>` +
+      `<text x="${M.left - 6}" y="${y(t) + 4}" text-anchor="end">${fmt(t)}</text>`).join("");
+}
+
+function legend(labels) {
+  return labels.map((label, i) => {
+    const y = M.top + 4 + i * 16;
+    return `<rect x="${W - M.right - 130}" y="${y}" width="10" height="10" fill="${PALETTE[i % PALETTE.length]}"/>` +
+      `<text x="${W - M.right - 115}" y="${y + 9}">${esc(label)}</text>`;
+  }).join("");
+}
+
+/**
+ * @param {number[]} values
+ * @param {{ title?: string, xLabel?: string, bins?: number, markers?: { x: number, label: string }[] }} [opts]
+ *   markers: vertical reference lines (e.g. the Δ_ack threshold)
+ */
+function histogram(values, { title, xLabel, bins = 20, markers = [] } = {}) {
+  if (!values.length) return frame({ title }, `<text x="${W / 2}" y="${H / 2}" text-anchor="middle">no data</text>`);
+  const lo = Math.min(...values, ...markers.map((m) => m.x));
+  const hi = Math.max(...values, ...markers.map((m) => m.x));
+  const step = (hi - lo) / bins || 1;
+  const counts = new Array(bins).fill(0);
+  for (const v of values) counts[Math.min(bins - 1, Math.floor((v - lo) / step))]++;
+
+  const x = scale(lo, lo + step * bins, M.left, W - M.right);
+  const y = scale(0, Math.max(...counts), H - M.bottom, M.top);
+  const bars = counts.map((c, i) => {
+    const x0 = x(lo + i * step);
+    return `<rect x="${x0 + 0.5}" y="${y(c)}" width="${Math.max(0, x(lo + (i + 1) * step) - x0 - 1)}" ` +
+      `height="${H - M.bottom - y(c)}" fill="${PALETTE[0]}"><title>${fmt(lo + i * step)}–${fmt(lo + (i + 1) * step)}: ${c}</title></rect>`;
+  }).join("");
+  const marks = markers.map((m) => `<line x1="${x(m.x)}" y1="${M.top}" x2="${x(m.x)}" y2="${H - M.bottom}" ` +
+    `stroke="${PALETTE[1]}" stroke-dasharray="4 3"/><text x="${x(m.x) + 4}" y="${M.top + 10}" fill="${PALETTE[1]}">${esc(m.label)}</text>`).join("");
+  return frame({ title, xLabel, yLabel: "count" }, yAxis(y, ticks(0, Math.max(...counts)).filter(Number.isInteger)) + xAxis(x) + bars + marks);
+}
+
+/**
+ * Empirical CDF, one step line per series.
+ * @param {{ label: string, values: number[] }[]} series
+ */
+function cdf(series, { title, xLabel } = {}) {
+  const all = series.flatMap((s) => s.values);
+  if (!all.length) return frame({ title }, `<text x="${W / 2}" y="${H / 2}" text-anchor="middle">no data</text>`);
+  const x = scale(Math.min(...all), Math.max(...all), M.left, W - M.right);
+  const y = scale(0, 1, H - M.bottom, M.top);
+  const lines = series.map((s, i) => {
+    const v = [...s.values].sort((a, b) => a - b);
+    const pts = [[x.domain[0], 0]];
+    v.forEach((val, k) => pts.push([val, k / v.length], [val, (k + 1) / v.length]));
+    pts.push([x.domain[1], 1]);
+    return `<polyline fill="none" stroke="${PALETTE[i % PALETTE.length]}" stroke-width="1.5" ` +
+      `points="${pts.map(([a, b]) => `${x(a)},${y(b)}`).join(" ")}"/>`;
+  }).join("");
+  return frame({ title, xLabel, yLabel: "P(X ≤ x)" },
+    yAxis(y, [0, 0.25, 0.5, 0.75, 1]) + xAxis(x) + lines + (series.length > 1 ? legend(series.map((s) => s.label)) : ""));
+}
+
+/**
+ * Tukey box plots: box = p25..p75, line = median, whiskers to the last value within 1.5 IQR,
+ * points beyond are drawn as outliers.
+ * @param {{ label: string, values: number[] }[]} series
+ */
+function boxPlot(series, { title, yLabel } = {}) {
+  const all = series.flatMap((s) => s.values);
+  if (!all.length) return frame({ title }, `<text x="${W / 2}" y="${H / 2}" text-anchor="middle">no data</text>`);
+  const pad = (Math.max(...all) - Math.min(...all)) * 0.05;
+  const y = scale(Math.min(...all) - pad, Math.max(...all) + pad, H - M.bottom, M.top);
+  const slot = (W - M.left - M.right) / series.length;
+  const boxes = series.map((s, i) => {
+    if (!s.values.length) return "";
+    const cx = M.left + slot * (i + 0.5);
+    const half = Math.min(40, slot / 4);
+    const color = PALETTE[i % PALETTE.length];
+    const [q1, med, q3] = [25, 50, 75].map((p) => percentile(s.values, p));
+    const fence = 1.5 * (q3 - q1);
+    const inside = s.values.filter((v) => v >= q1 - fence && v <= q3 + fence);
+    const [wLo, wHi] = [Math.min(...inside), Math.max(...inside)];
+    const outliers = s.values.filter((v) => v < wLo || v > wHi);
+    return `<line x1="${cx}" y1="${y(wLo)}" x2="${cx}" y2="${y(wHi)}" stroke="${color}"/>` +
+      `<line x1="${cx - half / 2}" y1="${y(wLo)}" x2="${cx + half / 2}" y2="${y(wLo)}" stroke="${color}"/>` +
+      `<line x1="${cx - half / 2}" y1="${y(wHi)}" x2="${cx + half / 2}" y2="${y(wHi)}" stroke="${color}"/>` +
+      `<rect x="${cx - half}" y="${y(q3)}" width="${2 * half}" height="${Math.max(1, y(q1) - y(q3))}" ` +
+      `fill="${color}" fill-opacity="0.25" stroke="${color}"><title>${esc(s.label)}: p25 ${fmt(q1)}, p50 ${fmt(med)}, p75 ${fmt(q3)}</title></rect>` +
+      `<line x1="${cx - half}" y1="${y(med)}" x2="${cx + half}" y2="${y(med)}" stroke="${color}" stroke-width="2"/>` +
+      outliers.map((v) => `<circle cx="${cx}" cy="${y(v)}" r="2.5" fill="none" stroke="${color}"/>`).join("") +
+      `<text x="${cx}" y="${H - M.bottom + 16}" text-anchor="middle">${esc(s.label)}</text>`;
+  }).join("");
+  return frame({ title, yLabel }, yAxis(y) +
+    `<line x1="${M.left}" y1="${H - M.bottom}" x2="${W - M.right}" y2="${H - M.bottom}" stroke="#333"/>` + boxes);
+}
+
+module.exports = { histogram, cdf, boxPlot };
@@ -0,0 +1,327 @@
+// scripts/lib/committee.js
+// m-of-n relayer committee for the traditional lock–mint bridge
+// (TraditionalBridge on the source chain, WrappedTokenMinter on the destination chain), which
+// also attests destination deliveries of escrowed intents (UltraEfficientIntentBridge).
+//
+// Lock:    TokensLocked(lockId, user, token, amount)  -> members sign Mint(lockId,to,amount)
+//          -> mint(lockId, user, amount, sigs) on the destination
+// Burn:    TokensBurned(burnId, from, amount)         -> members sign Release(burnId,token,to,amount)
+//          -> releaseTokens(burnId, sourceToken, from, amount, sigs) on the source
+// Escrow:  IntentLocked(digest, user, solver, ...) + destination Transfer(solver -> user, amount)
+//          -> members sign Fulfillment(digest,solver,amount,deliveryTx) -> settleIntent on the source
+//
+// Signatures are submitted in ascending signer order, as RelayerCommittee requires.
+//
+// A delivery names its escrow when the solver appends the intent digest to the transfer calldata
+// (tagDelivery; the token ignores trailing bytes). The committee settles an escrow with a delivery
+// tagged for it, else with an untagged transfer of the same (solver, user, amount), never with one
+// tagged for another intent. Untagged, two escrows with the same terms may swap deliveries.
+
+const { ethers } = require("ethers");
+const sdk = require("./intentSdk");
+
+// _MINT_TYPEHASH = Mint(bytes32 lockId,address to,uint256 amount)
+const MINT_TYPES = {
+  Mint: [
+    { name: "lockId", type: "bytes32" },
+    { name: "to", type: "address" },
+    { name: "amount", type: "uint256" },
+  ],
+};
+
+// _RELEASE_TYPEHASH = Release(bytes32 burnId,address token,address to,uint256 amount)
+const RELEASE_TYPES = {
+  Release: [
+    { name: "burnId", type: "bytes32" },
+    { name: "token", type: "address" },
+    { name: "to", type: "address" },
+    { name: "amount", type: "uint256" },
+  ],
+};
+
+// _FULFILLMENT_TYPEHASH = Fulfillment(bytes32 intentDigest,address solver,uint256 amount,bytes32 deliveryTx)
+const FULFILLMENT_TYPES = {
+  Fulfillment: [
+    { name: "intentDigest", type: "bytes32" },
+    { name: "solver", type: "address" },
+    { name: "amount", type: "uint256" },
+    { name: "deliveryTx", type: "bytes32" },
+  ],
+};
+
+const TRANSFER = new ethers.Interface(["function transfer(address to, uint256 value)"]);
+const TRANSFER_DATA_LENGTH = 4 + 2 * 32; // selector, to, value
+
+// Calldata of transfer(to, value) tagged with the escrow it delivers for.
+function tagDelivery(to, value, intentDigest) {
+  return ethers.concat([TRANSFER.encodeFunctionData("transfer", [to, value]), intentDigest]);
+}
+
+// Intent digest a delivery transaction's calldata is tagged with, or null.
+function deliveryTag(data) {
+  const bytes = ethers.getBytes(data);
+  if (bytes.length !== TRANSFER_DATA_LENGTH + 32 || ethers.hexlify(bytes.slice(0, 4)) !== TRANSFER.getFunction("transfer").selector) return null;
+  return ethers.hexlify(bytes.slice(TRANSFER_DATA_LENGTH));
+}
+
+/**
+ * Every member signs `value` independently; the first `threshold` signatures (by signer address)
+ * form the attestation.
+ * @param {import("ethers").Signer[]} members
+ * @returns {Promise<string[]>}
+ */
+async function attest(members, threshold, domain, types, value) {
+  const signed = await Promise.all(members.map(async (m) => ({
+    addr: BigInt(await m.getAddress()),
+    sig: await m.signTypedData(domain, types, value),
+  })));
+  if (signed.length < threshold) throw new Error(`committee has ${signed.length} members, threshold ${threshold}`);
+  return signed
+    .sort((a, b) => (a.addr < b.addr ? -1 : 1))
+    .slice(0, threshold)
+    .map((s) => s.sig);
+}
+
+// Attests a parsed TokensLocked log and submits the mint; returns the receipt.
+async function mintForLock(minter, members, threshold, lock, { domain, submitter } = {}) {
+  const { lockId, user, amount } = lock.args;
+  const dom = domain ?? (await sdk.buildDomain(minter));
+  const sigs = await attest(members, threshold, dom, MINT_TYPES, { lockId, to: user, amount });
+  const target = submitter ? minter.connect(submitter) : minter;
+  return (await target.mint(lockId, user, amount, sigs)).wait();
+}
+
+// Attests a parsed TokensBurned log and submits the release; returns the receipt.
+async function releaseForBurn(sourceBridge, sourceToken, members, threshold, burn, { domain, submitter } = {}) {
+  const { burnId, from, amount } = burn.args;
+  const dom = domain ?? (await sdk.buildDomain(sourceBridge));
+  const sigs = await attest(members, threshold, dom, RELEASE_TYPES, { burnId, token: sourceToken, to: from, amount });
+  const target = submitter ? sourceBridge.connect(submitter) : sourceBridge;
+  return (await target.releaseTokens(burnId, sourceToken, from, amount, sigs)).wait();
+}
+
+// Attests a verified delivery for an escrowed intent and submits settleIntent; returns the receipt.
+async function settleForDelivery(intentBridge, members, threshold, { intentDigest, solver, amount, deliveryTx }, { domain, submitter } = {}) {
+  const dom = domain ?? (await sdk.buildDomain(intentBridge));
+  const sigs = await attest(members, threshold, dom, FULFILLMENT_TYPES, { intentDigest, solver, amount, deliveryTx });
+  const target = submitter ? intentBridge.connect(submitter) : intentBridge;
+  return (await target.settleIntent(intentDigest, deliveryTx, sigs)).wait();
+}
+
+/**
+ * Watches both chains and relays in both directions once an event has `confirmations` blocks
+ * on its own chain.
+ * @param {object} opts
+ * @param {import("ethers").Contract} opts.sourceBridge   TraditionalBridge (connected to a source submitter)
+ * @param {import("ethers").Contract} opts.minter         WrappedTokenMinter (connected to a destination submitter)
+ * @param {import("ethers").Signer[]} opts.members        committee keys (sign off-chain only)
+ * @param {{ bridge: import("ethers").Contract, deliveryToken: import("ethers").Contract }} [opts.escrow]
+ *   also settle escrowed intents locked on `bridge` (source chain) once a matching
+ *   deliveryToken transfer solver -> user is confirmed on the destination chain
+ * @param {number}   [opts.confirmations=2]
+ * @param {number}   [opts.pollMs=200]
+ * @param {function} [opts.onMint]     ({ lockId, user, amount, lockTx, lockBlock, mintTx, mintBlock, mintGas })
+ * @param {function} [opts.onRelease]  ({ burnId, to, amount, burnTx, burnBlock, releaseTx, releaseBlock, releaseGas })
+ * @param {function} [opts.onSettle]   ({ intentDigest, solver, user, amount, lockTx, deliveryTx, settleTx, settleBlock, settleGas })
+ * @param {function} [opts.log]
+ * @returns {{ start, stop, poll, minted, released, settled }}  poll() runs one round (start() first)
+ */
+function createRelayerCommittee({
+  sourceBridge,
+  minter,
+  members,
+  escrow,
+  confirmations = 2,
+  pollMs = 200,
+  onMint = () => {},
+  onRelease = () => {},
+  onSettle = () => {},
+  log = () => {},
+}) {
+  const srcProvider = sourceBridge.runner.provider;
+  const dstProvider = minter.runner.provider;
+  const minted = [];
+  const released = [];
+  const settled = [];
+  const pendingLocks = [];
+  const pendingBurns = [];
+  const pendingEscrows = [];
+  const deliveries = [];  // unmatched destination transfers of escrow.deliveryToken: { log, tag }
+  let threshold;
+  let escrowThreshold;
+  let sourceToken;
+  let domains;
+  let lastSrc;
+  let lastDst;
+  let timer;
+  let stopped = false;
+  let busy = Promise.resolve();
+
+  // An event leaves its queue only once its transaction has landed. A failed submission (nonce
+  // race, RPC error, gas) stays queued for the next poll, unless the revert shows an earlier
+  // submission already landed (its receipt was lost), in which case the event is done.
+  const RETRY = Symbol("retry");
+  const ALREADY_DONE = /already minted|already released|not locked/;
+  async function submit(what, send) {
+    try {
+      return await send();
+    } catch (e) {
+      const reason = e.shortMessage ?? e.message;
+      if (ALREADY_DONE.test(reason)) {
+        log(`${what}: already on chain (${reason})`);
+        return null;
+      }
+      log(`${what} failed, retrying next poll: ${reason}`);
+      return RETRY;
+    }
+  }
+
+  async function poll() {
+    const [srcHead, dstHead] = await Promise.all([srcProvider.getBlockNumber(), dstProvider.getBlockNumber()]);
+    if (srcHead > lastSrc) {
+      pendingLocks.push(...await sourceBridge.queryFilter(sourceBridge.filters.TokensLocked(), lastSrc + 1, srcHead));
+      if (escrow) pendingEscrows.push(...await escrow.bridge.queryFilter(escrow.bridge.filters.IntentLocked(), lastSrc + 1, srcHead));
+      lastSrc = srcHead;
+    }
+    if (dstHead > lastDst) {
+      pendingBurns.push(...await minter.queryFilter(minter.filters.TokensBurned(), lastDst + 1, dstHead));
+      if (escrow) {
+        const transfers = await escrow.deliveryToken.queryFilter(escrow.deliveryToken.filters.Transfer(), lastDst + 1, dstHead);
+        deliveries.push(...await Promise.all(transfers.map(async (log) =>
+          ({ log, tag: deliveryTag((await dstProvider.getTransaction(log.transactionHash)).data) }))));
+      }
+      lastDst = dstHead;
+    }
+
+    while (pendingLocks.length && srcHead - pendingLocks[0].blockNumber >= confirmations) {
+      const lock = pendingLocks[0];
+      if (lock.args.token !== sourceToken) { pendingLocks.shift(); continue; } // other tokens have their own minter
+      const rc = await submit(`mint for lock ${lock.args.lockId.slice(0, 10)}`,
+        () => mintForLock(minter, members, threshold, lock, { domain: domains.minter }));
+      if (rc === RETRY) break;
+      pendingLocks.shift();
+      if (!rc) continue;
+      const record = {
+        lockId: lock.args.lockId,
+        user: lock.args.user,
+        amount: lock.args.amount,
+        lockTx: lock.transactionHash,
+        lockBlock: lock.blockNumber,
+        mintTx: rc.hash,
+        mintBlock: rc.blockNumber,
+        mintGas: rc.gasUsed,
+      };
+      minted.push(record);
+      log(`minted ${record.amount} to ${record.user} (lock ${record.lockId.slice(0, 10)})`);
+      onMint(record);
+    }
+
+    while (pendingBurns.length && dstHead - pendingBurns[0].blockNumber >= confirmations) {
+      const burn = pendingBurns[0];
+      const rc = await submit(`release for burn ${burn.args.burnId.slice(0, 10)}`,
+        () => releaseForBurn(sourceBridge, sourceToken, members, threshold, burn, { domain: domains.source }));
+      if (rc === RETRY) break;
+      pendingBurns.shift();
+      if (!rc) continue;
+      const record = {
+        burnId: burn.args.burnId,
+        to: burn.args.from,
+        amount: burn.args.amount,
+        burnTx: burn.transactionHash,
+        burnBlock: burn.blockNumber,
+        releaseTx: rc.hash,
+        releaseBlock: rc.blockNumber,
+        releaseGas: rc.gasUsed,
+      };
+      released.push(record);
+      log(`released ${record.amount} to ${record.to} (burn ${record.burnId.slice(0, 10)})`);
+      onRelease(record);
+    }
+
+    // Escrows wait for their own confirmations and for a confirmed, not yet used delivery: one
+    // tagged for the escrow, else the first untagged one with its terms
+    for (let i = 0; i < pendingEscrows.length; ) {
+      const lock = pendingEscrows[i];
+      const { intentDigest, user, solver, amount } = lock.args;
+      const pays = ({ log }) => dstHead - log.blockNumber >= confirmations &&
+        log.args.from === solver && log.args.to === user && log.args.value === amount;
+      let k = -1;
+      if (srcHead - lock.blockNumber >= confirmations) {
+        k = deliveries.findIndex((d) => d.tag === intentDigest && pays(d));
+        if (k < 0) k = deliveries.findIndex((d) => d.tag === null && pays(d));
+      }
+      if (k < 0) { i++; continue; }
+      const delivery = deliveries[k].log;
+      const rc = await submit(`settle ${intentDigest.slice(0, 10)}`, () => settleForDelivery(escrow.bridge, members, escrowThreshold,
+        { intentDigest, solver, amount, deliveryTx: delivery.transactionHash }, { domain: domains.escrow }));
+      if (rc === RETRY) break;
+      deliveries.splice(k, 1);
+      pendingEscrows.splice(i, 1);
+      if (!rc) continue;
+      const record = {
+        intentDigest,
+        solver,
+        user,
+        amount,
+        lockTx: lock.transactionHash,
+        deliveryTx: delivery.transactionHash,
+        settleTx: rc.hash,
+        settleBlock: rc.blockNumber,
+        settleGas: rc.gasUsed,
+      };
+      settled.push(record);
+      log(`settled ${intentDigest.slice(0, 10)} for ${solver} (delivery ${delivery.transactionHash.slice(0, 10)})`);
+      onSettle(record);
+    }
+  }
+
+  function schedule() {
+    if (stopped) return;
+    timer = setTimeout(() => {
+      busy = poll()
+        .catch((e) => log(`committee poll failed: ${e.shortMessage ?? e.message}`))
+        .then(schedule);
+    }, pollMs);
+  }
+
+  async function start() {
+    const [t, et, token, srcDomain, dstDomain, escrowDomain, srcHead, dstHead] = await Promise.all([
+      minter.threshold(),
+      escrow ? escrow.bridge.threshold() : 0n,
+      minter.sourceToken(),
+      sdk.buildDomain(sourceBridge),
+      sdk.buildDomain(minter),
+      escrow ? sdk.buildDomain(escrow.bridge) : null,
+      srcProvider.getBlockNumber(),
+      dstProvider.getBlockNumber(),
+    ]);
+    threshold = Number(t);
+    escrowThreshold = Number(et);
+    sourceToken = token;
+    domains = { source: srcDomain, minter: dstDomain, escrow: escrowDomain };
+    lastSrc = srcHead;
+    lastDst = dstHead;
+    schedule();
+  }
+
+  async function stop() {
+    stopped = true;
+    clearTimeout(timer);
+    await busy;
+  }
+
+  return { start, stop, poll, minted, released, settled };
+}
+
+module.exports = {
+  MINT_TYPES,
+  RELEASE_TYPES,
+  FULFILLMENT_TYPES,
+  tagDelivery,
+  deliveryTag,
+  attest,
+  mintForLock,
+  releaseForBurn,
+  settleForDelivery,
+  createRelayerCommittee,
+};
@@ -0,0 +1,124 @@
+// scripts/lib/costs.js
+// ETH / USD cost of the measured transactions under gas-price and ETH-price series.
+//
+// The comparison scripts store one record per transaction ({ step, gasUsed, dataBytes, zeroBytes });
+// a path (e.g. one traditional round trip) is the list of its records. Pricing modes:
+//   l1      cost = gasUsed × gas price
+//   rollup  cost = gasUsed × L2 gas price + L1 data fee, where the data fee charges the calldata
+//           at L1 rates: (16 per non-zero byte + 4 per zero byte + fixed overhead) × scalar ×
+//           L1 base fee (the pre-blob OP Stack formula). Signatures are 65 non-zero bytes each,
+//           so they dominate the data fee of lockIntent, mint and releaseTokens.
+// In both modes a path costs fixed + perGwei × price, with price the gas-price series (the L1
+// base fee in rollup mode), which makes the break-even price between two paths a closed form.
+
+const fs = require("fs");
+const { ethers } = require("ethers");
+
+const GWEI = 1e-9; // ETH per gwei
+
+/**
+ * One cost record per transaction.
+ * @param {import("ethers").Provider} provider
+ * @param {Object<string, { hash: string, gasUsed: bigint } | string>} steps  step name -> receipt or tx hash
+ * @returns {Promise<{ step: string, hash: string, gasUsed: number, dataBytes: number, zeroBytes: number }[]>}
+ */
+async function txRecords(provider, steps) {
+  const out = [];
+  for (const [step, r] of Object.entries(steps)) {
+    const hash = typeof r === "string" ? r : r.hash;
+    const [tx, receipt] = await Promise.all([provider.getTransaction(hash), typeof r === "string" ? provider.getTransactionReceipt(hash) : r]);
+    const data = ethers.getBytes(tx.data);
+    out.push({
+      step,
+      hash,
+      gasUsed: Number(receipt.gasUsed),
+      dataBytes: data.length,
+      zeroBytes: data.filter((b) => b === 0).length,
+    });
+  }
+  return out;
+}
+
+// Calldata gas at L1 rates (EIP-2028)
+const calldataGas = (r) => 16 * (r.dataBytes - r.zeroBytes) + 4 * r.zeroBytes;
+
+/**
+ * Cost of one path as fixed + perGwei × price, in ETH.
+ * @param {object[]} records  txRecords of the path
+ * @param {"l1"|"rollup"} mode
+ * @param {{ l2GasPriceGwei: number, overhead: number, scalar: number }} [rollup]
+ */
+function linearCost(records, mode, rollup) {
+  const gas = records.reduce((s, r) => s + r.gasUsed, 0);
+  if (mode === "l1") return { fixed: 0, perGwei: gas * GWEI };
+  if (mode !== "rollup") throw new Error(`Unknown pricing mode ${mode}`);
+  const dataGas = records.reduce((s, r) => s + calldataGas(r) + rollup.overhead, 0);
+  return { fixed: gas * rollup.l2GasPriceGwei * GWEI, perGwei: dataGas * rollup.scalar * GWEI };
+}
+
+// Mean of linearCost over runs (each run is a record list)
+function meanLinearCost(runs, mode, rollup) {
+  const costs = runs.map((r) => linearCost(r, mode, rollup));
+  const avg = (k) => costs.reduce((s, c) => s + c[k], 0) / (costs.length || 1);
+  return { fixed: avg("fixed"), perGwei: avg("perGwei") };
+}
+
+const costAt = (c, gwei, extraEth = 0) => c.fixed + c.perGwei * gwei + extraEth;
+
+/**
+ * Price (gwei) at which path a (plus extraEth, e.g. a solver fee) costs the same as path b.
+ * @returns {{ gwei: number|null, aCheaperAbove: boolean|null }}
+ *   gwei null when the lines never cross at a positive price; aCheaperAbove: which side of the
+ *   break-even a is cheaper on (null when they never cross)
+ */
+function breakEven(a, b, extraEth = 0) {
+  const slope = a.perGwei - b.perGwei;
+  const offset = a.fixed + extraEth - b.fixed;
+  if (slope === 0) return { gwei: null, aCheaperAbove: null };
+  const gwei = -offset / slope;
+  return gwei > 0 ? { gwei, aCheaperAbove: slope < 0 } : { gwei: null, aCheaperAbove: null };
+}
+
+// Minimal CSV reader (quoted fields without embedded commas, e.g. Etherscan chart exports)
+function readCsv(file) {
+  const lines = fs.readFileSync(file, "utf8").split(/\r?\n/).filter((l) => l.trim());
+  const cells = (line) => line.split(",").map((c) => c.trim().replace(/^"(.*)"$/, "$1"));
+  const header = cells(lines[0]);
+  return lines.slice(1).map((line) => Object.fromEntries(cells(line).map((v, i) => [header[i], v])));
+}
+
+/**
+ * Numeric series keyed by the first column (e.g. the date).
+ * @param {string} file
+ * @param {{ column: string, scale?: number }} opts  scale multiplies every value (1e-9: wei -> gwei)
+ * @returns {{ key: string, value: number }[]}
+ */
+function readSeries(file, { column, scale = 1 }) {
+  const rows = readCsv(file);
+  if (!rows.length) throw new Error(`${file} has no rows`);
+  if (!(column in rows[0])) throw new Error(`${file} has no column "${column}" (columns: ${Object.keys(rows[0]).join(", ")})`);
+  const keyColumn = Object.keys(rows[0])[0];
+  return rows.map((r) => {
+    const value = Number(r[column]) * scale;
+    if (!Number.isFinite(value)) throw new Error(`${file}: bad ${column} "${r[column]}" at ${r[keyColumn]}`);
+    return { key: r[keyColumn], value };
+  });
+}
+
+// Pairs two series on their key; keys missing from either are dropped
+function joinSeries(a, b) {
+  const byKey = new Map(b.map((x) => [x.key, x.value]));
+  return a.filter((x) => byKey.has(x.key)).map((x) => ({ key: x.key, a: x.value, b: byKey.get(x.key) }));
+}
+
+module.exports = {
+  txRecords,
+  calldataGas,
+  linearCost,
+  meanLinearCost,
+  costAt,
+  breakEven,
+  readCsv,
+  readSeries,
+  joinSeries,
+};
@@ -0,0 +1,113 @@
+// scripts/lib/dispatch.js
+// Client side of the randomized dispatch in UltraEfficientIntentBridge: seed commitment,
+// request/reveal, and an independent recomputation of the assignment from published data.
+//
+// seed     = keccak256(abi.encode(secret, blockhash(requestBlock)))
+// round r  = pick keccak256(abi.encode(seed, r)) mod |remaining| from the pool, without replacement
+
+const { ethers } = require("ethers");
+const { findEvent } = require("./chain");
+
+const coder = ethers.AbiCoder.defaultAbiCoder();
+const MAX_DISPATCH_ROUNDS = 3; // UltraEfficientIntentBridge.MAX_DISPATCH_ROUNDS
+
+function newSecret() {
+  return ethers.hexlify(ethers.randomBytes(32));
+}
+
+function seedCommitment(secret) {
+  return ethers.keccak256(coder.encode(["bytes32"], [secret]));
+}
+
+function deriveSeed(secret, requestBlockHash) {
+  return ethers.keccak256(coder.encode(["bytes32", "bytes32"], [secret, requestBlockHash]));
+}
+
+// Mirrors UltraEfficientIntentBridge.assignSolvers.
+function assignSolvers(seed, pool, maxRounds = MAX_DISPATCH_ROUNDS) {
+  const rest = [...pool];
+  const rounds = Math.min(rest.length, maxRounds);
+  const assigned = [];
+  for (let r = 0; r < rounds; r++) {
+    const remaining = rest.length - r;
+    const k = Number(BigInt(ethers.keccak256(coder.encode(["bytes32", "uint256"], [seed, r]))) % BigInt(remaining));
+    assigned.push(rest[k]);
+    rest[k] = rest[remaining - 1];
+  }
+  return assigned;
+}
+
+/**
+ * Requests a dispatch for `intent` (must be the user's intent at its current nonce).
+ * @returns {Promise<{ digest: string, secret: string, requestBlock: number, gasUsed: bigint, hash: string }>}
+ */
+async function requestDispatch(bridge, user, intent, { ackBlocks = 3, secret = newSecret() } = {}) {
+  const rc = await (await bridge.connect(user).requestDispatch(
+    intent.token, intent.amount, intent.fee, intent.deadline, seedCommitment(secret), ackBlocks,
+  )).wait();
+  const ev = findEvent(bridge, rc, "DispatchRequested");
+  return { digest: ev.args.intentDigest, secret, requestBlock: rc.blockNumber, gasUsed: rc.gasUsed, hash: rc.hash };
+}
+
+/**
+ * Reveals the secret; the bridge fixes the schedule.
+ * @returns {Promise<{ seed: string, pool: string[], assigned: string[], startBlock: number, gasUsed: bigint, hash: string }>}
+ */
+async function revealDispatch(bridge, signer, digest, secret) {
+  const rc = await (await bridge.connect(signer).revealDispatch(digest, secret)).wait();
+  const ev = findEvent(bridge, rc, "DispatchSeeded");
+  return {
+    seed: ev.args.seed,
+    pool: [...ev.args.pool],
+    assigned: [...ev.args.assigned],
+    startBlock: Number(ev.args.startBlock),
+    gasUsed: rc.gasUsed,
+    hash: rc.hash,
+  };
+}
+
+/**
+ * Audits a dispatch from chain data only: re-derives the seed from the revealed secret and the
+ * request block hash, recomputes the schedule from the published pool and compares it with the
+ * schedule the bridge enforces.
+ * @returns {Promise<{ ok: boolean, reason?: string, seed?: string, assigned?: string[] }>}
+ */
+async function verifyDispatch(bridge, digest) {
+  const provider = bridge.runner.provider ?? bridge.runner;
+  const [requested] = await bridge.queryFilter(bridge.filters.DispatchRequested(digest));
+  const [seeded] = await bridge.queryFilter(bridge.filters.DispatchSeeded(digest));
+  if (!requested || !seeded) return { ok: false, reason: "dispatch not requested or not revealed" };
+
+  const { secret, seed, pool, assigned } = seeded.args;
+  if (seedCommitment(secret) !== requested.args.seedCommit) return { ok: false, reason: "secret does not match commitment" };
+
+  const requestBlock = await provider.getBlock(requested.blockNumber);
+  const expectedSeed = deriveSeed(secret, requestBlock.hash);
+  if (expectedSeed !== seed) return { ok: false, reason: "seed does not match secret and block hash" };
+
+  const expected = assignSolvers(expectedSeed, [...pool]);
+  const onChain = (await bridge.dispatchOf(digest)).assigned;
+  const same = (a, b) => a.length === b.length && a.every((x, i) => x === b[i]);
+  if (!same(expected, [...assigned]) || !same(expected, [...onChain])) {
+    return { ok: false, reason: "assignment does not match seed and pool" };
+  }
+  return { ok: true, seed: expectedSeed, assigned: expected };
+}
+
+// Exclusive solver at `blockNumber` for a revealed schedule (null once the intent is open to all).
+function solverAt({ assigned, startBlock, ackBlocks }, blockNumber) {
+  const round = Math.floor((blockNumber - startBlock) / ackBlocks);
+  return round < assigned.length ? { solver: assigned[round], round } : { solver: null, round };
+}
+
+module.exports = {
+  MAX_DISPATCH_ROUNDS,
+  newSecret,
+  seedCommitment,
+  deriveSeed,
+  assignSolvers,
+  requestDispatch,
+  revealDispatch,
+  verifyDispatch,
+  solverAt,
+};
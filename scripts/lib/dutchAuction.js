@@ -0,0 +1,91 @@
+// scripts/lib/dutchAuction.js
+// Dutch-auction fill of one DutchIntent: block by block, every staked solver compares the fee the
+// intent's path gives at the next block's timestamp (sdk.dutchFeeAt, the contract's dutchFeeAt)
+// with its private reservation price, and sends fulfillDutch once the fee reaches it. Blocks are
+// mined by hand every blockSeconds of chain time (automine off), so solvers that accept at the
+// same step race in one block: the first included fills, the others revert and burn gas.
+// Hardhat networks only (evm_setNextBlockTimestamp / evm_mine).
+
+const { ethers } = require("ethers");
+const sdk = require("./intentSdk");
+
+const GAS_LIMIT = 200_000n; // fixed: estimateGas on the pending block would see a different timestamp
+
+/**
+ * @param {object} opts
+ * @param {import("ethers").Contract} opts.bridge
+ * @param {object} opts.domain                       EIP-712 domain
+ * @param {object} opts.intent                       signed DutchIntent (sdk.createDutchIntent)
+ * @param {string} opts.userSig
+ * @param {{ signer: import("ethers").Signer, reservation: bigint }[]} opts.solvers
+ * @param {number} [opts.blockSeconds=2]             chain time between blocks
+ * @param {object} [opts.rng]                        orders same-block senders (lib/prng); fixed order without
+ * @returns {Promise<{ filled: boolean, winner: string|null, fee: bigint|null, fillTime: number|null,
+ *   T_fill_s: number|null, blocks: number, bidders: number, reverted: number, wastedGas: bigint, gasUsed: bigint|null }>}
+ */
+async function runDutchAuction({ bridge, domain, intent, userSig, solvers, blockSeconds = 2, rng }) {
+  const provider = bridge.runner.provider;
+  const digest = sdk.dutchIntentDigest(domain, intent);
+  const entrants = await Promise.all(solvers.map(async ({ signer, reservation }) => ({
+    signer,
+    address: await signer.getAddress(),
+    reservation,
+    solverSig: await sdk.signSolverCommitment(signer, domain, digest),
+  })));
+
+  let reverted = 0;
+  let wastedGas = 0n;
+  let blocks = 0;
+  const latest = await provider.getBlock("latest");
+  let ts = Math.max(latest.timestamp + 1, Number(intent.decayStart));
+
+  await provider.send("evm_setAutomine", [false]);
+  try {
+    for (; ts <= Number(intent.deadline); ts += blockSeconds) {
+      const fee = sdk.dutchFeeAt(intent, ts);
+      const bidders = entrants.filter((e) => e.reservation <= fee);
+      // Same-block senders arrive in random order; equal gas prices keep arrival order
+      for (let i = bidders.length - 1; rng && i > 0; i--) {
+        const j = rng.int(0, i);
+        [bidders[i], bidders[j]] = [bidders[j], bidders[i]];
+      }
+      const txs = [];
+      for (const b of bidders) {
+        txs.push({ b, tx: await bridge.connect(b.signer).fulfillDutch(...sdk.dutchFillArgs(intent, userSig, b.solverSig), { gasLimit: GAS_LIMIT }) });
+      }
+      await provider.send("evm_setNextBlockTimestamp", [ethers.toQuantity(ts)]);
+      await provider.send("evm_mine", []);
+      blocks++;
+
+      let win = null;
+      for (const { b, tx } of txs) {
+        try {
+          win = { b, rc: await tx.wait() };
+        } catch (e) {
+          reverted++;
+          wastedGas += e.receipt ? e.receipt.gasUsed : 0n;
+        }
+      }
+      if (win) {
+        const ev = win.rc.logs.map((l) => bridge.interface.parseLog(l)).find((x) => x?.name === "DutchFulfilled");
+        return {
+          filled: true,
+          winner: win.b.address,
+          fee: ev.args.fee,
+          fillTime: ts,
+          T_fill_s: ts - Number(intent.decayStart),
+          blocks,
+          bidders: bidders.length,
+          reverted,
+          wastedGas,
+          gasUsed: win.rc.gasUsed,
+        };
+      }
+    }
+  } finally {
+    await provider.send("evm_setAutomine", [true]);
+  }
+  return { filled: false, winner: null, fee: null, fillTime: null, T_fill_s: null, blocks, bidders: 0, reverted, wastedGas, gasUsed: null };
+}
+
+module.exports = { runDutchAuction };
@@ -0,0 +1,141 @@
+// scripts/lib/escrow.js
+// Escrowed (dual-lock) settlement on UltraEfficientIntentBridge, in three phases:
+//
+//   1. lock     solver calls lockIntent with the user's signed intent: amount + fee move into
+//               escrow and the solver's stake is pinned (the minimum, or one slash per open escrow)
+//   2. deliver  solver pays `amount` to the user on the destination chain (a token transfer,
+//               tagged with the intent digest so the committee matches it to this escrow)
+//   3. settle   the relayer committee checks that transfer and attests Fulfillment(...);
+//               settleIntent releases amount + fee to the solver
+//
+// Without a proof, refundIntent returns amount + fee to the user after deadline + PROOF_WINDOW.
+// Disputes: between the deadline and deadline + PROOF_WINDOW anyone may challengeIntent an
+// unproven escrow. A proof still settles it; otherwise resolveChallenge refunds the user and
+// credits them part of the solver's stake, which they withdraw with withdrawSlashCredit (see
+// lib/watcher.js for automatic challenges).
+
+const { findEvent } = require("./chain");
+const sdk = require("./intentSdk");
+const committee = require("./committee");
+
+const ESCROW_STATUS = ["None", "Locked", "Settled", "Refunded", "Challenged", "Slashed"]; // UltraEfficientIntentBridge.EscrowStatus
+
+async function escrowOf(bridge, intentDigest) {
+  const e = await bridge.escrows(intentDigest);
+  return {
+    user: e.user,
+    solver: e.solver,
+    token: e.token,
+    amount: e.amount,
+    fee: e.fee,
+    deadline: Number(e.deadline),
+    status: ESCROW_STATUS[Number(e.status)],
+  };
+}
+
+/**
+ * Phase 1. `solver` locks the user's signed intent (live nonce) into escrow. With `permit`
+ * (sdk.signPermit) it calls lockIntentWithPermit, so the user needs no prior approve.
+ * @returns {Promise<{ intentDigest: string, receipt: object }>}
+ */
+async function lockIntent(bridge, solver, { domain, intent, userSig, permit }) {
+  const dom = domain ?? (await sdk.buildDomain(bridge));
+  const solverSig = await sdk.signSolverCommitment(solver, dom, sdk.intentDigest(dom, intent));
+  const args = sdk.fulfillArgs(intent, userSig, solverSig, permit);
+  const receipt = await (await (permit ? bridge.connect(solver).lockIntentWithPermit(...args) : bridge.connect(solver).lockIntent(...args))).wait();
+  return { intentDigest: findEvent(bridge, receipt, "IntentLocked").args.intentDigest, receipt };
+}
+
+/**
+ * Phase 2. `solver` pays the escrow's user `amount` of `deliveryToken`, with the intent digest
+ * appended to the transfer calldata (committee.tagDelivery).
+ * @returns {Promise<object>} receipt
+ */
+async function deliver(deliveryToken, solver, { user, amount, intentDigest }) {
+  const data = committee.tagDelivery(user, amount, intentDigest);
+  return (await solver.sendTransaction({ to: await deliveryToken.getAddress(), data })).wait();
+}
+
+/**
+ * What a committee member checks before signing: `deliveryTx` succeeded on the destination chain,
+ * moved `amount` of `deliveryToken` from the escrow's solver to its user, and is not tagged for
+ * another intent.
+ * @returns {Promise<{ ok: boolean, reason?: string, receipt?: object }>}
+ */
+async function verifyDelivery(deliveryToken, deliveryTx, { solver, user, amount, intentDigest }) {
+  const provider = deliveryToken.runner.provider;
+  const [tx, receipt] = await Promise.all([provider.getTransaction(deliveryTx), provider.getTransactionReceipt(deliveryTx)]);
+  if (!receipt) return { ok: false, reason: "delivery not mined" };
+  if (receipt.status !== 1) return { ok: false, reason: "delivery reverted" };
+  const tag = committee.deliveryTag(tx.data);
+  if (tag && intentDigest && tag !== intentDigest) return { ok: false, reason: "delivery tagged for another intent" };
+  const tokenAddr = (await deliveryToken.getAddress()).toLowerCase();
+  const paid = receipt.logs
+    .filter((log) => log.address.toLowerCase() === tokenAddr)
+    .map((log) => deliveryToken.interface.parseLog(log))
+    .some((ev) => ev?.name === "Transfer" && ev.args.from === solver && ev.args.to === user && ev.args.value === amount);
+  return paid ? { ok: true, receipt } : { ok: false, reason: "no matching transfer" };
+}
+
+/**
+ * Phase 3 as a one-shot committee round: verify the delivery, attest, settle.
+ * @returns {Promise<object>} settleIntent receipt
+ */
+async function proveDelivery(bridge, deliveryToken, members, threshold, intentDigest, deliveryTx, { domain, submitter } = {}) {
+  const e = await escrowOf(bridge, intentDigest);
+  if (e.status !== "Locked" && e.status !== "Challenged") throw new Error(`escrow ${intentDigest.slice(0, 10)} is ${e.status}`);
+  const check = await verifyDelivery(deliveryToken, deliveryTx, { ...e, intentDigest });
+  if (!check.ok) throw new Error(`delivery ${deliveryTx.slice(0, 10)} rejected: ${check.reason}`);
+  return committee.settleForDelivery(bridge, members, threshold,
+    { intentDigest, solver: e.solver, amount: e.amount, deliveryTx }, { domain, submitter });
+}
+
+// Refund path; anyone may call once the proof window is over. Returns the receipt.
+async function refundIntent(bridge, intentDigest, { caller } = {}) {
+  const target = caller ? bridge.connect(caller) : bridge;
+  return (await target.refundIntent(intentDigest)).wait();
+}
+
+// First timestamp at which refundIntent (and resolveChallenge) is accepted.
+async function refundableAt(bridge, intentDigest) {
+  const [e, window] = await Promise.all([escrowOf(bridge, intentDigest), bridge.PROOF_WINDOW()]);
+  return e.deadline + Number(window) + 1;
+}
+
+// Timestamps between which challengeIntent is accepted (both inclusive).
+async function disputeWindow(bridge, intentDigest) {
+  const [e, window] = await Promise.all([escrowOf(bridge, intentDigest), bridge.PROOF_WINDOW()]);
+  return { from: e.deadline + 1, until: e.deadline + Number(window) };
+}
+
+// Anyone may challenge an overdue escrow. Returns the receipt.
+async function challengeIntent(bridge, intentDigest, { caller } = {}) {
+  const target = caller ? bridge.connect(caller) : bridge;
+  return (await target.challengeIntent(intentDigest)).wait();
+}
+
+// Slashes an unanswered challenge once the proof window is over. Returns the receipt.
+async function resolveChallenge(bridge, intentDigest, { caller } = {}) {
+  const target = caller ? bridge.connect(caller) : bridge;
+  return (await target.resolveChallenge(intentDigest)).wait();
+}
+
+// Pays the user's credited slashes out to them. Returns the receipt.
+async function withdrawSlashCredit(bridge, user) {
+  return (await bridge.connect(user).withdrawSlashCredit()).wait();
+}
+
+module.exports = {
+  ESCROW_STATUS,
+  escrowOf,
+  lockIntent,
+  deliver,
+  verifyDelivery,
+  proveDelivery,
+  refundIntent,
+  refundableAt,
+  disputeWindow,
+  challengeIntent,
+  resolveChallenge,
+  withdrawSlashCredit,
+};
@@ -0,0 +1,59 @@
+// scripts/lib/fairness.js
+// Fairness metrics over the winners of a sequence of selection trials.
+// Every solver of the pool is counted, including those that never won.
+
+// Jain's index (Σx)² / (n·Σx²): 1 = perfectly even, 1/n = one solver takes everything.
+function jainIndex(xs) {
+  const sum = xs.reduce((a, b) => a + b, 0);
+  const sumSq = xs.reduce((a, b) => a + b * b, 0);
+  return sumSq === 0 ? 1 : (sum * sum) / (xs.length * sumSq);
+}
+
+// Gini coefficient: 0 = equal shares, (n-1)/n = one solver takes everything.
+function gini(xs) {
+  const n = xs.length;
+  const sum = xs.reduce((a, b) => a + b, 0);
+  if (n === 0 || sum === 0) return 0;
+  const sorted = [...xs].sort((a, b) => a - b);
+  const weighted = sorted.reduce((a, x, i) => a + (i + 1) * x, 0);
+  return (2 * weighted) / (n * sum) - (n + 1) / n;
+}
+
+// Longest run of consecutive trials a solver did not win (trailing runs included).
+function starvationStreak(winners, solver) {
+  let longest = 0;
+  let run = 0;
+  for (const w of winners) {
+    run = w === solver ? 0 : run + 1;
+    longest = Math.max(longest, run);
+  }
+  return longest;
+}
+
+/**
+ * @param {{ winner: string, fee: number }[]} trials  successful trials in order
+ * @param {string[]} solvers                          whole pool
+ */
+function fairnessReport(trials, solvers) {
+  const winners = trials.map((t) => t.winner);
+  const perSolver = solvers.map((solver) => {
+    const won = trials.filter((t) => t.winner === solver);
+    return {
+      solver,
+      wins: won.length,
+      winShare: trials.length ? won.length / trials.length : 0,
+      feeRevenue: won.reduce((a, t) => a + t.fee, 0),
+      starvation: starvationStreak(winners, solver),
+    };
+  });
+  return {
+    trials: trials.length,
+    perSolver,
+    jain: jainIndex(perSolver.map((s) => s.wins)),
+    giniRevenue: gini(perSolver.map((s) => s.feeRevenue)),
+    maxWinShare: Math.max(0, ...perSolver.map((s) => s.winShare)),
+    longestStarvation: Math.max(0, ...perSolver.map((s) => s.starvation)),
+  };
+}
+
+module.exports = { jainIndex, gini, starvationStreak, fairnessReport };
@@ -0,0 +1,316 @@
+// scripts/lib/gasProfile.js
+// Per-phase gas attribution of one transaction from debug_traceTransaction (struct logger).
+//
+// Every opcode executed by the called contract is mapped through the compiler's source map to
+// the innermost Solidity function around it, and from there to a phase:
+//   ECDSA recover     ECDSA library (incl. the ecrecover precompile call)
+//   EIP-712 hashing   EIP712 / MessageHashUtils and the contract's _hash* helpers
+//   storage: <var>    SLOAD / SSTORE, named after the state variable in the source (or the
+//                     function, for accesses through a storage pointer)
+//   token transfer    SafeERC20 / Address, including everything the token contract executes
+//   events            LOG0..LOG4
+//   <Contract.fn>     everything else, by function ("dispatcher" outside any function)
+//   unattributed      code the source map places in a function the called method cannot reach:
+//                     the optimizer shares identical code between functions and maps it to one
+//                     of them, so naming that function would be wrong
+// plus "intrinsic" (21000 + calldata) and the end-of-transaction "refund", so the phases add up
+// to the receipt's gasUsed.
+//
+// Cold/warm follows EIP-2929 per transaction: the warm set starts with sender, recipient,
+// coinbase and the precompiles, and every slot starts cold. Warm-set rollbacks of reverted
+// subcalls are not modelled. "new slots" counts SSTOREs that turn a zero slot non-zero
+// (20000 gas instead of 2900), the usual reason a first fill costs more than later ones.
+
+const { ethers } = require("ethers");
+
+const PRECOMPILES = Array.from({ length: 10 }, (_, i) => ethers.toBeHex(i + 1, 20));
+const CALLS = new Set(["CALL", "STATICCALL", "DELEGATECALL", "CALLCODE"]);
+const ACCOUNT_OPS = new Set(["BALANCE", "EXTCODESIZE", "EXTCODEHASH", "EXTCODECOPY"]);
+const COLD_SURCHARGE = { slot: 2000, account: 2500 }; // cold minus warm access cost (EIP-2929)
+
+const PHASES = [
+  ["ECDSA recover", (fn) => /^ECDSA\./.test(fn)],
+  ["EIP-712 hashing", (fn) => /^(EIP712|MessageHashUtils)\./.test(fn) || /\._hash\w*$/.test(fn)],
+  ["token transfer", (fn) => /^(SafeERC20|Address)\./.test(fn)],
+];
+
+// pc -> instruction index (PUSH1..PUSH32 carry 1..32 immediate bytes)
+function instructionIndex(bytecode) {
+  const code = ethers.getBytes(bytecode);
+  const index = new Int32Array(code.length).fill(-1);
+  for (let pc = 0, i = 0; pc < code.length; i++) {
+    index[pc] = i;
+    const op = code[pc];
+    pc += op >= 0x60 && op <= 0x7f ? op - 0x5e : 1;
+  }
+  return index;
+}
+
+// Compressed "s:l:f:j:m;..." source map -> [{ s, l, f }], empty fields repeat the previous entry
+function decodeSourceMap(sourceMap) {
+  let prev = { s: -1, l: -1, f: -1 };
+  return sourceMap.split(";").map((entry) => {
+    const [s, l, f] = entry.split(":");
+    prev = {
+      s: s ? Number(s) : prev.s,
+      l: l ? Number(l) : prev.l,
+      f: f ? Number(f) : prev.f,
+    };
+    return prev;
+  });
+}
+
+// Declaration ids referenced anywhere below `node` (calls, modifier invocations, ...)
+function references(node, out = new Set()) {
+  if (!node || typeof node !== "object") return out;
+  if (Array.isArray(node)) {
+    node.forEach((n) => references(n, out));
+    return out;
+  }
+  if (typeof node.referencedDeclaration === "number") out.add(node.referencedDeclaration);
+  for (const value of Object.values(node)) if (value && typeof value === "object") references(value, out);
+  return out;
+}
+
+// Functions and modifiers of one source AST as { id, start, end, name: "Contract.fn", selector,
+// contractId, refs }, plus the names of its state variables and the linearized bases per contract name
+function outline(ast) {
+  const functions = [];
+  const stateVariables = [];
+  const bases = {};
+  const walk = (node, contract) => {
+    if (!node || typeof node !== "object") return;
+    if (Array.isArray(node)) return node.forEach((n) => walk(n, contract));
+    if (node.nodeType === "ContractDefinition") {
+      contract = node;
+      bases[node.name] = node.linearizedBaseContracts;
+    }
+    if (node.nodeType === "VariableDeclaration" && node.stateVariable) stateVariables.push(node.name);
+    if (node.nodeType === "FunctionDefinition" || node.nodeType === "ModifierDefinition") {
+      const [start, length] = node.src.split(":").map(Number);
+      functions.push({
+        id: node.id,
+        start,
+        end: start + length,
+        name: `${contract.name}.${node.name || node.kind}`,
+        selector: node.functionSelector ?? null,
+        contractId: contract.id,
+        refs: references([node.modifiers, node.body]),
+      });
+    }
+    for (const key of ["nodes", "body", "statements"]) walk(node[key], contract);
+  };
+  walk(ast, null);
+  return { functions, stateVariables, bases };
+}
+
+/**
+ * Source map, sources and function ranges of a deployed contract, from its build info.
+ * @param {import("hardhat/types").Artifacts} artifacts
+ * @param {string} contractName  e.g. "UltraEfficientIntentBridge" or a fully qualified name
+ */
+async function loadSourceInfo(artifacts, contractName) {
+  const { sourceName, contractName: name } = await artifacts.readArtifact(contractName);
+  const buildInfo = await artifacts.getBuildInfo(`${sourceName}:${name}`);
+  if (!buildInfo) throw new Error(`No build info for ${contractName}; run npx hardhat compile`);
+  const { deployedBytecode } = buildInfo.output.contracts[sourceName][name].evm;
+  const sources = {};
+  const stateVariables = new Set();
+  const functions = [];
+  let linearized = [];
+  for (const [file, { id, ast }] of Object.entries(buildInfo.output.sources)) {
+    const outlined = outline(ast);
+    outlined.stateVariables.forEach((v) => stateVariables.add(v));
+    functions.push(...outlined.functions);
+    if (file === sourceName) linearized = outlined.bases[name] ?? [];
+    sources[id] = { file, content: Buffer.from(buildInfo.input.sources[file]?.content ?? ""), functions: outlined.functions };
+  }
+  return {
+    contractName: name,
+    functions,
+    linearized,
+    pcIndex: instructionIndex(deployedBytecode.object.startsWith("0x") ? deployedBytecode.object : `0x${deployedBytecode.object}`),
+    sourceMap: decodeSourceMap(deployedBytecode.sourceMap),
+    sources,
+    stateVariables,
+  };
+}
+
+/**
+ * Names ("Contract.fn") of the functions and modifiers a call with `selector` can execute: the
+ * most derived implementation of the selector, and everything it references, transitively. A
+ * referenced virtual function also pulls in its overrides in the contract's bases.
+ * @returns {Set<string>|null}  null when the selector matches no function (fallback, receive)
+ */
+function reachableFunctions(info, selector) {
+  const sel = selector.replace(/^0x/, "").toLowerCase();
+  const order = new Map(info.linearized.map((id, i) => [id, i]));
+  const inContract = info.functions.filter((f) => order.has(f.contractId));
+  const entry = inContract.filter((f) => f.selector === sel).sort((a, b) => order.get(a.contractId) - order.get(b.contractId))[0];
+  if (!entry) return null;
+
+  const byId = new Map(info.functions.map((f) => [f.id, f]));
+  const bare = (f) => f.name.split(".").pop();
+  const seen = new Set();
+  const queue = [entry];
+  while (queue.length) {
+    const f = queue.pop();
+    if (seen.has(f)) continue;
+    seen.add(f);
+    for (const id of f.refs) {
+      const target = byId.get(id);
+      if (!target) continue;
+      queue.push(target);
+      if (order.has(target.contractId)) queue.push(...inContract.filter((g) => bare(g) === bare(target)));
+    }
+  }
+  return new Set([...seen].map((f) => f.name));
+}
+
+// { fn, text } of the source range compiled to `pc`; fn is the innermost enclosing function
+function locate(info, pc) {
+  const entry = info.sourceMap[info.pcIndex[pc]];
+  const src = entry && info.sources[entry.f];
+  if (!src || entry.s < 0) return { fn: null, text: "" };
+  const end = entry.s + entry.l;
+  let fn = null;
+  for (const r of src.functions) {
+    if (r.start <= entry.s && end <= r.end && (!fn || r.end - r.start < fn.end - fn.start)) fn = r;
+  }
+  return { fn: fn?.name ?? null, text: src.content.subarray(entry.s, end).toString() };
+}
+
+// `reachable`: reachableFunctions of the called method (null: attribute by source map alone)
+function phaseOf(info, step, loc, reachable = null) {
+  if (loc.fn && reachable && !reachable.has(loc.fn)) loc = { ...loc, fn: "unattributed" };
+  if (step.op.startsWith("LOG")) return "events";
+  if (step.op === "SLOAD" || step.op === "SSTORE") {
+    const variable = (loc.text.match(/\w+/g) ?? []).find((id) => info.stateVariables.has(id));
+    return variable ? `storage: ${variable}` : `storage in ${loc.fn ?? "dispatcher"}`; // e.g. through a storage pointer
+  }
+  if (!loc.fn) return "dispatcher";
+  if (loc.fn === "unattributed") return "unattributed";
+  const match = PHASES.find(([, test]) => test(loc.fn));
+  return match ? match[0] : loc.fn;
+}
+
+// 21000 + 4 gas per zero and 16 per non-zero calldata byte (no access list, no contract creation)
+function intrinsicGas(data) {
+  return 21000 + ethers.getBytes(data).reduce((sum, b) => sum + (b === 0 ? 4 : 16), 0);
+}
+
+const word = (hex) => ethers.toBeHex(BigInt(`0x${hex}`), 32);
+const addressWord = (hex) => ethers.getAddress(ethers.dataSlice(word(hex), 12));
+
+/**
+ * Traces `txHash` and attributes its gas to phases.
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre
+ * @param {string} txHash
+ * @param {string} contractName  contract the transaction was sent to
+ * @returns {Promise<{ txHash: string, contract: string, method: string, gasUsed: number, failed: boolean,
+ *   phases: { phase: string, gas: number, share: number, cold: number, warm: number, coldGas: number, newSlots: number }[] }>}
+ *   phases sorted by gas, descending; cold/warm count storage and account accesses
+ */
+async function profileTransaction(hre, txHash, contractName) {
+  const provider = hre.ethers.provider;
+  const [tx, receipt] = await Promise.all([provider.getTransaction(txHash), provider.getTransactionReceipt(txHash)]);
+  if (!tx || !receipt) throw new Error(`Unknown transaction ${txHash}`);
+  if (!tx.to) throw new Error("Contract creations are not supported");
+  const block = await provider.getBlock(receipt.blockNumber);
+  const trace = await provider.send("debug_traceTransaction", [txHash, { disableMemory: true, disableStorage: true }]);
+  const info = await loadSourceInfo(hre.artifacts, contractName);
+  const iface = new ethers.Interface((await hre.artifacts.readArtifact(contractName)).abi);
+  const reachable = reachableFunctions(info, tx.data.slice(0, 10));
+
+  const phases = new Map();
+  const bucket = (name) => {
+    if (!phases.has(name)) phases.set(name, { phase: name, gas: 0, cold: 0, warm: 0, coldGas: 0, newSlots: 0 });
+    return phases.get(name);
+  };
+
+  const warmAccounts = new Set([tx.from, tx.to, block.miner, ...PRECOMPILES].map((a) => a.toLowerCase()));
+  const warmSlots = new Set();
+  const access = (phase, set, key, surcharge) => {
+    if (set.has(key)) { phase.warm++; return; }
+    set.add(key);
+    phase.cold++;
+    phase.coldGas += surcharge;
+  };
+
+  const logs = trace.structLogs;
+  const frames = [null, tx.to.toLowerCase()]; // storage context per call depth
+  let current = null;                          // phase of the current top-level step
+  for (let i = 0; i < logs.length; i++) {
+    const step = logs[i];
+    const stack = step.stack ?? [];
+    if (step.depth === 1) {
+      current = bucket(phaseOf(info, step, locate(info, step.pc), reachable));
+      // Inclusive cost: up to the next top-level step, so calls carry their callee's gas
+      let j = i + 1;
+      while (j < logs.length && logs[j].depth !== 1) j++;
+      current.gas += j < logs.length ? step.gas - logs[j].gas : step.gasCost;
+    }
+    const phase = current;
+    const self = frames[step.depth];
+
+    if (step.op === "SLOAD" || step.op === "SSTORE") {
+      access(phase, warmSlots, `${self}:${word(stack[stack.length - 1])}`, COLD_SURCHARGE.slot);
+      if (step.op === "SSTORE" && step.gasCost >= 20000) phase.newSlots++;
+    } else if (CALLS.has(step.op) || ACCOUNT_OPS.has(step.op)) {
+      const target = addressWord(stack[stack.length - (CALLS.has(step.op) ? 2 : 1)]).toLowerCase();
+      access(phase, warmAccounts, target, COLD_SURCHARGE.account);
+      if (CALLS.has(step.op) && logs[i + 1]?.depth === step.depth + 1) {
+        frames[step.depth + 1] = step.op === "DELEGATECALL" || step.op === "CALLCODE" ? self : target;
+      }
+    }
+  }
+
+  const intrinsic = intrinsicGas(tx.data);
+  const execution = [...phases.values()].reduce((sum, p) => sum + p.gas, 0);
+  bucket("intrinsic").gas = intrinsic;
+  const refund = intrinsic + execution - Number(receipt.gasUsed);
+  if (refund) bucket("refund").gas = -refund;
+
+  const gasUsed = Number(receipt.gasUsed);
+  const parsed = iface.parseTransaction({ data: tx.data });
+  return {
+    txHash,
+    contract: info.contractName,
+    method: parsed ? parsed.name : tx.data.slice(0, 10),
+    gasUsed,
+    failed: trace.failed,
+    phases: [...phases.values()]
+      .map((p) => ({ ...p, share: p.gas / gasUsed }))
+      .sort((a, b) => b.gas - a.gas),
+  };
+}
+
+/**
+ * Phase-by-phase difference of two profiles (e.g. a solver's first fill vs a repeat fill).
+ * @returns {{ phase: string, a: number, b: number, delta: number, newSlots: [number, number] }[]}
+ */
+function compareProfiles(a, b) {
+  const byPhase = (p) => new Map(p.phases.map((x) => [x.phase, x]));
+  const A = byPhase(a);
+  const B = byPhase(b);
+  return [...new Set([...A.keys(), ...B.keys()])].map((phase) => ({
+    phase,
+    a: A.get(phase)?.gas ?? 0,
+    b: B.get(phase)?.gas ?? 0,
+    delta: (B.get(phase)?.gas ?? 0) - (A.get(phase)?.gas ?? 0),
+    newSlots: [A.get(phase)?.newSlots ?? 0, B.get(phase)?.newSlots ?? 0],
+  })).sort((x, y) => Math.abs(y.delta) - Math.abs(x.delta));
+}
+
+module.exports = {
+  PHASES,
+  instructionIndex,
+  decodeSourceMap,
+  loadSourceInfo,
+  reachableFunctions,
+  locate,
+  phaseOf,
+  intrinsicGas,
+  profileTransaction,
+  compareProfiles,
+};
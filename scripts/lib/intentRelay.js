@@ -0,0 +1,312 @@
+// scripts/lib/intentRelay.js
+// Off-chain intent relay ("mempool") for UltraEfficientIntentBridge.
+//
+// HTTP:
+//   POST /intents                       { intent, signature }   -> 201 { digest, status }
+//   GET  /intents                       open intents
+//   GET  /intents/:digest               one intent (any status) incl. commitments
+//   POST /intents/:digest/commitments   { solver, signature }   -> 201 commitment
+//   GET  /health
+// WebSocket (same port, path /ws):
+//   server -> client: snapshot | intent | commitment | closed | ack | error
+//   client -> server: { type: "commitment", digest, solver, signature }
+//
+// Every intent is checked against the live chain (user signature, nonce, deadline) before it is
+// accepted; commitments must recover to a solver with solverStakes >= MINIMUM_STAKE.
+// Intents close as FULFILLED (IntentFulfilled log seen), STALE (nonce consumed elsewhere) or EXPIRED.
+
+const http = require("http");
+const { ethers } = require("ethers");
+const { WebSocketServer } = require("ws");
+const sdk = require("./intentSdk");
+
+const MAX_BODY_BYTES = 64 * 1024;
+
+// Request bodies and WebSocket messages are JSON objects; null, numbers, strings and arrays are not
+const isObject = (x) => x !== null && typeof x === "object" && !Array.isArray(x);
+
+function httpError(status, message) {
+  const e = new Error(message);
+  e.status = status;
+  return e;
+}
+
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on("data", (c) => {
+      size += c.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(httpError(413, "body too large"));
+        req.destroy();
+        return;
+      }
+      chunks.push(c);
+    });
+    req.on("end", () => {
+      let body;
+      try {
+        body = chunks.length ? JSON.parse(Buffer.concat(chunks).toString("utf8")) : {};
+      } catch (e) {
+        reject(httpError(400, "invalid JSON body"));
+        return;
+      }
+      if (isObject(body)) resolve(body);
+      else reject(httpError(400, "expected a JSON object"));
+    });
+    req.on("error", reject);
+  });
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { "content-type": "application/json" });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * @param {object} opts
+ * @param {import("ethers").Contract} opts.bridge  UltraEfficientIntentBridge (connected to a provider)
+ * @param {number} [opts.port=8787]
+ * @param {string} [opts.host="127.0.0.1"]
+ * @param {number} [opts.pollMs=500]               chain polling period for closing intents
+ */
+function createIntentRelay({ bridge, port = 8787, host = "127.0.0.1", pollMs = 500 }) {
+  const provider = bridge.runner.provider ?? bridge.runner;
+  const book = new Map(); // digest -> entry
+  let domain;
+  let minStake;
+  let lastBlock;
+  let server;
+  let wss;
+  let pollTimer;
+  let stopped = false;
+
+  // ---------------- Book helpers ----------------
+  function view(entry) {
+    return {
+      digest: entry.digest,
+      status: entry.status,
+      intent: sdk.intentToJSON(entry.intent),
+      signature: entry.signature,
+      receivedAt: entry.receivedAt,
+      commitments: entry.commitments,
+      closedAt: entry.closedAt,
+      fulfilledBy: entry.fulfilledBy,
+      txHash: entry.txHash,
+    };
+  }
+
+  function openEntries() {
+    return [...book.values()].filter((e) => e.status === "OPEN");
+  }
+
+  function broadcast(msg) {
+    if (!wss) return;
+    const data = JSON.stringify(msg);
+    for (const client of wss.clients) {
+      if (client.readyState === 1) client.send(data);
+    }
+  }
+
+  function close(entry, status, extra = {}) {
+    Object.assign(entry, { status, closedAt: Date.now() }, extra);
+    broadcast({ type: "closed", digest: entry.digest, status, ...extra, closedAt: entry.closedAt });
+  }
+
+  // ---------------- Validation ----------------
+  async function submitIntent(body) {
+    if (!body.intent || !body.signature) throw httpError(400, "expected { intent, signature }");
+
+    let intent;
+    try {
+      intent = sdk.intentFromJSON(body.intent);
+    } catch (e) {
+      throw httpError(400, `malformed intent: ${e.shortMessage ?? e.message}`);
+    }
+    if (intent.amount === 0n) throw httpError(400, "zero amount");
+    if (intent.fee >= intent.amount) throw httpError(400, "fee >= amount");
+    if (!sdk.verifyIntentSignature(domain, intent, body.signature)) {
+      throw httpError(400, "invalid user signature");
+    }
+
+    const [nonce, block] = await Promise.all([bridge.nonces(intent.user), provider.getBlock("latest")]);
+    if (intent.nonce !== nonce) throw httpError(409, `nonce mismatch (chain=${nonce}, intent=${intent.nonce})`);
+    if (intent.deadline <= BigInt(block.timestamp)) throw httpError(400, "expired");
+
+    const digest = sdk.intentDigest(domain, intent);
+    if (book.has(digest)) throw httpError(409, "duplicate intent");
+
+    const entry = {
+      digest,
+      intent,
+      signature: body.signature,
+      status: "OPEN",
+      receivedAt: Date.now(),
+      commitments: [],
+    };
+    book.set(digest, entry);
+    broadcast({ type: "intent", ...view(entry) });
+    return entry;
+  }
+
+  async function submitCommitment(digest, body) {
+    const entry = book.get(digest);
+    if (!entry) throw httpError(404, "unknown intent");
+    if (entry.status !== "OPEN") throw httpError(409, `intent is ${entry.status}`);
+    if (!body.solver || !body.signature) throw httpError(400, "expected { solver, signature }");
+
+    let solver;
+    try {
+      solver = ethers.getAddress(body.solver);
+    } catch (e) {
+      throw httpError(400, "malformed solver address");
+    }
+    if (!sdk.verifySolverCommitment(domain, digest, body.signature, solver)) {
+      throw httpError(400, "invalid solver signature");
+    }
+    if ((await bridge.solverStakes(solver)) < minStake) throw httpError(403, "solver not staked");
+    if (entry.commitments.some((c) => c.solver === solver)) throw httpError(409, "duplicate commitment");
+
+    const commitment = { solver, signature: body.signature, receivedAt: Date.now() };
+    entry.commitments.push(commitment);
+    broadcast({ type: "commitment", digest, ...commitment });
+    return commitment;
+  }
+
+  // ---------------- Chain polling ----------------
+  async function poll() {
+    const head = await provider.getBlockNumber();
+    if (head > lastBlock) {
+      const logs = await bridge.queryFilter(bridge.filters.IntentFulfilled(), lastBlock + 1, head);
+      for (const log of logs) {
+        const { user, solver, token, amount, fee } = log.args;
+        // The fulfilled intent is the lowest-nonce open intent of that user with the same terms.
+        const match = openEntries()
+          .filter((e) => e.intent.user === user && e.intent.token === token &&
+            e.intent.amount === amount && e.intent.fee === fee)
+          .sort((a, b) => (a.intent.nonce < b.intent.nonce ? -1 : 1))[0];
+        if (match) close(match, "FULFILLED", { fulfilledBy: solver, txHash: log.transactionHash });
+      }
+      lastBlock = head;
+    }
+
+    const open = openEntries();
+    if (!open.length) return;
+    const block = await provider.getBlock(head);
+    const nonces = new Map();
+    for (const entry of open) {
+      if (entry.intent.deadline < BigInt(block.timestamp)) {
+        close(entry, "EXPIRED");
+        continue;
+      }
+      const user = entry.intent.user;
+      // Read at `head` so a fill mined after the log query is not mistaken for STALE.
+      if (!nonces.has(user)) nonces.set(user, await bridge.nonces(user, { blockTag: head }));
+      if (nonces.get(user) > entry.intent.nonce) close(entry, "STALE");
+    }
+  }
+
+  function schedulePoll() {
+    if (stopped) return;
+    pollTimer = setTimeout(async () => {
+      try {
+        await poll();
+      } catch (e) {
+        console.error("relay poll failed:", e.shortMessage ?? e.message);
+      }
+      schedulePoll();
+    }, pollMs);
+  }
+
+  // ---------------- HTTP ----------------
+  async function route(req, res) {
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    const parts = url.pathname.split("/").filter(Boolean);
+
+    if (req.method === "GET" && url.pathname === "/health") {
+      return sendJson(res, 200, { ok: true, open: openEntries().length, block: lastBlock });
+    }
+    if (parts[0] !== "intents") throw httpError(404, "not found");
+
+    if (parts.length === 1 && req.method === "GET") {
+      return sendJson(res, 200, openEntries().map(view));
+    }
+    if (parts.length === 1 && req.method === "POST") {
+      const entry = await submitIntent(await readJson(req));
+      return sendJson(res, 201, { digest: entry.digest, status: entry.status });
+    }
+    if (parts.length === 2 && req.method === "GET") {
+      const entry = book.get(parts[1]);
+      if (!entry) throw httpError(404, "unknown intent");
+      return sendJson(res, 200, view(entry));
+    }
+    if (parts.length === 3 && parts[2] === "commitments" && req.method === "POST") {
+      const commitment = await submitCommitment(parts[1], await readJson(req));
+      return sendJson(res, 201, commitment);
+    }
+    throw httpError(405, "method not allowed");
+  }
+
+  // ---------------- WebSocket ----------------
+  function onConnection(ws) {
+    ws.send(JSON.stringify({ type: "snapshot", intents: openEntries().map(view) }));
+    // The listener is async: anything it throws would be an unhandled rejection that ends the
+    // relay process, so every failure becomes an error frame to this client instead
+    const reply = (msg) => {
+      if (ws.readyState === 1) ws.send(JSON.stringify(msg));
+    };
+    ws.on("message", async (data) => {
+      let msg;
+      try {
+        try {
+          msg = JSON.parse(data.toString("utf8"));
+        } catch (e) {
+          throw new Error("invalid JSON");
+        }
+        if (!isObject(msg)) throw new Error("expected a JSON object");
+        if (msg.type !== "commitment") throw new Error(`unsupported message type: ${msg.type}`);
+        await submitCommitment(msg.digest, msg);
+        reply({ type: "ack", digest: msg.digest });
+      } catch (e) {
+        reply({ type: "error", digest: isObject(msg) ? msg.digest : undefined, error: e.message });
+      }
+    });
+  }
+
+  // ---------------- Lifecycle ----------------
+  async function start() {
+    [domain, minStake, lastBlock] = await Promise.all([
+      sdk.buildDomain(bridge),
+      bridge.MINIMUM_STAKE(),
+      provider.getBlockNumber(),
+    ]);
+
+    server = http.createServer((req, res) => {
+      route(req, res).catch((e) => sendJson(res, e.status ?? 500, { error: e.message }));
+    });
+    wss = new WebSocketServer({ server, path: "/ws" });
+    wss.on("connection", onConnection);
+
+    await new Promise((resolve, reject) => {
+      server.once("error", reject);
+      server.listen(port, host, resolve);
+    });
+    schedulePoll();
+    return `http://${host}:${server.address().port}`;
+  }
+
+  async function stop() {
+    stopped = true;
+    clearTimeout(pollTimer);
+    if (wss) {
+      for (const client of wss.clients) client.terminate();
+      await new Promise((resolve) => wss.close(resolve));
+    }
+    if (server) await new Promise((resolve) => server.close(resolve));
+  }
+
+  return { start, stop, book, submitIntent, submitCommitment };
+}
+
+module.exports = { createIntentRelay };
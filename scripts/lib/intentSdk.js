@@ -0,0 +1,479 @@
+// scripts/lib/intentSdk.js
+// Shared EIP-712 helpers for UltraEfficientIntentBridge.
+// This is the single place where the Intent / SolverCommitment typed-data shape lives;
+// scripts and tests import from here instead of redefining the types inline.
+//
+// Usage:
+//   const sdk = require("./lib/intentSdk");
+//   const domain = await sdk.buildDomain(bridge);
+//   const { intent, userSig, solverSig } = await sdk.prepareFulfillment({ bridge, domain, user, solver, token, amount, fee });
+//   await bridge.connect(solver).fulfillIntent(...sdk.fulfillArgs(intent, userSig, solverSig));
+//
+// Gasless user (EIP-2612 token, no approve transaction):
+//   const f = await sdk.prepareFulfillment({ ..., permit: true });
+//   await bridge.connect(solver).fulfillIntentWithPermit(...sdk.fulfillArgs(f.intent, f.userSig, f.solverSig, f.permit));
+//
+// Swap intents (output token, minimum output, recipient):
+//   const intent = await sdk.createSwapIntent(bridge, { user, token, amount, fee, outputToken, minOutput });
+//   await bridge.connect(solver).fulfillSwap(...sdk.swapFillArgs(intent, delivered, userSig, solverSig));
+//
+// Partial fills (several solvers, fee pro-rated per portion):
+//   const intent = await sdk.createPartialIntent(bridge, { user, token, amount, fee, minFill });
+//   const userSig = await sdk.signPartialIntent(user, domain, intent);
+//   const solverSig = await sdk.signSolverCommitment(solver, domain, sdk.partialIntentDigest(domain, intent));
+//   await bridge.connect(solver).fulfillPartial(...sdk.partialFillArgs(intent, portion, userSig, solverSig));
+//
+// Dutch-auction fee (startFee -> endFee over the decay window, read at fill time):
+//   const intent = await sdk.createDutchIntent(bridge, { user, token, amount, startFee, endFee, decaySecs: 60 });
+//   const feeNow = sdk.dutchFeeAt(intent, timestamp);
+//   await bridge.connect(solver).fulfillDutch(...sdk.dutchFillArgs(intent, userSig, solverSig));
+
+const { ethers } = require("ethers");
+
+// ---------------- Typed-data shapes (must match the contract typehashes) ----------------
+// _INTENT_TYPEHASH = Intent(address user,address token,uint256 amount,uint256 fee,uint256 nonce,uint256 deadline)
+const INTENT_TYPES = {
+  Intent: [
+    { name: "user",     type: "address" },
+    { name: "token",    type: "address" },
+    { name: "amount",   type: "uint256" },
+    { name: "fee",      type: "uint256" },
+    { name: "nonce",    type: "uint256" },
+    { name: "deadline", type: "uint256" },
+  ],
+};
+
+// _SWAP_INTENT_TYPEHASH = SwapIntent(address user,address token,uint256 amount,uint256 fee,address outputToken,uint256 minOutput,address recipient,uint256 nonce,uint256 deadline)
+const SWAP_INTENT_TYPES = {
+  SwapIntent: [
+    { name: "user",        type: "address" },
+    { name: "token",       type: "address" },
+    { name: "amount",      type: "uint256" },
+    { name: "fee",         type: "uint256" },
+    { name: "outputToken", type: "address" },
+    { name: "minOutput",   type: "uint256" },
+    { name: "recipient",   type: "address" },
+    { name: "nonce",       type: "uint256" },
+    { name: "deadline",    type: "uint256" },
+  ],
+};
+
+// _PARTIAL_INTENT_TYPEHASH = PartialIntent(address user,address token,uint256 amount,uint256 fee,uint256 minFill,uint256 nonce,uint256 deadline)
+const PARTIAL_INTENT_TYPES = {
+  PartialIntent: [
+    { name: "user",     type: "address" },
+    { name: "token",    type: "address" },
+    { name: "amount",   type: "uint256" },
+    { name: "fee",      type: "uint256" },
+    { name: "minFill",  type: "uint256" },
+    { name: "nonce",    type: "uint256" },
+    { name: "deadline", type: "uint256" },
+  ],
+};
+
+// _DUTCH_INTENT_TYPEHASH = DutchIntent(address user,address token,uint256 amount,uint256 startFee,uint256 endFee,uint256 decayStart,uint256 decayEnd,uint256 nonce,uint256 deadline)
+const DUTCH_INTENT_TYPES = {
+  DutchIntent: [
+    { name: "user",       type: "address" },
+    { name: "token",      type: "address" },
+    { name: "amount",     type: "uint256" },
+    { name: "startFee",   type: "uint256" },
+    { name: "endFee",     type: "uint256" },
+    { name: "decayStart", type: "uint256" },
+    { name: "decayEnd",   type: "uint256" },
+    { name: "nonce",      type: "uint256" },
+    { name: "deadline",   type: "uint256" },
+  ],
+};
+
+// _SOLVER_COMMIT_TYPEHASH = SolverCommitment(bytes32 intentDigest)
+const SOLVER_COMMIT_TYPES = {
+  SolverCommitment: [{ name: "intentDigest", type: "bytes32" }],
+};
+
+// _SOLVER_BATCH_TYPEHASH = SolverBatchCommitment(bytes32 batchHash)
+const SOLVER_BATCH_TYPES = {
+  SolverBatchCommitment: [{ name: "batchHash", type: "bytes32" }],
+};
+
+// _CANCEL_TYPEHASH = Cancel(address user,uint256 nonce)
+const CANCEL_TYPES = {
+  Cancel: [
+    { name: "user",  type: "address" },
+    { name: "nonce", type: "uint256" },
+  ],
+};
+
+// EIP-2612 Permit of the token (its own domain, see signPermit)
+const PERMIT_TYPES = {
+  Permit: [
+    { name: "owner",    type: "address" },
+    { name: "spender",  type: "address" },
+    { name: "value",    type: "uint256" },
+    { name: "nonce",    type: "uint256" },
+    { name: "deadline", type: "uint256" },
+  ],
+};
+
+const DEFAULT_TTL_SECS = 3600;
+
+// ---------------- Small helpers ----------------
+// Accepts an address string, a signer or a contract and returns the checksummed address.
+async function addressOf(x) {
+  if (typeof x === "string") return ethers.getAddress(x);
+  if (typeof x.getAddress === "function") return x.getAddress();
+  return ethers.getAddress(x.address ?? x.target);
+}
+
+function providerOf(bridge) {
+  const runner = bridge.runner;
+  return runner && runner.provider ? runner.provider : runner;
+}
+
+// ---------------- Domain ----------------
+// Reads the domain from the deployed contract (ERC-5267 eip712Domain), so name/version/chainId
+// can never disagree with what the bridge hashes on-chain.
+async function buildDomain(bridge) {
+  const d = await bridge.eip712Domain();
+  return {
+    name: d.name,
+    version: d.version,
+    chainId: d.chainId,
+    verifyingContract: d.verifyingContract,
+  };
+}
+
+// ---------------- Intents ----------------
+// Builds an Intent value with the user's live on-chain nonce.
+// `deadline` wins over `ttlSecs`; the TTL is counted from the latest block timestamp.
+async function createIntent(bridge, { user, token, amount, fee, deadline, ttlSecs = DEFAULT_TTL_SECS }) {
+  const userAddr = await addressOf(user);
+  const tokenAddr = await addressOf(token);
+  const nonce = await bridge.nonces(userAddr);
+
+  let dl = deadline;
+  if (dl === undefined || dl === null) {
+    const block = await providerOf(bridge).getBlock("latest");
+    dl = block.timestamp + ttlSecs;
+  }
+
+  return {
+    user: userAddr,
+    token: tokenAddr,
+    amount: BigInt(amount),
+    fee: BigInt(fee),
+    nonce: BigInt(nonce),
+    deadline: BigInt(dl),
+  };
+}
+
+// Same digest as the contract's _hashIntent (_hashTypedDataV4 over the Intent struct).
+function intentDigest(domain, intent) {
+  return ethers.TypedDataEncoder.hash(domain, INTENT_TYPES, intent);
+}
+
+function signIntent(user, domain, intent) {
+  return user.signTypedData(domain, INTENT_TYPES, intent);
+}
+
+function recoverIntentSigner(domain, intent, signature) {
+  return ethers.verifyTypedData(domain, INTENT_TYPES, intent, signature);
+}
+
+function verifyIntentSignature(domain, intent, signature) {
+  try {
+    return recoverIntentSigner(domain, intent, signature) === ethers.getAddress(intent.user);
+  } catch (e) {
+    return false;
+  }
+}
+
+// JSON-safe form (uint256 fields as decimal strings) for sending intents between processes.
+function intentToJSON(intent) {
+  return {
+    user: intent.user,
+    token: intent.token,
+    amount: intent.amount.toString(),
+    fee: intent.fee.toString(),
+    nonce: intent.nonce.toString(),
+    deadline: intent.deadline.toString(),
+  };
+}
+
+function intentFromJSON(obj) {
+  return {
+    user: ethers.getAddress(obj.user),
+    token: ethers.getAddress(obj.token),
+    amount: BigInt(obj.amount),
+    fee: BigInt(obj.fee),
+    nonce: BigInt(obj.nonce),
+    deadline: BigInt(obj.deadline),
+  };
+}
+
+// ---------------- Solver commitments ----------------
+function signSolverCommitment(solver, domain, digest) {
+  return solver.signTypedData(domain, SOLVER_COMMIT_TYPES, { intentDigest: digest });
+}
+
+function recoverSolverSigner(domain, digest, signature) {
+  return ethers.verifyTypedData(domain, SOLVER_COMMIT_TYPES, { intentDigest: digest }, signature);
+}
+
+function verifySolverCommitment(domain, digest, signature, solverAddress) {
+  try {
+    return recoverSolverSigner(domain, digest, signature) === ethers.getAddress(solverAddress);
+  } catch (e) {
+    return false;
+  }
+}
+
+// ---------------- Batches ----------------
+// Same hash as the contract: keccak256 over the packed intent digests, in batch order.
+function batchHash(domain, intents) {
+  return ethers.solidityPackedKeccak256(intents.map(() => "bytes32"), intents.map((i) => intentDigest(domain, i)));
+}
+
+function signSolverBatch(solver, domain, hash) {
+  return solver.signTypedData(domain, SOLVER_BATCH_TYPES, { batchHash: hash });
+}
+
+// Argument order of fulfillIntentBatch(intents, userSignatures, solverSignature).
+function batchArgs(intents, userSigs, solverSig) {
+  return [intents.map(({ user, token, amount, fee, nonce, deadline }) => ({ user, token, amount, fee, nonce, deadline })), userSigs, solverSig];
+}
+
+// One-shot batch: `entries` are { user (signer), token, amount, fee, deadline?, ttlSecs? }. A user
+// with several entries gets consecutive nonces from the live one, in entry order. Returns the
+// intents, user signatures, batch hash and the solver's signature over it.
+async function prepareBatch({ bridge, domain, solver, entries }) {
+  const dom = domain ?? (await buildDomain(bridge));
+  const intents = [];
+  const userSigs = [];
+  const next = new Map(); // user -> nonce of their next entry
+  for (const e of entries) {
+    const intent = await createIntent(bridge, e);
+    if (next.has(intent.user)) intent.nonce = next.get(intent.user);
+    next.set(intent.user, intent.nonce + 1n);
+    intents.push(intent);
+    userSigs.push(await signIntent(e.user, dom, intent));
+  }
+  const hash = batchHash(dom, intents);
+  return { domain: dom, intents, userSigs, batchHash: hash, solverSig: await signSolverBatch(solver, dom, hash) };
+}
+
+// ---------------- Swap intents ----------------
+// A SwapIntent: pay amount + fee of `token` for at least `minOutput` of `outputToken`, delivered
+// to `recipient` (default: the user). Nonce and deadline as in createIntent.
+async function createSwapIntent(bridge, { outputToken, minOutput, recipient, ...rest }) {
+  const { user, token, amount, fee, nonce, deadline } = await createIntent(bridge, rest);
+  return {
+    user,
+    token,
+    amount,
+    fee,
+    outputToken: await addressOf(outputToken),
+    minOutput: BigInt(minOutput),
+    recipient: await addressOf(recipient ?? user),
+    nonce,
+    deadline,
+  };
+}
+
+function swapIntentDigest(domain, intent) {
+  return ethers.TypedDataEncoder.hash(domain, SWAP_INTENT_TYPES, intent);
+}
+
+function signSwapIntent(user, domain, intent) {
+  return user.signTypedData(domain, SWAP_INTENT_TYPES, intent);
+}
+
+// Argument order of fulfillSwap(intent, outputAmount, userSignature, solverSignature).
+function swapFillArgs(intent, outputAmount, userSig, solverSig) {
+  const { user, token, amount, fee, outputToken, minOutput, recipient, nonce, deadline } = intent;
+  return [{ user, token, amount, fee, outputToken, minOutput, recipient, nonce, deadline }, outputAmount, userSig, solverSig];
+}
+
+// ---------------- Partial fills ----------------
+// A PartialIntent: an Intent plus the smallest portion a solver may fill (`minFill`, default the
+// whole amount). Nonce and deadline as in createIntent.
+async function createPartialIntent(bridge, { minFill, ...rest }) {
+  const intent = await createIntent(bridge, rest);
+  return { ...intent, minFill: BigInt(minFill ?? intent.amount) };
+}
+
+function partialIntentDigest(domain, intent) {
+  return ethers.TypedDataEncoder.hash(domain, PARTIAL_INTENT_TYPES, intent);
+}
+
+function signPartialIntent(user, domain, intent) {
+  return user.signTypedData(domain, PARTIAL_INTENT_TYPES, intent);
+}
+
+// Fee a fill of `fillAmount` earns when `filled` was filled before (same rounding as the contract).
+function partialFee(intent, filled, fillAmount) {
+  return (intent.fee * (filled + fillAmount)) / intent.amount - (intent.fee * filled) / intent.amount;
+}
+
+// Argument order of fulfillPartial(intent, fillAmount, userSignature, solverSignature).
+function partialFillArgs(intent, fillAmount, userSig, solverSig) {
+  const { user, token, amount, fee, minFill, nonce, deadline } = intent;
+  return [{ user, token, amount, fee, minFill, nonce, deadline }, fillAmount, userSig, solverSig];
+}
+
+// ---------------- Dutch-auction fee ----------------
+// A DutchIntent: the fee moves linearly from startFee at decayStart (default: the latest block's
+// timestamp) to endFee at decayEnd = decayStart + decaySecs. The deadline defaults to ttlSecs
+// after decayEnd, so the end fee stays fillable; nonce as in createIntent.
+async function createDutchIntent(bridge, { startFee, endFee, decayStart, decaySecs = 60, deadline, ttlSecs = DEFAULT_TTL_SECS, ...rest }) {
+  const start = decayStart ?? (await providerOf(bridge).getBlock("latest")).timestamp;
+  const decayEnd = BigInt(start) + BigInt(decaySecs);
+  const dl = deadline ?? decayEnd + BigInt(ttlSecs);
+  const { user, token, amount, nonce } = await createIntent(bridge, { ...rest, fee: endFee, deadline: dl });
+  return {
+    user,
+    token,
+    amount,
+    startFee: BigInt(startFee),
+    endFee: BigInt(endFee),
+    decayStart: BigInt(start),
+    decayEnd,
+    nonce,
+    deadline: BigInt(dl),
+  };
+}
+
+function dutchIntentDigest(domain, intent) {
+  return ethers.TypedDataEncoder.hash(domain, DUTCH_INTENT_TYPES, intent);
+}
+
+function signDutchIntent(user, domain, intent) {
+  return user.signTypedData(domain, DUTCH_INTENT_TYPES, intent);
+}
+
+// Fee at `timestamp` (seconds), same rounding as the contract's dutchFeeAt.
+function dutchFeeAt(intent, timestamp) {
+  const t = BigInt(timestamp);
+  const { startFee, endFee, decayStart, decayEnd } = intent;
+  if (t <= decayStart) return startFee;
+  if (t >= decayEnd) return endFee;
+  const elapsed = t - decayStart;
+  const window = decayEnd - decayStart;
+  return endFee >= startFee
+    ? startFee + ((endFee - startFee) * elapsed) / window
+    : startFee - ((startFee - endFee) * elapsed) / window;
+}
+
+// Argument order of fulfillDutch(intent, userSignature, solverSignature).
+function dutchFillArgs(intent, userSig, solverSig) {
+  const { user, token, amount, startFee, endFee, decayStart, decayEnd, nonce, deadline } = intent;
+  return [{ user, token, amount, startFee, endFee, decayStart, decayEnd, nonce, deadline }, userSig, solverSig];
+}
+
+// ---------------- EIP-2612 permit ----------------
+const PERMIT_TOKEN_ABI = [
+  "function nonces(address owner) view returns (uint256)",
+  "function eip712Domain() view returns (bytes1 fields, string name, string version, uint256 chainId, address verifyingContract, bytes32 salt, uint256[] extensions)",
+];
+
+// The user's permit of `value` to `spender`, in the bridge's Permit struct shape
+// ({ value, deadline, v, r, s }). Signed against the token's own domain and permit nonce, so the
+// token must implement ERC-5267 (OpenZeppelin's ERC20Permit does).
+async function signPermit(owner, token, { spender, value, deadline }) {
+  const ownerAddr = await addressOf(owner);
+  const spenderAddr = await addressOf(spender);
+  const tokenContract = typeof token === "string" ? new ethers.Contract(token, PERMIT_TOKEN_ABI, owner) : token;
+  const domain = await buildDomain(tokenContract);
+  const nonce = await tokenContract.nonces(ownerAddr);
+  const sig = ethers.Signature.from(await owner.signTypedData(domain, PERMIT_TYPES, {
+    owner: ownerAddr, spender: spenderAddr, value, nonce, deadline,
+  }));
+  return { value: BigInt(value), deadline: BigInt(deadline), v: sig.v, r: sig.r, s: sig.s };
+}
+
+// ---------------- Cancel ----------------
+function signCancel(user, domain, { user: userAddr, nonce }) {
+  return user.signTypedData(domain, CANCEL_TYPES, { user: userAddr, nonce });
+}
+
+// ---------------- fulfillIntent call ----------------
+// Argument order of fulfillIntent(user, token, amount, fee, deadline, userSignature, solverSignature);
+// with a permit, of fulfillIntentWithPermit / lockIntentWithPermit (permit last).
+function fulfillArgs(intent, userSig, solverSig, permit) {
+  const args = [intent.user, intent.token, intent.amount, intent.fee, intent.deadline, userSig, solverSig];
+  return permit ? [...args, permit] : args;
+}
+
+function encodeFulfillIntent(bridge, intent, userSig, solverSig, permit) {
+  return bridge.interface.encodeFunctionData(permit ? "fulfillIntentWithPermit" : "fulfillIntent", fulfillArgs(intent, userSig, solverSig, permit));
+}
+
+// One-shot: live-nonce intent, user signature, digest, solver commitment and calldata. With
+// `permit: true` the user also signs a permit of amount + fee to the bridge (valid until the
+// intent's deadline) and the calldata is for fulfillIntentWithPermit.
+async function prepareFulfillment({ bridge, domain, user, solver, token, amount, fee, deadline, ttlSecs, permit = false }) {
+  const dom = domain ?? (await buildDomain(bridge));
+  const intent = await createIntent(bridge, { user, token, amount, fee, deadline, ttlSecs });
+  const userSig = await signIntent(user, dom, intent);
+  const digest = intentDigest(dom, intent);
+  const solverSig = await signSolverCommitment(solver, dom, digest);
+  const userPermit = permit
+    ? await signPermit(user, token, { spender: bridge, value: intent.amount + intent.fee, deadline: intent.deadline })
+    : undefined;
+  return {
+    domain: dom,
+    intent,
+    digest,
+    userSig,
+    solverSig,
+    permit: userPermit,
+    calldata: encodeFulfillIntent(bridge, intent, userSig, solverSig, userPermit),
+  };
+}
+
+module.exports = {
+  INTENT_TYPES,
+  SWAP_INTENT_TYPES,
+  PARTIAL_INTENT_TYPES,
+  DUTCH_INTENT_TYPES,
+  SOLVER_COMMIT_TYPES,
+  SOLVER_BATCH_TYPES,
+  CANCEL_TYPES,
+  PERMIT_TYPES,
+  DEFAULT_TTL_SECS,
+  addressOf,
+  buildDomain,
+  createIntent,
+  intentDigest,
+  signIntent,
+  recoverIntentSigner,
+  verifyIntentSignature,
+  intentToJSON,
+  intentFromJSON,
+  signSolverCommitment,
+  recoverSolverSigner,
+  verifySolverCommitment,
+  batchHash,
+  signSolverBatch,
+  batchArgs,
+  prepareBatch,
+  createSwapIntent,
+  swapIntentDigest,
+  signSwapIntent,
+  swapFillArgs,
+  createPartialIntent,
+  partialIntentDigest,
+  signPartialIntent,
+  partialFee,
+  partialFillArgs,
+  createDutchIntent,
+  dutchIntentDigest,
+  signDutchIntent,
+  dutchFeeAt,
+  dutchFillArgs,
+  signPermit,
+  signCancel,
+  fulfillArgs,
+  encodeFulfillIntent,
+  prepareFulfillment,
+};
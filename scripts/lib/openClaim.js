@@ -0,0 +1,89 @@
+// scripts/lib/openClaim.js
+// Open-claim race: one signed intent is broadcast to N staked solvers at once and every solver
+// tries to fill it. With interval mining the claims meet in the mempool, the first one included
+// wins and the others revert on-chain (the nonce bump invalidates the user signature), burning gas.
+
+const sdk = require("./intentSdk");
+
+// Runs `fn` with automine off and a block every `blockMs`, then restores automine.
+async function withIntervalMining(provider, blockMs, fn) {
+  await provider.send("evm_setAutomine", [false]);
+  await provider.send("evm_setIntervalMining", [blockMs]);
+  try {
+    return await fn();
+  } finally {
+    await provider.send("evm_setIntervalMining", [0]);
+    await provider.send("evm_setAutomine", [true]);
+  }
+}
+
+/**
+ * @param {object} opts
+ * @param {import("ethers").Contract} opts.bridge
+ * @param {object} opts.domain                       EIP-712 domain
+ * @param {object} opts.intent                       signed intent (user's live nonce)
+ * @param {string} opts.userSig
+ * @param {{ signer: import("ethers").Signer, latencyMs?: number }[]} opts.solvers
+ * @returns {Promise<{ winner: string|null, receipt: object|null, T_select_ms: number, T_tx_ms: number,
+ *   claims: object[], reverted: number, aborted: number, wastedGas: bigint, wastedWei: bigint }>}
+ */
+async function runOpenClaimRace({ bridge, domain, intent, userSig, solvers }) {
+  const digest = sdk.intentDigest(domain, intent);
+  const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+  const t0 = process.hrtime.bigint();
+  const elapsedMs = () => Number((process.hrtime.bigint() - t0) / 1000000n);
+
+  const claims = await Promise.all(solvers.map(async ({ signer, latencyMs = 0 }) => {
+    const solver = await signer.getAddress();
+    await sleep(latencyMs);
+    const solverSig = await sdk.signSolverCommitment(signer, domain, digest);
+    const args = sdk.fulfillArgs(intent, userSig, solverSig);
+    const claim = { solver, latencyMs, outcome: null, sentMs: null, minedMs: null, gasUsed: 0n, gasPrice: 0n };
+
+    let gas;
+    try {
+      gas = await bridge.connect(signer).fulfillIntent.estimateGas(...args);
+    } catch (e) {
+      // The fill is already visible to this solver: it backs off without paying anything.
+      claim.outcome = "aborted";
+      claim.reason = e.reason ?? e.shortMessage ?? e.message;
+      return claim;
+    }
+
+    claim.sentMs = elapsedMs();
+    const tx = await bridge.connect(signer).fulfillIntent(...args, { gasLimit: gas + gas / 5n });
+    let rc;
+    try {
+      rc = await tx.wait();
+      claim.outcome = "won";
+    } catch (e) {
+      rc = e.receipt;
+      claim.outcome = "reverted";
+      claim.reason = e.reason ?? e.shortMessage ?? e.message;
+    }
+    claim.minedMs = elapsedMs();
+    if (rc) {
+      claim.gasUsed = rc.gasUsed;
+      claim.gasPrice = rc.gasPrice;
+      claim.block = rc.blockNumber;
+      if (claim.outcome === "won") claim.receipt = rc;
+    }
+    return claim;
+  }));
+
+  const win = claims.find((c) => c.outcome === "won");
+  const losers = claims.filter((c) => c.outcome === "reverted");
+  return {
+    winner: win ? win.solver : null,
+    receipt: win ? win.receipt : null,
+    T_select_ms: win ? win.sentMs : elapsedMs(),
+    T_tx_ms: win ? win.minedMs - win.sentMs : 0,
+    claims: claims.map(({ receipt, ...c }) => ({ ...c, gasUsed: c.gasUsed.toString(), gasPrice: c.gasPrice.toString() })),
+    reverted: losers.length,
+    aborted: claims.filter((c) => c.outcome === "aborted").length,
+    wastedGas: losers.reduce((a, c) => a + c.gasUsed, 0n),
+    wastedWei: losers.reduce((a, c) => a + c.gasUsed * c.gasPrice, 0n),
+  };
+}
+
+module.exports = { withIntervalMining, runOpenClaimRace };
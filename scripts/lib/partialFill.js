@@ -0,0 +1,87 @@
+// scripts/lib/partialFill.js
+// Partial-fill race: one PartialIntent is broadcast to N staked solvers, each holding only part of
+// the liquidity the intent needs. After its reaction delay every solver fills min(liquidity left,
+// amount remaining), reading the remaining amount from the pending block. When another solver's
+// fill lands first and its own reverts, it retries with what is left, until the intent is
+// complete, its liquidity is spent or the remainder is below minFill for it. Run under interval
+// mining (openClaim.withIntervalMining) so that fills of several solvers meet in one block.
+
+const sdk = require("./intentSdk");
+
+const MAX_ATTEMPTS = 4; // sends per solver and intent
+
+/**
+ * @param {object} opts
+ * @param {import("ethers").Contract} opts.bridge
+ * @param {object} opts.domain                       EIP-712 domain
+ * @param {object} opts.intent                       signed PartialIntent (sdk.createPartialIntent)
+ * @param {string} opts.userSig
+ * @param {{ signer: import("ethers").Signer, liquidity: bigint, latencyMs?: number }[]} opts.solvers
+ * @returns {Promise<{ completed: boolean, T_complete_ms: number|null, remaining: bigint, fills: object[],
+ *   solvers: number, reverted: number, aborted: number, gasUsed: bigint, wastedGas: bigint }>}
+ */
+async function runPartialFillRace({ bridge, domain, intent, userSig, solvers }) {
+  const digest = sdk.partialIntentDigest(domain, intent);
+  const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+  const t0 = process.hrtime.bigint();
+  const elapsedMs = () => Number((process.hrtime.bigint() - t0) / 1000000n);
+  const fills = [];
+  let reverted = 0;
+  let aborted = 0;
+  let wastedGas = 0n;
+  let completedMs = null;
+
+  await Promise.all(solvers.map(async ({ signer, liquidity, latencyMs = 0 }) => {
+    const solver = await signer.getAddress();
+    await sleep(latencyMs);
+    const solverSig = await sdk.signSolverCommitment(signer, domain, digest);
+    let left = liquidity;
+
+    for (let attempt = 0; attempt < MAX_ATTEMPTS && left > 0n; attempt++) {
+      const remaining = intent.amount - (await bridge.partiallyFilled(digest, { blockTag: "pending" }));
+      if (remaining === 0n) return;
+      const portion = left < remaining ? left : remaining;
+      if (portion < intent.minFill && portion !== remaining) return;
+      const args = sdk.partialFillArgs(intent, portion, userSig, solverSig);
+
+      let gas;
+      try {
+        gas = await bridge.connect(signer).fulfillPartial.estimateGas(...args);
+      } catch (e) {
+        // The pending state already rules this portion out: back off without paying anything
+        aborted++;
+        return;
+      }
+      const sentMs = elapsedMs();
+      const tx = await bridge.connect(signer).fulfillPartial(...args, { gasLimit: gas + gas / 5n });
+      let rc;
+      try {
+        rc = await tx.wait();
+      } catch (e) {
+        reverted++;
+        wastedGas += e.receipt ? e.receipt.gasUsed : 0n;
+        continue;
+      }
+      const ev = rc.logs.map((l) => bridge.interface.parseLog(l)).find((x) => x?.name === "PartialFill");
+      const minedMs = elapsedMs();
+      fills.push({ solver, amount: portion, fee: ev.args.fee, remaining: ev.args.remaining, sentMs, minedMs, block: rc.blockNumber, gasUsed: rc.gasUsed });
+      if (ev.args.remaining === 0n) completedMs = minedMs;
+      left -= portion;
+    }
+  }));
+
+  const filled = fills.reduce((a, f) => a + f.amount, 0n);
+  return {
+    completed: completedMs !== null,
+    T_complete_ms: completedMs,
+    remaining: intent.amount - filled,
+    fills: fills.sort((a, b) => a.block - b.block),
+    solvers: new Set(fills.map((f) => f.solver)).size,
+    reverted,
+    aborted,
+    gasUsed: fills.reduce((a, f) => a + f.gasUsed, 0n),
+    wastedGas,
+  };
+}
+
+module.exports = { runPartialFillRace };
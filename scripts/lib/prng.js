@@ -0,0 +1,63 @@
+// scripts/lib/prng.js
+// Seedable PRNG shared by the experiments, so a run can be replayed from its seed.
+//
+//   const rng = createRng(seed);          // seed: integer or string
+//   rng.int(120, 650); rng.pick(solvers); rng.chance(0.1); rng.bytes32();
+//   const jitter = rng.fork("jitter");    // independent stream, unaffected by draws on `rng`
+//
+// sfc32 over a keccak256-expanded seed. Not for secrets that must stay unpredictable to others;
+// fine for simulated behaviour and for dispatch secrets and bid salts that are revealed anyway.
+
+const crypto = require("crypto");
+const { ethers } = require("ethers");
+
+// Fresh seed for runs that did not ask for one (printed and stored, so they can be replayed).
+function newSeed() {
+  return crypto.randomInt(0, 2 ** 32);
+}
+
+function resolveSeed(seed) {
+  return seed === undefined || seed === null ? newSeed() : seed;
+}
+
+function sfc32(a, b, c, d) {
+  return function next() {
+    a >>>= 0; b >>>= 0; c >>>= 0; d >>>= 0;
+    const t = (a + b) | 0;
+    a = b ^ (b >>> 9);
+    b = (c + (c << 3)) | 0;
+    c = (c << 21) | (c >>> 11);
+    d = (d + 1) | 0;
+    const r = (t + d) | 0;
+    c = (c + r) | 0;
+    return (r >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * @param {number|string} seed
+ * @returns {{ seed: number|string, next: () => number, int: (min: number, max: number) => number,
+ *   pick: <T>(xs: T[]) => T, chance: (p: number) => boolean, bytes32: () => string,
+ *   fork: (label: string) => object }}
+ */
+function createRng(seed) {
+  const h = ethers.getBytes(ethers.id(String(seed)));
+  const word = (i) => ((h[i] << 24) | (h[i + 1] << 16) | (h[i + 2] << 8) | h[i + 3]) >>> 0;
+  const next = sfc32(word(0), word(4), word(8), word(12));
+  for (let i = 0; i < 12; i++) next(); // warm-up
+
+  // Integer in [min, max]
+  const int = (min, max) => min + Math.floor(next() * (max - min + 1));
+
+  return {
+    seed,
+    next,
+    int,
+    pick: (xs) => xs[int(0, xs.length - 1)],
+    chance: (p) => next() < p,
+    bytes32: () => ethers.hexlify(Uint8Array.from({ length: 32 }, () => int(0, 255))),
+    fork: (label) => createRng(`${seed}/${label}`),
+  };
+}
+
+module.exports = { newSeed, resolveSeed, createRng };
@@ -0,0 +1,106 @@
+// scripts/lib/processes.js
+// Helpers for running experiment components (relay, solver bots, nodes) as separate
+// processes, so message passing between them is real IPC rather than an in-process sleep().
+
+const { spawn } = require("child_process");
+
+const HARDHAT_BIN = require.resolve("hardhat/internal/cli/bootstrap");
+
+/**
+ * Spawns `node <args>` and resolves `ready` once a stdout line matches `readyPattern`
+ * (the match is returned).
+ * @param {string[]} args
+ * @param {object}   [opts]
+ * @param {object}   [opts.env]           extra environment variables
+ * @param {RegExp}   [opts.readyPattern]  resolve when stdout matches (default: resolve immediately)
+ * @param {number}   [opts.readyTimeoutMs=60000]
+ * @param {string}   [opts.label]         prefix for forwarded output
+ * @param {boolean}  [opts.echo=true]     forward child output to this process
+ */
+function spawnNode(args, { env = {}, readyPattern, readyTimeoutMs = 60_000, label = "child", echo = true } = {}) {
+  const child = spawn(process.execPath, args, {
+    env: { ...process.env, ...env },
+    stdio: ["ignore", "pipe", "pipe"],
+  });
+
+  const lines = [];
+  const forward = (stream, sink) => {
+    let pending = "";
+    stream.on("data", (chunk) => {
+      pending += chunk.toString("utf8");
+      const parts = pending.split("\n");
+      pending = parts.pop();
+      for (const line of parts) {
+        lines.push(line);
+        child.emit("line", line);
+        if (echo) sink.write(`[${label}] ${line}\n`);
+      }
+    });
+  };
+  forward(child.stdout, process.stdout);
+  forward(child.stderr, process.stderr);
+
+  const exited = new Promise((resolve) => child.once("exit", (code, signal) => resolve({ code, signal })));
+
+  const ready = !readyPattern
+    ? Promise.resolve(null)
+    : new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        reject(new Error(`${label} not ready after ${readyTimeoutMs} ms:\n${lines.slice(-20).join("\n")}`));
+      }, readyTimeoutMs);
+      const onLine = (line) => {
+        const m = line.match(readyPattern);
+        if (m) {
+          clearTimeout(timer);
+          child.off("line", onLine);
+          resolve(m);
+        }
+      };
+      child.on("line", onLine);
+      exited.then(({ code, signal }) => {
+        clearTimeout(timer);
+        reject(new Error(`${label} exited early (code=${code}, signal=${signal}):\n${lines.slice(-20).join("\n")}`));
+      });
+    });
+
+  // SIGTERM first; the child's own handler closes sockets and exits.
+  async function stop(timeoutMs = 5_000) {
+    if (child.exitCode !== null || child.signalCode !== null) return exited;
+    child.kill("SIGTERM");
+    const timer = setTimeout(() => child.kill("SIGKILL"), timeoutMs);
+    const result = await exited;
+    clearTimeout(timer);
+    return result;
+  }
+
+  return { child, ready, exited, stop, lines };
+}
+
+// `hardhat <args>` (e.g. `node --port 8545`) with the caller's config file.
+function spawnHardhat(args, { configFile, ...opts } = {}) {
+  const fullArgs = configFile ? ["--config", configFile, ...args] : args;
+  return spawnNode([HARDHAT_BIN, ...fullArgs], opts);
+}
+
+// Runs a Hardhat script directly with node. `hardhat run` forks the script into a grandchild we
+// could not signal, so the network/config are handed over the same way it does: HARDHAT_* env vars.
+function spawnScript(scriptPath, { network, configFile, env = {}, ...opts } = {}) {
+  return spawnNode([scriptPath], {
+    ...opts,
+    env: {
+      ...env,
+      ...(network ? { HARDHAT_NETWORK: network } : {}),
+      ...(configFile ? { HARDHAT_CONFIG: configFile } : {}),
+    },
+  });
+}
+
+// Resolves when SIGINT/SIGTERM arrives; used by long-running scripts to keep `hardhat run` alive.
+function untilSignal() {
+  return new Promise((resolve) => {
+    process.once("SIGINT", () => resolve("SIGINT"));
+    process.once("SIGTERM", () => resolve("SIGTERM"));
+  });
+}
+
+module.exports = { spawnNode, spawnHardhat, spawnScript, untilSignal };
@@ -0,0 +1,27 @@
+// scripts/lib/protocolFee.js
+// Protocol fee split of UltraEfficientIntentBridge: protocolFeeBps of every fill's fee goes to the
+// treasury instead of the solver (direct, batch, swap, partial and Dutch fills, escrow settlement).
+// setProtocolFee needs FEE_ADMIN_ROLE, which the deployer holds.
+
+/**
+ * @param {import("ethers").Contract} bridge
+ * @param {import("ethers").Signer} admin   holder of FEE_ADMIN_ROLE
+ * @param {{ bps: number|bigint, treasury: string }} fee  bps of each fill's fee (0 turns the split off)
+ * @returns {Promise<object>} receipt (ProtocolFeeUpdated)
+ */
+async function setProtocolFee(bridge, admin, { bps, treasury }) {
+  return (await bridge.connect(admin).setProtocolFee(bps, treasury)).wait();
+}
+
+async function protocolFeeOf(bridge) {
+  const [bps, treasury] = await Promise.all([bridge.protocolFeeBps(), bridge.treasury()]);
+  return { bps: Number(bps), treasury };
+}
+
+// How a fill's fee splits at `bps` (same rounding as the contract's protocolCut).
+function splitFee(fee, bps) {
+  const protocol = (BigInt(fee) * BigInt(bps)) / 10_000n;
+  return { solver: BigInt(fee) - protocol, protocol };
+}
+
+module.exports = { setProtocolFee, protocolFeeOf, splitFee };
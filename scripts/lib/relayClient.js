@@ -0,0 +1,92 @@
+// scripts/lib/relayClient.js
+// Thin client for the intent relay (scripts/lib/intentRelay.js): HTTP calls for users and
+// solvers plus a buffered WebSocket subscription.
+
+const WebSocket = require("ws");
+const sdk = require("./intentSdk");
+
+async function request(baseUrl, method, pathname, body) {
+  const res = await fetch(new URL(pathname, baseUrl), {
+    method,
+    headers: body ? { "content-type": "application/json" } : undefined,
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  const json = await res.json();
+  if (!res.ok) throw new Error(`relay ${method} ${pathname} -> ${res.status}: ${json.error}`);
+  return json;
+}
+
+function postIntent(baseUrl, intent, signature) {
+  return request(baseUrl, "POST", "/intents", { intent: sdk.intentToJSON(intent), signature });
+}
+
+function postCommitment(baseUrl, digest, solver, signature) {
+  return request(baseUrl, "POST", `/intents/${digest}/commitments`, { solver, signature });
+}
+
+function listIntents(baseUrl) {
+  return request(baseUrl, "GET", "/intents");
+}
+
+function getIntent(baseUrl, digest) {
+  return request(baseUrl, "GET", `/intents/${digest}`);
+}
+
+// Opens a WebSocket subscription. Messages are stamped with the local arrival time
+// (`arrivedAt`, ms). Without an `onMessage` callback they are buffered, so `next(predicate)`
+// never misses one that arrived early; long-running listeners pass `onMessage` instead.
+function subscribe(baseUrl, { onMessage } = {}) {
+  const wsUrl = new URL("/ws", baseUrl.replace(/^http/, "ws")).toString();
+  const ws = new WebSocket(wsUrl);
+  const buffer = [];
+  const waiters = [];
+
+  ws.on("message", (data) => {
+    const msg = { ...JSON.parse(data.toString("utf8")), arrivedAt: Date.now() };
+    if (onMessage) onMessage(msg);
+    const idx = waiters.findIndex((w) => w.predicate(msg));
+    if (idx >= 0) {
+      const [w] = waiters.splice(idx, 1);
+      clearTimeout(w.timer);
+      w.resolve(msg);
+    } else if (!onMessage) {
+      buffer.push(msg);
+    }
+  });
+
+  function next(predicate = () => true, timeoutMs = 10_000) {
+    const idx = buffer.findIndex(predicate);
+    if (idx >= 0) return Promise.resolve(buffer.splice(idx, 1)[0]);
+    return new Promise((resolve, reject) => {
+      const w = { predicate, resolve };
+      w.timer = setTimeout(() => {
+        waiters.splice(waiters.indexOf(w), 1);
+        reject(new Error(`relay subscription: no matching message within ${timeoutMs} ms`));
+      }, timeoutMs);
+      waiters.push(w);
+    });
+  }
+
+  function send(msg) {
+    ws.send(JSON.stringify(msg));
+  }
+
+  function close() {
+    ws.close();
+  }
+
+  const ready = new Promise((resolve, reject) => {
+    ws.once("open", resolve);
+    ws.once("error", reject);
+  });
+
+  return { ws, ready, next, send, close };
+}
+
+module.exports = {
+  postIntent,
+  postCommitment,
+  listIntents,
+  getIntent,
+  subscribe,
+};
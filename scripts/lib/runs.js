@@ -0,0 +1,177 @@
+// scripts/lib/runs.js
+// Versioned run directories for experiment outputs, and the regression check between two runs.
+//
+//   results/runs/<experiment>/<runId>/run.json   metadata + data + metrics (schema below)
+//   results/runs/<experiment>/<runId>/*.csv      flat exports of the same data
+//
+// run.json (schemaVersion 1):
+//   schema          "ibb-experiments/run"
+//   schemaVersion   bumped on breaking changes; loadRun rejects newer versions
+//   metadata        experiment, runId, startedAt, finishedAt, git { commit, dirty },
+//                   chains [{ role, network, chainId }], compiler [{ version, optimizer }],
+//                   bytecode { "<source>:<Contract>": keccak256(deployedBytecode) },
+//                   node, hardhat, seed, config
+//   data            experiment-specific payload (what the script used to save as a bare file)
+//   metrics         { "<name>": { kind: "gas" | "latency", unit, values: number[] } },
+//                   the series results:diff compares; higher is worse for both kinds
+
+const fs = require("fs");
+const path = require("path");
+const { execFileSync } = require("child_process");
+const { ethers } = require("ethers");
+const stats = require("./stats");
+
+const SCHEMA = "ibb-experiments/run";
+const SCHEMA_VERSION = 1;
+const RUNS_DIR = path.join(__dirname, "..", "..", "results", "runs");
+
+function git(args) {
+  try {
+    return execFileSync("git", args, { cwd: path.join(__dirname, "..", ".."), encoding: "utf8", stdio: ["ignore", "pipe", "ignore"] }).trim();
+  } catch {
+    return null; // not a checkout, or git missing
+  }
+}
+
+// keccak256 of every deployed contract under contracts/, so a run can be tied to exact bytecode
+async function bytecodeHashes(artifacts) {
+  const out = {};
+  for (const fqn of (await artifacts.getAllFullyQualifiedNames()).filter((n) => n.startsWith("contracts/")).sort()) {
+    const { deployedBytecode } = await artifacts.readArtifact(fqn);
+    if (deployedBytecode && deployedBytecode !== "0x") out[fqn] = ethers.keccak256(deployedBytecode);
+  }
+  return out;
+}
+
+/**
+ * Collects the metadata header at the start of a run.
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre
+ * @param {string} experiment                 e.g. "monitor-ibb" (task name, ":" -> "-")
+ * @param {object} opts
+ * @param {object} opts.config                resolved CFG
+ * @param {number|string} [opts.seed]
+ * @param {{ role: string, network: string, chainId: number }[]} [opts.chains]  default: hre.network
+ * @returns {Promise<{ id: string, dir: string, metadata: object, save: function }>}
+ */
+async function startRun(hre, experiment, { config, seed = null, chains } = {}) {
+  const startedAt = new Date().toISOString();
+  const id = startedAt.replace(/[:.]/g, "-");
+  const dir = path.join(RUNS_DIR, experiment, id);
+  const dirty = git(["status", "--porcelain", "--untracked-files=no"]);
+  const metadata = {
+    experiment,
+    runId: id,
+    startedAt,
+    finishedAt: null,
+    git: { commit: git(["rev-parse", "HEAD"]), dirty: dirty === null ? null : dirty.length > 0 },
+    chains: chains ?? [{
+      role: "main",
+      network: hre.network.name,
+      chainId: Number((await hre.ethers.provider.getNetwork()).chainId),
+    }],
+    compiler: hre.config.solidity.compilers.map((c) => ({ version: c.version, optimizer: c.settings?.optimizer ?? null })),
+    bytecode: await bytecodeHashes(hre.artifacts),
+    node: process.version,
+    hardhat: require("hardhat/package.json").version,
+    seed,
+    config,
+  };
+
+  /**
+   * Writes run.json and the given extra files; returns the run directory.
+   * @param {object} data
+   * @param {{ metrics?: object, files?: Object<string, string> }} [opts]
+   */
+  async function save(data, { metrics = {}, files = {} } = {}) {
+    metadata.finishedAt = new Date().toISOString();
+    await fs.promises.mkdir(dir, { recursive: true });
+    const run = { schema: SCHEMA, schemaVersion: SCHEMA_VERSION, metadata, data, metrics };
+    await fs.promises.writeFile(path.join(dir, "run.json"), JSON.stringify(run, null, 2));
+    for (const [name, content] of Object.entries(files)) await fs.promises.writeFile(path.join(dir, name), content);
+    console.log(`Saved -> ${path.relative(process.cwd(), dir) || dir}/ (run.json${Object.keys(files).map((f) => `, ${f}`).join("")})`);
+    return dir;
+  }
+
+  return { id, dir, metadata, save };
+}
+
+// "0.8.20 (optimizer, 200 runs)" per compiler of metadata.compiler; runs saved before the
+// optimizer setting was recorded read "optimizer unknown"
+function compilerLabel(compiler) {
+  const opt = (o) => (o === undefined ? "optimizer unknown" : o?.enabled ? `optimizer, ${o.runs} runs` : "no optimizer");
+  return compiler.map((c) => `${c.version} (${opt(c.optimizer)})`).join(", ");
+}
+
+// A metric entry for run.json
+const metric = (kind, unit, values) => ({ kind, unit, values: values.map(Number) });
+
+/**
+ * @param {string} location  run directory or its run.json
+ */
+function loadRun(location) {
+  const file = location.endsWith(".json") ? location : path.join(location, "run.json");
+  if (!fs.existsSync(file)) throw new Error(`No run at ${location} (expected ${file})`);
+  const run = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (run.schema !== SCHEMA) throw new Error(`${file} is not a run file (schema ${run.schema})`);
+  if (run.schemaVersion > SCHEMA_VERSION) {
+    throw new Error(`${file} has schemaVersion ${run.schemaVersion}; this checkout reads up to ${SCHEMA_VERSION}`);
+  }
+  return { ...run, dir: path.dirname(file) };
+}
+
+// Run directories of one experiment, oldest first (run ids sort chronologically)
+function listRuns(experiment, runsDir = RUNS_DIR) {
+  const base = path.join(runsDir, experiment);
+  if (!fs.existsSync(base)) return [];
+  return fs.readdirSync(base)
+    .filter((d) => fs.existsSync(path.join(base, d, "run.json")))
+    .sort()
+    .map((d) => path.join(base, d));
+}
+
+/**
+ * Compares two series of one metric by their means. `tolerance` is relative (0.05 = 5%);
+ * above it the change is a regression (head higher) or an improvement (head lower).
+ * @returns {{ base: number, head: number, change: number, status: "ok"|"regression"|"improvement", p: number }}
+ *   p: two-sided Mann–Whitney p-value of the two series
+ */
+function compareMetric(baseValues, headValues, tolerance) {
+  const base = stats.mean(baseValues);
+  const head = stats.mean(headValues);
+  const change = base === 0 ? (head === 0 ? 0 : Infinity) : (head - base) / Math.abs(base); // negative means: refunds
+  const status = change > tolerance ? "regression" : change < -tolerance ? "improvement" : "ok";
+  return { base, head, change, status, p: stats.mannWhitneyU(baseValues, headValues).p };
+}
+
+/**
+ * Compares every metric the two runs share.
+ * @param {object} baseMetrics  run.metrics
+ * @param {object} headMetrics
+ * @param {{ gas: number, latency: number }} tolerances  relative, per metric kind
+ * @returns {{ rows: object[], missing: string[], regressions: number }}
+ */
+function diffMetrics(baseMetrics, headMetrics, tolerances) {
+  const rows = [];
+  const missing = [];
+  for (const name of new Set([...Object.keys(baseMetrics), ...Object.keys(headMetrics)])) {
+    const b = baseMetrics[name];
+    const h = headMetrics[name];
+    if (!b || !h) { missing.push(name); continue; }
+    if (b.kind !== h.kind) throw new Error(`metric ${name} is ${b.kind} in base but ${h.kind} in head`);
+    rows.push({ metric: name, kind: b.kind, unit: b.unit, tolerance: tolerances[b.kind], ...compareMetric(b.values, h.values, tolerances[b.kind]) });
+  }
+  return { rows, missing, regressions: rows.filter((r) => r.status === "regression").length };
+}
+
+module.exports = {
+  SCHEMA,
+  SCHEMA_VERSION,
+  RUNS_DIR,
+  startRun,
+  metric,
+  compilerLabel,
+  loadRun,
+  listRuns,
+  compareMetric,
+  diffMetrics,
+};
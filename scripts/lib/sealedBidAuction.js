@@ -0,0 +1,119 @@
+// scripts/lib/sealedBidAuction.js
+// Client side of contracts/SealedBidAuction.sol: bid hashing, phase advancement and one full
+// open → commit → reveal → settle round driven by several solver accounts. settle reserves the
+// Intent at the clearing fee for the winner on the bridge (reserveFill), so the auction needs the
+// bridge's AUCTION_ROLE (deployAuction grants it). When the bridge refuses the reservation (e.g.
+// the deadline has passed) the auction still settles, with a winner but no reserved intent.
+
+const { ethers } = require("ethers");
+const { waitForBlock, findEvent } = require("./chain");
+const { DEFAULT_TTL_SECS } = require("./intentSdk");
+
+const coder = ethers.AbiCoder.defaultAbiCoder();
+
+// Same encoding as SealedBidAuction.bidHashOf.
+function bidHash(id, solver, fee, salt) {
+  return ethers.keccak256(coder.encode(["uint256", "address", "uint256", "bytes32"], [id, solver, fee, salt]));
+}
+
+/**
+ * Deploys a SealedBidAuction for `bridge` and grants it AUCTION_ROLE from `admin`.
+ * @param {object} hreEthers  hre.ethers (for the contract factory)
+ * @param {import("ethers").Contract} bridge
+ * @param {import("ethers").Signer} admin  holder of the bridge's DEFAULT_ADMIN_ROLE
+ * @returns {Promise<import("ethers").Contract>}
+ */
+async function deployAuction(hreEthers, bridge, admin) {
+  const auction = await (await hreEthers.getContractFactory("SealedBidAuction")).deploy(await bridge.getAddress());
+  await auction.waitForDeployment();
+  await (await bridge.connect(admin).grantRole(await bridge.AUCTION_ROLE(), await auction.getAddress())).wait();
+  return auction;
+}
+
+/**
+ * Runs one auction round. Bidders whose fee exceeds `maxFee` stay out (the contract would reject
+ * their reveal); a bidder with `reveal: false` commits but never reveals.
+ * @param {object} opts
+ * @param {import("ethers").Contract} opts.auction  SealedBidAuction
+ * @param {import("ethers").Signer}   opts.user     auction opener (intent owner)
+ * @param {{ signer: import("ethers").Signer, fee: bigint, reveal?: boolean }[]} opts.bids
+ * @param {string}  opts.token
+ * @param {bigint}  opts.amount
+ * @param {bigint}  opts.maxFee                     fee ceiling (reserve)
+ * @param {number|bigint} [opts.deadline]           of the Intent the winner fills (default: now + 1h)
+ * @param {number}  [opts.commitBlocks=10]
+ * @param {number}  [opts.revealBlocks=10]
+ * @param {() => string} [opts.salt]                draws a bid salt (bytes32; default: random bytes),
+ *   e.g. `rng.bytes32` so a seeded run replays the same commits
+ * @returns {Promise<{ id: bigint, winner: string|null, fee: bigint|null, deadline: bigint,
+ *   intentDigest: string|null, reservationError: string|null, bidders: number, reveals: number, gasUsed: bigint, T_select_ms: number }>}
+ */
+async function runSealedBidAuction({
+  auction,
+  user,
+  bids,
+  token,
+  amount,
+  maxFee,
+  deadline,
+  commitBlocks = 10,
+  revealBlocks = 10,
+  salt = () => ethers.hexlify(ethers.randomBytes(32)),
+}) {
+  const provider = auction.runner.provider ?? auction.runner;
+  const dl = deadline ?? (await provider.getBlock("latest")).timestamp + DEFAULT_TTL_SECS;
+  const t0 = process.hrtime.bigint();
+  let gasUsed = 0n;
+  const send = async (txPromise) => {
+    const rc = await (await txPromise).wait();
+    gasUsed += rc.gasUsed;
+    return rc;
+  };
+  // Submitted in bid order, then awaited together: the order of the txs, and with it the block
+  // hashes later dispatch schedules draw on, does not depend on which signer answers first
+  const sendInOrder = async (items, makeTx) => {
+    const txs = [];
+    for (const item of items) txs.push(await makeTx(item));
+    return Promise.all(txs.map(send));
+  };
+
+  // 1) Open
+  const openRc = await send(auction.connect(user).openAuction(token, amount, maxFee, dl, commitBlocks, revealBlocks));
+  const opened = findEvent(auction, openRc, "AuctionOpened");
+  const { id, commitEnd, revealEnd } = opened.args;
+
+  // 2) Commit (sealed): only bidders that can afford the reserve take part
+  const sealed = await Promise.all(bids.filter((b) => b.fee <= maxFee).map(async (b) => {
+    const s = salt(); // drawn before the await, in bid order
+    return { ...b, solver: await b.signer.getAddress(), salt: s };
+  }));
+  await sendInOrder(sealed, (b) => auction.connect(b.signer).commitBid(id, bidHash(id, b.solver, b.fee, b.salt)));
+
+  // 3) Reveal once the commit window has closed
+  await waitForBlock(provider, Number(commitEnd) + 1);
+  await sendInOrder(sealed.filter((b) => b.reveal !== false), (b) => auction.connect(b.signer).revealBid(id, b.fee, b.salt));
+
+  // 4) Settle after the reveal window
+  await waitForBlock(provider, Number(revealEnd) + 1);
+  const settleRc = await send(auction.connect(user).settle(id));
+  const settled = findEvent(auction, settleRc, "AuctionSettled");
+  const T_select_ms = Number((process.hrtime.bigint() - t0) / 1000000n);
+
+  const { winner, fee, bidders, reveals, intentDigest } = settled.args;
+  const won = winner !== ethers.ZeroAddress;
+  const failed = findEvent(auction, settleRc, "ReservationFailed");
+  return {
+    id,
+    winner: won ? winner : null,
+    fee: won ? fee : null,
+    deadline: BigInt(dl),
+    intentDigest: won && intentDigest !== ethers.ZeroHash ? intentDigest : null,
+    reservationError: failed ? failed.args.reason : null,
+    bidders: Number(bidders),
+    reveals: Number(reveals),
+    gasUsed,
+    T_select_ms,
+  };
+}
+
+module.exports = { bidHash, deployAuction, runSealedBidAuction };
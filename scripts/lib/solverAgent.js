@@ -0,0 +1,207 @@
+// scripts/lib/solverAgent.js
+// Autonomous solver agent for UltraEfficientIntentBridge.
+// Listens to the intent relay, prices every open intent (fee value vs estimated fulfillIntent gas),
+// checks its own stake, commits and submits the fill. Several agents with different strategies and
+// reaction latencies can run against one node; whoever lands first wins, the rest lose the race.
+
+const { ethers } = require("ethers");
+const sdk = require("./intentSdk");
+const relayClient = require("./relayClient");
+const { newSeed, createRng } = require("./prng");
+
+const ERC20_DECIMALS_ABI = ["function decimals() view returns (uint8)"];
+
+// ---------------- Strategies ----------------
+// Each strategy sees a quote { intent, solverFee, feeValueWei, gasCostWei, profitWei } and decides
+// to fill or not. solverFee is the fee minus the bridge's protocol cut; feeValueWei prices it.
+const STRATEGIES = {
+  // Fill anything whose fee covers the gas.
+  greedy: (q) => q.profitWei > 0n,
+  // Require profit of at least 50% of the gas cost (buffer against gas-price moves).
+  cautious: (q) => q.profitWei * 2n >= q.gasCostWei && q.profitWei > 0n,
+  // Only large tickets: fee worth at least 3x the gas.
+  bigTicket: (q) => q.feeValueWei >= q.gasCostWei * 3n,
+};
+
+/**
+ * @param {object} opts
+ * @param {import("ethers").Contract} opts.bridge   UltraEfficientIntentBridge
+ * @param {import("ethers").Signer}   opts.signer   solver account
+ * @param {string}  opts.relayUrl
+ * @param {string}  [opts.strategy="greedy"]        key of STRATEGIES
+ * @param {number}  [opts.latencyMs=0]              reaction delay before acting on an intent
+ * @param {number}  [opts.jitterMs=0]               uniform extra delay in [0, jitterMs]
+ * @param {object}  [opts.rng]                      prng.createRng instance for the jitter (default: fresh seed)
+ * @param {string}  [opts.tokenPriceEth="0.001"]    ETH value of one whole token (fee valuation)
+ * @param {boolean} [opts.autoStake=false]          top up to MINIMUM_STAKE when under-staked
+ * @param {function} [opts.log]
+ */
+function createSolverAgent({
+  bridge,
+  signer,
+  relayUrl,
+  strategy = "greedy",
+  latencyMs = 0,
+  jitterMs = 0,
+  rng = createRng(newSeed()),
+  tokenPriceEth = "0.001",
+  autoStake = false,
+  log = () => {},
+}) {
+  const decide = STRATEGIES[strategy];
+  if (!decide) throw new Error(`unknown strategy "${strategy}" (expected one of ${Object.keys(STRATEGIES).join(", ")})`);
+
+  const provider = signer.provider;
+  const priceWei = ethers.parseEther(tokenPriceEth);
+  const decimalsCache = new Map();
+  const closed = new Set();
+  const stats = {
+    strategy,
+    latencyMs,
+    seen: 0,
+    missed: 0,
+    unprofitable: 0,
+    unstaked: 0,
+    attempted: 0,
+    won: 0,
+    lost: 0,
+    gasSpent: 0n,
+    feesEarned: 0n,
+  };
+
+  let me;
+  let domain;
+  let minStake;
+  let sub;
+  let queue = Promise.resolve();
+
+  const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+  async function tokenDecimals(token) {
+    if (!decimalsCache.has(token)) {
+      const erc20 = new ethers.Contract(token, ERC20_DECIMALS_ABI, provider);
+      decimalsCache.set(token, await erc20.decimals());
+    }
+    return decimalsCache.get(token);
+  }
+
+  async function ensureStake() {
+    const staked = await bridge.solverStakes(me);
+    if (staked >= minStake) return true;
+    if (!autoStake) return false;
+    // stake() only accepts deposits of at least MINIMUM_STAKE.
+    await (await bridge.connect(signer).stake({ value: minStake })).wait();
+    log(`staked ${ethers.formatEther(minStake)} ETH`);
+    return true;
+  }
+
+  // Prices the fill: the solver's part of the fee (after the protocol cut) converted to ETH vs
+  // estimateGas(fulfillIntent) * current gas price.
+  async function quote(intent, args) {
+    const [gas, feeData, decimals, cut] = await Promise.all([
+      bridge.connect(signer).fulfillIntent.estimateGas(...args),
+      provider.getFeeData(),
+      tokenDecimals(intent.token),
+      bridge.protocolCut(intent.fee),
+    ]);
+    const gasPrice = feeData.maxFeePerGas ?? feeData.gasPrice;
+    const gasCostWei = gas * gasPrice;
+    const solverFee = intent.fee - cut;
+    const feeValueWei = (solverFee * priceWei) / 10n ** BigInt(decimals);
+    return { intent, gas, gasPrice, gasCostWei, solverFee, feeValueWei, profitWei: feeValueWei - gasCostWei };
+  }
+
+  async function handle(msg) {
+    if (closed.has(msg.digest)) return;
+    stats.seen++;
+
+    await sleep(latencyMs + rng.int(0, jitterMs));
+    if (closed.has(msg.digest)) {
+      stats.missed++;
+      return;
+    }
+
+    if (!(await ensureStake())) {
+      stats.unstaked++;
+      log(`skip ${msg.digest.slice(0, 10)}: stake below MINIMUM_STAKE`);
+      return;
+    }
+
+    const intent = sdk.intentFromJSON(msg.intent);
+    const solverSig = await sdk.signSolverCommitment(signer, domain, msg.digest);
+    const args = sdk.fulfillArgs(intent, msg.signature, solverSig);
+
+    let q;
+    try {
+      q = await quote(intent, args);
+    } catch (e) {
+      // estimateGas reverts once another solver has consumed the nonce.
+      stats.lost++;
+      log(`lost ${msg.digest.slice(0, 10)} before sending: ${e.shortMessage ?? e.message}`);
+      return;
+    }
+    if (!decide(q)) {
+      stats.unprofitable++;
+      log(`skip ${msg.digest.slice(0, 10)}: profit ${ethers.formatEther(q.profitWei)} ETH`);
+      return;
+    }
+
+    stats.attempted++;
+    try {
+      await relayClient.postCommitment(relayUrl, msg.digest, me, solverSig);
+    } catch (e) {
+      // The commitment is informational; a closed intent shows up as a failed fill below.
+    }
+
+    try {
+      const tx = await bridge.connect(signer).fulfillIntent(...args, { gasLimit: q.gas + q.gas / 5n });
+      const rc = await tx.wait();
+      stats.won++;
+      stats.gasSpent += rc.gasUsed;
+      stats.feesEarned += q.solverFee;
+      log(`won ${msg.digest.slice(0, 10)} gas=${rc.gasUsed}`);
+    } catch (e) {
+      stats.lost++;
+      const rc = e.receipt;
+      if (rc) stats.gasSpent += rc.gasUsed;
+      log(`lost ${msg.digest.slice(0, 10)}: ${e.shortMessage ?? e.message}`);
+    }
+  }
+
+  function enqueue(msg) {
+    // One fill at a time per agent: keeps the solver's own tx nonces ordered.
+    queue = queue.then(() => handle(msg)).catch((e) => log(`error: ${e.shortMessage ?? e.message}`));
+  }
+
+  function onMessage(msg) {
+    if (msg.type === "snapshot") msg.intents.forEach(enqueue);
+    else if (msg.type === "intent") enqueue(msg);
+    else if (msg.type === "closed") closed.add(msg.digest);
+  }
+
+  async function start() {
+    me = await signer.getAddress();
+    [domain, minStake] = await Promise.all([sdk.buildDomain(bridge), bridge.MINIMUM_STAKE()]);
+    sub = relayClient.subscribe(relayUrl, { onMessage });
+    await sub.ready;
+    log(`solver ${me} online (strategy=${strategy}, latency=${latencyMs}ms)`);
+  }
+
+  async function stop() {
+    if (sub) sub.close();
+    await queue;
+  }
+
+  function snapshot() {
+    return {
+      solver: me,
+      ...stats,
+      gasSpent: stats.gasSpent.toString(),
+      feesEarned: stats.feesEarned.toString(),
+    };
+  }
+
+  return { start, stop, stats: snapshot };
+}
+
+module.exports = { STRATEGIES, createSolverAgent };
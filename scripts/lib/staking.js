@@ -0,0 +1,64 @@
+// scripts/lib/staking.js
+// Solver stake on UltraEfficientIntentBridge. Withdrawals take two steps: requestUnbond moves
+// stake out of solverStakes (it no longer counts toward MINIMUM_STAKE) and withdrawStake pays it
+// out once UNBONDING_PERIOD has passed. Per solver, by priority:
+//
+//   STAKED        solverStakes >= MINIMUM_STAKE (may unbond a surplus at the same time)
+//   WITHDRAWABLE  below the minimum, unbonded stake past its release time
+//   UNBONDING     below the minimum, unbonded stake still cooling down
+//   UNSTAKED      below the minimum, nothing unbonding
+
+const { findEvent } = require("./chain");
+
+/**
+ * @param {import("ethers").Contract} bridge
+ * @param {string} solver
+ * @param {{ now?: number }} [opts]  timestamp to judge the release time by (default: latest block)
+ */
+async function stakeState(bridge, solver, { now } = {}) {
+  const [staked, unbonding, minStake, openEscrows, head] = await Promise.all([
+    bridge.solverStakes(solver),
+    bridge.unbondings(solver),
+    bridge.MINIMUM_STAKE(),
+    bridge.openEscrows(solver),
+    now === undefined ? bridge.runner.provider.getBlock("latest") : null,
+  ]);
+  const at = now ?? head.timestamp;
+  const releaseTime = Number(unbonding.releaseTime);
+  let state = "UNSTAKED";
+  if (staked >= minStake) state = "STAKED";
+  else if (unbonding.amount > 0n) state = at >= releaseTime ? "WITHDRAWABLE" : "UNBONDING";
+  return {
+    solver,
+    state,
+    staked,
+    unbonding: unbonding.amount,
+    releaseTime: unbonding.amount > 0n ? releaseTime : null,
+    withdrawable: unbonding.amount > 0n && at >= releaseTime,
+    openEscrows: Number(openEscrows),
+  };
+}
+
+// Every address that ever staked on `bridge`, in order of first stake
+async function stakers(bridge, { fromBlock = 0 } = {}) {
+  const events = await bridge.queryFilter(bridge.filters.StakeAdded(), fromBlock);
+  return [...new Set(events.map((ev) => ev.args.solver))];
+}
+
+// Step 1. Returns { releaseTime, receipt }.
+async function requestUnbond(bridge, solver, amount) {
+  const receipt = await (await bridge.connect(solver).requestUnbond(amount)).wait();
+  return { releaseTime: Number(findEvent(bridge, receipt, "UnbondRequested").args.releaseTime), receipt };
+}
+
+// Step 2, after the release time. Returns the receipt.
+async function withdrawStake(bridge, solver) {
+  return (await bridge.connect(solver).withdrawStake()).wait();
+}
+
+module.exports = {
+  stakeState,
+  stakers,
+  requestUnbond,
+  withdrawStake,
+};
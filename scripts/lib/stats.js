@@ -0,0 +1,258 @@
+// scripts/lib/stats.js
+// Descriptive statistics, bootstrap confidence intervals and two-sample tests for the
+// bridge comparisons (R_T, R_G) and the mechanism bench.
+//
+// Tests are two-sided. Mann–Whitney U uses the exact null distribution for small samples without
+// ties (the usual 5-run comparisons) and the tie-corrected normal approximation otherwise.
+
+const { newSeed, createRng } = require("./prng");
+
+function mean(xs) {
+  return xs.reduce((a, b) => a + b, 0) / (xs.length || 1);
+}
+
+// Sample variance (n - 1); 0 for fewer than two values.
+function variance(xs) {
+  if (xs.length < 2) return 0;
+  const m = mean(xs);
+  return xs.reduce((a, x) => a + (x - m) ** 2, 0) / (xs.length - 1);
+}
+
+function std(xs) {
+  return Math.sqrt(variance(xs));
+}
+
+// p in [0, 100], linear interpolation between closest ranks.
+function percentile(xs, p) {
+  if (!xs.length) return NaN;
+  const s = [...xs].sort((a, b) => a - b);
+  const idx = (p / 100) * (s.length - 1);
+  const lo = Math.floor(idx);
+  const hi = Math.ceil(idx);
+  return s[lo] + (s[hi] - s[lo]) * (idx - lo);
+}
+
+function describe(xs) {
+  return {
+    n: xs.length,
+    mean: mean(xs),
+    std: std(xs),
+    min: xs.length ? Math.min(...xs) : NaN,
+    p25: percentile(xs, 25),
+    p50: percentile(xs, 50),
+    p75: percentile(xs, 75),
+    p95: percentile(xs, 95),
+    max: xs.length ? Math.max(...xs) : NaN,
+  };
+}
+
+// ---------------- Ratios ----------------
+// R_T: how many times longer the traditional path takes.
+const latencyRatio = (trad, ibb) => mean(trad) / mean(ibb);
+// R_G: share of the traditional gas that IBB saves (negative when IBB costs more).
+const gasSaving = (trad, ibb) => (mean(trad) - mean(ibb)) / mean(trad);
+
+/**
+ * Percentile bootstrap CI of statistic(a, b); both samples are resampled independently.
+ * @param {number[]} a
+ * @param {number[]} b
+ * @param {(a: number[], b: number[]) => number} statistic
+ * @param {{ iterations?: number, level?: number, rng?: object }} [opts]  rng: prng.createRng instance
+ * @returns {{ estimate: number, lo: number, hi: number, level: number, iterations: number }}
+ */
+function bootstrapCI(a, b, statistic, { iterations = 2000, level = 0.95, rng = createRng(newSeed()) } = {}) {
+  const resample = (xs) => xs.map(() => xs[rng.int(0, xs.length - 1)]);
+  const draws = [];
+  for (let i = 0; i < iterations; i++) {
+    const v = statistic(resample(a), resample(b));
+    if (Number.isFinite(v)) draws.push(v); // e.g. a resampled IBB mean of 0
+  }
+  const tail = ((1 - level) / 2) * 100;
+  return {
+    estimate: statistic(a, b),
+    lo: percentile(draws, tail),
+    hi: percentile(draws, 100 - tail),
+    level,
+    iterations,
+  };
+}
+
+// ---------------- Distributions ----------------
+// Standard normal CDF (Abramowitz–Stegun 7.1.26, |error| < 1.5e-7)
+function normalCdf(z) {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const erf = 1 - poly * Math.exp(-x * x);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+// ln Γ(x), Lanczos approximation
+function logGamma(x) {
+  const c = [76.18009172947146, -86.50532032941677, 24.01409824083091,
+    -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5];
+  let y = x;
+  const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+  let ser = 1.000000000190015;
+  for (const ci of c) ser += ci / ++y;
+  return -tmp + Math.log((2.5066282746310005 * ser) / x);
+}
+
+// Continued fraction for the incomplete beta function (modified Lentz)
+function betaContinuedFraction(a, b, x) {
+  const tiny = 1e-300;
+  let c = 1;
+  let d = 1 - ((a + b) * x) / (a + 1);
+  if (Math.abs(d) < tiny) d = tiny;
+  d = 1 / d;
+  let h = d;
+  for (let m = 1; m <= 300; m++) {
+    const m2 = 2 * m;
+    let aa = (m * (b - m) * x) / ((a + m2 - 1) * (a + m2));
+    d = 1 + aa * d; if (Math.abs(d) < tiny) d = tiny;
+    c = 1 + aa / c; if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    h *= d * c;
+    aa = (-(a + m) * (a + b + m) * x) / ((a + m2) * (a + m2 + 1));
+    d = 1 + aa * d; if (Math.abs(d) < tiny) d = tiny;
+    c = 1 + aa / c; if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    const del = d * c;
+    h *= del;
+    if (Math.abs(del - 1) < 1e-12) break;
+  }
+  return h;
+}
+
+// Regularized incomplete beta I_x(a, b)
+function incompleteBeta(x, a, b) {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+  const front = Math.exp(logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x));
+  return x < (a + 1) / (a + b + 2)
+    ? (front * betaContinuedFraction(a, b, x)) / a
+    : 1 - (front * betaContinuedFraction(b, a, 1 - x)) / b;
+}
+
+// Two-sided p-value of Student's t with df degrees of freedom
+function studentTwoSidedP(t, df) {
+  return incompleteBeta(df / (df + t * t), df / 2, 0.5);
+}
+
+// ---------------- Tests ----------------
+/**
+ * Welch's unequal-variance t-test of mean(a) vs mean(b).
+ * Two constant samples give t = ±Infinity (p = 0) when their values differ and t = 0 (p = 1) otherwise.
+ * @returns {{ t: number, df: number, p: number }}  NaN fields when a sample has fewer than 2 values
+ */
+function welchT(a, b) {
+  if (a.length < 2 || b.length < 2) return { t: NaN, df: NaN, p: NaN };
+  const va = variance(a) / a.length;
+  const vb = variance(b) / b.length;
+  const diff = mean(a) - mean(b);
+  const se = Math.sqrt(va + vb);
+  if (se === 0) {
+    return { t: diff === 0 ? 0 : Math.sign(diff) * Infinity, df: a.length + b.length - 2, p: diff === 0 ? 1 : 0 };
+  }
+  const df = (va + vb) ** 2 / (va ** 2 / (a.length - 1) + vb ** 2 / (b.length - 1));
+  const t = diff / se;
+  return { t, df, p: studentTwoSidedP(t, df) };
+}
+
+// Midranks of the pooled sample; returns ranks of a and the tie-group sizes.
+function rankPooled(a, b) {
+  const pooled = [...a.map((v) => ({ v, a: true })), ...b.map((v) => ({ v, a: false }))].sort((x, y) => x.v - y.v);
+  const ties = [];
+  let rankSumA = 0;
+  for (let i = 0; i < pooled.length; ) {
+    let j = i;
+    while (j + 1 < pooled.length && pooled[j + 1].v === pooled[i].v) j++;
+    const rank = (i + j) / 2 + 1;
+    for (let k = i; k <= j; k++) if (pooled[k].a) rankSumA += rank;
+    if (j > i) ties.push(j - i + 1);
+    i = j + 1;
+  }
+  return { rankSumA, ties };
+}
+
+// Exact null distribution of U for sample sizes m, n: counts[u] / C(m + n, m)
+function exactUDistribution(m, n) {
+  // f[i][j][u] = number of orderings of i a's and j b's with U = u
+  let prev = Array.from({ length: n + 1 }, () => [1]);
+  for (let i = 1; i <= m; i++) {
+    const cur = [[1]];
+    for (let j = 1; j <= n; j++) {
+      const size = i * j + 1;
+      const row = new Array(size).fill(0);
+      prev[j].forEach((c, u) => { row[u + j] += c; });   // largest value is an a: beats all j b's
+      cur[j - 1].forEach((c, u) => { row[u] += c; });    // largest value is a b
+      cur.push(row);
+    }
+    prev = cur;
+  }
+  const counts = prev[n];
+  const total = counts.reduce((s, c) => s + c, 0);
+  return counts.map((c) => c / total);
+}
+
+/**
+ * Mann–Whitney U test of a vs b. U counts pairs (x in a, y in b) with x > y (ties count 1/2),
+ * so U > m·n/2 means a tends to be larger.
+ * @returns {{ U: number, z: number|null, p: number, method: "exact"|"normal" }}
+ */
+function mannWhitneyU(a, b) {
+  const m = a.length;
+  const n = b.length;
+  if (!m || !n) return { U: NaN, z: null, p: NaN, method: "normal" };
+  const { rankSumA, ties } = rankPooled(a, b);
+  const U = rankSumA - (m * (m + 1)) / 2;
+
+  if (!ties.length && m + n <= 30) {
+    const dist = exactUDistribution(m, n);
+    const lower = dist.slice(0, Math.floor(U) + 1).reduce((s, x) => s + x, 0);
+    const upper = dist.slice(Math.ceil(U)).reduce((s, x) => s + x, 0);
+    return { U, z: null, p: Math.min(1, 2 * Math.min(lower, upper)), method: "exact" };
+  }
+
+  const N = m + n;
+  const tieTerm = ties.reduce((s, t) => s + t ** 3 - t, 0) / (N * (N - 1));
+  const sigma = Math.sqrt(((m * n) / 12) * (N + 1 - tieTerm));
+  if (sigma === 0) return { U, z: 0, p: 1, method: "normal" };
+  const dev = U - (m * n) / 2;
+  const z = Math.sign(dev) * Math.max(0, Math.abs(dev) - 0.5) / sigma; // continuity correction
+  return { U, z, p: 2 * (1 - normalCdf(Math.abs(z))), method: "normal" };
+}
+
+// Summary of both samples plus both tests.
+function compareSamples(a, b) {
+  return { a: describe(a), b: describe(b), welch: welchT(a, b), mannWhitney: mannWhitneyU(a, b) };
+}
+
+// "5.88 [4.90, 7.12]"; scale = 100 for percentages
+function formatCI(ci, digits = 2, scale = 1, unit = "") {
+  const f = (x) => (Number.isFinite(x) ? (x * scale).toFixed(digits) + unit : "n/a");
+  return `${f(ci.estimate)} [${f(ci.lo)}, ${f(ci.hi)}]`;
+}
+
+function formatP(p) {
+  if (!Number.isFinite(p)) return "n/a";
+  return p < 0.001 ? "<0.001" : p.toFixed(3);
+}
+
+module.exports = {
+  mean,
+  variance,
+  std,
+  percentile,
+  describe,
+  latencyRatio,
+  gasSaving,
+  bootstrapCI,
+  normalCdf,
+  incompleteBeta,
+  welchT,
+  mannWhitneyU,
+  compareSamples,
+  formatCI,
+  formatP,
+};
@@ -0,0 +1,114 @@
+// scripts/lib/twoChain.js
+// Two local Hardhat chains (source + destination) with distinct chainIds, each a separate
+// `hardhat node` process, behind one handle:
+//
+//   const chains = await startTwoChains({ configFile });
+//   const token = await chains.source.deploy("MockToken");
+//   const user  = await chains.destination.signer(1);   // same accounts on both chains
+//   await chains.setBlockTimes();                        // switch to interval mining
+//   ...
+//   await chains.stop();
+
+const { ethers } = require("ethers");
+const { spawnHardhat } = require("./processes");
+
+const DEFAULTS = {
+  source:      { port: 8555, chainId: 1337, blockMs: 1000 },
+  destination: { port: 8556, chainId: 1338, blockMs: 500 },
+};
+
+function chainHandle(name, { url, chainId, blockMs }, proc, artifacts) {
+  const provider = new ethers.JsonRpcProvider(url, chainId, { staticNetwork: true, pollingInterval: 100 });
+
+  const signer = (index) => provider.getSigner(index);
+
+  // Deploys an artifact from this project (signer index 0 by default).
+  async function deploy(contractName, args = [], from = 0) {
+    const { abi, bytecode } = await artifacts.readArtifact(contractName);
+    const factory = new ethers.ContractFactory(abi, bytecode, await signer(from));
+    const contract = await factory.deploy(...args);
+    await contract.waitForDeployment();
+    return contract;
+  }
+
+  async function at(contractName, address, from = 0) {
+    const { abi } = await artifacts.readArtifact(contractName);
+    return new ethers.Contract(address, abi, await signer(from));
+  }
+
+  // Interval mining at `ms` (0 = back to automine).
+  async function setBlockTime(ms = blockMs) {
+    await provider.send("evm_setAutomine", [ms === 0]);
+    await provider.send("evm_setIntervalMining", [ms]);
+  }
+
+  return { name, url, chainId, blockMs, provider, signer, deploy, at, setBlockTime, proc };
+}
+
+/**
+ * Starts both nodes and resolves once both accept RPC.
+ * @param {object} [opts]
+ * @param {string} [opts.configFile]   Hardhat config the nodes load (pass hre.config.paths.configFile)
+ * @param {object} [opts.artifacts]    hre.artifacts (default: require("hardhat").artifacts)
+ * @param {{ port?: number, chainId?: number, blockMs?: number }} [opts.source]
+ * @param {{ port?: number, chainId?: number, blockMs?: number }} [opts.destination]
+ * @param {boolean} [opts.echo=false]  forward node logs
+ */
+async function startTwoChains({ configFile, artifacts, source = {}, destination = {}, echo = false } = {}) {
+  const arts = artifacts ?? require("hardhat").artifacts;
+  const cfg = {
+    source: { ...DEFAULTS.source, ...source },
+    destination: { ...DEFAULTS.destination, ...destination },
+  };
+  if (cfg.source.chainId === cfg.destination.chainId) throw new Error("source and destination need distinct chainIds");
+
+  const procs = {};
+  for (const [name, c] of Object.entries(cfg)) {
+    procs[name] = spawnHardhat(["node", "--hostname", "127.0.0.1", "--port", String(c.port)], {
+      configFile,
+      env: { HARDHAT_CHAIN_ID: String(c.chainId) },
+      readyPattern: /Started HTTP and WebSocket JSON-RPC server at (\S+)/,
+      label: name,
+      echo,
+    });
+  }
+
+  const stop = () => Promise.all(Object.values(procs).map((p) => p.stop()));
+  try {
+    await Promise.all(Object.values(procs).map((p) => p.ready));
+  } catch (e) {
+    await stop();
+    throw e;
+  }
+
+  const handles = {};
+  for (const [name, c] of Object.entries(cfg)) {
+    handles[name] = chainHandle(name, { ...c, url: `http://127.0.0.1:${c.port}` }, procs[name], arts);
+    const actual = Number((await handles[name].provider.getNetwork()).chainId);
+    if (actual !== c.chainId) {
+      await stop();
+      throw new Error(`${name} node reports chainId ${actual}, expected ${c.chainId} (does the config read HARDHAT_CHAIN_ID?)`);
+    }
+  }
+
+  return {
+    source: handles.source,
+    destination: handles.destination,
+    // Both chains to their configured block times (deploy with automine first, then call this)
+    setBlockTimes: () => Promise.all([handles.source.setBlockTime(), handles.destination.setBlockTime()]),
+    stop,
+  };
+}
+
+// Polls until `predicate()` is truthy; resolves with its value.
+async function waitFor(predicate, { pollMs = 50, timeoutMs = 60_000, what = "condition" } = {}) {
+  const t0 = Date.now();
+  for (;;) {
+    const v = await predicate();
+    if (v) return v;
+    if (Date.now() - t0 > timeoutMs) throw new Error(`timed out waiting for ${what}`);
+    await new Promise((r) => setTimeout(r, pollMs));
+  }
+}
+
+module.exports = { DEFAULTS, startTwoChains, waitFor };
@@ -0,0 +1,131 @@
+// scripts/lib/watcher.js
+// Dispute watcher for escrowed intents on UltraEfficientIntentBridge. It follows IntentLocked
+// events and acts on the source chain's clock (the next block's timestamp):
+//
+//   Locked, deadline passed, within PROOF_WINDOW    -> challengeIntent, unless `delivered(escrow)`
+//                                                      says the payment exists and only the proof
+//                                                      is late
+//   Challenged, deadline + PROOF_WINDOW passed      -> resolveChallenge (user refunded + slash credited)
+//
+// Settled, refunded and slashed escrows are dropped; so are escrows whose dispute window closed
+// before the watcher saw them overdue (refundIntent still returns the user's funds).
+//
+// Usage:
+//   const w = createChallengeWatcher({ bridge, signer, log: console.log });
+//   await w.start();   ...   await w.stop();   // or await w.poll() for one round
+
+const escrow = require("./escrow");
+
+/**
+ * @param {object} opts
+ * @param {import("ethers").Contract} opts.bridge   UltraEfficientIntentBridge
+ * @param {import("ethers").Signer} opts.signer      sends the challenge / resolve transactions
+ * @param {number} [opts.fromBlock]                  first block to scan (default: the block after the head
+ *                                                   at start() or the first poll())
+ * @param {number} [opts.pollMs]
+ * @param {(e: object) => Promise<boolean>} [opts.delivered]  escrowOf(...) + intentDigest -> paid?
+ */
+function createChallengeWatcher({
+  bridge,
+  signer,
+  fromBlock,
+  pollMs = 1000,
+  delivered = async () => false,
+  onChallenge = () => {},
+  onSlash = () => {},
+  log = () => {},
+}) {
+  const provider = bridge.runner.provider;
+  const target = bridge.connect(signer);
+  const pending = new Map(); // intent digest -> IntentLocked args
+  const challenged = [];
+  const slashed = [];
+  const missed = [];
+  let window;
+  let last;
+  let timer;
+  let stopped = false;
+  let busy = Promise.resolve();
+
+  async function init() {
+    if (window !== undefined) return;
+    window = Number(await bridge.PROOF_WINDOW());
+    last = fromBlock !== undefined ? fromBlock - 1 : await provider.getBlockNumber();
+  }
+
+  async function step(intentDigest, now) {
+    const e = await escrow.escrowOf(bridge, intentDigest);
+    const closesAt = e.deadline + window;
+    if (e.status === "Locked") {
+      if (now <= e.deadline) return;
+      if (now > closesAt) {
+        pending.delete(intentDigest);
+        missed.push({ intentDigest, solver: e.solver, user: e.user });
+        log(`dispute window of ${intentDigest.slice(0, 10)} closed unobserved; refundIntent remains`);
+        return;
+      }
+      if (await delivered({ ...e, intentDigest })) return;
+      const rc = await escrow.challengeIntent(target, intentDigest);
+      const record = { intentDigest, solver: e.solver, user: e.user, challengeTx: rc.hash, challengeGas: rc.gasUsed };
+      challenged.push(record);
+      log(`challenged ${intentDigest.slice(0, 10)} (solver ${e.solver}, overdue ${now - e.deadline} s)`);
+      onChallenge(record);
+    } else if (e.status === "Challenged") {
+      if (now <= closesAt) return;
+      const rc = await escrow.resolveChallenge(target, intentDigest);
+      const ev = rc.logs.map((l) => bridge.interface.parseLog(l)).find((x) => x?.name === "SolverSlashed");
+      const record = { intentDigest, solver: e.solver, user: e.user, slashed: ev.args.amount, resolveTx: rc.hash, resolveGas: rc.gasUsed };
+      slashed.push(record);
+      pending.delete(intentDigest);
+      log(`slashed ${record.slashed} wei from ${e.solver}, credited to ${e.user} (${intentDigest.slice(0, 10)})`);
+      onSlash(record);
+    } else {
+      pending.delete(intentDigest); // Settled, Refunded or Slashed by someone else
+    }
+  }
+
+  async function poll() {
+    await init();
+    const head = await provider.getBlock("latest");
+    if (head.number > last) {
+      for (const ev of await bridge.queryFilter(bridge.filters.IntentLocked(), last + 1, head.number)) {
+        pending.set(ev.args.intentDigest, ev.args);
+      }
+      last = head.number;
+    }
+    const now = head.timestamp + 1; // earliest timestamp of the block our transaction lands in
+    for (const intentDigest of [...pending.keys()]) {
+      try {
+        await step(intentDigest, now);
+      } catch (e) {
+        log(`watcher ${intentDigest.slice(0, 10)}: ${e.shortMessage ?? e.message}`); // e.g. raced by a settle
+      }
+    }
+  }
+
+  function schedule() {
+    if (stopped) return;
+    timer = setTimeout(() => {
+      busy = poll()
+        .catch((e) => log(`watcher poll failed: ${e.shortMessage ?? e.message}`))
+        .then(schedule);
+    }, pollMs);
+  }
+
+  async function start() {
+    await init();
+    schedule();
+  }
+
+  async function stop() {
+    stopped = true;
+    clearTimeout(timer);
+    await busy;
+  }
+
+  const stats = () => ({ watching: pending.size, challenged: challenged.length, slashed: slashed.length, missed: missed.length });
+
+  return { start, stop, poll, stats, challenged, slashed, missed };
+}
+
+module.exports = { createChallengeWatcher };
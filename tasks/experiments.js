@@ -0,0 +1,261 @@
+// tasks/experiments.js
+// Every experiment script as a Hardhat task with typed flags. Defaults stay in each script's CFG;
+// a JSON file passed with --params overrides them and flags override the file:
+//
+//   npx hardhat bench:mechanisms --trials 50 --ack-blocks 2
+//   npx hardhat compare:bridges --params runs/compare.json --runs 10
+//
+// (Hardhat reserves --config for its own config file, hence --params.)
+
+const path = require("path");
+const { task, types: hhTypes } = require("hardhat/config");
+const { types, fail, flag, resolveParams } = require("./params");
+
+// CFG key path -> flag name: TRIALS -> trials, SOURCE.blockMs -> sourceBlockMs
+const camel = (key) => key.split(/[._]/).map((seg, i) => {
+  const s = seg === seg.toUpperCase() ? seg.toLowerCase() : seg;
+  return i === 0 ? s : s[0].toUpperCase() + s.slice(1);
+}).join("");
+
+/**
+ * @param {string} name
+ * @param {string} description
+ * @param {string} script                   file under scripts/ exporting { CFG, main }
+ * @param {[string, object, string][]} params  [CFG key path, type, description]; flag = camelCase key
+ * @param {function} [check]                cross-parameter validation of the resolved CFG
+ */
+function experimentTask(name, description, script, params, check = () => {}) {
+  const spec = params.map(([key, type, desc]) => ({ key, name: camel(key), type, desc }));
+  const t = task(name, `${description} (scripts/${script}.js)`)
+    .addOptionalParam("params", "JSON file of parameter values (flag names in camelCase)", undefined, hhTypes.inputFile);
+  for (const p of spec) t.addOptionalParam(p.name, `${p.desc} (default: CFG.${p.key})`, undefined, p.type);
+
+  t.setAction(async (args) => {
+    // Loaded here: experiment scripts require("hardhat"), which the config must not do
+    const { CFG, main } = require(path.join(__dirname, "..", "scripts", script));
+    const cfg = resolveParams(spec, CFG, args);
+    check(cfg);
+    console.log(`${name}:`, JSON.stringify(cfg));
+    await main(cfg);
+  });
+}
+
+experimentTask("bench:mechanisms", "Benchmark auction, randomized dispatch and open claim", "BenchMechanisms", [
+  ["TRIALS", types.positiveInt, "trials per mechanism"],
+  ["SOLVERS", types.positiveInt, "staked solvers competing"],
+  ["AMOUNT", types.tokenAmount, "intent amount (tokens)"],
+  ["MAX_FEE", types.tokenAmount, "auction reserve fee (tokens)"],
+  ["ASK_RANGE", types.fractionRange, "bidders' asks as a fraction of the reserve, min,max"],
+  ["COMMIT_BLOCKS", types.positiveInt, "auction commit window (blocks)"],
+  ["REVEAL_BLOCKS", types.positiveInt, "auction reveal window (blocks)"],
+  ["DISPATCH_FEE", types.tokenAmount, "randomized dispatch fee (tokens)"],
+  ["ACK_BLOCKS", types.positiveInt, "exclusive window per dispatched solver (blocks)"],
+  ["REASSIGN_EVERY", types.nonNegativeInt, "every n-th dispatch misses its first window (0 = never)"],
+  ["OPEN_CLAIM_FEE", types.tokenAmount, "open-claim fee (tokens)"],
+  ["OPEN_CLAIM_BLOCK_MS", types.positiveInt, "block interval during the open-claim race (ms)"],
+  ["LATENCY_MS", types.delays, "open-claim reaction delay per solver (ms, cycled)"],
+  ["JITTER_MS", types.nonNegativeInt, "extra random reaction delay (ms)"],
+  ["PARTIAL", types.boolean, "also race partial intents filled in portions by several solvers"],
+  ["PARTIAL_AMOUNT", types.tokenAmount, "partial intent amount (tokens)"],
+  ["PARTIAL_FEE", types.tokenAmount, "partial intent fee, pro-rated over the portions (tokens)"],
+  ["PARTIAL_MIN_FILL", types.tokenAmount, "smallest portion a solver may fill (tokens)"],
+  ["SOLVER_LIQUIDITY", types.tokenAmounts, "tokens each solver can fill per partial intent (cycled)"],
+  ["BOOTSTRAP", types.positiveInt, "bootstrap resamples for the latency ratio confidence intervals"],
+  ["GAS_TOLERANCE", types.probability, "max relative fulfillIntent gas gap, randomized dispatch vs auction"],
+  ["SEED", types.nonNegativeInt, "PRNG seed (default: fresh, printed)"],
+  ["SAVE_FILES", types.boolean, "write a run directory under results/runs/bench-mechanisms/"],
+], (cfg) => {
+  if (cfg.ACK_BLOCKS > 64) fail(`${flag("ackBlocks")} must be <= 64 (MAX_ACK_BLOCKS).`);
+  if (cfg.SOLVERS < 2) fail(`${flag("solvers")} needs at least 2 solvers to compare mechanisms.`);
+  if (Number(cfg.PARTIAL_FEE) >= Number(cfg.PARTIAL_AMOUNT)) fail(`${flag("partialFee")} must be below ${flag("partialAmount")}.`);
+  if (Number(cfg.PARTIAL_MIN_FILL) <= 0 || Number(cfg.PARTIAL_MIN_FILL) > Number(cfg.PARTIAL_AMOUNT)) {
+    fail(`${flag("partialMinFill")} must be in (0, ${flag("partialAmount")}].`);
+  }
+});
+
+experimentTask("compare:bridges", "IBB vs traditional lock–mint on one chain", "Comparison_Final", [
+  ["RUNS", types.positiveInt, "runs"],
+  ["ACK_DELAY_MS", types.nonNegativeInt, "randomized dispatch ack delay (ms)"],
+  ["TRAD_DELAY_MS", types.nonNegativeInt, "cross-chain confirmation delay per leg (ms)"],
+  ["AMOUNT", types.tokenAmount, "transfer amount (tokens)"],
+  ["FEE", types.tokenAmount, "IBB fee (tokens)"],
+  ["BOOTSTRAP", types.positiveInt, "bootstrap resamples for the R_T / R_G confidence intervals"],
+  ["SEED", types.nonNegativeInt, "PRNG seed (default: fresh, printed)"],
+  ["PERMIT", types.boolean, "also run the gasless-user IBB flow (EIP-2612 permit instead of approve)"],
+  ["PROTOCOL_FEE_BPS", types.nonNegativeInt, "protocol share of the fee in the extra split runs (bps, 0 = skip them)"],
+  ["SAVE_FILES", types.boolean, "write a run directory under results/runs/compare-bridges/"],
+], (cfg) => {
+  if (cfg.PROTOCOL_FEE_BPS > 10_000) fail(`${flag("protocolFeeBps")} must be <= 10000 (the whole fee).`);
+});
+
+experimentTask("compare:crosschain", "IBB vs traditional lock–mint across two local chains", "CrossChainComparison", [
+  ["RUNS", types.positiveInt, "runs"],
+  ["AMOUNT", types.tokenAmount, "transfer amount (tokens)"],
+  ["FEE", types.tokenAmount, "IBB fee (tokens)"],
+  ["CONFIRMATIONS", types.nonNegativeInt, "blocks before the committee relays"],
+  ["COMMITTEE.THRESHOLD", types.positiveInt, "committee signatures required"],
+  ["SOURCE.blockMs", types.positiveInt, "source chain block time (ms)"],
+  ["DESTINATION.blockMs", types.positiveInt, "destination chain block time (ms)"],
+  ["BOOTSTRAP", types.positiveInt, "bootstrap resamples for the R_T / R_G confidence intervals"],
+  ["SEED", types.nonNegativeInt, "PRNG seed for the bootstrap (default: fresh, printed)"],
+  ["PERMIT", types.boolean, "also run the gasless-user IBB flow (EIP-2612 permit instead of approve)"],
+  ["SAVE_FILES", types.boolean, "write a run directory under results/runs/compare-crosschain/"],
+], (cfg) => {
+  if (cfg.COMMITTEE.THRESHOLD > cfg.COMMITTEE.SIGNERS.length) {
+    fail(`${flag("committeeThreshold")} must be <= ${cfg.COMMITTEE.SIGNERS.length} (committee size).`);
+  }
+});
+
+experimentTask("monitor:ibb", "Dynamic monitoring and ACK anomaly detection", "DynamicMonitoring_IBB", [
+  ["TRIALS", types.positiveInt, "intents"],
+  ["DELTA_ACK_MS", types.positiveInt, "ACK anomaly threshold Δ_ack (ms)"],
+  ["INJECT_ACK_ANOM_RATE", types.probability, "share of trials with an injected delay"],
+  ["INJECT_ACK_EXTRA_MS", types.nonNegativeInt, "injected delay (ms)"],
+  ["BASE_ACK_JITTER_MS", types.intRange, "baseline ACK jitter, min,max (ms)"],
+  ["AMOUNT", types.tokenAmount, "intent amount (tokens)"],
+  ["FEE", types.tokenAmount, "intent fee (tokens)"],
+  ["DEADLINE_SECS", types.positiveInt, "intent validity (s)"],
+  ["SEED", types.nonNegativeInt, "PRNG seed (default: fresh, printed)"],
+  ["SAVE_FILES", types.boolean, "write a run directory under results/runs/monitor-ibb/"],
+  ["FRESH_DEPLOY", types.boolean, "deploy token and bridge (false = attach to --addr-token/--addr-bridge)"],
+  ["ADDR.TOKEN", types.address, "existing MockToken"],
+  ["ADDR.BRIDGE", types.address, "existing UltraEfficientIntentBridge"],
+], (cfg) => {
+  if (!cfg.FRESH_DEPLOY && ![cfg.ADDR.TOKEN, cfg.ADDR.BRIDGE].every((a) => /^0x[0-9a-fA-F]{40}$/.test(a))) {
+    fail(`${flag("freshDeploy")} false needs ${flag("addrToken")} and ${flag("addrBridge")}.`);
+  }
+});
+
+experimentTask("graph:ibb", "State-graph validation of fulfilment sequences", "StateGraph", [
+  ["GOOD_TRIALS", types.positiveInt, "valid fulfilments"],
+  ["BAD_TRIALS", types.nonNegativeInt, "negative tests (unstaked / expired / bad signature)"],
+  ["DEADLINE_SECS", types.positiveInt, "deadline of valid intents (s)"],
+  ["SAVE_FILES", types.boolean, "write a run directory under results/runs/graph-ibb/"],
+]);
+
+experimentTask("gas:profile", "Per-phase gas of fulfillIntent, lockTokens and releaseTokens via debug_traceTransaction", "GasProfile", [
+  ["TX_HASH", types.txHash, "profile this transaction instead of the scenario (e.g. with --network localhost)"],
+  ["CONTRACT", types.contractName, "contract --tx-hash was sent to"],
+  ["AMOUNT", types.tokenAmount, "intent / lock amount (tokens)"],
+  ["FEE", types.tokenAmount, "intent fee (tokens)"],
+  ["COMMITTEE_THRESHOLD", types.positiveInt, "relayer signatures on the profiled release (of 3)"],
+  ["PROTOCOL_FEE_BPS", types.nonNegativeInt, "protocol share of the fee in the split fills (bps, 0 = skip them)"],
+  ["SAVE_FILES", types.boolean, "write a run directory under results/runs/gas-profile/"],
+], (cfg) => {
+  if (cfg.COMMITTEE_THRESHOLD > 3) fail(`${flag("committeeThreshold")} must be <= 3 (committee size).`);
+  if (cfg.PROTOCOL_FEE_BPS > 10_000) fail(`${flag("protocolFeeBps")} must be <= 10000 (the whole fee).`);
+});
+
+experimentTask("bench:batch", "Amortized gas of fulfillIntentBatch per batch size, and partial failures", "BatchBench", [
+  ["BATCH_SIZES", types.positiveInts, "batch sizes to measure (at most 256)"],
+  ["USERS", types.positiveInt, "users the intents are spread over (at most 17)"],
+  ["AMOUNT", types.tokenAmount, "intent amount (tokens)"],
+  ["FEE", types.tokenAmount, "intent fee (tokens)"],
+  ["FAILURE_BATCH", types.positiveInt, "size of the batch with injected failures"],
+  ["SAVE_FILES", types.boolean, "write a run directory under results/runs/bench-batch/"],
+], (cfg) => {
+  if (cfg.BATCH_SIZES.some((n) => n > 256)) fail(`${flag("batchSizes")} must be <= 256 (MAX_BATCH).`);
+  if (cfg.FAILURE_BATCH > 256) fail(`${flag("failureBatch")} must be <= 256 (MAX_BATCH).`);
+  if (cfg.USERS < 4) fail(`${flag("users")} must be >= 4: the failure batch injects one failure into each of four users.`);
+  if (cfg.FAILURE_BATCH < cfg.USERS) fail(`${flag("failureBatch")} must be >= ${flag("users")} so every user has an intent in it.`);
+});
+
+experimentTask("bench:swap", "Execution quality of swap intents filled from a local constant-product pool", "SwapBench", [
+  ["TRIALS", types.positiveInt, "swap intents to fill"],
+  ["AMOUNTS", types.tokenAmounts, "input amounts, cycled per trial (tokens)"],
+  ["FEE_BPS", types.nonNegativeInt, "solver fee in the input token (bps of the amount)"],
+  ["SLIPPAGE_BPS", types.nonNegativeInt, "minOutput = quote at signing minus this (bps)"],
+  ["SURPLUS_SHARE", types.probability, "share of the output above minOutput the solver passes on"],
+  ["DRIFT", types.probability, "largest noise trade between signing and the fill (share of the reserve)"],
+  ["POOL", types.tokenAmounts, "initial pool reserves of the input and output token"],
+  ["SEED", types.nonNegativeInt, "PRNG seed (default: fresh, printed)"],
+  ["SAVE_FILES", types.boolean, "write a run directory under results/runs/bench-swap/"],
+], (cfg) => {
+  if (cfg.FEE_BPS >= 10_000) fail(`${flag("feeBps")} must be < 10000: the fee has to stay below the amount.`);
+  if (cfg.SLIPPAGE_BPS >= 10_000) fail(`${flag("slippageBps")} must be < 10000.`);
+  if (cfg.POOL.length !== 2) fail(`${flag("pool")} takes two reserves: input token, output token.`);
+});
+
+experimentTask("bench:dutch", "Fee accepted and fill latency of Dutch-auction intents per decay curve and reservation range", "DutchAuctionBench", [
+  ["TRIALS", types.positiveInt, "intents per decay window and reservation range"],
+  ["SOLVERS", types.positiveInt, "staked solvers bidding (at most 18)"],
+  ["AMOUNT", types.tokenAmount, "intent amount (tokens)"],
+  ["START_FEE", types.tokenAmount, "fee at decayStart (tokens)"],
+  ["END_FEE", types.tokenAmount, "fee at decayEnd and after (tokens)"],
+  ["DECAY_WINDOWS", types.delays, "decay windows to compare (seconds), one curve each"],
+  ["RESERVATION_RANGES", types.fractionRanges, "ranges the solvers' reservation prices are drawn from (x end fee)"],
+  ["BLOCK_SECONDS", types.positiveInt, "chain time between blocks (seconds)"],
+  ["SEED", types.nonNegativeInt, "PRNG seed (default: fresh, printed)"],
+  ["SAVE_FILES", types.boolean, "write a run directory under results/runs/bench-dutch/"],
+], (cfg) => {
+  if (cfg.SOLVERS > 18) fail(`${flag("solvers")} must be <= 18: the solvers are the Hardhat accounts after the deployer and the user.`);
+  if (Number(cfg.START_FEE) > Number(cfg.END_FEE)) fail(`${flag("startFee")} must be <= ${flag("endFee")}: the fee rises toward the solvers' reservation prices.`);
+  if (Number(cfg.END_FEE) >= Number(cfg.AMOUNT)) fail(`${flag("endFee")} must be below ${flag("amount")}.`);
+});
+
+experimentTask("cost:model", "ETH/USD cost of a compare run under gas-price series, L1 or rollup pricing", "CostModel", [
+  ["EXPERIMENT", types.experimentName, "price the latest run of compare-bridges or compare-crosschain"],
+  ["RUN", types.dirPath, "run directory to price instead (relative to the repo root)"],
+  ["MODE", types.pricingMode, "l1 (gas × gas price) or rollup (L2 gas + calldata at the L1 base fee)"],
+  ["GAS_PRICES", types.filePath, "CSV with the gas-price series (L1 base fee in rollup mode)"],
+  ["GAS_PRICE_COLUMN", types.text, "column of --gas-prices holding the price"],
+  ["GAS_PRICE_SCALE", types.positiveNumber, "factor from that column's unit to gwei (1e-9 for wei)"],
+  ["ETH_USD", types.filePath, "CSV with the ETH/USD series, same dates as --gas-prices"],
+  ["ETH_USD_COLUMN", types.text, "column of --eth-usd holding the price"],
+  ["TOKEN_USD", types.positiveNumber, "USD per bridged token, prices the IBB fee"],
+  ["INCLUDE_DISPATCH", types.boolean, "charge the dispatch request + reveal to IBB (compare-bridges)"],
+  ["PERMIT", types.boolean, "price the gasless-user IBB flow (EIP-2612 permit) instead of approve + lock"],
+  ["ROLLUP.L2_GAS_PRICE_GWEI", types.nonNegativeNumber, "rollup execution gas price (gwei)"],
+  ["ROLLUP.OVERHEAD", types.nonNegativeInt, "rollup fixed L1 data gas per transaction"],
+  ["ROLLUP.SCALAR", types.positiveNumber, "rollup L1 fee scalar"],
+  ["SAVE_FILES", types.boolean, "write cost_<mode>.json into the priced run directory"],
+], (cfg) => {
+  if (!["compare-bridges", "compare-crosschain"].includes(cfg.EXPERIMENT) && !cfg.RUN) {
+    fail(`${flag("experiment")} must be compare-bridges or compare-crosschain.`);
+  }
+});
+
+experimentTask("report", "HTML + Markdown report with SVG charts from results/", "Report", [
+  ["RESULTS_DIR", types.dirPath, "directory holding the experiment outputs (relative to the repo root)"],
+  ["OUT_DIR", types.dirPath, "where report.html, report.md and the SVG figures go"],
+  ["BINS", types.positiveInt, "histogram bins"],
+]);
+
+experimentTask("results:diff", "Compare two runs and flag gas/latency regressions", "ResultsDiff", [
+  ["EXPERIMENT", types.experimentName, "compare the two latest runs of this experiment"],
+  ["BASE", types.dirPath, "base run directory (relative to the repo root)"],
+  ["HEAD", types.dirPath, "head run directory (default: latest run of --experiment)"],
+  ["GAS_TOLERANCE", types.probability, "relative gas increase counted as a regression"],
+  ["LATENCY_TOLERANCE", types.probability, "relative latency increase counted as a regression"],
+], (cfg) => {
+  if (!cfg.EXPERIMENT && !(cfg.BASE && cfg.HEAD)) fail(`Set ${flag("experiment")}, or both ${flag("base")} and ${flag("head")}.`);
+});
+
+experimentTask("relay:latency", "Relay message-passing latency (needs --network localhost)", "RelayLatency", [
+  ["TRIALS", types.positiveInt, "intents"],
+  ["AMOUNT", types.tokenAmount, "intent amount (tokens)"],
+  ["FEE", types.tokenAmount, "intent fee (tokens)"],
+  ["RELAY_PORT", types.port, "relay HTTP/WebSocket port"],
+  ["SAVE_FILES", types.boolean, "write a run directory under results/runs/relay-latency/"],
+]);
+
+experimentTask("solvers:stakes", "Bonded and unbonding stake per solver of a deployed bridge (e.g. --network localhost)", "StakeStatus", [
+  ["BRIDGE", types.address, "deployed UltraEfficientIntentBridge"],
+  ["SOLVER", types.address, "show only this solver (default: every address that staked)"],
+], (cfg) => {
+  if (!cfg.BRIDGE) fail(`Set ${flag("bridge")}.`);
+});
+
+experimentTask("solvers:swarm", "Competition between autonomous solver bots (needs --network localhost)", "SolverSwarm", [
+  ["USERS", types.positiveInt, "users publishing intents"],
+  ["INTENTS_PER_USER", types.positiveInt, "intents per user"],
+  ["AMOUNT", types.tokenAmount, "intent amount (tokens)"],
+  ["FEES", types.tokenAmounts, "fee levels, cycled per intent (tokens)"],
+  ["TOKEN_PRICE_ETH", types.tokenAmount, "ETH per token used by the bots' pricing"],
+  ["TTL_SECS", types.positiveInt, "intent validity (s)"],
+  ["WAIT_MS", types.positiveInt, "user cancels when unfilled after this long (ms)"],
+  ["BOTS", types.solverBots, "solver bots as JSON"],
+  ["RELAY_PORT", types.port, "relay HTTP/WebSocket port"],
+  ["SEED", types.nonNegativeInt, "PRNG seed (default: fresh, printed)"],
+  ["SAVE_FILES", types.boolean, "write a run directory under results/runs/solvers-swarm/"],
+]);
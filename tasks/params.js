@@ -0,0 +1,156 @@
+// tasks/params.js
+// Typed parameters for the experiment tasks and the merge of the script's CFG defaults, an
+// optional --params JSON file and CLI flags (CLI > file > CFG).
+//
+// Every type parses the CLI string form and validates the value, so values coming from a
+// --params file go through the same checks as flags.
+
+const fs = require("fs");
+const path = require("path");
+const { types } = require("hardhat/config");
+const { HardhatPluginError } = require("hardhat/plugins");
+
+const PLUGIN = "experiments";
+
+function fail(message) {
+  throw new HardhatPluginError(PLUGIN, message);
+}
+
+// camelCase param name -> --kebab-case flag, for messages
+function flag(name) {
+  return `--${name.replace(/[A-Z]/g, (c) => `-${c.toLowerCase()}`)}`;
+}
+
+// A CLI type whose values must also pass `check`; `expected` describes valid values.
+function checked(name, parseString, check, expected) {
+  const type = {
+    name,
+    parse(argName, strValue) {
+      const value = parseString(argName, strValue);
+      type.validate(argName, value);
+      return value;
+    },
+    validate(argName, value) {
+      if (!check(value)) fail(`Invalid value ${JSON.stringify(value)} for ${flag(argName)}: expected ${expected}.`);
+    },
+  };
+  return type;
+}
+
+const parseInt_ = (argName, s) => types.int.parse(argName, s);
+const parseFloat_ = (argName, s) => types.float.parse(argName, s);
+const parseList = (parseItem) => (argName, s) => s.split(",").map((x) => parseItem(argName, x.trim()));
+
+const isInt = (v) => Number.isInteger(v);
+const isAmount = (v) => typeof v === "string" && /^\d+(\.\d+)?$/.test(v);
+const isAddress = (v) => typeof v === "string" && /^0x[0-9a-fA-F]{40}$/.test(v);
+const isPair = (v, ok) => Array.isArray(v) && v.length === 2 && v.every(ok) && v[0] <= v[1];
+
+const positiveInt = checked("positiveInt", parseInt_, (v) => isInt(v) && v > 0, "an integer > 0");
+const nonNegativeInt = checked("nonNegativeInt", parseInt_, (v) => isInt(v) && v >= 0, "an integer >= 0");
+const probability = checked("probability", parseFloat_, (v) => typeof v === "number" && v >= 0 && v <= 1, "a number in [0, 1]");
+const port = checked("port", parseInt_, (v) => isInt(v) && v > 0 && v < 65536, "a TCP port (1-65535)");
+const boolean = checked("boolean", (argName, s) => types.boolean.parse(argName, s), (v) => typeof v === "boolean", "true or false");
+const tokenAmount = checked("tokenAmount", (argName, s) => s, isAmount, 'a decimal token amount such as "10.0"');
+const nonNegativeNumber = checked("nonNegativeNumber", parseFloat_, (v) => typeof v === "number" && v >= 0, "a number >= 0");
+const positiveNumber = checked("positiveNumber", parseFloat_, (v) => typeof v === "number" && v > 0, "a number > 0");
+const text = checked("text", (argName, s) => s, (v) => typeof v === "string" && v.length > 0, "a non-empty string");
+const pricingMode = checked("pricingMode", (argName, s) => s, (v) => v === "l1" || v === "rollup", '"l1" or "rollup"');
+const filePath = checked("filePath", (argName, s) => s, (v) => typeof v === "string" && v.trim().length > 0, "a file path");
+const dirPath = checked("dirPath", (argName, s) => s, (v) => typeof v === "string" && v.trim().length > 0, "a directory path");
+const experimentName = checked("experimentName", (argName, s) => s, (v) => typeof v === "string" && /^[a-z0-9-]+$/.test(v),
+  'a run directory name under results/runs such as "monitor-ibb"');
+const address = checked("address", (argName, s) => s, isAddress, "a 0x-prefixed 20-byte address");
+const txHash = checked("txHash", (argName, s) => s, (v) => typeof v === "string" && /^0x[0-9a-fA-F]{64}$/.test(v),
+  "a 0x-prefixed 32-byte transaction hash");
+const contractName = checked("contractName", (argName, s) => s, (v) => typeof v === "string" && /^[A-Za-z_$][\w$]*$/.test(v),
+  'a contract name such as "TraditionalBridge"');
+const tokenAmounts = checked("tokenAmounts", parseList((argName, s) => s),
+  (v) => Array.isArray(v) && v.length > 0 && v.every(isAmount), 'comma-separated token amounts such as "0.05,0.2"');
+const delays = checked("delays", parseList(parseInt_),
+  (v) => Array.isArray(v) && v.length > 0 && v.every((x) => isInt(x) && x >= 0), 'comma-separated integers >= 0 such as "0,5,10"');
+const positiveInts = checked("positiveInts", parseList(parseInt_),
+  (v) => Array.isArray(v) && v.length > 0 && v.every((x) => isInt(x) && x > 0), 'comma-separated integers > 0 such as "1,8,64"');
+const intRange = checked("intRange", parseList(parseInt_),
+  (v) => isPair(v, (x) => isInt(x) && x >= 0), 'a "min,max" pair of integers >= 0');
+const fractionRange = checked("fractionRange", parseList(parseFloat_),
+  (v) => isPair(v, (x) => typeof x === "number" && x >= 0 && x <= 1), 'a "min,max" pair of numbers in [0, 1]');
+const fractionRanges = checked("fractionRanges", (argName, s) => s.split(";").map((pair) => parseList(parseFloat_)(argName, pair)),
+  (v) => Array.isArray(v) && v.length > 0 && v.every((r) => isPair(r, (x) => typeof x === "number" && x >= 0 && x <= 1)),
+  '";"-separated "min,max" pairs of numbers in [0, 1] such as "0.1,0.4;0.5,0.9"');
+const solverBots = checked("solverBots", (argName, s) => types.json.parse(argName, s),
+  (v) => Array.isArray(v) && v.length > 0 && v.every((b) =>
+    b && typeof b.strategy === "string" && isInt(b.latencyMs) && b.latencyMs >= 0 && isInt(b.jitterMs) && b.jitterMs >= 0),
+  'a JSON array of { "strategy", "latencyMs", "jitterMs" }');
+
+function loadParamsFile(file) {
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(path.resolve(file), "utf8"));
+  } catch (e) {
+    fail(`Cannot read --params file ${file}: ${e.message}`);
+  }
+  if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) fail(`--params file ${file} must hold a JSON object.`);
+  return parsed;
+}
+
+function setPath(obj, keyPath, value) {
+  const keys = keyPath.split(".");
+  const last = keys.pop();
+  const parent = keys.reduce((o, k) => o[k], obj);
+  parent[last] = value;
+}
+
+/**
+ * @param {{ name: string, key: string, type: object }[]} spec  task params; `key` is the CFG path
+ * @param {object} defaults                                      the script's CFG
+ * @param {object} args                                          task arguments (unset flags are undefined)
+ * @returns {object} a CFG-shaped copy with the overrides applied
+ */
+function resolveParams(spec, defaults, args) {
+  const fromFile = args.params ? loadParamsFile(args.params) : {};
+  const known = spec.map((p) => p.name);
+  const unknown = Object.keys(fromFile).filter((k) => !known.includes(k));
+  if (unknown.length) fail(`Unknown parameter(s) ${unknown.join(", ")} in ${args.params}; known: ${known.join(", ")}.`);
+
+  const cfg = structuredClone(defaults);
+  for (const p of spec) {
+    if (fromFile[p.name] !== undefined) {
+      p.type.validate(p.name, fromFile[p.name]);
+      setPath(cfg, p.key, fromFile[p.name]);
+    }
+    if (args[p.name] !== undefined) setPath(cfg, p.key, args[p.name]);
+  }
+  return cfg;
+}
+
+module.exports = {
+  types: {
+    positiveInt,
+    nonNegativeInt,
+    probability,
+    port,
+    boolean,
+    nonNegativeNumber,
+    positiveNumber,
+    text,
+    pricingMode,
+    tokenAmount,
+    filePath,
+    dirPath,
+    experimentName,
+    address,
+    txHash,
+    contractName,
+    tokenAmounts,
+    delays,
+    positiveInts,
+    intRange,
+    fractionRange,
+    fractionRanges,
+    solverBots,
+  },
+  fail,
+  flag,
+  resolveParams,
+};
@@ -1,14 +1,17 @@
 // scripts/IntentBridge.js
 const { ethers } = require("hardhat");
+const sdk = require("../scripts/lib/intentSdk");
 
 async function main() {
   try {
-    // Deploy contracts
+    const [deployer, solver, user] = await ethers.getSigners();
+
+    // Deploy contracts (deployer is the 1-of-1 delivery committee; unused on the direct path)
     const UltraEfficientIntentBridge = await ethers.getContractFactory("UltraEfficientIntentBridge");
     const TestToken = await ethers.getContractFactory("TestToken");
 
     console.log("Deploying contracts...");
-    const bridge = await UltraEfficientIntentBridge.deploy();
+    const bridge = await UltraEfficientIntentBridge.deploy([deployer.address], 1);
     const token = await TestToken.deploy("TestToken", "TST");
 
     await Promise.all([bridge.waitForDeployment(), token.waitForDeployment()]);
@@ -17,7 +20,6 @@ async function main() {
     console.log("Token deployed to:", await token.getAddress());
 
     // Setup users
-    const [deployer, solver, user] = await ethers.getSigners();
     const amount = ethers.parseUnits("100", 18);
     const fee = ethers.parseUnits("1", 16); // 0.01 TST (1% of 100 for 18 decimals)
     const deadline = Math.floor(Date.now() / 1000) + 60 * 60; // valid for 1 hour
@@ -31,55 +33,27 @@ async function main() {
     await (await bridge.connect(solver).stake({ value: ethers.parseEther("1") })).wait();
 
     // 3) Prepare EIP-712 domain and typed data (OFF-CHAIN)
-    const network = await ethers.provider.getNetwork();
-    const chainId = Number(network.chainId);
-
-    const domain = {
-      name: "UltraEfficientIntentBridge",
-      version: "1",
-      chainId,
-      verifyingContract: await bridge.getAddress(),
-    };
-
-    // Get current user nonce from contract (used in the intent)
-    const userNonce = await bridge.nonces(user.address);
-
-    // ----- User Intent -----
-    const intentTypes = {
-      Intent: [
-        { name: "user", type: "address" },
-        { name: "token", type: "address" },
-        { name: "amount", type: "uint256" },
-        { name: "fee", type: "uint256" },
-        { name: "nonce", type: "uint256" },
-        { name: "deadline", type: "uint256" },
-      ],
-    };
-
-    const intentValue = {
-      user: user.address,
-      token: await token.getAddress(),
-      amount: amount,
-      fee: fee,
-      nonce: userNonce,
+    const domain = await sdk.buildDomain(bridge);
+
+    // ----- User Intent (current user nonce from contract) -----
+    const intent = await sdk.createIntent(bridge, {
+      user,
+      token,
+      amount,
+      fee,
       deadline: BigInt(deadline),
-    };
+    });
 
     console.log("Preparing off-chain intent...");
-    const userSignature = await user.signTypedData(domain, intentTypes, intentValue);
+    const userSignature = await sdk.signIntent(user, domain, intent);
 
     // Compute the intent digest exactly how the contract does:
     // _hashTypedDataV4( keccak256(abi.encode(_INTENT_TYPEHASH, ...)) )
-    const intentDigest = ethers.TypedDataEncoder.hash(domain, intentTypes, intentValue);
+    const intentDigest = sdk.intentDigest(domain, intent);
 
     // ----- Solver Commitment (signs the digest) -----
-    const solverTypes = {
-      SolverCommitment: [{ name: "intentDigest", type: "bytes32" }],
-    };
-    const solverValue = { intentDigest };
-
     console.log("Solver preparing commitment...");
-    const solverSignature = await solver.signTypedData(domain, solverTypes, solverValue);
+    const solverSignature = await sdk.signSolverCommitment(solver, domain, intentDigest);
 
     // 4) User approves tokens (must cover amount + fee because contract pulls both)
     console.log("User approving tokens...");
@@ -88,13 +62,7 @@ async function main() {
     // 5) Execute fulfillment ON-CHAIN (include deadline, in correct order)
     console.log("Executing fulfillment...");
     const tx = await bridge.connect(solver).fulfillIntent(
-      user.address,
-      await token.getAddress(),
-      amount,
-      fee,
-      BigInt(deadline),     // <-- required by contract
-      userSignature,
-      solverSignature
+      ...sdk.fulfillArgs(intent, userSignature, solverSignature) // deadline included, in contract order
     );
     const receipt = await tx.wait();
 
@@ -110,8 +78,8 @@ async function main() {
     console.log(`- User: ${ethers.formatUnits(userBalance, 18)} TST`);
 
     // Optional: quick local verifier (off-chain)
-    const recoveredUser = ethers.verifyTypedData(domain, intentTypes, intentValue, userSignature);
-    const recoveredSolver = ethers.verifyTypedData(domain, solverTypes, solverValue, solverSignature);
+    const recoveredUser = sdk.recoverIntentSigner(domain, intent, userSignature);
+    const recoveredSolver = sdk.recoverSolverSigner(domain, intentDigest, solverSignature);
     console.log(`\nRecovered user:  ${recoveredUser}`);
     console.log(`Recovered solver: ${recoveredSolver}`);
     console.log(`Expected solver:  ${solver.address}`);
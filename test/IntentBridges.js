@@ -1,13 +1,16 @@
 const { ethers } = require("hardhat");
+const sdk = require("../scripts/lib/intentSdk");
 
 async function main() {
   try {
-    // Deploy contracts
+    const [deployer, solver, user] = await ethers.getSigners();
+
+    // Deploy contracts (deployer is the 1-of-1 delivery committee; unused on the direct path)
     const UltraEfficientIntentBridge = await ethers.getContractFactory("UltraEfficientIntentBridge");
     const TestToken = await ethers.getContractFactory("TestToken");
     
     console.log("Deploying contracts...");
-    const bridge = await UltraEfficientIntentBridge.deploy();
+    const bridge = await UltraEfficientIntentBridge.deploy([deployer.address], 1);
     const token = await TestToken.deploy("TestToken", "TST");
     
     await Promise.all([
@@ -19,7 +22,6 @@ async function main() {
     console.log("Token deployed to:", await token.getAddress());
 
     // Setup users
-    const [deployer, solver, user] = await ethers.getSigners();
     const amount = ethers.parseUnits("100", 18);
     const fee = ethers.parseUnits("1", 16); // 1% fee
     
@@ -29,82 +31,29 @@ async function main() {
     
     // 2. Solver stakes
     console.log("Solver staking...");
-    await bridge.connect(solver).stake({ value: ethers.parseEther("1") });
+    await (await bridge.connect(solver).stake({ value: ethers.parseEther("1") })).wait();
 
-    // 3. User prepares intent OFF-CHAIN
+    // 3. User prepares intent OFF-CHAIN (live nonce, 1h deadline)
     console.log("Preparing off-chain intent...");
-    const userNonce = await bridge.nonces(user.address);
-    
-    // EIP-712 typed data for user intent
-    const intentDomain = {
-      name: "UltraEfficientIntentBridge",
-      version: "1",
-      chainId: (await ethers.provider.getNetwork()).chainId,
-      verifyingContract: await bridge.getAddress()
-    };
-    
-    const intentTypes = {
-      Intent: [
-        { name: "user", type: "address" },
-        { name: "token", type: "address" },
-        { name: "amount", type: "uint256" },
-        { name: "fee", type: "uint256" },
-        { name: "nonce", type: "uint256" }
-      ]
-    };
-    
-    const intentValue = {
-      user: user.address,
-      token: await token.getAddress(),
-      amount: amount,
-      fee: fee,
-      nonce: userNonce
-    };
+    const domain = await sdk.buildDomain(bridge);
+    const intent = await sdk.createIntent(bridge, { user, token, amount, fee });
     
     // User signs the intent
-    const userSignature = await user.signTypedData(intentDomain, intentTypes, intentValue);
+    const userSignature = await sdk.signIntent(user, domain, intent);
 
-    // 4. Solver prepares commitment OFF-CHAIN
+    // 4. Solver prepares commitment OFF-CHAIN (signs the intent digest)
     console.log("Solver preparing commitment...");
-    const solverDomain = {
-      name: "UltraEfficientIntentBridge",
-      version: "1",
-      chainId: (await ethers.provider.getNetwork()).chainId,
-      verifyingContract: await bridge.getAddress()
-    };
-    
-    const solverTypes = {
-      SolverCommitment: [
-        { name: "user", type: "address" },
-        { name: "token", type: "address" },
-        { name: "amount", type: "uint256" },
-        { name: "fee", type: "uint256" }
-      ]
-    };
-    
-    const solverValue = {
-      user: user.address,
-      token: await token.getAddress(),
-      amount: amount,
-      fee: fee
-    };
-    
-    // Solver signs the commitment
-    const solverSignature = await solver.signTypedData(solverDomain, solverTypes, solverValue);
+    const intentDigest = sdk.intentDigest(domain, intent);
+    const solverSignature = await sdk.signSolverCommitment(solver, domain, intentDigest);
 
-    // 5. User approves tokens
+    // 5. User approves tokens (contract pulls amount + fee)
     console.log("User approving tokens...");
-    await (await token.connect(user).approve(await bridge.getAddress(), amount)).wait();
+    await (await token.connect(user).approve(await bridge.getAddress(), amount + fee)).wait();
 
     // 6. Execute on-chain fulfillment
     console.log("Executing fulfillment...");
     const tx = await bridge.connect(solver).fulfillIntent(
-      user.address,
-      await token.getAddress(),
-      amount,
-      fee,
-      userSignature,
-      solverSignature
+      ...sdk.fulfillArgs(intent, userSignature, solverSignature)
     );
     const receipt = await tx.wait();
 
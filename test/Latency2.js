@@ -1,9 +1,13 @@
 // scripts/CompareBridges.js
 const { ethers } = require("hardhat");
+const sdk = require("../scripts/lib/intentSdk");
+const committee = require("../scripts/lib/committee");
+const { findEvent } = require("../scripts/lib/chain");
 
 async function main() {
-  const [owner, user] = await ethers.getSigners();
+  const [owner, user, r1, r2, r3] = await ethers.getSigners();
   const solver = owner; // Using owner as solver for testing
+  const relayers = [r1, r2, r3]; // lock–mint committee, 2-of-3
 
   console.log("=== Deployment Phase ===");
 
@@ -13,11 +17,11 @@ async function main() {
 
   // Deploy TraditionalBridge
   const TraditionalBridge = await ethers.getContractFactory("TraditionalBridge");
-  const traditionalBridge = await TraditionalBridge.deploy();
+  const traditionalBridge = await TraditionalBridge.deploy(relayers.map((r) => r.address), 2);
 
   // Deploy UltraEfficientIntentBridge
   const UltraEfficientIntentBridge = await ethers.getContractFactory("UltraEfficientIntentBridge");
-  const intentBridge = await UltraEfficientIntentBridge.deploy();
+  const intentBridge = await UltraEfficientIntentBridge.deploy(relayers.map((r) => r.address), 2);
 
   await Promise.all([
     token.waitForDeployment(),
@@ -29,6 +33,14 @@ async function main() {
   console.log("TraditionalBridge deployed to:", await traditionalBridge.getAddress());
   console.log("IntentBridge deployed to:", await intentBridge.getAddress());
 
+  // Destination side of the lock–mint bridge (same chain here)
+  const WrappedTokenMinter = await ethers.getContractFactory("WrappedTokenMinter");
+  const wrapped = await WrappedTokenMinter.deploy(
+    "Wrapped TestToken", "wTST", await token.getAddress(), (await ethers.provider.getNetwork()).chainId,
+    relayers.map((r) => r.address), 2,
+  );
+  await wrapped.waitForDeployment();
+
   // Test parameters
   const amount = ethers.parseUnits("100", 18);
   const fee = ethers.parseUnits("1", 16); // 0.01 TST (1% of 100 for 18 decimals)
@@ -50,17 +62,22 @@ async function main() {
   // Lock
   console.time("Traditional Lock");
   const tradLockTx = await traditionalBridge.connect(user).lockTokens(await token.getAddress(), amount);
-  await tradLockTx.wait();
+  const tradLockRcpt = await tradLockTx.wait();
   console.timeEnd("Traditional Lock");
 
   // Simulate cross-chain delay (15s)
   await new Promise((resolve) => setTimeout(resolve, 15000));
 
-  // Unlock
-  console.time("Traditional Unlock");
-  const tradUnlockTx = await traditionalBridge.connect(user).unlockTokens(await token.getAddress(), amount);
-  await tradUnlockTx.wait();
-  console.timeEnd("Traditional Unlock");
+  // Mint on destination (committee co-signs the lock)
+  console.time("Traditional Mint");
+  await committee.mintForLock(wrapped, relayers, 2, findEvent(traditionalBridge, tradLockRcpt, "TokensLocked"));
+  console.timeEnd("Traditional Mint");
+
+  // Burn on destination, committee releases the lock on source
+  console.time("Traditional Burn+Release");
+  const tradBurnRcpt = await (await wrapped.connect(user).burn(amount)).wait();
+  await committee.releaseForBurn(traditionalBridge, await token.getAddress(), relayers, 2, findEvent(wrapped, tradBurnRcpt, "TokensBurned"));
+  console.timeEnd("Traditional Burn+Release");
 
   const tradEnd = Date.now();
 
@@ -79,56 +96,22 @@ async function main() {
   await ibbApproveTx.wait();
   console.timeEnd("IBB Approval");
 
-  // Prepare EIP-712 domain/types/values
-  const network = await ethers.provider.getNetwork();
-  const chainId = Number(network.chainId);
-
-  const domain = {
-    name: "UltraEfficientIntentBridge",
-    version: "1",
-    chainId,
-    verifyingContract: await intentBridge.getAddress(),
-  };
-
-  // User nonce from contract (included in typed data)
-  const userNonce = await intentBridge.nonces(user.address);
-
-  const intentTypes = {
-    Intent: [
-      { name: "user", type: "address" },
-      { name: "token", type: "address" },
-      { name: "amount", type: "uint256" },
-      { name: "fee", type: "uint256" },
-      { name: "nonce", type: "uint256" },
-      { name: "deadline", type: "uint256" },
-    ],
-  };
-
-  const intentValue = {
-    user: user.address,
-    token: await token.getAddress(),
-    amount,
-    fee,
-    nonce: userNonce,
-    deadline,
-  };
+  // Prepare EIP-712 domain/values (user nonce from contract is included in typed data)
+  const domain = await sdk.buildDomain(intentBridge);
+  const intent = await sdk.createIntent(intentBridge, { user, token, amount, fee, deadline });
 
   // User signs the intent
-  const userSignature = await user.signTypedData(domain, intentTypes, intentValue);
+  const userSignature = await sdk.signIntent(user, domain, intent);
 
   // Compute the intent digest exactly as the contract does (EIP712 hash)
-  const intentDigest = ethers.TypedDataEncoder.hash(domain, intentTypes, intentValue);
+  const intentDigest = sdk.intentDigest(domain, intent);
 
   // Solver signs commitment: SolverCommitment(bytes32 intentDigest)
-  const solverTypes = {
-    SolverCommitment: [{ name: "intentDigest", type: "bytes32" }],
-  };
-  const solverValue = { intentDigest };
-  const solverSignature = await solver.signTypedData(domain, solverTypes, solverValue);
+  const solverSignature = await sdk.signSolverCommitment(solver, domain, intentDigest);
 
   // Optional: local verification (helps catch domain/type mismatches)
-  const recoveredUser = ethers.verifyTypedData(domain, intentTypes, intentValue, userSignature);
-  const recoveredSolver = ethers.verifyTypedData(domain, solverTypes, solverValue, solverSignature);
+  const recoveredUser = sdk.recoverIntentSigner(domain, intent, userSignature);
+  const recoveredSolver = sdk.recoverSolverSigner(domain, intentDigest, solverSignature);
   console.log("Recovered user:", recoveredUser);
   console.log("Recovered solver:", recoveredSolver);
 
@@ -138,13 +121,7 @@ async function main() {
   // Fulfill intent (MUST include deadline and signatures in the exact order)
   console.time("IBB Fulfillment");
   const fulfillTx = await intentBridge.connect(solver).fulfillIntent(
-    user.address,
-    await token.getAddress(),
-    amount,
-    fee,
-    deadline,
-    userSignature,
-    solverSignature
+    ...sdk.fulfillArgs(intent, userSignature, solverSignature)
   );
   const fulfillRcpt = await fulfillTx.wait();
   console.timeEnd("IBB Fulfillment");
@@ -1,8 +1,12 @@
 const { ethers } = require("hardhat");
+const sdk = require("../scripts/lib/intentSdk");
+const committee = require("../scripts/lib/committee");
+const { findEvent } = require("../scripts/lib/chain");
 
 async function main() {
-  const [owner, user] = await ethers.getSigners();
+  const [owner, user, r1, r2, r3] = await ethers.getSigners();
   const solver = owner; // Using owner as solver for testing
+  const relayers = [r1, r2, r3]; // lock–mint committee, 2-of-3
 
   console.log("=== Deployment Phase ===");
   
@@ -12,11 +16,11 @@ async function main() {
   
   // Deploy TraditionalBridge
   const TraditionalBridge = await ethers.getContractFactory("TraditionalBridge");
-  const traditionalBridge = await TraditionalBridge.deploy();
+  const traditionalBridge = await TraditionalBridge.deploy(relayers.map((r) => r.address), 2);
   
   // Deploy UltraEfficientIntentBridge (matches your contract name)
   const UltraEfficientIntentBridge = await ethers.getContractFactory("UltraEfficientIntentBridge");
-  const intentBridge = await UltraEfficientIntentBridge.deploy();
+  const intentBridge = await UltraEfficientIntentBridge.deploy(relayers.map((r) => r.address), 2);
   
   await Promise.all([
     token.waitForDeployment(),
@@ -28,6 +32,14 @@ async function main() {
   console.log("TraditionalBridge deployed to:", await traditionalBridge.getAddress());
   console.log("IntentBridge deployed to:", await intentBridge.getAddress());
 
+  // Destination side of the lock–mint bridge (same chain here)
+  const WrappedTokenMinter = await ethers.getContractFactory("WrappedTokenMinter");
+  const wrapped = await WrappedTokenMinter.deploy(
+    "Wrapped TestToken", "wTST", await token.getAddress(), (await ethers.provider.getNetwork()).chainId,
+    relayers.map((r) => r.address), 2,
+  );
+  await wrapped.waitForDeployment();
+
   // Test parameters
   const amount = ethers.parseUnits("100", 18);
   const fee = ethers.parseUnits("1", 16); // 1% fee
@@ -46,17 +58,22 @@ async function main() {
   // Lock
   console.time("Traditional Lock");
   const tradLockTx = await traditionalBridge.connect(user).lockTokens(await token.getAddress(), amount);
-  await tradLockTx.wait();
+  const tradLockRcpt = await tradLockTx.wait();
   console.timeEnd("Traditional Lock");
   
   // Simulate cross-chain delay (15s)
   await new Promise(resolve => setTimeout(resolve, 15000));
   
-  // Unlock
-  console.time("Traditional Unlock");
-  const tradUnlockTx = await traditionalBridge.connect(user).unlockTokens(await token.getAddress(), amount);
-  await tradUnlockTx.wait();
-  console.timeEnd("Traditional Unlock");
+  // Mint on destination (committee co-signs the lock)
+  console.time("Traditional Mint");
+  await committee.mintForLock(wrapped, relayers, 2, findEvent(traditionalBridge, tradLockRcpt, "TokensLocked"));
+  console.timeEnd("Traditional Mint");
+
+  // Burn on destination, committee releases the lock on source
+  console.time("Traditional Burn+Release");
+  const tradBurnRcpt = await (await wrapped.connect(user).burn(amount)).wait();
+  await committee.releaseForBurn(traditionalBridge, await token.getAddress(), relayers, 2, findEvent(wrapped, tradBurnRcpt, "TokensBurned"));
+  console.timeEnd("Traditional Burn+Release");
   
   const tradEnd = Date.now();
 
@@ -67,65 +84,21 @@ async function main() {
   // Setup solver
   await (await intentBridge.connect(solver).stake({ value: ethers.parseEther("1") })).wait();
   
-  // Approval
+  // Approval (contract pulls amount + fee)
   console.time("IBB Approval");
-  const ibbApproveTx = await token.connect(user).approve(await intentBridge.getAddress(), amount);
+  const ibbApproveTx = await token.connect(user).approve(await intentBridge.getAddress(), amount + fee);
   await ibbApproveTx.wait();
   console.timeEnd("IBB Approval");
 
-  // Prepare EIP-712 intent
-  const userNonce = await intentBridge.nonces(user.address);
-  const intent = {
-    user: user.address,
-    token: await token.getAddress(),
-    amount: amount,
-    fee: fee,
-    nonce: userNonce
-  };
+  // Prepare EIP-712 intent (live nonce, 1h deadline)
+  const domain = await sdk.buildDomain(intentBridge);
+  const intent = await sdk.createIntent(intentBridge, { user, token, amount, fee });
   
   // User signs intent
-  const userSignature = await user.signTypedData(
-    {
-      name: "UltraEfficientIntentBridge",
-      version: "1",
-      chainId: (await ethers.provider.getNetwork()).chainId,
-      verifyingContract: await intentBridge.getAddress()
-    },
-    {
-      Intent: [
-        { name: "user", type: "address" },
-        { name: "token", type: "address" },
-        { name: "amount", type: "uint256" },
-        { name: "fee", type: "uint256" },
-        { name: "nonce", type: "uint256" }
-      ]
-    },
-    intent
-  );
+  const userSignature = await sdk.signIntent(user, domain, intent);
 
-  // Solver signs commitment
-  const solverSignature = await solver.signTypedData(
-    {
-      name: "UltraEfficientIntentBridge",
-      version: "1",
-      chainId: (await ethers.provider.getNetwork()).chainId,
-      verifyingContract: await intentBridge.getAddress()
-    },
-    {
-      SolverCommitment: [
-        { name: "user", type: "address" },
-        { name: "token", type: "address" },
-        { name: "amount", type: "uint256" },
-        { name: "fee", type: "uint256" }
-      ]
-    },
-    {
-      user: user.address,
-      token: await token.getAddress(),
-      amount: amount,
-      fee: fee
-    }
-  );
+  // Solver signs commitment over the intent digest
+  const solverSignature = await sdk.signSolverCommitment(solver, domain, sdk.intentDigest(domain, intent));
 
   // Simulate solver processing time (2s)
   await new Promise(resolve => setTimeout(resolve, 2000));
@@ -133,12 +106,7 @@ async function main() {
   // Fulfill intent
   console.time("IBB Fulfillment");
   const fulfillTx = await intentBridge.connect(solver).fulfillIntent(
-    user.address,
-    await token.getAddress(),
-    amount,
-    fee,
-    userSignature,
-    solverSignature
+    ...sdk.fulfillArgs(intent, userSignature, solverSignature)
   );
   await fulfillTx.wait();
   console.timeEnd("IBB Fulfillment");
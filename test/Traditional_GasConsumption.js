@@ -1,13 +1,19 @@
 const { ethers } = require("hardhat");
+const committee = require("../scripts/lib/committee");
+const { findEvent } = require("../scripts/lib/chain");
 
 async function main() {
   try {
+    // Setup users (r1..r3 form the 2-of-3 relayer committee)
+    const [deployer, user, r1, r2, r3] = await ethers.getSigners();
+    const relayers = [r1, r2, r3];
+
     // Deploy contracts
     const TraditionalBridge = await ethers.getContractFactory("TraditionalBridge");
     const TestToken = await ethers.getContractFactory("TestToken");
     
     console.log("Deploying contracts...");
-    const bridge = await TraditionalBridge.deploy();
+    const bridge = await TraditionalBridge.deploy(relayers.map((r) => r.address), 2);
     const token = await TestToken.deploy("TestToken", "TST");
     
     await Promise.all([
@@ -15,11 +21,17 @@ async function main() {
       token.waitForDeployment()
     ]);
 
+    // Destination side (same chain here)
+    const WrappedTokenMinter = await ethers.getContractFactory("WrappedTokenMinter");
+    const wrapped = await WrappedTokenMinter.deploy(
+      "Wrapped TestToken", "wTST", await token.getAddress(), (await ethers.provider.getNetwork()).chainId,
+      relayers.map((r) => r.address), 2,
+    );
+    await wrapped.waitForDeployment();
+
     console.log("Bridge deployed to:", await bridge.getAddress());
+    console.log("Wrapped minter deployed to:", await wrapped.getAddress());
     console.log("Token deployed to:", await token.getAddress());
-
-    // Setup users
-    const [deployer, user] = await ethers.getSigners();
     const amount = ethers.parseUnits("100", 18);
     
     // 1. Transfer tokens to user from deployer
@@ -46,27 +58,31 @@ async function main() {
     console.log(`Transaction cost: ${ethers.formatUnits(lockReceipt.gasUsed * lockReceipt.gasPrice, "ether")} ETH`);
     
     // Check locked balance
-    const lockedBalance = await bridge.lockedBalances(user.address, await token.getAddress());
+    const lockedBalance = await bridge.totalLocked(await token.getAddress());
     console.log(`Locked balance: ${ethers.formatUnits(lockedBalance, 18)} TST`);
 
-    // 4. User unlocks tokens (withdraw)
-    console.log("\n4. User unlocking tokens...");
-    const unlockTx = await bridge.connect(user).unlockTokens(await token.getAddress(), amount);
-    const unlockReceipt = await unlockTx.wait();
+    // 4. Committee mints the wrapped token, user burns it, committee releases the lock
+    console.log("\n4. Mint, burn and release...");
+    const mintReceipt = await committee.mintForLock(wrapped, relayers, 2, findEvent(bridge, lockReceipt, "TokensLocked"));
+    const burnReceipt = await (await wrapped.connect(user).burn(amount)).wait();
+    const unlockReceipt = await committee.releaseForBurn(
+      bridge, await token.getAddress(), relayers, 2, findEvent(wrapped, burnReceipt, "TokensBurned"));
 
-    console.log("\n=== Unlock Transaction ===");
-    console.log(`Status: ${unlockReceipt.status === 1 ? "Success" : "Failed"}`);
-    console.log(`Gas used: ${unlockReceipt.gasUsed.toString()}`);
-    console.log(`Effective gas price: ${ethers.formatUnits(unlockReceipt.gasPrice, "gwei")} gwei`);
-    console.log(`Transaction cost: ${ethers.formatUnits(unlockReceipt.gasUsed * unlockReceipt.gasPrice, "ether")} ETH`);
+    for (const [label, rc] of [["Mint", mintReceipt], ["Burn", burnReceipt], ["Release", unlockReceipt]]) {
+      console.log(`\n=== ${label} Transaction ===`);
+      console.log(`Status: ${rc.status === 1 ? "Success" : "Failed"}`);
+      console.log(`Gas used: ${rc.gasUsed.toString()}`);
+      console.log(`Effective gas price: ${ethers.formatUnits(rc.gasPrice, "gwei")} gwei`);
+      console.log(`Transaction cost: ${ethers.formatUnits(rc.gasUsed * rc.gasPrice, "ether")} ETH`);
+    }
     
     // Calculate totals
-    const totalGasUsed = lockReceipt.gasUsed + unlockReceipt.gasUsed;
-    const totalCost = (lockReceipt.gasUsed * lockReceipt.gasPrice) + 
-                     (unlockReceipt.gasUsed * unlockReceipt.gasPrice);
+    const roundTrip = [lockReceipt, mintReceipt, burnReceipt, unlockReceipt];
+    const totalGasUsed = roundTrip.reduce((a, rc) => a + rc.gasUsed, 0n);
+    const totalCost = roundTrip.reduce((a, rc) => a + rc.gasUsed * rc.gasPrice, 0n);
 
     console.log("\n=== Summary ===");
-    console.log(`Total gas used for lock/unlock: ${totalGasUsed.toString()}`);
+    console.log(`Total gas used for lock/mint/burn/release: ${totalGasUsed.toString()}`);
     console.log(`Total ETH cost: ${ethers.formatUnits(totalCost, "ether")}`);
     
     // Verify balances
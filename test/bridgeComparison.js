@@ -1,13 +1,25 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const sdk = require("../scripts/lib/intentSdk");
+const committee = require("../scripts/lib/committee");
+const escrow = require("../scripts/lib/escrow");
+const { findEvent, advanceTimeTo, waitForBlock } = require("../scripts/lib/chain");
+const { createChallengeWatcher } = require("../scripts/lib/watcher");
+const staking = require("../scripts/lib/staking");
+const amm = require("../scripts/lib/amm");
+const dispatch = require("../scripts/lib/dispatch");
+const protocolFee = require("../scripts/lib/protocolFee");
+const { bidHash, deployAuction } = require("../scripts/lib/sealedBidAuction");
 
 describe("Bridge Comparison", function () {
-  let owner, user, solver;
-  let traditionalBridge, intentBridge;
+  let owner, user, solver, relayers;
+  let traditionalBridge, wrapped, intentBridge;
   let tokenA, tokenB;
 
   before(async function () {
-    [owner, user, solver] = await ethers.getSigners();
+    let r1, r2, r3;
+    [owner, user, solver, r1, r2, r3] = await ethers.getSigners();
+    relayers = [r1, r2, r3];
 
     // Deploy test tokens with error handling
     try {
@@ -20,11 +32,18 @@ describe("Bridge Comparison", function () {
 
       // Deploy bridges
       const TraditionalBridge = await ethers.getContractFactory("TraditionalBridge");
-      traditionalBridge = await TraditionalBridge.deploy();
+      traditionalBridge = await TraditionalBridge.deploy(relayers.map((r) => r.address), 2);
       console.log("TraditionalBridge deployed to:", traditionalBridge.target);
 
-      const IntentBridge = await ethers.getContractFactory("IntentBridge");
-      intentBridge = await IntentBridge.deploy();
+      const WrappedTokenMinter = await ethers.getContractFactory("WrappedTokenMinter");
+      wrapped = await WrappedTokenMinter.deploy(
+        "Wrapped TokenA", "wTKA", tokenA.target, (await ethers.provider.getNetwork()).chainId,
+        relayers.map((r) => r.address), 2,
+      );
+      console.log("WrappedTokenMinter deployed to:", wrapped.target);
+
+      const IntentBridge = await ethers.getContractFactory("UltraEfficientIntentBridge");
+      intentBridge = await IntentBridge.deploy(relayers.map((r) => r.address), 2);
       console.log("IntentBridge deployed to:", intentBridge.target);
 
       // Verify all contracts are deployed
@@ -43,64 +62,574 @@ describe("Bridge Comparison", function () {
   });
 
   describe("Traditional Bridge", function () {
-    it("Should lock and unlock tokens", async function () {
+    it("Should lock, mint, burn and release tokens", async function () {
       const amount = ethers.parseUnits("100", 18);
       
       // Approve
       await (await tokenA.connect(user).approve(traditionalBridge.target, amount)).wait();
       
       // Lock tokens
-      await (await traditionalBridge.connect(user).lockTokens(tokenA.target, amount)).wait();
+      const lockRc = await (await traditionalBridge.connect(user).lockTokens(tokenA.target, amount)).wait();
       
       // Verify locked balance
-      const locked = await traditionalBridge.lockedBalances(user.address, tokenA.target);
+      const locked = await traditionalBridge.totalLocked(tokenA.target);
       expect(locked).to.equal(amount);
+
+      // Committee (2-of-3) mints the wrapped token; a replay is rejected
+      const lockEv = findEvent(traditionalBridge, lockRc, "TokensLocked");
+      await committee.mintForLock(wrapped, relayers, 2, lockEv);
+      expect(await wrapped.balanceOf(user.address)).to.equal(amount);
+      await expect(committee.mintForLock(wrapped, relayers, 2, lockEv)).to.be.revertedWith("already minted");
+
+      // A single relayer is below the threshold
+      const domain = await sdk.buildDomain(wrapped);
+      const oneSig = await committee.attest(relayers.slice(0, 1), 1, domain, committee.MINT_TYPES,
+        { lockId: ethers.ZeroHash, to: user.address, amount });
+      await expect(wrapped.mint(ethers.ZeroHash, user.address, amount, oneSig)).to.be.revertedWith("not enough signatures");
       
-      // Unlock tokens
-      await (await traditionalBridge.connect(user).unlockTokens(tokenA.target, amount)).wait();
+      // Burn on destination, committee releases the lock
+      const burnRc = await (await wrapped.connect(user).burn(amount)).wait();
+      await committee.releaseForBurn(traditionalBridge, tokenA.target, relayers, 2, findEvent(wrapped, burnRc, "TokensBurned"));
       
       // Verify final balance
       const finalBalance = await tokenA.balanceOf(user.address);
       expect(finalBalance).to.equal(ethers.parseUnits("1000", 18));
+      expect(await traditionalBridge.totalLocked(tokenA.target)).to.equal(0n);
+    });
+
+    it("Should keep a lock queued when its mint fails and mint it on a later poll", async function () {
+      const amount = ethers.parseUnits("5", 18);
+      // The destination submitter has no ETH yet, so the first mint transaction cannot be sent
+      const submitter = ethers.Wallet.createRandom().connect(ethers.provider);
+      const logs = [];
+      const relay = committee.createRelayerCommittee({
+        sourceBridge: traditionalBridge, minter: wrapped.connect(submitter), members: relayers,
+        confirmations: 0, pollMs: 60_000, log: (line) => logs.push(line),
+      });
+      await relay.start();
+      await (await tokenA.connect(user).approve(traditionalBridge.target, amount)).wait();
+      const lockEv = findEvent(traditionalBridge, await (await traditionalBridge.connect(user).lockTokens(tokenA.target, amount)).wait(), "TokensLocked");
+
+      await relay.poll();
+      expect(relay.minted).to.have.length(0);
+      expect(logs.some((l) => l.includes("retrying next poll"))).to.equal(true);
+
+      await (await owner.sendTransaction({ to: submitter.address, value: ethers.parseEther("1") })).wait();
+      await relay.poll();
+      await relay.stop();
+      expect(relay.minted.map((m) => m.lockId)).to.deep.equal([lockEv.args.lockId]);
+      expect(await wrapped.balanceOf(user.address)).to.equal(amount);
     });
   });
 
   describe("Intent Bridge", function () {
     it("Should handle full intent lifecycle", async function () {
       const amount = ethers.parseUnits("100", 18);
-      const deadline = Math.floor(Date.now() / 1000) + 3600;
+      const fee = ethers.parseUnits("1", 16);
       
       // Solver stakes ETH
       await (await intentBridge.connect(solver).stake({ value: ethers.parseEther("1") })).wait();
       
-      // User approves and declares intent
-      await (await tokenA.connect(user).approve(intentBridge.target, amount)).wait();
-      const tx = await intentBridge.connect(user).declareIntent(
-        tokenA.target,
-        tokenB.target,
-        amount,
-        amount,
-        deadline
-      );
-      const receipt = await tx.wait();
-      
-      // Get intent ID
-      const event = receipt.logs.find(log => {
-        try {
-          return intentBridge.interface.parseLog(log)?.name === "IntentDeclared";
-        } catch {
-          return false;
-        }
-      });
+      // User approves amount + fee and signs the intent off-chain
+      await (await tokenA.connect(user).approve(intentBridge.target, amount + fee)).wait();
+      const domain = await sdk.buildDomain(intentBridge);
+      const intent = await sdk.createIntent(intentBridge, { user, token: tokenA, amount, fee });
+      const userSignature = await sdk.signIntent(user, domain, intent);
+      expect(sdk.verifyIntentSignature(domain, intent, userSignature)).to.equal(true);
       
-      const intentId = event.args.intentId;
+      // Solver commits to the intent digest and fulfills it
+      const solverSignature = await sdk.signSolverCommitment(solver, domain, sdk.intentDigest(domain, intent));
+      const solverBefore = await tokenA.balanceOf(solver.address);
+      await (await intentBridge.connect(solver).fulfillIntent(
+        ...sdk.fulfillArgs(intent, userSignature, solverSignature)
+      )).wait();
       
-      // Solver fulfills intent
-      await (await intentBridge.connect(solver).fulfillIntent(intentId, 0)).wait();
-      
-      // Verify fulfillment
-      const intent = await intentBridge.intents(intentId);
-      expect(intent.status).to.equal(1); // 1 = Fulfilled
+      // Verify fulfillment: nonce consumed and solver paid amount + fee
+      expect(await intentBridge.nonces(user.address)).to.equal(intent.nonce + 1n);
+      expect(await tokenA.balanceOf(solver.address)).to.equal(solverBefore + amount + fee);
+    });
+
+    it("Should escrow, settle on a committee-attested delivery and refund after the deadline", async function () {
+      const amount = ethers.parseUnits("100", 18);
+      const fee = ethers.parseUnits("1", 16);
+      const domain = await sdk.buildDomain(intentBridge);
+      await (await tokenA.connect(user).approve(intentBridge.target, (amount + fee) * 2n)).wait();
+
+      // A deadline past uint64 would wrap in storage and open the refund at once
+      const wrapped64 = await sdk.createIntent(intentBridge, { user, token: tokenA, amount, fee, deadline: 2n ** 64n + 100n });
+      await expect(escrow.lockIntent(intentBridge, solver, {
+        domain, intent: wrapped64, userSig: await sdk.signIntent(user, domain, wrapped64),
+      })).to.be.revertedWith("deadline overflow");
+
+      // Lock: user funds move into the bridge, the solver's stake is pinned
+      const first = await sdk.createIntent(intentBridge, { user, token: tokenA, amount, fee });
+      const { intentDigest, receipt: lockRc } = await escrow.lockIntent(intentBridge, solver, {
+        domain, intent: first, userSig: await sdk.signIntent(user, domain, first),
+      });
+      expect((await escrow.escrowOf(intentBridge, intentDigest)).status).to.equal("Locked");
+      expect(await tokenA.balanceOf(intentBridge.target)).to.equal(amount + fee);
+      await expect(intentBridge.connect(solver).requestUnbond(ethers.parseEther("1"))).to.be.revertedWith("stake locked");
+
+      // No delivery yet: the committee refuses, and a single signature is below the threshold
+      await expect(escrow.proveDelivery(intentBridge, tokenB, relayers, 2, intentDigest, lockRc.hash))
+        .to.be.rejectedWith("no matching transfer");
+      const oneSig = await committee.attest(relayers.slice(0, 1), 1, domain, committee.FULFILLMENT_TYPES,
+        { intentDigest, solver: solver.address, amount, deliveryTx: lockRc.hash });
+      await expect(intentBridge.settleIntent(intentDigest, lockRc.hash, oneSig)).to.be.revertedWith("not enough signatures");
+
+      // Deliver (tokenB stands in for the destination asset) and settle
+      const deliveryRc = await (await tokenB.connect(solver).transfer(user.address, amount)).wait();
+      const solverBefore = await tokenA.balanceOf(solver.address);
+      await escrow.proveDelivery(intentBridge, tokenB, relayers, 2, intentDigest, deliveryRc.hash);
+      expect(await tokenA.balanceOf(solver.address)).to.equal(solverBefore + amount + fee);
+      expect((await escrow.escrowOf(intentBridge, intentDigest)).status).to.equal("Settled");
+      await expect(escrow.refundIntent(intentBridge, intentDigest)).to.be.revertedWith("not locked");
+
+      // Second intent is locked but never delivered: refundable once the proof window is over
+      const second = await sdk.createIntent(intentBridge, { user, token: tokenA, amount, fee });
+      const stuck = await escrow.lockIntent(intentBridge, solver, {
+        domain, intent: second, userSig: await sdk.signIntent(user, domain, second),
+      });
+      await expect(escrow.refundIntent(intentBridge, stuck.intentDigest)).to.be.revertedWith("proof window open");
+      const userBefore = await tokenA.balanceOf(user.address);
+      await advanceTimeTo(ethers.provider, await escrow.refundableAt(intentBridge, stuck.intentDigest));
+      await escrow.refundIntent(intentBridge, stuck.intentDigest);
+      expect(await tokenA.balanceOf(user.address)).to.equal(userBefore + amount + fee);
+      expect((await escrow.escrowOf(intentBridge, stuck.intentDigest)).status).to.equal("Refunded");
+      expect(await intentBridge.openEscrows(solver.address)).to.equal(0n);
+    });
+
+    it("Should fill a batch under one solver signature and skip failing intents", async function () {
+      const amount = ethers.parseUnits("10", 18);
+      const fee = ethers.parseUnits("1", 16);
+      const domain = await sdk.buildDomain(intentBridge);
+      await (await tokenA.connect(user).approve(intentBridge.target, (amount + fee) * 2n)).wait();
+      await (await tokenA.connect(owner).approve(intentBridge.target, amount + fee)).wait();
+
+      // Two intents of the user and one of the owner that is already expired when the batch lands
+      const { timestamp } = await ethers.provider.getBlock("latest");
+      const batch = await sdk.prepareBatch({
+        bridge: intentBridge, domain, solver, entries: [
+          { user, token: tokenA, amount, fee },
+          { user: owner, token: tokenA, amount, fee, deadline: timestamp },
+          { user, token: tokenA, amount, fee },
+        ],
+      });
+      const args = sdk.batchArgs(batch.intents, batch.userSigs, batch.solverSig);
+
+      // The solver signature covers the whole batch: another signer or a reordered batch breaks it
+      await expect(intentBridge.connect(solver).fulfillIntentBatch(args[0], args[1], await sdk.signSolverBatch(owner, domain, batch.batchHash)))
+        .to.be.revertedWith("Invalid solver sig");
+      await expect(intentBridge.connect(solver).fulfillIntentBatch([...args[0]].reverse(), [...args[1]].reverse(), args[2]))
+        .to.be.revertedWith("Invalid solver sig");
+
+      const userNonce = await intentBridge.nonces(user.address);
+      const ownerNonce = await intentBridge.nonces(owner.address);
+      const solverBefore = await tokenA.balanceOf(solver.address);
+      const rc = await (await intentBridge.connect(solver).fulfillIntentBatch(...args)).wait();
+
+      const done = findEvent(intentBridge, rc, "BatchFulfilled");
+      expect(done.args.batchHash).to.equal(batch.batchHash);
+      expect([done.args.filled, done.args.skipped]).to.deep.equal([2n, 1n]);
+      const skipped = findEvent(intentBridge, rc, "IntentSkipped");
+      expect(skipped.args.intentDigest).to.equal(sdk.intentDigest(domain, batch.intents[Number(skipped.args.index)]));
+      expect(skipped.args.reason).to.equal(1n); // SkipReason.Expired
+      expect(await intentBridge.nonces(user.address)).to.equal(userNonce + 2n);
+      expect(await intentBridge.nonces(owner.address)).to.equal(ownerNonce);
+      expect(await tokenA.balanceOf(solver.address)).to.equal(solverBefore + (amount + fee) * 2n);
+    });
+
+    it("Should fill with an EIP-2612 permit instead of an approve, also when the permit was front-run", async function () {
+      const amount = ethers.parseUnits("10", 18);
+      const fee = ethers.parseUnits("1", 16);
+      const permitToken = await (await ethers.getContractFactory("TestPermitToken")).deploy("PermitToken", "PTK");
+      await (await permitToken.transfer(user.address, (amount + fee) * 2n)).wait();
+      const domain = await sdk.buildDomain(intentBridge);
+
+      // No allowance: the permit travels with the intent and the solver applies it
+      const f = await sdk.prepareFulfillment({ bridge: intentBridge, domain, user, solver, token: permitToken, amount, fee, permit: true });
+      expect(await permitToken.allowance(user.address, intentBridge.target)).to.equal(0n);
+      await (await intentBridge.connect(solver).fulfillIntentWithPermit(...sdk.fulfillArgs(f.intent, f.userSig, f.solverSig, f.permit))).wait();
+      expect(await permitToken.balanceOf(solver.address)).to.equal(amount + fee);
+      expect(await permitToken.allowance(user.address, intentBridge.target)).to.equal(0n);
+
+      // Someone submits the permit first: the bridge's own permit call fails, the fill does not
+      const g = await sdk.prepareFulfillment({ bridge: intentBridge, domain, user, solver, token: permitToken, amount, fee, permit: true });
+      const { value, deadline, v, r, s } = g.permit;
+      await (await permitToken.connect(owner).permit(user.address, intentBridge.target, value, deadline, v, r, s)).wait();
+      await (await intentBridge.connect(solver).fulfillIntentWithPermit(...sdk.fulfillArgs(g.intent, g.userSig, g.solverSig, g.permit))).wait();
+      expect(await permitToken.balanceOf(solver.address)).to.equal((amount + fee) * 2n);
+    });
+
+    it("Should let a watcher challenge an undelivered escrow and slash the solver to the user", async function () {
+      const amount = ethers.parseUnits("100", 18);
+      const fee = ethers.parseUnits("1", 16);
+      const domain = await sdk.buildDomain(intentBridge);
+      await (await tokenA.connect(user).approve(intentBridge.target, amount + fee)).wait();
+      const watcher = createChallengeWatcher({ bridge: intentBridge, signer: owner, fromBlock: (await ethers.provider.getBlockNumber()) + 1 });
+
+      const intent = await sdk.createIntent(intentBridge, { user, token: tokenA, amount, fee });
+      const { intentDigest } = await escrow.lockIntent(intentBridge, solver, {
+        domain, intent, userSig: await sdk.signIntent(user, domain, intent),
+      });
+      await expect(escrow.challengeIntent(intentBridge, intentDigest)).to.be.revertedWith("delivery not due");
+
+      // Overdue and unproven: the watcher challenges, and a refund is no longer possible
+      const { from } = await escrow.disputeWindow(intentBridge, intentDigest);
+      await advanceTimeTo(ethers.provider, from);
+      await watcher.poll();
+      expect(watcher.challenged.map((c) => c.intentDigest)).to.deep.equal([intentDigest]);
+      expect((await escrow.escrowOf(intentBridge, intentDigest)).status).to.equal("Challenged");
+      await expect(escrow.resolveChallenge(intentBridge, intentDigest)).to.be.revertedWith("proof window open");
+
+      // Window over without a proof: refund, and half the minimum stake credited to the user
+      const stakeBefore = await intentBridge.solverStakes(solver.address);
+      const tokensBefore = await tokenA.balanceOf(user.address);
+      await advanceTimeTo(ethers.provider, await escrow.refundableAt(intentBridge, intentDigest));
+      await watcher.poll();
+      const slash = (await intentBridge.MINIMUM_STAKE()) * (await intentBridge.SLASH_BPS()) / 10_000n;
+      expect(await intentBridge.SLASH_AMOUNT()).to.equal(slash);
+      expect(watcher.slashed[0].slashed).to.equal(slash);
+      expect(await intentBridge.solverStakes(solver.address)).to.equal(stakeBefore - slash);
+      expect(await intentBridge.slashCredits(user.address)).to.equal(slash);
+      expect(await tokenA.balanceOf(user.address)).to.equal(tokensBefore + amount + fee);
+      expect((await escrow.escrowOf(intentBridge, intentDigest)).status).to.equal("Slashed");
+      expect(await intentBridge.openEscrows(solver.address)).to.equal(0n);
+      await expect(escrow.refundIntent(intentBridge, intentDigest)).to.be.revertedWith("not locked");
+
+      // The user pulls the credit
+      const ethBefore = await ethers.provider.getBalance(user.address);
+      const rc = await escrow.withdrawSlashCredit(intentBridge, user);
+      expect(await ethers.provider.getBalance(user.address)).to.equal(ethBefore + slash - rc.gasUsed * rc.gasPrice);
+      expect(await intentBridge.slashCredits(user.address)).to.equal(0n);
+      await expect(escrow.withdrawSlashCredit(intentBridge, user)).to.be.revertedWith("nothing to withdraw");
+    });
+
+    it("Should stop counting unbonding stake and pay it out only after the unbonding period", async function () {
+      const amount = ethers.parseUnits("10", 18);
+      const fee = ethers.parseUnits("1", 16);
+      await (await intentBridge.connect(solver).stake({ value: ethers.parseEther("1") })).wait();
+      expect((await staking.stakeState(intentBridge, solver.address)).state).to.equal("STAKED");
+
+      const bonded = await intentBridge.solverStakes(solver.address);
+      const { releaseTime } = await staking.requestUnbond(intentBridge, solver, ethers.parseEther("1"));
+      const unbonding = await staking.stakeState(intentBridge, solver.address);
+      expect(unbonding).to.include({ state: "UNBONDING", staked: bonded - ethers.parseEther("1"), unbonding: ethers.parseEther("1"), releaseTime });
+
+      // Below MINIMUM_STAKE while unbonding: no fills, no early withdrawal
+      await (await tokenA.connect(user).approve(intentBridge.target, amount + fee)).wait();
+      const f = await sdk.prepareFulfillment({ bridge: intentBridge, user, solver, token: tokenA, amount, fee });
+      await expect(intentBridge.connect(solver).fulfillIntent(...sdk.fulfillArgs(f.intent, f.userSig, f.solverSig)))
+        .to.be.revertedWith("Not staked");
+      await expect(staking.withdrawStake(intentBridge, solver)).to.be.revertedWith("still unbonding");
+
+      await advanceTimeTo(ethers.provider, releaseTime);
+      expect((await staking.stakeState(intentBridge, solver.address)).state).to.equal("WITHDRAWABLE");
+      const before = await ethers.provider.getBalance(solver.address);
+      const rc = await staking.withdrawStake(intentBridge, solver);
+      expect(await ethers.provider.getBalance(solver.address)).to.equal(before + ethers.parseEther("1") - rc.gasUsed * rc.gasPrice);
+      expect((await staking.stakeState(intentBridge, solver.address)).unbonding).to.equal(0n);
+      await expect(staking.withdrawStake(intentBridge, solver)).to.be.revertedWith("nothing unbonding");
+    });
+
+    it("Should keep one slash per open escrow bonded against unbonding", async function () {
+      const amount = ethers.parseUnits("10", 18);
+      const fee = ethers.parseUnits("1", 16);
+      const domain = await sdk.buildDomain(intentBridge);
+      await (await intentBridge.connect(solver).stake({ value: ethers.parseEther("2") })).wait();
+      await (await tokenA.connect(user).approve(intentBridge.target, (amount + fee) * 3n)).wait();
+      for (let i = 0; i < 3; i++) {
+        const intent = await sdk.createIntent(intentBridge, { user, token: tokenA, amount, fee });
+        await escrow.lockIntent(intentBridge, solver, { domain, intent, userSig: await sdk.signIntent(user, domain, intent) });
+      }
+
+      // Three open escrows pin 3 x SLASH_AMOUNT, more than MINIMUM_STAKE
+      const pinned = (await intentBridge.SLASH_AMOUNT()) * 3n;
+      const bonded = await intentBridge.solverStakes(solver.address);
+      await expect(staking.requestUnbond(intentBridge, solver, bonded - pinned + 1n)).to.be.revertedWith("stake locked");
+      await staking.requestUnbond(intentBridge, solver, bonded - pinned);
+      expect(await intentBridge.solverStakes(solver.address)).to.equal(pinned);
+    });
+
+    it("Should refuse an escrow the solver's stake could not slash", async function () {
+      const amount = ethers.parseUnits("10", 18);
+      const fee = ethers.parseUnits("1", 16);
+      const domain = await sdk.buildDomain(intentBridge);
+      const fresh = (await ethers.getSigners())[8];
+      // MINIMUM_STAKE covers two slashes of SLASH_AMOUNT
+      await (await intentBridge.connect(fresh).stake({ value: await intentBridge.MINIMUM_STAKE() })).wait();
+      await (await tokenA.connect(user).approve(intentBridge.target, (amount + fee) * 3n)).wait();
+      const lock = async () => {
+        const intent = await sdk.createIntent(intentBridge, { user, token: tokenA, amount, fee });
+        return escrow.lockIntent(intentBridge, fresh, { domain, intent, userSig: await sdk.signIntent(user, domain, intent) });
+      };
+      await lock();
+      await lock();
+      expect(await intentBridge.openEscrows(fresh.address)).to.equal(2n);
+      await expect(lock()).to.be.revertedWith("stake below open escrows");
+
+      // Topping up makes room again
+      await (await intentBridge.connect(fresh).stake({ value: await intentBridge.MINIMUM_STAKE() })).wait();
+      await lock();
+      expect(await intentBridge.openEscrows(fresh.address)).to.equal(3n);
+    });
+
+    it("Should fill a partial intent in portions by several solvers with a pro-rated fee", async function () {
+      const unit = (x) => ethers.parseUnits(x, 18);
+      const domain = await sdk.buildDomain(intentBridge);
+      await (await intentBridge.connect(solver).stake({ value: ethers.parseEther("1") })).wait();
+      await (await intentBridge.connect(owner).stake({ value: ethers.parseEther("1") })).wait();
+      await (await tokenA.connect(user).approve(intentBridge.target, unit("33"))).wait();
+
+      const intent = await sdk.createPartialIntent(intentBridge, { user, token: tokenA, amount: unit("30"), fee: unit("3"), minFill: unit("10") });
+      const userSig = await sdk.signPartialIntent(user, domain, intent);
+      const digest = sdk.partialIntentDigest(domain, intent);
+      const fill = async (by, portion) => intentBridge.connect(by).fulfillPartial(
+        ...sdk.partialFillArgs(intent, portion, userSig, await sdk.signSolverCommitment(by, domain, digest)));
+
+      const solverBefore = await tokenA.balanceOf(solver.address);
+      await expect(fill(solver, unit("10"))).to.emit(intentBridge, "PartialFill")
+        .withArgs(digest, user.address, solver.address, unit("10"), unit("1"), unit("20"));
+      expect(await intentBridge.nonces(user.address)).to.equal(intent.nonce + 1n);
+      await (await fill(owner, unit("15"))).wait();
+      // 5 left: a smaller portion is only accepted when it completes the intent
+      await expect(fill(solver, unit("4"))).to.be.revertedWith("fill below minimum");
+      await expect(fill(solver, unit("6"))).to.be.revertedWith("fill exceeds remaining");
+      await (await fill(solver, unit("5"))).wait();
+      await expect(fill(owner, unit("10"))).to.be.revertedWith("fully filled");
+
+      expect(await intentBridge.partiallyFilled(digest)).to.equal(unit("30"));
+      expect(await tokenA.balanceOf(solver.address)).to.equal(solverBefore + unit("15") + unit("1.5"));
+      expect(sdk.partialFee(intent, unit("10"), unit("15"))).to.equal(unit("1.5"));
+      expect(await intentBridge.nonces(user.address)).to.equal(intent.nonce + 1n);
+
+      // Cancelling (bumping the nonce) after a first portion closes the rest of the intent
+      await (await tokenA.connect(user).approve(intentBridge.target, unit("22"))).wait();
+      const second = await sdk.createPartialIntent(intentBridge, { user, token: tokenA, amount: unit("20"), fee: unit("2"), minFill: unit("5").toString() });
+      expect(second.minFill).to.be.a("bigint").and.equal(unit("5"));
+      const secondSig = await sdk.signPartialIntent(user, domain, second);
+      const fillSecond = async (portion) => intentBridge.connect(solver).fulfillPartial(...sdk.partialFillArgs(second, portion, secondSig,
+        await sdk.signSolverCommitment(solver, domain, sdk.partialIntentDigest(domain, second))));
+      await (await fillSecond(unit("5"))).wait();
+      const nonce = await intentBridge.nonces(user.address);
+      await (await intentBridge.connect(user).cancelIntent(nonce, await sdk.signCancel(user, domain, { user: user.address, nonce }))).wait();
+      await expect(fillSecond(unit("5"))).to.be.revertedWith("intent cancelled");
+    });
+
+    it("Should fill a swap intent with output bought on the AMM and reject less than minOutput", async function () {
+      const unit = (x) => ethers.parseUnits(x, 18);
+      const recipient = relayers[2];
+      const domain = await sdk.buildDomain(intentBridge);
+      const pool = await amm.deployPool(ethers, owner, tokenA, tokenB, unit("10000"), unit("5000"));
+      await (await tokenA.transfer(solver.address, unit("20"))).wait();
+      await (await tokenA.connect(user).approve(intentBridge.target, unit("21"))).wait();
+      await (await tokenB.connect(solver).approve(intentBridge.target, ethers.MaxUint256)).wait();
+
+      const quote = await amm.quoteOut(pool, tokenA.target, unit("20"));
+      const intent = await sdk.createSwapIntent(intentBridge, {
+        user, token: tokenA, amount: unit("20"), fee: unit("1"), outputToken: tokenB, minOutput: quote - quote / 100n, recipient,
+      });
+      const userSig = await sdk.signSwapIntent(user, domain, intent);
+      const digest = sdk.swapIntentDigest(domain, intent);
+      const solverSig = await sdk.signSolverCommitment(solver, domain, digest);
+      const fill = (output) => intentBridge.connect(solver).fulfillSwap(...sdk.swapFillArgs(intent, output, userSig, solverSig));
+      const { amountOut } = await amm.buy(pool, solver, tokenA.target, unit("20"), { minAmountOut: intent.minOutput });
+      expect(amountOut).to.equal(quote);
+
+      await expect(fill(intent.minOutput - 1n)).to.be.revertedWith("insufficient output");
+      const recipientBefore = await tokenB.balanceOf(recipient.address);
+      const solverBefore = await tokenA.balanceOf(solver.address);
+      await expect(fill(amountOut)).to.emit(intentBridge, "SwapFulfilled")
+        .withArgs(digest, user.address, solver.address, tokenB.target, amountOut, recipient.address);
+      expect(await tokenB.balanceOf(recipient.address)).to.equal(recipientBefore + amountOut);
+      expect(await tokenA.balanceOf(solver.address)).to.equal(solverBefore + unit("21"));
+      await expect(fill(amountOut)).to.be.revertedWith("nonce used");
+    });
+
+    it("Should charge a Dutch intent the fee its decay path gives at the fill's timestamp", async function () {
+      const unit = (x) => ethers.parseUnits(x, 18);
+      const domain = await sdk.buildDomain(intentBridge);
+      const { timestamp } = await ethers.provider.getBlock("latest");
+      const intent = await sdk.createDutchIntent(intentBridge, {
+        user, token: tokenA, amount: unit("10"), startFee: unit("0.1"), endFee: unit("1.1"), decayStart: timestamp + 100, decaySecs: 100,
+      });
+      const userSig = await sdk.signDutchIntent(user, domain, intent);
+      const digest = sdk.dutchIntentDigest(domain, intent);
+      const solverSig = await sdk.signSolverCommitment(solver, domain, digest);
+      await (await tokenA.connect(user).approve(intentBridge.target, unit("11.1"))).wait();
+
+      expect(await intentBridge.dutchFeeAt(sdk.dutchFillArgs(intent, userSig, solverSig)[0], timestamp)).to.equal(unit("0.1"));
+      expect(sdk.dutchFeeAt(intent, timestamp + 130)).to.equal(unit("0.4"));
+      expect(sdk.dutchFeeAt(intent, timestamp + 500)).to.equal(unit("1.1"));
+      const bad = { ...intent, decayEnd: intent.decayStart - 1n };
+      await expect(intentBridge.connect(solver).fulfillDutch(...sdk.dutchFillArgs(bad, await sdk.signDutchIntent(user, domain, bad), solverSig)))
+        .to.be.revertedWith("bad decay window");
+
+      const solverBefore = await tokenA.balanceOf(solver.address);
+      await ethers.provider.send("evm_setNextBlockTimestamp", [timestamp + 130]);
+      await expect(intentBridge.connect(solver).fulfillDutch(...sdk.dutchFillArgs(intent, userSig, solverSig)))
+        .to.emit(intentBridge, "DutchFulfilled").withArgs(digest, user.address, solver.address, unit("10"), unit("0.4"));
+      expect(await tokenA.balanceOf(solver.address)).to.equal(solverBefore + unit("10.4"));
+      expect(await intentBridge.nonces(user.address)).to.equal(intent.nonce + 1n);
+    });
+
+    it("Should send the admin-set protocol share of the fee to the treasury", async function () {
+      const unit = (x) => ethers.parseUnits(x, 18);
+      const treasury = relayers[1];
+      await expect(intentBridge.connect(solver).setProtocolFee(1000, treasury.address))
+        .to.be.revertedWithCustomError(intentBridge, "AccessControlUnauthorizedAccount");
+      await expect(protocolFee.setProtocolFee(intentBridge, owner, { bps: 1000, treasury: ethers.ZeroAddress }))
+        .to.be.revertedWith("zero treasury");
+      await expect(intentBridge.connect(owner).setProtocolFee(1000, treasury.address))
+        .to.emit(intentBridge, "ProtocolFeeUpdated").withArgs(owner.address, treasury.address, 1000);
+      expect(await protocolFee.protocolFeeOf(intentBridge)).to.deep.equal({ bps: 1000, treasury: treasury.address });
+
+      await (await tokenA.connect(user).approve(intentBridge.target, unit("12"))).wait();
+      const f = await sdk.prepareFulfillment({ bridge: intentBridge, user, solver, token: tokenA, amount: unit("10"), fee: unit("2") });
+      const [solverBefore, treasuryBefore] = await Promise.all([tokenA.balanceOf(solver.address), tokenA.balanceOf(treasury.address)]);
+      await (await intentBridge.connect(solver).fulfillIntent(...sdk.fulfillArgs(f.intent, f.userSig, f.solverSig))).wait();
+      expect(await tokenA.balanceOf(solver.address)).to.equal(solverBefore + unit("10") + protocolFee.splitFee(unit("2"), 1000).solver);
+      expect(await tokenA.balanceOf(treasury.address)).to.equal(treasuryBefore + unit("0.2"));
+
+      // In a batch, a user whose allowance covers only the solver's part is skipped, not half paid
+      const domain = await sdk.buildDomain(intentBridge);
+      await (await tokenA.connect(user).approve(intentBridge.target, unit("11.8"))).wait();
+      await (await tokenA.connect(owner).approve(intentBridge.target, unit("12"))).wait();
+      const batch = await sdk.prepareBatch({
+        bridge: intentBridge, domain, solver, entries: [
+          { user, token: tokenA, amount: unit("10"), fee: unit("2") },
+          { user: owner, token: tokenA, amount: unit("10"), fee: unit("2") },
+        ],
+      });
+      const userNonce = await intentBridge.nonces(user.address);
+      const [solverMid, treasuryMid, userMid, bridgeMid] = await Promise.all([solver, treasury, user, intentBridge]
+        .map((a) => tokenA.balanceOf(a)));
+      const rc = await (await intentBridge.connect(solver).fulfillIntentBatch(...sdk.batchArgs(batch.intents, batch.userSigs, batch.solverSig))).wait();
+      const skipped = findEvent(intentBridge, rc, "IntentSkipped");
+      expect([skipped.args.index, skipped.args.reason]).to.deep.equal([0n, 5n]); // SkipReason.TransferFailed
+      expect(await intentBridge.nonces(user.address)).to.equal(userNonce);
+      expect(await tokenA.balanceOf(user.address)).to.equal(userMid);
+      expect(await tokenA.balanceOf(solver.address)).to.equal(solverMid + unit("11.8"));
+      expect(await tokenA.balanceOf(treasury.address)).to.equal(treasuryMid + unit("0.2"));
+      expect(await tokenA.balanceOf(intentBridge.target)).to.equal(bridgeMid);
+
+      await protocolFee.setProtocolFee(intentBridge, owner, { bps: 0, treasury: treasury.address });
+      expect(await intentBridge.protocolCut(unit("2"))).to.equal(0n);
+    });
+
+    it("Should hold a dispatched intent for its scheduled solver and pass it on after the ACK window", async function () {
+      const unit = (x) => ethers.parseUnits(x, 18);
+      const ackBlocks = 3;
+      const domain = await sdk.buildDomain(intentBridge);
+      for (const s of [owner, solver]) {
+        await (await intentBridge.connect(s).stake({ value: ethers.parseEther("1") })).wait();
+        await (await intentBridge.connect(s).joinDispatchPool()).wait();
+      }
+      await (await tokenA.connect(user).approve(intentBridge.target, unit("11"))).wait();
+      const intent = await sdk.createIntent(intentBridge, { user, token: tokenA, amount: unit("10"), fee: unit("1") });
+      const fill = async (s) => {
+        const f = await sdk.prepareFulfillment({ bridge: intentBridge, domain, user, solver: s, token: tokenA, amount: unit("10"), fee: unit("1"), deadline: intent.deadline });
+        return intentBridge.connect(s).fulfillIntent(...sdk.fulfillArgs(f.intent, f.userSig, f.solverSig));
+      };
+
+      // Requested but not revealed: nobody may fill
+      const req = await dispatch.requestDispatch(intentBridge, user, intent, { ackBlocks });
+      await expect(fill(solver)).to.be.revertedWith("dispatch pending");
+
+      // Revealed: only the round-0 solver may fill during its window
+      const sched = await dispatch.revealDispatch(intentBridge, user, req.digest, req.secret);
+      const [first, second] = sched.assigned.map((a) => [owner, solver].find((s) => s.address === a));
+      expect((await intentBridge.dispatchedSolver(req.digest)).solver).to.equal(first.address);
+      await expect(fill(second)).to.be.revertedWith("not dispatched solver");
+
+      // The first solver lets its window run out: the intent moves to the round-1 solver
+      await waitForBlock(ethers.provider, sched.startBlock + ackBlocks - 1);
+      await expect(fill(first)).to.be.revertedWith("not dispatched solver");
+      await expect(fill(second)).to.emit(intentBridge, "IntentFulfilled")
+        .withArgs(user.address, second.address, tokenA.target, unit("10"), unit("1"));
+    });
+
+    it("Should award a sealed-bid auction to the lowest earliest reveal and reserve its fill for the winner", async function () {
+      const unit = (x) => ethers.parseUnits(x, 18);
+      const domain = await sdk.buildDomain(intentBridge);
+      const salt = (k) => ethers.id(`salt-${k}`);
+      const [bidder, unstaked] = [relayers[0], relayers[2]];
+      await (await intentBridge.connect(bidder).stake({ value: ethers.parseEther("1") })).wait();
+      const auction = await deployAuction(ethers, intentBridge, owner);
+      await expect(intentBridge.connect(owner).reserveFill(user.address, tokenA.target, 1n, 0n, 0n, owner.address, 1n))
+        .to.be.revertedWithCustomError(intentBridge, "AccessControlUnauthorizedAccount");
+
+      const { timestamp } = await ethers.provider.getBlock("latest");
+      const deadline = timestamp + 3600;
+      const openRc = await (await auction.connect(user).openAuction(tokenA.target, unit("10"), unit("1"), deadline, 10, 10)).wait();
+      const { id, commitEnd, revealEnd } = findEvent(auction, openRc, "AuctionOpened").args;
+
+      // Commit: staked solvers only, one sealed bid each; solver and owner tie at 0.6
+      const bids = [[solver, unit("0.6"), 1], [owner, unit("0.6"), 2], [bidder, unit("0.8"), 3]];
+      for (const [s, fee, k] of bids) await (await auction.connect(s).commitBid(id, bidHash(id, s.address, fee, salt(k)))).wait();
+      await expect(auction.connect(unstaked).commitBid(id, ethers.ZeroHash)).to.be.revertedWith("Not staked");
+      await expect(auction.connect(solver).commitBid(id, ethers.ZeroHash)).to.be.revertedWith("already committed");
+      await expect(auction.connect(solver).revealBid(id, unit("0.6"), salt(1))).to.be.revertedWith("reveal not open");
+
+      // Reveal: a wrong salt does not open the bid; the bidder at 0.8 never reveals
+      await waitForBlock(ethers.provider, Number(commitEnd) + 1);
+      await expect(auction.connect(solver).revealBid(id, unit("0.6"), salt(2))).to.be.revertedWith("bid mismatch");
+      await (await auction.connect(solver).revealBid(id, unit("0.6"), salt(1))).wait();
+      await (await auction.connect(owner).revealBid(id, unit("0.6"), salt(2))).wait();
+      await expect(auction.settle(id)).to.be.revertedWith("reveal open");
+
+      // Settle: the tie goes to the earlier reveal, and the clearing-fee intent is reserved for it
+      await waitForBlock(ethers.provider, Number(revealEnd) + 1);
+      const intentDigest = sdk.intentDigest(domain, await sdk.createIntent(intentBridge, { user, token: tokenA, amount: unit("10"), fee: unit("0.6"), deadline }));
+      await expect(auction.settle(id)).to.emit(auction, "AuctionSettled").withArgs(id, solver.address, unit("0.6"), 3, 2, intentDigest);
+      expect(await auction.winnerOf(id)).to.deep.equal([solver.address, unit("0.6")]);
+      expect((await intentBridge.dispatchedSolver(intentDigest)).solver).to.equal(solver.address);
+
+      // Another staked solver cannot take the signed intent; the winner fills it
+      await (await tokenA.connect(user).approve(intentBridge.target, unit("10.6"))).wait();
+      const loser = await sdk.prepareFulfillment({ bridge: intentBridge, domain, user, solver: owner, token: tokenA, amount: unit("10"), fee: unit("0.6"), deadline });
+      await expect(intentBridge.connect(owner).fulfillIntent(...sdk.fulfillArgs(loser.intent, loser.userSig, loser.solverSig)))
+        .to.be.revertedWith("not dispatched solver");
+      const winner = await sdk.prepareFulfillment({ bridge: intentBridge, domain, user, solver, token: tokenA, amount: unit("10"), fee: unit("0.6"), deadline });
+      await expect(intentBridge.connect(solver).fulfillIntent(...sdk.fulfillArgs(winner.intent, winner.userSig, winner.solverSig)))
+        .to.emit(intentBridge, "IntentFulfilled").withArgs(user.address, solver.address, tokenA.target, unit("10"), unit("0.6"));
+    });
+
+    it("Should settle a sealed-bid auction past its intent deadline without a reservation", async function () {
+      const unit = (x) => ethers.parseUnits(x, 18);
+      const auction = await deployAuction(ethers, intentBridge, owner);
+      const { timestamp } = await ethers.provider.getBlock("latest");
+      const deadline = timestamp + 60;
+      const openRc = await (await auction.connect(user).openAuction(tokenA.target, unit("10"), unit("1"), deadline, 2, 2)).wait();
+      const { id, commitEnd, revealEnd } = findEvent(auction, openRc, "AuctionOpened").args;
+      await (await auction.connect(solver).commitBid(id, bidHash(id, solver.address, unit("0.5"), ethers.id("salt")))).wait();
+      await waitForBlock(ethers.provider, Number(commitEnd) + 1);
+      await (await auction.connect(solver).revealBid(id, unit("0.5"), ethers.id("salt"))).wait();
+
+      // The bridge refuses to reserve an expired intent; the auction settles with its winner anyway
+      await waitForBlock(ethers.provider, Number(revealEnd) + 1);
+      await advanceTimeTo(ethers.provider, deadline + 1);
+      const expired = "0x08c379a0" + ethers.AbiCoder.defaultAbiCoder().encode(["string"], ["expired"]).slice(2);
+      await expect(auction.settle(id))
+        .to.emit(auction, "ReservationFailed").withArgs(id, expired)
+        .and.to.emit(auction, "AuctionSettled").withArgs(id, solver.address, unit("0.5"), 1, 1, ethers.ZeroHash);
+      expect(await auction.winnerOf(id)).to.deep.equal([solver.address, unit("0.5")]);
+      await expect(auction.settle(id)).to.be.revertedWith("settled");
+    });
+
+    it("Should settle a sealed-bid auction without reveals to no winner and reserve nothing", async function () {
+      const unit = (x) => ethers.parseUnits(x, 18);
+      const auction = await deployAuction(ethers, intentBridge, owner);
+      const { timestamp } = await ethers.provider.getBlock("latest");
+      const openRc = await (await auction.connect(user).openAuction(tokenA.target, unit("10"), unit("1"), timestamp + 3600, 2, 2)).wait();
+      const { id, revealEnd } = findEvent(auction, openRc, "AuctionOpened").args;
+      await (await auction.connect(solver).commitBid(id, bidHash(id, solver.address, unit("0.5"), ethers.id("salt")))).wait();
+      await expect(auction.connect(solver).settle(id)).to.be.revertedWith("reveal open");
+
+      await waitForBlock(ethers.provider, Number(revealEnd) + 1);
+      await expect(auction.settle(id)).to.emit(auction, "AuctionSettled").withArgs(id, ethers.ZeroAddress, 0, 1, 0, ethers.ZeroHash);
+      expect(await auction.winnerOf(id)).to.deep.equal([ethers.ZeroAddress, 0n]);
+      await expect(auction.settle(id)).to.be.revertedWith("settled");
     });
   });
 });
\ No newline at end of file
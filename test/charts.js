@@ -0,0 +1,83 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const charts = require("../scripts/lib/charts");
+const report = require("../scripts/Report");
+
+// Text of every <title> tooltip inside the chart, in drawing order
+const tooltips = (svg) => [...svg.matchAll(/<title>([^<]*)<\/title>/g)].map((m) => m[1]);
+const count = (svg, tag) => (svg.match(new RegExp(`<${tag}[ >]`, "g")) ?? []).length;
+
+describe("Report Charts", function () {
+  it("Should bin a histogram's values and draw its markers on the same axis", function () {
+    const svg = charts.histogram([0, 1, 1, 2, 3, 3, 3, 4], { title: "ACK", bins: 4, markers: [{ x: 8, label: "Δ_ack" }] });
+    expect(svg.startsWith("<svg")).to.equal(true);
+    // The marker stretches the range to [0, 8]: bins of 2, the maximum lands in the last bin of the data
+    expect(tooltips(svg)).to.deep.equal(["0–2: 3", "2–4: 4", "4–6: 1", "6–8: 0"]);
+    expect(svg).to.include('stroke-dasharray="4 3"');
+    expect(svg).to.include(">Δ_ack</text>");
+  });
+
+  it("Should draw one CDF line per series from 0 to 1, with a legend only for several", function () {
+    const one = charts.cdf([{ label: "ACK", values: [3, 1, 2] }]);
+    expect(count(one, "polyline")).to.equal(1);
+    expect(one).to.not.include(">ACK</text>");
+
+    const two = charts.cdf([{ label: "A", values: [1, 2] }, { label: "B", values: [2, 3, 4] }]);
+    expect(count(two, "polyline")).to.equal(2);
+    expect(two).to.include(">A</text>").and.to.include(">B</text>");
+    const points = [...two.matchAll(/points="([^"]*)"/g)].map((m) => m[1].split(" ").map((p) => p.split(",").map(Number)));
+    for (const line of points) {
+      // Starts at the left edge at 0 and ends at the right edge at 1, never stepping down
+      expect(line[0][0]).to.equal(points[0][0][0]);
+      expect(line[line.length - 1][0]).to.equal(points[0][points[0].length - 1][0]);
+      for (let i = 1; i < line.length; i++) expect(line[i][1]).to.be.at.most(line[i - 1][1]);
+    }
+  });
+
+  it("Should draw values beyond 1.5 IQR as box-plot outliers and skip empty series", function () {
+    const svg = charts.boxPlot([
+      { label: "Auction", values: [10, 11, 12, 13, 14, 100] },
+      { label: "Empty", values: [] },
+      { label: "Dispatch", values: [5, 6, 7] },
+    ]);
+    expect(count(svg, "circle")).to.equal(1);
+    expect(tooltips(svg)).to.deep.equal(["Auction: p25 11.25, p50 12.5, p75 13.75", "Dispatch: p25 5.5, p50 6, p75 6.5"]);
+  });
+
+  it("Should render 'no data' for empty input and escape labels", function () {
+    expect(charts.histogram([])).to.include(">no data</text>");
+    expect(charts.cdf([{ label: "A", values: [] }])).to.include(">no data</text>");
+    expect(charts.boxPlot([])).to.include(">no data</text>");
+
+    const svg = charts.boxPlot([{ label: '<Fee & "Gas">', values: [1, 2, 3] }], { title: "a<b" });
+    expect(svg).to.include("&lt;Fee &amp; &quot;Gas&quot;&gt;");
+    expect(svg).to.not.include("<Fee");
+    expect(svg).to.include("a&lt;b");
+  });
+
+  it("Should write the report from legacy results and list missing experiments as skipped", async function () {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "report-"));
+    try {
+      const rows = [100, 120, 900].map((ack, i) => ({ solver: `0xS${i % 2}`, ack_time_ms: ack, gas_fulfill: "60000", ack_anomaly: ack > 500 }));
+      fs.writeFileSync(path.join(dir, "exp1_results.json"), JSON.stringify(rows));
+      const outDir = path.join(dir, "report");
+      await report.main({ RESULTS_DIR: dir, OUT_DIR: outDir, BINS: 5 });
+
+      const md = fs.readFileSync(path.join(outDir, "report.md"), "utf8");
+      expect(md).to.include("| Trials | 3 |").and.to.include("| ACK anomalies | 1 (33.3%) |");
+      expect(md).to.include("![").and.to.include("exp1-ack-histogram.svg");
+      for (const skipped of ["graph-ibb", "bench-mechanisms", "compare-bridges", "compare-crosschain"]) expect(md).to.include(skipped);
+      expect(fs.readFileSync(path.join(outDir, "exp1-ack-cdf.svg"), "utf8").startsWith("<svg")).to.equal(true);
+      // The HTML inlines the figures instead of linking them
+      const html = fs.readFileSync(path.join(outDir, "report.html"), "utf8");
+      expect(count(html, "svg")).to.equal(3);
+      expect(html).to.not.include(".svg");
+
+      await expect(report.main({ RESULTS_DIR: outDir, OUT_DIR: outDir })).to.be.rejectedWith("No results in");
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,153 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const sdk = require("../scripts/lib/intentSdk");
+const committee = require("../scripts/lib/committee");
+const escrow = require("../scripts/lib/escrow");
+
+describe("Relayer Committee", function () {
+  let owner, user, solver, members;
+  let token, traditionalBridge, wrapped, intentBridge, domain;
+  const amount = ethers.parseUnits("10", 18);
+  const fee = ethers.parseUnits("1", 16);
+
+  before(async function () {
+    let r1, r2, r3;
+    [owner, user, solver, r1, r2, r3] = await ethers.getSigners();
+    members = [r1, r2, r3];
+    const addrs = members.map((m) => m.address);
+    token = await (await ethers.getContractFactory("TestToken")).deploy("TokenA", "TKA");
+    traditionalBridge = await (await ethers.getContractFactory("TraditionalBridge")).deploy(addrs, 2);
+    wrapped = await (await ethers.getContractFactory("WrappedTokenMinter")).deploy(
+      "Wrapped TokenA", "wTKA", token.target, (await ethers.provider.getNetwork()).chainId, addrs, 2);
+    intentBridge = await (await ethers.getContractFactory("UltraEfficientIntentBridge")).deploy(addrs, 2);
+    domain = await sdk.buildDomain(intentBridge);
+
+    await (await token.mint(user.address, amount * 10n)).wait();
+    await (await token.mint(solver.address, amount * 10n)).wait(); // pays out on the "destination"
+    await (await token.connect(user).approve(intentBridge.target, ethers.MaxUint256)).wait();
+    await (await intentBridge.connect(solver).stake({ value: ethers.parseEther("2") })).wait();
+  });
+
+  // Committee over all three contracts; polled by hand (the timer never fires within a test)
+  async function startCommittee({ bridge = intentBridge, logs = [] } = {}) {
+    const relay = committee.createRelayerCommittee({
+      sourceBridge: traditionalBridge, minter: wrapped, members,
+      escrow: { bridge, deliveryToken: token },
+      confirmations: 0, pollMs: 60_000, log: (line) => logs.push(line),
+    });
+    await relay.start();
+    return relay;
+  }
+
+  async function lock() {
+    const intent = await sdk.createIntent(intentBridge, { user, token, amount, fee });
+    const { intentDigest } = await escrow.lockIntent(intentBridge, solver, { domain, intent, userSig: await sdk.signIntent(user, domain, intent) });
+    return intentDigest;
+  }
+
+  const untaggedDelivery = async () => (await (await token.connect(solver).transfer(user.address, amount)).wait()).hash;
+  const taggedDelivery = async (intentDigest) => (await escrow.deliver(token, solver, { user: user.address, amount, intentDigest })).hash;
+  const statusOf = async (intentDigest) => (await escrow.escrowOf(intentBridge, intentDigest)).status;
+
+  it("Should attest with the lowest signers in ascending order, whatever the member order", async function () {
+    const value = { lockId: ethers.id("lock"), to: user.address, amount };
+    const dom = await sdk.buildDomain(wrapped);
+    const byAddress = [...members].sort((a, b) => (BigInt(a.address) < BigInt(b.address) ? -1 : 1));
+
+    const sigs = await committee.attest([...byAddress].reverse(), 2, dom, committee.MINT_TYPES, value);
+    expect(sigs.map((sig) => ethers.verifyTypedData(dom, committee.MINT_TYPES, value, sig)))
+      .to.deep.equal(byAddress.slice(0, 2).map((m) => m.address));
+    await expect(committee.attest(members.slice(0, 1), 2, dom, committee.MINT_TYPES, value))
+      .to.be.rejectedWith("committee has 1 members, threshold 2");
+
+    // The contract accepts that order, and only that order
+    await expect(wrapped.mint(value.lockId, value.to, value.amount, [...sigs].reverse())).to.be.reverted;
+    await (await wrapped.mint(value.lockId, value.to, value.amount, sigs)).wait();
+    expect(await wrapped.balanceOf(user.address)).to.equal(amount);
+  });
+
+  it("Should keep an escrow queued when its settlement fails and settle it on a later poll", async function () {
+    // The source submitter has no ETH yet, so the first settle transaction cannot be sent
+    const submitter = ethers.Wallet.createRandom().connect(ethers.provider);
+    const logs = [];
+    const relay = await startCommittee({ bridge: intentBridge.connect(submitter), logs });
+    const first = await lock();
+    const second = await lock();
+    await taggedDelivery(first);
+    await taggedDelivery(second);
+
+    await relay.poll();
+    expect(relay.settled).to.have.length(0);
+    expect(logs.filter((l) => l.includes("retrying next poll"))).to.have.length(1); // the second waits behind the first
+
+    await (await owner.sendTransaction({ to: submitter.address, value: ethers.parseEther("1") })).wait();
+    await relay.poll();
+    expect(relay.settled.map((r) => r.intentDigest)).to.deep.equal([first, second]);
+    expect(await statusOf(first)).to.equal("Settled");
+    expect(await statusOf(second)).to.equal("Settled");
+    await relay.stop();
+  });
+
+  it("Should drop a queued escrow another submitter has already settled", async function () {
+    const logs = [];
+    const relay = await startCommittee({ logs });
+    const digest = await lock();
+    const deliveryTx = await taggedDelivery(digest);
+    await escrow.proveDelivery(intentBridge, token, members, 2, digest, deliveryTx, { domain });
+
+    await relay.poll();
+    expect(relay.settled).to.have.length(0);
+    expect(logs.some((l) => l.includes("already on chain"))).to.equal(true);
+    await relay.poll();
+    expect(logs.filter((l) => l.includes(digest.slice(0, 10)))).to.have.length(1); // not retried
+    await relay.stop();
+  });
+
+  it("Should settle two escrows with the same terms by their tagged deliveries, in any order", async function () {
+    const relay = await startCommittee();
+    const first = await lock();
+    const second = await lock();
+    // The solver pays the second escrow first; by (solver, user, amount) alone the two would swap
+    const forSecond = await taggedDelivery(second);
+    await relay.poll();
+    expect(relay.settled.map((r) => [r.intentDigest, r.deliveryTx])).to.deep.equal([[second, forSecond]]);
+    expect(await statusOf(first)).to.equal("Locked");
+
+    const forFirst = await taggedDelivery(first);
+    await relay.poll();
+    expect(relay.settled.map((r) => [r.intentDigest, r.deliveryTx])).to.deep.equal([[second, forSecond], [first, forFirst]]);
+    await relay.stop();
+  });
+
+  it("Should match untagged deliveries to escrows with the same terms in lock order", async function () {
+    const relay = await startCommittee();
+    const first = await lock();
+    const second = await lock();
+    // Meant for the second escrow, but untagged: the committee cannot tell, and settles the first
+    const delivery = await untaggedDelivery();
+    await relay.poll();
+    expect(relay.settled.map((r) => [r.intentDigest, r.deliveryTx])).to.deep.equal([[first, delivery]]);
+    expect(await statusOf(second)).to.equal("Locked");
+
+    await untaggedDelivery();
+    await relay.poll();
+    expect(await statusOf(second)).to.equal("Settled");
+    await relay.stop();
+  });
+
+  it("Should refuse a delivery tagged for another intent", async function () {
+    const first = await lock();
+    const second = await lock();
+    const forSecond = await taggedDelivery(second);
+    expect(committee.deliveryTag((await ethers.provider.getTransaction(forSecond)).data)).to.equal(second);
+    expect(committee.deliveryTag((await ethers.provider.getTransaction(await untaggedDelivery())).data)).to.equal(null);
+
+    const e = await escrow.escrowOf(intentBridge, first);
+    expect(await escrow.verifyDelivery(token, forSecond, { ...e, intentDigest: first }))
+      .to.deep.equal({ ok: false, reason: "delivery tagged for another intent" });
+    await expect(escrow.proveDelivery(intentBridge, token, members, 2, first, forSecond, { domain }))
+      .to.be.rejectedWith("delivery tagged for another intent");
+    await escrow.proveDelivery(intentBridge, token, members, 2, second, forSecond, { domain });
+    expect(await statusOf(second)).to.equal("Settled");
+  });
+});
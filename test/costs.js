@@ -0,0 +1,89 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers } = require("hardhat");
+const costs = require("../scripts/lib/costs");
+
+describe("Cost Model", function () {
+  const rollup = { l2GasPriceGwei: 0.01, overhead: 188, scalar: 0.684 };
+  // 10 calldata bytes, 4 of them zero: 6 × 16 + 4 × 4 = 112 calldata gas
+  const record = (gasUsed) => ({ step: "s", gasUsed, dataBytes: 10, zeroBytes: 4 });
+
+  it("Should record each transaction's gas and calldata bytes, from a receipt or a hash", async function () {
+    const [deployer, user] = await ethers.getSigners();
+    const token = await (await ethers.getContractFactory("MockToken")).deploy();
+    const receipt = await (await token.mint(user.address, 5n)).wait();
+    const transfer = await (await token.connect(user).transfer(deployer.address, 1n)).wait();
+
+    const records = await costs.txRecords(ethers.provider, { mint: receipt, transfer: transfer.hash });
+    // selector + two words: the address word has 12 zero bytes, the amount word 31
+    expect(records).to.deep.equal([
+      { step: "mint", hash: receipt.hash, gasUsed: Number(receipt.gasUsed), dataBytes: 68, zeroBytes: 43 },
+      { step: "transfer", hash: transfer.hash, gasUsed: Number(transfer.gasUsed), dataBytes: 68, zeroBytes: 43 },
+    ]);
+  });
+
+  it("Should price a path on L1 by its gas and on a rollup by L2 gas plus the L1 data fee", function () {
+    const route = [record(50_000), record(30_000)];
+    expect(costs.calldataGas(record(0))).to.equal(112);
+
+    const l1 = costs.linearCost(route, "l1");
+    expect(l1.fixed).to.equal(0);
+    expect(l1.perGwei).to.be.closeTo(80_000e-9, 1e-18);
+    expect(costs.costAt(l1, 20, 0.001)).to.be.closeTo(80_000 * 20e-9 + 0.001, 1e-15);
+
+    const l2 = costs.linearCost(route, "rollup", rollup);
+    expect(l2.fixed).to.be.closeTo(80_000 * 0.01e-9, 1e-18);
+    expect(l2.perGwei).to.be.closeTo(2 * (112 + 188) * 0.684e-9, 1e-18);
+    expect(() => costs.linearCost(route, "blob")).to.throw("Unknown pricing mode blob");
+  });
+
+  it("Should average linear costs over runs", function () {
+    expect(costs.meanLinearCost([[record(10_000)], [record(30_000)]], "l1").perGwei).to.be.closeTo(20_000e-9, 1e-18);
+    expect(costs.meanLinearCost([], "l1")).to.deep.equal({ fixed: 0, perGwei: 0 });
+  });
+
+  it("Should find the break-even price and the side each path is cheaper on", function () {
+    // a: 1 ETH + 1 ETH/gwei, b: 3 ETH + 0.5 ETH/gwei -> equal at 4 gwei, b cheaper above
+    const a = { fixed: 1, perGwei: 1 };
+    const b = { fixed: 3, perGwei: 0.5 };
+    expect(costs.breakEven(a, b)).to.deep.equal({ gwei: 4, aCheaperAbove: false });
+    expect(costs.breakEven(b, a)).to.deep.equal({ gwei: 4, aCheaperAbove: true });
+    // A 1 ETH fee on a moves the crossing to 2 gwei
+    expect(costs.breakEven(a, b, 1).gwei).to.equal(2);
+    // Parallel lines, or lines crossing only at a negative price, never break even
+    expect(costs.breakEven(a, { fixed: 2, perGwei: 1 })).to.deep.equal({ gwei: null, aCheaperAbove: null });
+    expect(costs.breakEven(a, { fixed: 0, perGwei: 0.5 })).to.deep.equal({ gwei: null, aCheaperAbove: null });
+  });
+
+  it("Should read a quoted CSV series, scale it and join it with another by key", function () {
+    const gas = costs.readSeries(path.join(__dirname, "..", "data", "gas_price.example.csv"), { column: "Value (Wei)", scale: 1e-9 });
+    const usd = costs.readSeries(path.join(__dirname, "..", "data", "eth_usd.example.csv"), { column: "Value" });
+    expect(gas).to.have.length(31);
+    expect(gas[0].key).to.equal("3/1/2025");
+    expect(gas[0].value).to.be.closeTo(1.2, 1e-12);
+    expect(usd[0]).to.deep.equal({ key: "3/1/2025", value: 2180 });
+
+    const joined = costs.joinSeries(gas, usd.slice(1));
+    expect(joined).to.have.length(30);
+    expect(joined[0]).to.deep.equal({ key: "3/2/2025", a: gas[1].value, b: usd[1].value });
+  });
+
+  it("Should reject series files without rows, without the column or with non-numbers", function () {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "costs-"));
+    try {
+      const write = (name, content) => {
+        fs.writeFileSync(path.join(dir, name), content);
+        return path.join(dir, name);
+      };
+      expect(() => costs.readSeries(write("empty.csv", "Date,Value\n"), { column: "Value" })).to.throw("has no rows");
+      expect(() => costs.readSeries(write("cols.csv", "Date,Price\n1/1,3\n"), { column: "Value" }))
+        .to.throw('has no column "Value" (columns: Date, Price)');
+      expect(() => costs.readSeries(write("bad.csv", "Date,Value\n1/1,3\n1/2,n/a\n"), { column: "Value" }))
+        .to.throw('bad Value "n/a" at 1/2');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,96 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { reset } = require("@nomicfoundation/hardhat-network-helpers");
+const sdk = require("../scripts/lib/intentSdk");
+const dispatch = require("../scripts/lib/dispatch");
+const { pinBlockTimes } = require("../scripts/lib/chain");
+const { createRng } = require("../scripts/lib/prng");
+const { deployAuction, runSealedBidAuction } = require("../scripts/lib/sealedBidAuction");
+
+describe("Dispatch Replay", function () {
+  // Draws `runs` dispatches on a fresh chain the way compare:bridges does (secrets from the seed,
+  // block timestamps pinned), moving the node clock `driftSecs` ahead before each request as a
+  // slower run would. A sealed-bid auction runs first, as in bench:mechanisms, with seeded salts.
+  async function drawDispatches(seed, { runs = 3, driftSecs = 0 } = {}) {
+    await reset();
+    const unpin = pinBlockTimes(ethers.provider);
+    try {
+      const [deployer, user, ...solvers] = await ethers.getSigners();
+      const bridge = await (await ethers.getContractFactory("UltraEfficientIntentBridge")).deploy([deployer.address], 1);
+      const token = await (await ethers.getContractFactory("TestToken")).deploy("TokenA", "TKA");
+      for (const s of solvers.slice(0, 5)) {
+        await (await bridge.connect(s).stake({ value: ethers.parseEther("1") })).wait();
+        await (await bridge.connect(s).joinDispatchPool()).wait();
+      }
+
+      const rng = createRng(seed);
+      const auction = await deployAuction(ethers, bridge, deployer);
+      await runSealedBidAuction({
+        auction,
+        user,
+        bids: solvers.slice(0, 3).map((signer, k) => ({ signer, fee: ethers.parseUnits(`${9 - k}`, 15) })),
+        token: await token.getAddress(),
+        amount: ethers.parseUnits("10", 18),
+        maxFee: ethers.parseUnits("1", 16),
+        salt: rng.fork("auction").bytes32,
+      });
+
+      const secrets = rng.fork("dispatch");
+      const draws = [];
+      for (let i = 0; i < runs; i++) {
+        await ethers.provider.send("evm_increaseTime", [driftSecs]);
+        const intent = await sdk.createIntent(bridge, { user, token, amount: ethers.parseUnits("10", 18), fee: ethers.parseUnits("1", 16) });
+        const req = await dispatch.requestDispatch(bridge, user, intent, { ackBlocks: 5, secret: secrets.bytes32() });
+        const { seed: drawn, assigned } = await dispatch.revealDispatch(bridge, user, req.digest, req.secret);
+        draws.push({ seed: drawn, solver: assigned[0] });
+      }
+      return draws;
+    } finally {
+      unpin();
+    }
+  }
+
+  after(async function () {
+    await reset();
+  });
+
+  it("Should dispatch the same solvers for the same seed however long the run takes", async function () {
+    const first = await drawDispatches(42);
+    expect(await drawDispatches(42, { driftSecs: 60 })).to.deep.equal(first);
+    expect((await drawDispatches(43)).map((d) => d.seed)).to.not.deep.equal(first.map((d) => d.seed));
+  });
+
+  it("Should recompute the bridge's schedule from chain data and follow its windows", async function () {
+    await reset();
+    const [deployer, user, ...solvers] = await ethers.getSigners();
+    const bridge = await (await ethers.getContractFactory("UltraEfficientIntentBridge")).deploy([deployer.address], 1);
+    const token = await (await ethers.getContractFactory("TestToken")).deploy("TokenA", "TKA");
+    const pool = solvers.slice(0, 5);
+    for (const s of pool) {
+      await (await bridge.connect(s).stake({ value: ethers.parseEther("1") })).wait();
+      await (await bridge.connect(s).joinDispatchPool()).wait();
+    }
+
+    // The client's draw matches the contract's, without repeats and capped at MAX_DISPATCH_ROUNDS
+    const addrs = pool.map((s) => s.address);
+    for (const seed of [ethers.ZeroHash, ethers.id("a"), ethers.id("b")]) {
+      const assigned = dispatch.assignSolvers(seed, addrs);
+      expect(assigned).to.deep.equal([...(await bridge.assignSolvers(seed, addrs))]);
+      expect(new Set(assigned).size).to.equal(dispatch.MAX_DISPATCH_ROUNDS);
+    }
+    expect(dispatch.assignSolvers(ethers.id("a"), addrs.slice(0, 2))).to.have.length(2);
+
+    const intent = await sdk.createIntent(bridge, { user, token, amount: ethers.parseUnits("10", 18), fee: ethers.parseUnits("1", 16) });
+    const req = await dispatch.requestDispatch(bridge, user, intent, { ackBlocks: 4 });
+    expect(await dispatch.verifyDispatch(bridge, req.digest)).to.deep.equal({ ok: false, reason: "dispatch not requested or not revealed" });
+    const sched = await dispatch.revealDispatch(bridge, user, req.digest, req.secret);
+    expect(await dispatch.verifyDispatch(bridge, req.digest)).to.deep.equal({ ok: true, seed: sched.seed, assigned: sched.assigned });
+
+    const at = (block) => dispatch.solverAt({ ...sched, ackBlocks: 4 }, block);
+    expect(at(sched.startBlock + 3)).to.deep.equal({ solver: sched.assigned[0], round: 0 });
+    expect(at(sched.startBlock + 4)).to.deep.equal({ solver: sched.assigned[1], round: 1 });
+    expect(at(sched.startBlock + 12)).to.deep.equal({ solver: null, round: 3 });
+    const { solver, round } = await bridge.dispatchedSolver(req.digest);
+    expect(at(await ethers.provider.getBlockNumber())).to.deep.equal({ solver, round: Number(round) });
+  });
+});
@@ -0,0 +1,45 @@
+const { expect } = require("chai");
+const { jainIndex, gini, starvationStreak, fairnessReport } = require("../scripts/lib/fairness");
+
+describe("Fairness", function () {
+  it("Should give Jain's index and the Gini coefficient of hand-computed shares", function () {
+    expect(jainIndex([1, 1, 1, 1])).to.equal(1);
+    expect(jainIndex([4, 0, 0, 0])).to.equal(0.25);       // 1/n
+    expect(jainIndex([1, 2, 3])).to.be.closeTo(6 / 7, 1e-12); // 36 / (3 · 14)
+    expect(jainIndex([0, 0])).to.equal(1);
+
+    expect(gini([1, 1, 1, 1])).to.equal(0);
+    expect(gini([0, 0, 0, 4])).to.equal(0.75);             // (n - 1)/n
+    expect(gini([1, 2, 3])).to.be.closeTo(2 / 9, 1e-12);   // Σ|xi - xj| / (2n² · mean) = 8 / 36
+    expect(gini([])).to.equal(0);
+  });
+
+  it("Should report win shares, revenue Gini and starvation over a trial sequence", function () {
+    expect(starvationStreak(["a", "b", "b", "a", "b"], "a")).to.equal(2);
+    expect(starvationStreak(["a", "b"], "c")).to.equal(2);
+
+    const r = fairnessReport([{ winner: "a", fee: 1 }, { winner: "b", fee: 2 }, { winner: "b", fee: 3 }], ["a", "b", "c"]);
+    expect(r.perSolver.map((s) => [s.wins, s.feeRevenue, s.starvation])).to.deep.equal([[1, 1, 2], [2, 5, 1], [0, 0, 3]]);
+    expect(r.jain).to.be.closeTo(0.6, 1e-12);              // wins 1, 2, 0: 9 / (3 · 5)
+    expect(r.giniRevenue).to.be.closeTo(5 / 9, 1e-12);     // revenue 1, 5, 0
+    expect(r.maxWinShare).to.be.closeTo(2 / 3, 1e-12);
+    expect(r.longestStarvation).to.equal(3);
+  });
+
+  it("Should report empty, one-sided and out-of-pool sequences over the whole pool", function () {
+    const pool = ["a", "b", "c", "d"];
+    expect(fairnessReport([], pool)).to.deep.include({ trials: 0, jain: 1, giniRevenue: 0, maxWinShare: 0, longestStarvation: 0 });
+
+    // One solver wins every trial: the extremes of both indices
+    const mono = fairnessReport([1, 2, 3].map((fee) => ({ winner: "a", fee })), pool);
+    expect(mono.jain).to.equal(1 / 4);
+    expect(mono.giniRevenue).to.equal(3 / 4);
+    expect(mono.maxWinShare).to.equal(1);
+    expect(mono.perSolver.map((s) => s.starvation)).to.deep.equal([0, 3, 3, 3]);
+
+    // A winner outside the pool still counts as a trial, so the pool's win shares sum below 1
+    const outside = fairnessReport([{ winner: "a", fee: 1 }, { winner: "x", fee: 1 }], pool);
+    expect(outside.perSolver.map((s) => s.winShare)).to.deep.equal([0.5, 0, 0, 0]);
+    expect(outside.perSolver.find((s) => s.solver === "x")).to.equal(undefined);
+  });
+});
@@ -0,0 +1,101 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const sdk = require("../scripts/lib/intentSdk");
+const {
+  instructionIndex, decodeSourceMap, intrinsicGas, profileTransaction, reachableFunctions, loadSourceInfo, compareProfiles,
+} = require("../scripts/lib/gasProfile");
+
+describe("Gas Profile", function () {
+  let bridge, token, user, solver;
+  let first; // profile of the user's first intent and the solver's first payout
+
+  before(async function () {
+    let deployer;
+    [deployer, user, solver] = await ethers.getSigners();
+    token = await (await ethers.getContractFactory("MockToken")).deploy();
+    bridge = await (await ethers.getContractFactory("UltraEfficientIntentBridge")).deploy([deployer.address], 1);
+    await (await token.mint(user.address, ethers.parseUnits("1000", 18))).wait();
+    await (await token.connect(user).approve(await bridge.getAddress(), ethers.MaxUint256)).wait();
+    await (await bridge.connect(solver).stake({ value: ethers.parseEther("1") })).wait();
+  });
+
+  async function fill() {
+    const f = await sdk.prepareFulfillment({ bridge, user, solver, token, amount: ethers.parseUnits("10", 18), fee: ethers.parseUnits("1", 16) });
+    return (await (await bridge.connect(solver).fulfillIntent(...sdk.fulfillArgs(f.intent, f.userSig, f.solverSig))).wait()).hash;
+  }
+
+  it("Should index instructions past PUSH immediates", function () {
+    // PUSH1 0x80, PUSH32 <32 bytes>, ADD, STOP
+    const index = instructionIndex(`0x6080${"7f" + "ff".repeat(32)}0100`);
+    expect(index[0]).to.equal(0);
+    expect(index[1]).to.equal(-1);
+    expect(index[2]).to.equal(1);
+    expect([...index.slice(3, 35)].every((i) => i === -1)).to.equal(true);
+    expect(index[35]).to.equal(2);
+    expect(index[36]).to.equal(3);
+  });
+
+  it("Should decode a compressed source map, repeating empty fields", function () {
+    expect(decodeSourceMap("10:5:0:-:0;;12::;:3:1;20")).to.deep.equal([
+      { s: 10, l: 5, f: 0 },
+      { s: 10, l: 5, f: 0 },
+      { s: 12, l: 5, f: 0 },
+      { s: 12, l: 3, f: 1 },
+      { s: 20, l: 3, f: 1 },
+    ]);
+  });
+
+  it("Should charge 4 gas per zero and 16 per non-zero calldata byte on top of 21000", function () {
+    expect(intrinsicGas("0x")).to.equal(21000);
+    expect(intrinsicGas("0x0000ff01")).to.equal(21000 + 2 * 4 + 2 * 16);
+  });
+
+  it("Should diff profiles phase by phase, largest change first", function () {
+    const a = { phases: [{ phase: "intrinsic", gas: 21000, newSlots: 0 }, { phase: "storage: nonces", gas: 5000, newSlots: 0 }] };
+    const b = { phases: [{ phase: "storage: nonces", gas: 22100, newSlots: 1 }, { phase: "events", gas: 900, newSlots: 0 }, { phase: "intrinsic", gas: 21000, newSlots: 0 }] };
+    expect(compareProfiles(a, b)).to.deep.equal([
+      { phase: "storage: nonces", a: 5000, b: 22100, delta: 17100, newSlots: [0, 1] },
+      { phase: "events", a: 0, b: 900, delta: 900, newSlots: [0, 0] },
+      { phase: "intrinsic", a: 21000, b: 21000, delta: 0, newSlots: [0, 0] },
+    ]);
+  });
+
+  it("Should reach only what fulfillIntent calls", async function () {
+    const info = await loadSourceInfo(hre.artifacts, "UltraEfficientIntentBridge");
+    const reachable = reachableFunctions(info, bridge.interface.getFunction("fulfillIntent").selector);
+    expect(reachable).to.include("UltraEfficientIntentBridge.fulfillIntent");
+    expect(reachable).to.include("UltraEfficientIntentBridge._consumeIntent");
+    expect(reachable).to.include("ECDSA.recover");
+    expect(reachable).to.not.include("UltraEfficientIntentBridge.cancelIntent");
+    expect(reachable).to.not.include("AccessControl.grantRole");
+    expect(reachableFunctions(info, "0xdeadbeef")).to.equal(null);
+  });
+
+  it("Should name fulfillIntent's phases without unrelated functions and add up to gasUsed", async function () {
+    const profile = (first = await profileTransaction(hre, await fill(), "UltraEfficientIntentBridge"));
+    const names = profile.phases.map((p) => p.phase);
+
+    expect(profile.method).to.equal("fulfillIntent");
+    expect(profile.failed).to.equal(false);
+    for (const phase of ["intrinsic", "ECDSA recover", "EIP-712 hashing", "token transfer", "events", "storage: nonces"]) {
+      expect(names).to.include(phase);
+    }
+    // The optimizer maps code it shares between functions to one of them; none of these run here
+    for (const unrelated of ["cancelIntent", "supportsInterface", "grantRole", "withdrawSlashCredit"]) {
+      expect(names.filter((n) => n.includes(unrelated))).to.deep.equal([]);
+    }
+    expect(profile.phases.reduce((sum, p) => sum + p.gas, 0)).to.equal(profile.gasUsed);
+    const tx = await ethers.provider.getTransaction(profile.txHash);
+    expect(profile.phases.find((p) => p.phase === "intrinsic").gas).to.equal(intrinsicGas(tx.data));
+  });
+
+  it("Should put a first fill's premium on the slots it creates", async function () {
+    const repeat = await profileTransaction(hre, await fill(), "UltraEfficientIntentBridge");
+    const moved = compareProfiles(repeat, first).filter((r) => r.delta !== 0);
+    // Nonce 0 -> 1 and the solver's zero token balance: two new slots at +17.1k each
+    expect(moved.find((r) => r.phase === "storage: nonces")).to.deep.include({ delta: 17100, newSlots: [0, 1] });
+    expect(moved.find((r) => r.phase === "token transfer")).to.deep.include({ delta: 17100, newSlots: [0, 1] });
+    expect(first.gasUsed - repeat.gasUsed).to.equal(moved.reduce((sum, r) => sum + r.delta, 0));
+  });
+});
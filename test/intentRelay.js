@@ -0,0 +1,61 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const sdk = require("../scripts/lib/intentSdk");
+const { createIntentRelay } = require("../scripts/lib/intentRelay");
+const relayClient = require("../scripts/lib/relayClient");
+
+describe("Intent Relay", function () {
+  let user, solver, bridge, token, relay, baseUrl, sub;
+
+  before(async function () {
+    let deployer;
+    [deployer, user, solver] = await ethers.getSigners();
+    bridge = await (await ethers.getContractFactory("UltraEfficientIntentBridge")).deploy([deployer.address], 1);
+    token = await (await ethers.getContractFactory("TestToken")).deploy("TokenA", "TKA");
+    await (await token.transfer(user.address, ethers.parseUnits("100", 18))).wait();
+    await (await bridge.connect(solver).stake({ value: ethers.parseEther("1") })).wait();
+
+    relay = createIntentRelay({ bridge, port: 0, pollMs: 60_000 });
+    baseUrl = await relay.start();
+    sub = relayClient.subscribe(baseUrl);
+    await sub.ready;
+    await sub.next((m) => m.type === "snapshot");
+  });
+
+  after(async function () {
+    sub.close();
+    await relay.stop();
+  });
+
+  it("Should answer malformed WebSocket messages with error frames and keep serving", async function () {
+    const cases = [
+      ["null", "expected a JSON object"],
+      ["3", "expected a JSON object"],
+      ['"x"', "expected a JSON object"],
+      ["[]", "expected a JSON object"],
+      ["{", "invalid JSON"],
+      ['{"type":"bid"}', "unsupported message type: bid"],
+      [`{"type":"commitment","digest":"${ethers.ZeroHash}"}`, "unknown intent"],
+    ];
+    for (const [raw, error] of cases) {
+      sub.ws.send(raw);
+      expect((await sub.next((m) => m.type === "error")).error).to.equal(error);
+    }
+
+    const res = await fetch(new URL("/intents", baseUrl), { method: "POST", headers: { "content-type": "application/json" }, body: "null" });
+    expect([res.status, (await res.json()).error]).to.deep.equal([400, "expected a JSON object"]);
+    expect((await (await fetch(new URL("/health", baseUrl))).json()).ok).to.equal(true);
+  });
+
+  it("Should accept a signed intent and acknowledge a staked solver's commitment over the WebSocket", async function () {
+    const domain = await sdk.buildDomain(bridge);
+    const intent = await sdk.createIntent(bridge, { user, token, amount: ethers.parseUnits("10", 18), fee: ethers.parseUnits("1", 16) });
+    const { digest, status } = await relayClient.postIntent(baseUrl, intent, await sdk.signIntent(user, domain, intent));
+    expect(status).to.equal("OPEN");
+    expect((await sub.next((m) => m.type === "intent")).digest).to.equal(digest);
+
+    sub.send({ type: "commitment", digest, solver: solver.address, signature: await sdk.signSolverCommitment(solver, domain, digest) });
+    expect(await sub.next((m) => m.type === "ack")).to.include({ digest });
+    expect((await relayClient.getIntent(baseUrl, digest)).commitments.map((c) => c.solver)).to.deep.equal([solver.address]);
+  });
+});
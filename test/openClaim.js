@@ -0,0 +1,61 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const sdk = require("../scripts/lib/intentSdk");
+const { withIntervalMining, runOpenClaimRace } = require("../scripts/lib/openClaim");
+
+describe("Open Claim Race", function () {
+  let bridge, token, domain, user, solvers;
+
+  before(async function () {
+    let deployer;
+    [deployer, user, ...solvers] = await ethers.getSigners();
+    solvers = solvers.slice(0, 4);
+    token = await (await ethers.getContractFactory("MockToken")).deploy();
+    bridge = await (await ethers.getContractFactory("UltraEfficientIntentBridge")).deploy([deployer.address], 1);
+    domain = await sdk.buildDomain(bridge);
+    await (await token.mint(user.address, ethers.parseUnits("1000", 18))).wait();
+    await (await token.connect(user).approve(await bridge.getAddress(), ethers.MaxUint256)).wait();
+    for (const s of solvers) await (await bridge.connect(s).stake({ value: ethers.parseEther("1") })).wait();
+  });
+
+  it("Should let one claim win and charge the reverted ones their gas", async function () {
+    const intent = await sdk.createIntent(bridge, { user, token, amount: ethers.parseUnits("10", 18), fee: ethers.parseUnits("1", 16) });
+    const userSig = await sdk.signIntent(user, domain, intent);
+    // Three claims inside the first block; the fourth reacts two blocks later and sees the fill
+    const race = await withIntervalMining(ethers.provider, 1000, () => runOpenClaimRace({
+      bridge, domain, intent, userSig,
+      solvers: solvers.map((signer, k) => ({ signer, latencyMs: k < 3 ? 0 : 2500 })),
+    }));
+
+    expect(solvers.slice(0, 3).map((s) => s.address)).to.include(race.winner);
+    expect(race.receipt.status).to.equal(1);
+    expect(await bridge.nonces(user.address)).to.equal(intent.nonce + 1n);
+
+    const late = race.claims.find((c) => c.solver === solvers[3].address);
+    expect(late).to.deep.include({ outcome: "aborted", sentMs: null, gasUsed: "0" });
+    expect(race.reverted + race.aborted).to.equal(3);
+    expect(race.reverted).to.be.at.least(1);
+    const losers = race.claims.filter((c) => c.outcome === "reverted");
+    expect(race.wastedGas).to.equal(losers.reduce((a, c) => a + BigInt(c.gasUsed), 0n));
+    expect(race.wastedWei).to.equal(losers.reduce((a, c) => a + BigInt(c.gasUsed) * BigInt(c.gasPrice), 0n));
+    for (const c of losers) expect(c.block).to.be.at.least(race.receipt.blockNumber);
+    expect(race.T_tx_ms).to.be.at.least(0);
+  });
+
+  it("Should report no winner when the intent can no longer be filled", async function () {
+    const { timestamp } = await ethers.provider.getBlock("latest");
+    const intent = await sdk.createIntent(bridge, { user, token, amount: ethers.parseUnits("10", 18), fee: ethers.parseUnits("1", 16), deadline: timestamp });
+    const userSig = await sdk.signIntent(user, domain, intent);
+
+    const race = await runOpenClaimRace({ bridge, domain, intent, userSig, solvers: solvers.slice(0, 2).map((signer) => ({ signer })) });
+    expect(race).to.deep.include({ winner: null, receipt: null, reverted: 0, aborted: 2, wastedGas: 0n, wastedWei: 0n });
+  });
+
+  it("Should restore automine after interval mining, also when the body throws", async function () {
+    await expect(withIntervalMining(ethers.provider, 100, async () => {
+      expect(await ethers.provider.send("hardhat_getAutomine", [])).to.equal(false);
+      throw new Error("boom");
+    })).to.be.rejectedWith("boom");
+    expect(await ethers.provider.send("hardhat_getAutomine", [])).to.equal(true);
+  });
+});
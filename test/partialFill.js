@@ -0,0 +1,67 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const sdk = require("../scripts/lib/intentSdk");
+const { withIntervalMining } = require("../scripts/lib/openClaim");
+const { runPartialFillRace } = require("../scripts/lib/partialFill");
+
+describe("Partial Fill Race", function () {
+  const unit = (x) => ethers.parseUnits(x, 18);
+  let bridge, token, domain, user, solvers;
+
+  before(async function () {
+    let deployer;
+    [deployer, user, ...solvers] = await ethers.getSigners();
+    solvers = solvers.slice(0, 3);
+    token = await (await ethers.getContractFactory("MockToken")).deploy();
+    bridge = await (await ethers.getContractFactory("UltraEfficientIntentBridge")).deploy([deployer.address], 1);
+    domain = await sdk.buildDomain(bridge);
+    await (await token.mint(user.address, unit("1000"))).wait();
+    await (await token.connect(user).approve(await bridge.getAddress(), ethers.MaxUint256)).wait();
+    for (const s of solvers) await (await bridge.connect(s).stake({ value: ethers.parseEther("1") })).wait();
+  });
+
+  async function race(liquidity, { minFill = unit("5"), latencyMs = (k) => k * 300 } = {}) {
+    const intent = await sdk.createPartialIntent(bridge, { user, token, amount: unit("30"), fee: unit("3"), minFill });
+    const userSig = await sdk.signPartialIntent(user, domain, intent);
+    const result = await runPartialFillRace({
+      bridge, domain, intent, userSig,
+      solvers: liquidity.map((l, k) => ({ signer: solvers[k], liquidity: unit(l), latencyMs: latencyMs(k) })),
+    });
+    return { intent, result };
+  }
+
+  it("Should split the intent by liquidity in arrival order and pro-rate the fee", async function () {
+    // Automine, staggered solvers: each sees the fills before it
+    const { result } = await race(["10", "15", "20"]);
+    expect(result).to.deep.include({ completed: true, remaining: 0n, solvers: 3, reverted: 0, aborted: 0, wastedGas: 0n });
+    expect(result.fills.map((f) => [f.solver, f.amount, f.fee, f.remaining])).to.deep.equal([
+      [solvers[0].address, unit("10"), unit("1"), unit("20")],
+      [solvers[1].address, unit("15"), unit("1.5"), unit("5")],
+      [solvers[2].address, unit("5"), unit("0.5"), 0n],
+    ]);
+    expect(result.T_complete_ms).to.equal(result.fills[2].minedMs);
+    expect(result.gasUsed).to.equal(result.fills.reduce((a, f) => a + f.gasUsed, 0n));
+  });
+
+  it("Should leave the rest open when the solvers' liquidity runs out", async function () {
+    const { result } = await race(["8", "7"]);
+    expect(result).to.deep.include({ completed: false, T_complete_ms: null, remaining: unit("15"), solvers: 2 });
+  });
+
+  it("Should not send a portion below minFill unless it completes the intent", async function () {
+    const { result } = await race(["22", "4", "8"], { minFill: unit("6") });
+    // 8 left after the first fill: 4 is too small, 8 completes
+    expect(result.fills.map((f) => [f.solver, f.amount])).to.deep.equal([[solvers[0].address, unit("22")], [solvers[2].address, unit("8")]]);
+    expect(result).to.deep.include({ completed: true, reverted: 0, aborted: 0 });
+  });
+
+  it("Should complete the intent when fills meet in one block, retrying with what is left", async function () {
+    // Every solver could fill 20 of the 30; all send before the first block is mined
+    const { intent, result } = await withIntervalMining(ethers.provider, 1000, () => race(["20", "20", "20"], { latencyMs: () => 0 }));
+    expect(result.completed).to.equal(true);
+    expect(result.fills.reduce((a, f) => a + f.amount, 0n)).to.equal(intent.amount);
+    expect(result.fills.reduce((a, f) => a + f.fee, 0n)).to.equal(intent.fee);
+    for (const f of result.fills) expect(f.amount).to.be.at.most(unit("20"));
+    expect(await bridge.partiallyFilled(sdk.partialIntentDigest(domain, intent))).to.equal(intent.amount);
+  });
+});
@@ -0,0 +1,25 @@
+const { expect } = require("chai");
+const { createRng } = require("../scripts/lib/prng");
+
+describe("PRNG", function () {
+  it("Should reproduce the sfc32 output vector of a fixed seed", function () {
+    // sfc32 seeded with the first four words of keccak256("42"), after 12 warm-up draws
+    const rng = createRng(42);
+    expect(Array.from({ length: 4 }, () => rng.next() * 2 ** 32)).to.deep.equal([2526597521, 3668194959, 4095704343, 1270431652]);
+  });
+
+  it("Should replay the same draws from the same seed and keep forks independent", function () {
+    const draw = (rng) => [rng.int(1, 6), rng.pick(["a", "b", "c"]), rng.chance(0.5), rng.bytes32()];
+    expect(draw(createRng(7))).to.deep.equal(draw(createRng(7)));
+    expect(draw(createRng(7))).to.not.deep.equal(draw(createRng(8)));
+
+    const rng = createRng(7);
+    const fork = rng.fork("jitter");
+    rng.next();
+    expect(fork.next()).to.equal(createRng("7/jitter").next());
+
+    const ints = Array.from({ length: 200 }, () => rng.int(3, 5));
+    expect([...new Set(ints)].sort()).to.deep.equal([3, 4, 5]);
+    expect(rng.bytes32()).to.match(/^0x[0-9a-f]{64}$/);
+  });
+});
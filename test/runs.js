@@ -0,0 +1,97 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const runs = require("../scripts/lib/runs");
+
+describe("Run Directories", function () {
+  let dir;
+
+  before(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "runs-"));
+  });
+
+  after(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  function writeRun(experiment, id, run) {
+    const runDir = path.join(dir, experiment, id);
+    fs.mkdirSync(runDir, { recursive: true });
+    fs.writeFileSync(path.join(runDir, "run.json"), JSON.stringify({ schema: runs.SCHEMA, schemaVersion: runs.SCHEMA_VERSION, ...run }));
+    return runDir;
+  }
+
+  it("Should record the chain, compiler and bytecode of a run without writing it yet", async function () {
+    const run = await runs.startRun(hre, "test-run", { config: { TRIALS: 3 }, seed: 7 });
+    expect(run.dir).to.equal(path.join(runs.RUNS_DIR, "test-run", run.id));
+    expect(fs.existsSync(run.dir)).to.equal(false);
+    expect(run.metadata).to.deep.include({ experiment: "test-run", runId: run.id, finishedAt: null, seed: 7, config: { TRIALS: 3 } });
+    const { chainId } = await hre.ethers.provider.getNetwork();
+    expect(run.metadata.chains).to.deep.equal([{ role: "main", network: hre.network.name, chainId: Number(chainId) }]);
+    expect(run.metadata.bytecode).to.have.property("contracts/ UltraEfficientIntentBridge.sol:UltraEfficientIntentBridge").that.match(/^0x[0-9a-f]{64}$/);
+    expect(runs.compilerLabel(run.metadata.compiler)).to.match(/^0\.8\.\d+ \(/);
+  });
+
+  it("Should list an experiment's runs oldest first and load them back", function () {
+    writeRun("monitor-ibb", "2026-02-01T00-00-00-000Z", { metadata: { runId: "b" }, data: [2], metrics: {} });
+    const older = writeRun("monitor-ibb", "2026-01-01T00-00-00-000Z", { metadata: { runId: "a" }, data: [1], metrics: {} });
+    fs.mkdirSync(path.join(dir, "monitor-ibb", "2026-03-01-unfinished")); // no run.json: not a run
+
+    const listed = runs.listRuns("monitor-ibb", dir);
+    expect(listed.map((d) => path.basename(d))).to.deep.equal(["2026-01-01T00-00-00-000Z", "2026-02-01T00-00-00-000Z"]);
+    expect(runs.listRuns("graph-ibb", dir)).to.deep.equal([]);
+    expect(runs.loadRun(older)).to.deep.include({ data: [1], dir: older });
+    expect(runs.loadRun(path.join(older, "run.json")).metadata.runId).to.equal("a");
+  });
+
+  it("Should refuse missing runs, foreign files and newer schema versions", function () {
+    expect(() => runs.loadRun(path.join(dir, "nowhere"))).to.throw("No run at");
+    const foreign = path.join(dir, "foreign.json");
+    fs.writeFileSync(foreign, JSON.stringify({ rows: [] }));
+    expect(() => runs.loadRun(foreign)).to.throw("is not a run file");
+    const newer = writeRun("bench-mechanisms", "x", { schemaVersion: runs.SCHEMA_VERSION + 1 });
+    expect(() => runs.loadRun(newer)).to.throw(`this checkout reads up to ${runs.SCHEMA_VERSION}`);
+  });
+
+  it("Should label compilers with their optimizer setting", function () {
+    expect(runs.compilerLabel([
+      { version: "0.8.20", optimizer: { enabled: true, runs: 200 } },
+      { version: "0.8.19", optimizer: { enabled: false } },
+      { version: "0.8.18" },
+    ])).to.equal("0.8.20 (optimizer, 200 runs), 0.8.19 (no optimizer), 0.8.18 (optimizer unknown)");
+  });
+
+  it("Should compare a metric by its mean against the relative tolerance", function () {
+    expect(runs.metric("gas", "gas", ["100", 200n])).to.deep.equal({ kind: "gas", unit: "gas", values: [100, 200] });
+    expect(runs.compareMetric([100, 100], [104, 104], 0.05)).to.deep.include({ base: 100, head: 104, status: "ok" });
+    expect(runs.compareMetric([100, 100], [110, 110], 0.05).status).to.equal("regression");
+    expect(runs.compareMetric([100, 100], [90, 90], 0.05).status).to.equal("improvement");
+    expect(runs.compareMetric([0, 0], [0, 0], 0.05)).to.deep.include({ change: 0, status: "ok" });
+    expect(runs.compareMetric([0, 0], [1, 1], 0.05)).to.deep.include({ change: Infinity, status: "regression" });
+  });
+
+  it("Should diff the shared metrics with per-kind tolerances and list the unshared ones", function () {
+    const base = {
+      gas_fulfill: runs.metric("gas", "gas", [100, 100]),
+      ack_ms: runs.metric("latency", "ms", [100, 100]),
+      gas_lock: runs.metric("gas", "gas", [50]),
+    };
+    const head = {
+      gas_fulfill: runs.metric("gas", "gas", [102, 102]),
+      ack_ms: runs.metric("latency", "ms", [102, 102]),
+      gas_release: runs.metric("gas", "gas", [70]),
+    };
+    const diff = runs.diffMetrics(base, head, { gas: 0.01, latency: 0.1 });
+    expect(diff.rows.map((r) => [r.metric, r.kind, r.tolerance, r.status])).to.deep.equal([
+      ["gas_fulfill", "gas", 0.01, "regression"],
+      ["ack_ms", "latency", 0.1, "ok"],
+    ]);
+    expect(diff.missing).to.deep.equal(["gas_lock", "gas_release"]);
+    expect(diff.regressions).to.equal(1);
+
+    expect(() => runs.diffMetrics(base, { ...head, ack_ms: runs.metric("gas", "gas", [1]) }, { gas: 0.01, latency: 0.1 }))
+      .to.throw("metric ack_ms is latency in base but gas in head");
+  });
+});
@@ -0,0 +1,89 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const sdk = require("../scripts/lib/intentSdk");
+const { createIntentRelay } = require("../scripts/lib/intentRelay");
+const relayClient = require("../scripts/lib/relayClient");
+const { STRATEGIES, createSolverAgent } = require("../scripts/lib/solverAgent");
+const { waitFor } = require("../scripts/lib/twoChain");
+
+describe("Solver Agent", function () {
+  this.timeout(60_000);
+  const unit = (x) => ethers.parseUnits(x, 18);
+  let deployer, user, solvers, bridge, token, domain, relay, relayUrl;
+  const agents = [];
+
+  before(async function () {
+    [deployer, user, ...solvers] = await ethers.getSigners();
+    bridge = await (await ethers.getContractFactory("UltraEfficientIntentBridge")).deploy([deployer.address], 1);
+    token = await (await ethers.getContractFactory("TestToken")).deploy("TokenA", "TKA");
+    domain = await sdk.buildDomain(bridge);
+    await (await token.transfer(user.address, unit("100"))).wait();
+    await (await token.connect(user).approve(bridge.target, ethers.MaxUint256)).wait();
+    for (const s of solvers.slice(0, 2)) await (await bridge.connect(s).stake({ value: ethers.parseEther("1") })).wait();
+
+    relay = createIntentRelay({ bridge, port: 0, pollMs: 200 });
+    relayUrl = await relay.start();
+  });
+
+  afterEach(async function () {
+    while (agents.length) await agents.pop().stop();
+  });
+
+  after(async function () {
+    await relay.stop();
+  });
+
+  async function startAgent(opts) {
+    const agent = createSolverAgent({ bridge, relayUrl, tokenPriceEth: "1", ...opts });
+    await agent.start();
+    agents.push(agent);
+    return agent;
+  }
+
+  async function postIntent(fee = unit("1")) {
+    const intent = await sdk.createIntent(bridge, { user, token, amount: unit("10"), fee });
+    return relayClient.postIntent(relayUrl, intent, await sdk.signIntent(user, domain, intent));
+  }
+
+  it("Should decide by each strategy's margin over the gas cost", function () {
+    const q = (feeValueWei, gasCostWei) => ({ feeValueWei, gasCostWei, profitWei: feeValueWei - gasCostWei });
+    expect([q(101n, 100n), q(150n, 100n), q(300n, 100n), q(100n, 100n)].map((x) => Object.keys(STRATEGIES).filter((s) => STRATEGIES[s](x))))
+      .to.deep.equal([["greedy"], ["greedy", "cautious"], ["greedy", "cautious", "bigTicket"], []]);
+    expect(() => createSolverAgent({ bridge, signer: solvers[0], relayUrl, strategy: "lucky" }))
+      .to.throw('unknown strategy "lucky" (expected one of greedy, cautious, bigTicket)');
+  });
+
+  it("Should let the fastest agent win and count its fee after the protocol cut", async function () {
+    await (await bridge.connect(deployer).setProtocolFee(1000, deployer.address)).wait();
+    try {
+      const fast = await startAgent({ signer: solvers[0] });
+      const slow = await startAgent({ signer: solvers[1], latencyMs: 1500 });
+      await postIntent();
+      await waitFor(() => fast.stats().won === 1, { what: "the fast agent's fill" });
+      await waitFor(() => slow.stats().missed + slow.stats().lost === 1, { what: "the slow agent to give up" });
+
+      expect(fast.stats()).to.deep.include({ seen: 1, attempted: 1, lost: 0, feesEarned: unit("0.9").toString() });
+      expect(BigInt(fast.stats().gasSpent)).to.be.greaterThan(0n);
+      // The slow agent never sends: the relay closes the intent, or estimateGas already reverts
+      expect(slow.stats()).to.deep.include({ seen: 1, attempted: 0, won: 0, gasSpent: "0", feesEarned: "0" });
+    } finally {
+      await (await bridge.connect(deployer).setProtocolFee(0, deployer.address)).wait();
+    }
+  });
+
+  it("Should skip unprofitable intents and, unless it may stake, intents it lacks the stake for", async function () {
+    const fresh = solvers[2];
+    const unstaked = await startAgent({ signer: fresh });
+    const picky = await startAgent({ signer: solvers[0], strategy: "bigTicket", tokenPriceEth: "0.0000001" });
+    const { digest } = await postIntent();
+    await waitFor(() => unstaked.stats().unstaked === 1 && picky.stats().unprofitable === 1, { what: "both agents to skip" });
+    expect(unstaked.stats()).to.deep.include({ attempted: 0, won: 0 });
+    expect(picky.stats()).to.deep.include({ attempted: 0, won: 0 });
+    expect((await relayClient.getIntent(relayUrl, digest)).status).to.equal("OPEN");
+
+    // With autoStake the same account stakes MINIMUM_STAKE and fills the still-open intent from the snapshot
+    const staking = await startAgent({ signer: fresh, autoStake: true });
+    await waitFor(() => staking.stats().won === 1, { what: "the auto-staking agent's fill" });
+    expect(await bridge.solverStakes(fresh.address)).to.equal(await bridge.MINIMUM_STAKE());
+  });
+});
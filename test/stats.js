@@ -0,0 +1,39 @@
+const { expect } = require("chai");
+const stats = require("../scripts/lib/stats");
+
+describe("Stats", function () {
+  it("Should give Welch's t, df and p of hand-computed samples", function () {
+    // Equal variances (2) and sizes (2): df = 2, t = -4/√2, and with df = 2 p = 1 - |t|/√(t² + 2) = 1 - 2/√5
+    const w = stats.welchT([1, 3], [5, 7]);
+    expect(w.t).to.be.closeTo(-2 * Math.SQRT2, 1e-12);
+    expect(w.df).to.be.closeTo(2, 1e-12);
+    expect(w.p).to.be.closeTo(1 - 2 / Math.sqrt(5), 1e-9);
+
+    // Variances 5/3 and 20/3 over n = 4: t = -√3, df = 75/17
+    const u = stats.welchT([1, 2, 3, 4], [2, 4, 6, 8]);
+    expect(u.t).to.be.closeTo(-Math.sqrt(3), 1e-12);
+    expect(u.df).to.be.closeTo(75 / 17, 1e-12);
+
+    expect(stats.welchT([2, 2], [3, 3])).to.deep.equal({ t: -Infinity, df: 2, p: 0 });
+    expect(stats.welchT([2, 2], [2, 2])).to.deep.equal({ t: 0, df: 2, p: 1 });
+    expect(Number.isNaN(stats.welchT([1], [2, 3]).p)).to.equal(true);
+  });
+
+  it("Should give the exact Mann–Whitney p-value for small samples without ties", function () {
+    // m = n = 3: 20 equally likely orderings; U = 0 in one of them, U <= 3 in 1 + 1 + 2 + 3
+    expect(stats.mannWhitneyU([1, 2, 3], [4, 5, 6])).to.deep.equal({ U: 0, z: null, p: 0.1, method: "exact" });
+    expect(stats.mannWhitneyU([4, 5, 6], [1, 2, 3])).to.deep.equal({ U: 9, z: null, p: 0.1, method: "exact" });
+    expect(stats.mannWhitneyU([1, 3, 5], [2, 4, 6])).to.deep.equal({ U: 3, z: null, p: 0.7, method: "exact" });
+    // m = n = 4: 70 orderings
+    expect(stats.mannWhitneyU([1, 2, 3, 4], [5, 6, 7, 8]).p).to.be.closeTo(2 / 70, 1e-12);
+  });
+
+  it("Should fall back to the tie-corrected normal approximation when values tie", function () {
+    // Three tied 2s: σ² = (9/12)(7 - 24/30), |U - 4.5| - 0.5 = 3
+    const r = stats.mannWhitneyU([1, 2, 2], [2, 3, 4]);
+    expect(r.method).to.equal("normal");
+    expect(r.U).to.equal(1);
+    expect(r.z).to.be.closeTo(-3 / Math.sqrt(0.75 * 6.2), 1e-12);
+    expect(r.p).to.be.closeTo(0.1642, 1e-4);
+  });
+});
@@ -0,0 +1,50 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { startTwoChains, waitFor } = require("../scripts/lib/twoChain");
+
+describe("Two Chains", function () {
+  this.timeout(120_000);
+  let chains;
+
+  before(async function () {
+    // Off the default ports, so a compare:crosschain run on the same machine does not collide
+    chains = await startTwoChains({
+      configFile: hre.config.paths.configFile,
+      source: { port: 8655, blockMs: 200 },
+      destination: { port: 8656, blockMs: 100 },
+    });
+  });
+
+  after(async function () {
+    if (chains) await chains.stop();
+  });
+
+  it("Should run two nodes with their own chainIds and state but the same accounts", async function () {
+    const { source, destination } = chains;
+    expect(Number((await source.provider.getNetwork()).chainId)).to.equal(1337);
+    expect(Number((await destination.provider.getNetwork()).chainId)).to.equal(1338);
+    expect(await (await source.signer(1)).getAddress()).to.equal(await (await destination.signer(1)).getAddress());
+
+    // Same deployer and nonce, so the same address on both chains, but separate balances
+    const [srcToken, dstToken] = await Promise.all([source.deploy("MockToken"), destination.deploy("MockToken")]);
+    expect(await srcToken.getAddress()).to.equal(await dstToken.getAddress());
+    const user = await (await source.signer(1)).getAddress();
+    await (await srcToken.mint(user, 5n)).wait();
+    expect(await srcToken.balanceOf(user)).to.equal(5n);
+    expect(await dstToken.balanceOf(user)).to.equal(0n);
+    expect(await (await destination.at("MockToken", await srcToken.getAddress())).balanceOf(user)).to.equal(0n);
+  });
+
+  it("Should mine empty blocks at each chain's block time after setBlockTimes", async function () {
+    await chains.setBlockTimes();
+    const [src0, dst0] = await Promise.all([chains.source.provider.getBlockNumber(), chains.destination.provider.getBlockNumber()]);
+    await waitFor(async () => (await chains.destination.provider.getBlockNumber()) >= dst0 + 3, { what: "destination blocks", timeoutMs: 10_000 });
+    await waitFor(async () => (await chains.source.provider.getBlockNumber()) >= src0 + 2, { what: "source blocks", timeoutMs: 10_000 });
+  });
+
+  it("Should refuse one chainId for both chains and time out waiting for what never happens", async function () {
+    await expect(startTwoChains({ source: { chainId: 5 }, destination: { chainId: 5 } }))
+      .to.be.rejectedWith("source and destination need distinct chainIds");
+    await expect(waitFor(() => false, { timeoutMs: 100, what: "nothing" })).to.be.rejectedWith("timed out waiting for nothing");
+  });
+});